@@ -1,37 +1,20 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import dotenv from 'dotenv';
+import { generateText, generateStructured, isAIConfigured, LLMError } from './llm/index.js';
+import { classificationSchema } from './llm/schema.js';
+import { mockProvider } from './llm/mock.js';
 
-// Load environment variables
-dotenv.config();
+// Language model tasks on profile data. The backend (Gemini, an
+// OpenAI-compatible server or the mock) is chosen in llm/index.js.
 
-// Initialize Gemini AI if API key is provided
-let genAI = null;
-if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here') {
-  genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-}
+export { isAIConfigured };
 
-export async function generateSummary(aboutText) {
-  try {
-    // If Gemini API is configured, use it
-    if (genAI) {
-      return await generateGeminiSummary(aboutText);
-    } else {
-      // Fall back to mock AI service
-      console.log('Using mock AI service - add GEMINI_API_KEY to .env for real AI processing');
-      return await generateMockSummary(aboutText);
-    }
-  } catch (error) {
-    console.error('AI summary generation error:', error);
-    // Fall back to mock service on error
-    return await generateMockSummary(aboutText);
+// Summaries are cached by prompt, so an unchanged About text is not sent to
+// the model again. `profileUrl` ties the cache entry to the profile.
+export async function generateSummary(aboutText, profileUrl = null) {
+  if (!isAIConfigured()) {
+    console.log('Using mock AI service - configure an LLM provider in .env for real AI processing');
   }
-}
 
-async function generateGeminiSummary(aboutText) {
-  try {
-    const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-    
-    const prompt = `
+  const prompt = `
     Analyze the following LinkedIn About section and create a professional 1-2 sentence summary that highlights the person's key expertise, industry focus, and career level. Keep it concise and under 150 characters.
 
     About section:
@@ -43,124 +26,58 @@ async function generateGeminiSummary(aboutText) {
     - Keep it professional and factual
     - Maximum 150 characters
     `;
-    
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const summary = response.text().trim();
-    
+
+  try {
+    const { text: summary } = await generateText('summary', prompt, { aboutText, url: profileUrl }, { cache: true });
+
     // Ensure summary is not too long
     if (summary.length > 150) {
       return summary.substring(0, 147) + '...';
     }
-    
     return summary;
-    
   } catch (error) {
-    console.error('Gemini API error:', error);
-    throw error;
+    console.error('AI summary generation error:', error);
+    // Fall back to mock service on error
+    const { text } = await mockProvider.generate({ task: 'summary', context: { aboutText } });
+    return text;
   }
 }
 
-async function generateMockSummary(aboutText) {
-  // Simulate API delay
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
-  // Mock AI processing - in production, replace with actual API call
-  if (!aboutText || aboutText.length < 10) {
-    return 'Professional with experience in their field.';
+// Ask the model for a profile's industry, job function and seniority, each
+// one of the allowed values. The reply is checked against the classification
+// schema and sent back for repair like other structured replies. Returns the
+// parsed object as `values`, with the provider and model that answered.
+export async function generateClassification(profile, { industries, jobFunctions, seniorityLevels }) {
+  if (!isAIConfigured()) {
+    throw new Error('No LLM provider is configured');
   }
-  
-  // Simple text processing for demo
-  const sentences = aboutText.split('.').filter(s => s.trim().length > 10);
-  const firstSentence = sentences[0]?.trim() || aboutText.substring(0, 100);
-  
-  // Mock summary generation
-  const summaries = [
-    `Experienced professional with expertise in ${extractKeywords(aboutText).join(', ')}.`,
-    `${firstSentence.substring(0, 80)}... with proven track record in their industry.`,
-    `Professional with strong background in ${extractIndustryTerms(aboutText)} and leadership experience.`,
-    `Accomplished individual with experience in ${extractSkills(aboutText).join(', ')} and strategic thinking.`
-  ];
-  
-  return summaries[Math.floor(Math.random() * summaries.length)];
-}
-
-function extractKeywords(text) {
-  const keywords = [
-    'management', 'leadership', 'strategy', 'innovation', 'technology',
-    'business development', 'operations', 'marketing', 'finance', 'consulting',
-    'product management', 'project management', 'team building', 'analytics'
-  ];
-  
-  const found = keywords.filter(keyword => 
-    text.toLowerCase().includes(keyword.toLowerCase())
-  );
-  
-  return found.length > 0 ? found.slice(0, 3) : ['business', 'professional development'];
-}
-
-function extractIndustryTerms(text) {
-  const industries = [
-    'technology', 'finance', 'healthcare', 'education', 'consulting',
-    'manufacturing', 'retail', 'telecommunications', 'energy', 'media'
-  ];
-  
-  const found = industries.find(industry => 
-    text.toLowerCase().includes(industry.toLowerCase())
-  );
-  
-  return found || 'business';
-}
 
-function extractSkills(text) {
-  const skills = [
-    'leadership', 'strategy', 'innovation', 'management', 'analysis',
-    'communication', 'problem solving', 'team collaboration', 'planning'
-  ];
-  
-  const found = skills.filter(skill => 
-    text.toLowerCase().includes(skill.toLowerCase())
-  );
-  
-  return found.length > 0 ? found.slice(0, 2) : ['leadership', 'strategy'];
-}
+  const roles = (profile.pastRoles || [])
+    .slice(0, 5)
+    .map(role => `- ${role.title} at ${role.canonicalCompany || role.company}${role.isCurrent ? ' (current)' : ''}`)
+    .join('\n');
 
-// Export additional function for structured role extraction
-export async function extractStructuredRoles(experienceText) {
-  try {
-    if (genAI) {
-      const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-      
-      const prompt = `
-      Extract job roles from the following experience text and return them as a JSON array. Each role should have title, company, and years (if available).
+  const prompt = `
+  Classify this professional by the industry of their current employer, their job function and their seniority.
 
-      Experience text:
-      "${experienceText}"
+  Headline: "${profile.title}"
+  Current company: "${profile.canonicalCompany || profile.company}"
+  Summary: "${profile.summary || ''}"
+  Roles:
+  ${roles || '- none listed'}
 
-      Return format:
-      [
-        {"title": "Job Title", "company": "Company Name", "years": "2020-2023"},
-        {"title": "Previous Job", "company": "Previous Company", "years": "2018-2020"}
-      ]
+  industry must be one of: ${industries.join(', ')}
+  jobFunction must be one of: ${jobFunctions.join(', ')}
+  seniority must be one of: ${seniorityLevels.join(', ')}
+  `;
 
-      Only return valid JSON, no additional text.
-      `;
-      
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const jsonText = response.text().trim();
-      
-      try {
-        return JSON.parse(jsonText);
-      } catch (parseError) {
-        console.error('Failed to parse Gemini JSON response:', parseError);
-        return [];
-      }
-    } else {
-      return []; // Return empty array for mock service
-    }
-  } catch (error) {
-    console.error('Error extracting structured roles:', error);
-    return [];
+  const schema = classificationSchema({ industries, jobFunctions, seniorityLevels });
+  const { value, validation } = await generateStructured('classification', prompt, schema, { profileId: profile.id });
+  if (validation.budgetFallback) {
+    throw new LLMError('Daily LLM budget is used up');
+  }
+  if (!validation.valid) {
+    throw new LLMError(`Classification reply did not match the schema after ${validation.attempts} attempts: ${validation.errors.slice(0, 3).join('; ')}`);
   }
-}
\ No newline at end of file
+  return { values: value, provider: validation.provider, model: validation.model };
+}
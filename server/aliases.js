@@ -0,0 +1,275 @@
+import { getAlias, listAliases, saveAlias, deleteAlias, listProfiles, saveProfile } from './repository.js';
+import { aliasId, buildAliasIndex, companyKey, titleKey, normalizeCompany, normalizeProfile, similarity } from './normalization.js';
+import { INDUSTRIES, classifyWithRules, applyClassification, classificationInputs } from './classification.js';
+import { scrapedValueOf } from './overrides.js';
+
+// The editable alias dictionary. Every change re-normalises the stored
+// profiles so filters and exports pick up the new canonical names at once.
+
+export class AliasError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AliasError';
+    this.status = status;
+  }
+}
+
+export const ALIAS_KINDS = ['company', 'title'];
+
+// Suggestions list at most this many unmatched names
+const MAX_SUGGESTIONS = 100;
+
+let cachedIndex = null;
+
+export function getAliasIndex() {
+  if (!cachedIndex) {
+    cachedIndex = buildAliasIndex(listAliases());
+  }
+  return cachedIndex;
+}
+
+// Rules classification for profiles without a current one from an LLM.
+// A model's classification is replaced once the company or title it was
+// made from changes (a correction, or a re-scrape without an LLM); ones
+// stored before `basedOn` was recorded are kept. Rules are re-applied only
+// when a value changes so classifiedAt stays meaningful.
+function classifyForStore(profile, index) {
+  const { classification } = profile;
+  if (classification && classification.source !== 'rules') {
+    const inputs = classificationInputs(profile);
+    if (!classification.basedOn ||
+      (classification.basedOn.company === inputs.company && classification.basedOn.title === inputs.title)) {
+      return profile;
+    }
+  }
+  const rules = classifyWithRules(profile, index);
+  const unchanged = classification?.source === 'rules' &&
+    ['industry', 'jobFunction', 'seniority'].every(field => scrapedValueOf(profile, field) === rules[field]);
+  return unchanged ? profile : applyClassification(profile, rules);
+}
+
+// Canonical company and title fields and a classification for a profile
+// about to be stored
+export function normalizeForStore(profile) {
+  const index = getAliasIndex();
+  return classifyForStore(normalizeProfile(profile, index), index);
+}
+
+// Re-apply the dictionary to every stored profile; returns how many changed
+export function renormalizeProfiles() {
+  cachedIndex = null;
+  const index = getAliasIndex();
+  let updated = 0;
+
+  for (const profile of listProfiles()) {
+    const normalized = classifyForStore(normalizeProfile(profile, index), index);
+    if (JSON.stringify(normalized) !== JSON.stringify(profile)) {
+      saveProfile(normalized);
+      updated++;
+    }
+  }
+
+  console.log(`Re-normalised ${updated} profiles after an alias change`);
+  return updated;
+}
+
+function checkKind(kind) {
+  if (!ALIAS_KINDS.includes(kind)) {
+    throw new AliasError(`Invalid alias kind: ${kind}. Use ${ALIAS_KINDS.join(' or ')}`);
+  }
+}
+
+function keyFor(kind, name) {
+  return kind === 'company' ? companyKey(name) : titleKey(name);
+}
+
+// Only company entries carry an industry; undefined leaves it unchanged
+function checkIndustry(kind, industry) {
+  if (industry === undefined || industry === null || industry === '') {
+    return industry === undefined ? undefined : null;
+  }
+  if (kind !== 'company') {
+    throw new AliasError('Only company entries have an industry');
+  }
+  if (!INDUSTRIES.includes(industry)) {
+    throw new AliasError(`Invalid industry: ${industry}. Use one of ${INDUSTRIES.join(', ')}`);
+  }
+  return industry;
+}
+
+function cleanNames(names) {
+  if (names !== undefined && !Array.isArray(names)) {
+    throw new AliasError('aliases must be a list of names');
+  }
+  return (names || [])
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.replace(/\s+/g, ' ').trim());
+}
+
+// Names de-duplicated by key, leaving out the canonical name itself
+function uniqueAliases(kind, canonical, names) {
+  const seen = new Set([keyFor(kind, canonical)]);
+  const unique = [];
+  for (const name of names) {
+    const key = keyFor(kind, name);
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      unique.push(name);
+    }
+  }
+  return unique;
+}
+
+// A name belongs to one entry only: take it away from any other
+function detachNames(kind, names, keepId) {
+  const keys = new Set(names.map(name => keyFor(kind, name)));
+  for (const entry of listAliases()) {
+    if (entry.kind !== kind || entry.id === keepId) continue;
+    const aliases = entry.aliases.filter(name => !keys.has(keyFor(kind, name)));
+    if (aliases.length !== entry.aliases.length) {
+      saveAlias({ ...entry, aliases, updatedAt: new Date().toISOString() });
+    }
+  }
+}
+
+export function listAliasEntries(kind = null) {
+  if (kind) checkKind(kind);
+  return listAliases()
+    .filter(entry => !kind || entry.kind === kind)
+    .sort((a, b) => a.kind.localeCompare(b.kind) || a.canonical.localeCompare(b.canonical));
+}
+
+// Add aliases to the entry for `canonical`, creating it if needed
+export function addAliases({ kind, canonical, aliases, industry }) {
+  checkKind(kind);
+  if (typeof canonical !== 'string' || !keyFor(kind, canonical)) {
+    throw new AliasError('canonical name is required');
+  }
+  const entryIndustry = checkIndustry(kind, industry);
+
+  const name = canonical.replace(/\s+/g, ' ').trim();
+  const id = aliasId(kind, name);
+  const existing = getAlias(id);
+  const now = new Date().toISOString();
+  const names = uniqueAliases(kind, name, [...(existing?.aliases || []), ...cleanNames(aliases)]);
+
+  detachNames(kind, [name, ...names], id);
+  const entry = saveAlias({
+    id,
+    kind,
+    canonical: name,
+    aliases: names,
+    ...(kind === 'company' ? { industry: entryIndustry === undefined ? existing?.industry || null : entryIndustry } : {}),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  });
+
+  return { entry, updatedProfiles: renormalizeProfiles() };
+}
+
+// Replace the canonical spelling, alias list and/or industry of an entry
+export function updateAliasEntry(id, { canonical, aliases, industry }) {
+  const existing = getAlias(id);
+  if (!existing) {
+    throw new AliasError('Alias entry not found', 404);
+  }
+  const entryIndustry = checkIndustry(existing.kind, industry);
+
+  const name = typeof canonical === 'string' && canonical.trim() ? canonical.replace(/\s+/g, ' ').trim() : existing.canonical;
+  const newId = aliasId(existing.kind, name);
+  if (newId !== id && getAlias(newId)) {
+    throw new AliasError(`An entry for "${name}" already exists; merge the two instead`, 409);
+  }
+
+  const names = uniqueAliases(existing.kind, name, aliases === undefined ? existing.aliases : cleanNames(aliases));
+  detachNames(existing.kind, [name, ...names], id);
+  if (newId !== id) {
+    deleteAlias(id);
+  }
+  const entry = saveAlias({
+    ...existing,
+    id: newId,
+    canonical: name,
+    aliases: names,
+    ...(entryIndustry !== undefined ? { industry: entryIndustry } : {}),
+    updatedAt: new Date().toISOString()
+  });
+
+  return { entry, updatedProfiles: renormalizeProfiles() };
+}
+
+export function removeAliasEntry(id) {
+  if (!getAlias(id)) {
+    throw new AliasError('Alias entry not found', 404);
+  }
+  deleteAlias(id);
+  return { updatedProfiles: renormalizeProfiles() };
+}
+
+// Fold `names` into the entry for `canonical`. A name may be a raw spelling
+// seen on profiles or the canonical name of another entry, whose aliases are
+// then moved over and the entry removed.
+export function mergeAliases({ kind, canonical, names, industry }) {
+  checkKind(kind);
+  if (typeof canonical !== 'string' || !keyFor(kind, canonical)) {
+    throw new AliasError('canonical name is required');
+  }
+  const merging = cleanNames(names);
+  if (merging.length === 0) {
+    throw new AliasError('names to merge are required');
+  }
+  checkIndustry(kind, industry);
+
+  const targetId = aliasId(kind, canonical.replace(/\s+/g, ' ').trim());
+  const absorbed = listAliases().filter(entry =>
+    entry.kind === kind &&
+    entry.id !== targetId &&
+    merging.some(name => keyFor(kind, name) === keyFor(kind, entry.canonical))
+  );
+
+  for (const entry of absorbed) {
+    deleteAlias(entry.id);
+  }
+
+  const result = addAliases({
+    kind,
+    canonical,
+    aliases: [...merging, ...absorbed.flatMap(entry => entry.aliases)],
+    // Keep an absorbed entry's industry if the target has none
+    industry: industry ?? (getAlias(targetId)?.industry || absorbed.find(entry => entry.industry)?.industry)
+  });
+
+  return { ...result, mergedEntries: absorbed.map(entry => entry.id) };
+}
+
+// Company names on stored profiles that the dictionary doesn't know exactly,
+// most common first, each with the closest existing entry
+export function aliasSuggestions() {
+  const index = getAliasIndex();
+  const unmatched = new Map();
+
+  for (const profile of listProfiles()) {
+    const names = [profile.company, ...(profile.pastRoles || []).map(role => role.company)];
+    for (const name of names) {
+      const key = companyKey(name);
+      if (!key || normalizeCompany(name, index).matchedBy === 'alias') continue;
+      const item = unmatched.get(key) || { name, count: 0 };
+      item.count++;
+      unmatched.set(key, item);
+    }
+  }
+
+  return [...unmatched.entries()]
+    .map(([key, item]) => {
+      let closest = null;
+      for (const [candidate, canonical] of index.company) {
+        const score = similarity(key, candidate);
+        if (!closest || score > closest.score) {
+          closest = { canonical, score: Number(score.toFixed(2)) };
+        }
+      }
+      return { ...item, closest };
+    })
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, MAX_SUGGESTIONS);
+}
@@ -0,0 +1,49 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Classification of profiles as they are stored, against a store in a
+// temporary directory (DATA_DIR is read when the store module loads)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asb-aliases-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { normalizeForStore } = await import('./aliases.js');
+const { flush } = await import('./db.js');
+
+after(() => {
+  flush();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const classifiedByModel = (basedOn) => ({
+  id: 'alumni_test',
+  name: 'Daniel Ong',
+  title: 'Vice President, Treasury',
+  company: 'CIMB',
+  status: 'success',
+  pastRoles: [],
+  industry: 'technology',
+  jobFunction: 'engineering',
+  seniority: 'senior',
+  classification: { source: 'openai', model: 'gpt-4o-mini', ...(basedOn ? { basedOn } : {}), classifiedAt: '2025-01-01T00:00:00.000Z' }
+});
+
+test('keeps a model classification while its company and title are unchanged', () => {
+  const stored = normalizeForStore(classifiedByModel({ company: 'CIMB', title: 'Vice President, Treasury' }));
+  assert.equal(stored.classification.source, 'openai');
+  assert.equal(stored.industry, 'technology');
+});
+
+test('classifies with the rules again once the company or title changes', () => {
+  const stored = normalizeForStore({ ...classifiedByModel({ company: 'CIMB', title: 'Vice President, Treasury' }), company: 'PwC', title: 'Senior Associate, Audit' });
+  assert.equal(stored.classification.source, 'rules');
+  assert.equal(stored.industry, 'consulting');
+  assert.deepEqual(stored.classification.basedOn, { company: 'PwC', title: 'Senior Associate, Audit' });
+});
+
+test('keeps model classifications stored before their inputs were recorded', () => {
+  const stored = normalizeForStore({ ...classifiedByModel(null), company: 'PwC' });
+  assert.equal(stored.classification.source, 'openai');
+});
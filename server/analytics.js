@@ -0,0 +1,193 @@
+import { parseProfileFilters, filterProfiles, QueryError } from './profileQuery.js';
+import { SENIORITY_LEVELS } from './normalization.js';
+
+// Career outcome aggregates for GET /api/analytics/*.
+//
+// Every aggregate covers the successfully scraped profiles matching the same
+// filters as GET /api/profiles, so the analytics view can narrow them to a
+// cohort, programme or range of graduation years. Companies are counted by
+// their canonical name (see normalization.js).
+
+const DEFAULT_TOP = 10;
+const MAX_TOP = 50;
+
+// Filters plus `top`, the number of entries in ranked lists
+export function parseAnalyticsQuery(query) {
+  let top = DEFAULT_TOP;
+  if (query.top !== undefined) {
+    top = Number(query.top);
+    if (!Number.isInteger(top) || top < 1) {
+      throw new QueryError(`Invalid top: ${query.top}`);
+    }
+    top = Math.min(top, MAX_TOP);
+  }
+
+  return { filters: parseProfileFilters(query), top };
+}
+
+function analysedProfiles(profiles, filters) {
+  return filterProfiles(profiles, filters).filter(profile => profile.status === 'success');
+}
+
+function companyOf(item) {
+  return item.canonicalCompany || item.company || '';
+}
+
+// "Kuala Lumpur, Federal Territory of Kuala Lumpur, Malaysia" -> "Malaysia"
+function countryOf(location) {
+  const parts = String(location || '').split(',').map(part => part.trim()).filter(Boolean);
+  return parts[parts.length - 1] || '';
+}
+
+// [{ value, count, share }] most common first; values past `top` are summed
+// into "Other" when `top` is given
+function distribution(values, top = null) {
+  const counts = new Map();
+  for (const value of values) {
+    if (!value) continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  let items = [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+
+  if (top && items.length > top) {
+    const rest = items.slice(top).reduce((sum, item) => sum + item.count, 0);
+    items = [...items.slice(0, top), { value: 'Other', count: rest }];
+  }
+
+  return items.map(item => ({ ...item, share: total ? Number((item.count / total).toFixed(3)) : 0 }));
+}
+
+// Dated roles, oldest first
+function datedRoles(profile) {
+  return (profile.pastRoles || [])
+    .filter(role => role.startDate)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+// Each role after someone's first, with the role before it
+function roleTransitions(profile) {
+  const roles = datedRoles(profile);
+  return roles.slice(1).map((role, index) => ({ from: roles[index], to: role }));
+}
+
+// Of sorted numbers; null for none
+function median(sorted) {
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+export function analyticsOverview(profiles, { filters }) {
+  const analysed = analysedProfiles(profiles, filters);
+  const tenures = analysed
+    .map(profile => (profile.pastRoles || []).find(role => role.isCurrent)?.durationMonths)
+    .filter(months => typeof months === 'number')
+    .sort((a, b) => a - b);
+
+  return {
+    alumni: analysed.length,
+    employers: new Set(analysed.map(companyOf).filter(Boolean)).size,
+    industries: new Set(analysed.map(profile => profile.industry).filter(Boolean)).size,
+    countries: new Set(analysed.map(profile => countryOf(profile.location)).filter(Boolean)).size,
+    medianTenureMonths: median(tenures)
+  };
+}
+
+// Current employers by number of alumni, with each one's industry
+export function topEmployers(profiles, { filters, top }) {
+  const analysed = analysedProfiles(profiles, filters);
+  const industries = new Map(analysed.map(profile => [companyOf(profile), profile.industry]));
+
+  return distribution(analysed.map(companyOf))
+    .slice(0, top)
+    .map(item => ({ company: item.value, count: item.count, share: item.share, industry: industries.get(item.value) || null }));
+}
+
+export function industryDistribution(profiles, { filters }) {
+  return distribution(analysedProfiles(profiles, filters).map(profile => profile.industry));
+}
+
+// By country, or by the full location string with `by=location`
+export function locationDistribution(profiles, { filters, top }, by = 'country') {
+  if (by !== 'country' && by !== 'location') {
+    throw new QueryError(`Invalid by: ${by}. Use country or location`);
+  }
+  const analysed = analysedProfiles(profiles, filters);
+  return distribution(analysed.map(profile => (by === 'country' ? countryOf(profile.location) : profile.location)), top);
+}
+
+// Seniority counts per graduation year (or cohort with `by=cohort`), levels
+// most junior first. Alumni without a year or cohort are left out.
+export function seniorityByCohort(profiles, { filters }, by = 'graduationYear') {
+  if (by !== 'graduationYear' && by !== 'cohort') {
+    throw new QueryError(`Invalid by: ${by}. Use graduationYear or cohort`);
+  }
+
+  const groups = new Map();
+  for (const profile of analysedProfiles(profiles, filters)) {
+    const group = profile[by];
+    if (group === undefined || group === null || group === '' || !profile.seniority) continue;
+    if (!groups.has(group)) {
+      groups.set(group, Object.fromEntries(SENIORITY_LEVELS.map(level => [level, 0])));
+    }
+    groups.get(group)[profile.seniority]++;
+  }
+
+  return {
+    levels: SENIORITY_LEVELS,
+    groups: [...groups.entries()]
+      .sort(([a], [b]) => String(a).localeCompare(String(b), undefined, { numeric: true }))
+      .map(([group, counts]) => ({
+        group,
+        total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+        counts
+      }))
+  };
+}
+
+// Role changes per year: a move to another company or a new role at the same one
+export function careerMoves(profiles, { filters }) {
+  const years = new Map();
+  for (const profile of analysedProfiles(profiles, filters)) {
+    for (const { from, to } of roleTransitions(profile)) {
+      const year = to.startDate.slice(0, 4);
+      const counts = years.get(year) || { companyChanges: 0, internalMoves: 0 };
+      if (companyOf(from) && companyOf(to) && companyOf(from) !== companyOf(to)) {
+        counts.companyChanges++;
+      } else {
+        counts.internalMoves++;
+      }
+      years.set(year, counts);
+    }
+  }
+
+  return [...years.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([year, counts]) => ({ year: Number(year), ...counts, total: counts.companyChanges + counts.internalMoves }));
+}
+
+// The most common moves from one employer to another
+export function employerFlows(profiles, { filters, top }) {
+  const flows = new Map();
+  for (const profile of analysedProfiles(profiles, filters)) {
+    for (const { from, to } of roleTransitions(profile)) {
+      const source = companyOf(from);
+      const target = companyOf(to);
+      if (!source || !target || source === target) continue;
+      const key = JSON.stringify([source, target]);
+      flows.set(key, (flows.get(key) || 0) + 1);
+    }
+  }
+
+  return [...flows.entries()]
+    .map(([key, count]) => {
+      const [from, to] = JSON.parse(key);
+      return { from, to, count };
+    })
+    .sort((a, b) => b.count - a.count || a.from.localeCompare(b.from) || a.to.localeCompare(b.to))
+    .slice(0, top);
+}
@@ -0,0 +1,56 @@
+import { addAuditEntry, listAuditEntries, replaceAuditEntry } from './repository.js';
+
+// Audit log of what people did (as opposed to scrapes): profile edits,
+// logins, the jobs and exports they started and user changes. Entries are
+// only ever added, except that erasing a profile blanks the values in its
+// entries (see redactProfileAudit).
+
+function generateAuditId() {
+  return `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// `changes` lists { field, previous, current } for edits; `details` says
+// what else the action was about, such as the job or export it started
+export function recordAudit({ actor, action, profileId = null, changes = [], details = null }) {
+  const entry = addAuditEntry({
+    id: generateAuditId(),
+    at: new Date().toISOString(),
+    actor: actor || 'unknown',
+    action,
+    profileId,
+    changes,
+    ...(details ? { details } : {})
+  });
+  console.log(`Audit: ${entry.actor} ${action}${profileId ? ` ${profileId}` : ''}`);
+  return entry;
+}
+
+// The whole log, newest first, optionally narrowed to one actor or to
+// actions starting with `action` ("job" matches job.create, job.start, ...)
+export function auditLog({ actor = null, action = null, limit = 200 } = {}) {
+  return listAuditEntries()
+    .filter(entry => !actor || entry.actor === actor)
+    .filter(entry => !action || entry.action === action || entry.action.startsWith(`${action}.`))
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+}
+
+// Entries about one profile, newest first
+export function profileAuditTrail(profileId) {
+  return listAuditEntries()
+    .filter(entry => entry.profileId === profileId)
+    .sort((a, b) => b.at.localeCompare(a.at));
+}
+
+// Keep who did what to an erased profile, but not the values they saw or set
+export function redactProfileAudit(profileId) {
+  const entries = listAuditEntries().filter(entry => entry.profileId === profileId && !entry.redacted);
+  for (const entry of entries) {
+    replaceAuditEntry({
+      ...entry,
+      changes: entry.changes.map(change => ({ field: change.field, previous: null, current: null })),
+      redacted: true
+    });
+  }
+  return entries.length;
+}
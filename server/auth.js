@@ -0,0 +1,364 @@
+import crypto from 'crypto';
+import {
+  getUser,
+  listUsers as listStoredUsers,
+  saveUser,
+  deleteUser,
+  getSession,
+  listSessions,
+  saveSession,
+  deleteSession
+} from './repository.js';
+import { recordAudit } from './audit.js';
+
+// User accounts, login sessions and role checks for the API.
+//
+// Roles build on each other: a viewer can read profiles and analytics, staff
+// can also correct profiles, manage aliases and review self-updates, and
+// admins can also import, scrape, export and manage users.
+//
+// A login returns a session token, sent back either as the HttpOnly session
+// cookie (the browser app, including job event streams and export downloads)
+// or as "Authorization: Bearer <token>" (scripts). Only a hash of each token
+// is stored, and passwords are hashed with scrypt. Repeated failed logins
+// lock the username and the client address out for a while.
+
+export const ROLES = ['viewer', 'staff', 'admin'];
+
+export const SESSION_COOKIE = 'asb_session';
+const SESSION_HOURS = parseInt(process.env.AUTH_SESSION_HOURS || '12', 10);
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9._@-]{3,64}$/;
+const MAX_FAILED_LOGINS = parseInt(process.env.AUTH_MAX_FAILED_LOGINS || '5', 10);
+const MAX_FAILED_LOGINS_PER_IP = parseInt(process.env.AUTH_MAX_FAILED_LOGINS_PER_IP || '20', 10);
+const LOCKOUT_MS = parseInt(process.env.AUTH_LOCKOUT_MINUTES || '15', 10) * 60 * 1000;
+
+export class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function generateUserId() {
+  return `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [, salt, hash] = String(stored || '').split(':');
+  if (!salt || !hash) return false;
+  const given = crypto.scryptSync(String(password), salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Checked instead of a real hash when the username is unknown, so that a
+// login takes as long whether or not the account exists
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// What the API shows of a user: never the password hash
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function findByUsername(username) {
+  return listStoredUsers().find(user => user.username === username) || null;
+}
+
+function usernameValue(value) {
+  const username = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new AuthError('Username must be 3-64 letters, digits or . _ @ -');
+  }
+  return username;
+}
+
+function passwordValue(value) {
+  if (typeof value !== 'string' || value.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return value;
+}
+
+function roleValue(value) {
+  if (!ROLES.includes(value)) {
+    throw new AuthError(`Invalid role: ${value}. Use one of ${ROLES.join(', ')}`);
+  }
+  return value;
+}
+
+function requireUser(userId) {
+  const user = getUser(userId);
+  if (!user) {
+    throw new AuthError('User not found', 404);
+  }
+  return user;
+}
+
+function activeAdmins() {
+  return listStoredUsers().filter(user => user.role === 'admin' && !user.disabled);
+}
+
+export function hasUsers() {
+  return listStoredUsers().length > 0;
+}
+
+export function listUsers() {
+  return listStoredUsers()
+    .sort((a, b) => a.username.localeCompare(b.username))
+    .map(publicUser);
+}
+
+export function createUser({ username, name, password, role = 'viewer' }, actor) {
+  const cleanUsername = usernameValue(username);
+  if (findByUsername(cleanUsername)) {
+    throw new AuthError(`User ${cleanUsername} already exists`, 409);
+  }
+
+  const user = saveUser({
+    id: generateUserId(),
+    username: cleanUsername,
+    name: typeof name === 'string' && name.trim() ? name.trim() : cleanUsername,
+    role: roleValue(role),
+    passwordHash: hashPassword(passwordValue(password)),
+    disabled: false,
+    createdAt: new Date().toISOString(),
+    createdBy: actor,
+    lastLoginAt: null
+  });
+  recordAudit({ actor, action: 'user.create', details: { userId: user.id, username: user.username, role: user.role } });
+  console.log(`Created ${user.role} user ${user.username}`);
+  return publicUser(user);
+}
+
+// Change a user's name, role, password or disabled flag. The last active
+// admin cannot be demoted or disabled, so someone can always manage users.
+export function updateUser(userId, changes, actor) {
+  const user = requireUser(userId);
+  const updated = { ...user };
+  const changed = [];
+
+  if (changes.name !== undefined) {
+    updated.name = String(changes.name).trim() || user.username;
+    changed.push('name');
+  }
+  if (changes.role !== undefined) {
+    updated.role = roleValue(changes.role);
+    changed.push('role');
+  }
+  if (changes.disabled !== undefined) {
+    updated.disabled = Boolean(changes.disabled);
+    changed.push('disabled');
+  }
+  if (changes.password !== undefined) {
+    updated.passwordHash = hashPassword(passwordValue(changes.password));
+    changed.push('password');
+  }
+
+  const wasActiveAdmin = user.role === 'admin' && !user.disabled;
+  const isActiveAdmin = updated.role === 'admin' && !updated.disabled;
+  if (wasActiveAdmin && !isActiveAdmin && activeAdmins().length === 1) {
+    throw new AuthError('Cannot remove the last admin', 409);
+  }
+
+  saveUser(updated);
+  // A disabled account or new password ends the user's sessions
+  if (updated.disabled || changes.password !== undefined) {
+    endSessionsOf(userId);
+  }
+  recordAudit({ actor, action: 'user.update', details: { userId, username: user.username, fields: changed, role: updated.role } });
+  return publicUser(updated);
+}
+
+export function removeUser(userId, actor) {
+  const user = requireUser(userId);
+  if (user.role === 'admin' && !user.disabled && activeAdmins().length === 1) {
+    throw new AuthError('Cannot remove the last admin', 409);
+  }
+  deleteUser(userId);
+  endSessionsOf(userId);
+  recordAudit({ actor, action: 'user.delete', details: { userId, username: user.username } });
+  console.log(`Deleted user ${user.username}`);
+  return { deleted: userId };
+}
+
+// Create the first admin when there are no users yet: from the login screen,
+// or at startup from ADMIN_USERNAME and ADMIN_PASSWORD
+export function setupFirstAdmin({ username, name, password }) {
+  if (hasUsers()) {
+    throw new AuthError('Setup has already been completed', 409);
+  }
+  return createUser({ username, name, password, role: 'admin' }, 'setup');
+}
+
+export function ensureAdminUser() {
+  if (hasUsers()) return;
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+    setupFirstAdmin({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD });
+  } else {
+    console.warn('No users yet: create the first admin from the login screen, or set ADMIN_USERNAME and ADMIN_PASSWORD');
+  }
+}
+
+function endSessionsOf(userId) {
+  for (const session of listSessions().filter(session => session.userId === userId)) {
+    deleteSession(session.id);
+  }
+}
+
+function removeExpiredSessions() {
+  const now = new Date().toISOString();
+  for (const session of listSessions().filter(session => session.expiresAt < now)) {
+    deleteSession(session.id);
+  }
+}
+
+// Failed logins in the current lockout window, per username and per client
+// address: key -> { count, since }. Kept in memory, so a restart clears them.
+const failedLogins = new Map();
+
+function throttleKeys(username, ip) {
+  return [
+    username && { key: `user:${username}`, limit: MAX_FAILED_LOGINS },
+    ip && { key: `ip:${ip}`, limit: MAX_FAILED_LOGINS_PER_IP }
+  ].filter(Boolean);
+}
+
+function removeExpiredFailures(now) {
+  for (const [key, entry] of failedLogins) {
+    if (now - entry.since >= LOCKOUT_MS) {
+      failedLogins.delete(key);
+    }
+  }
+}
+
+function lockedOutFor(keys, now) {
+  const locked = keys
+    .map(({ key, limit }) => ({ entry: failedLogins.get(key), limit }))
+    .filter(({ entry, limit }) => entry && entry.count >= limit);
+  return locked.length > 0 ? Math.max(...locked.map(({ entry }) => entry.since + LOCKOUT_MS - now)) : 0;
+}
+
+// Count a failed login. Only the failure that starts a lockout is audited,
+// so guessing cannot grow the audit log without bound; usernames without an
+// account are not written down.
+function recordFailedLogin(keys, user, ip, now) {
+  for (const { key, limit } of keys) {
+    const entry = failedLogins.get(key) || { count: 0, since: now };
+    entry.count++;
+    failedLogins.set(key, entry);
+    if (entry.count === limit) {
+      const by = key.startsWith('user:') ? 'username' : 'ip';
+      console.warn(`Locked out login by ${by} after ${entry.count} failed attempts`);
+      recordAudit({ actor: user ? user.username : 'unknown', action: 'auth.login-locked', details: { by, ip: ip || null, attempts: entry.count } });
+    }
+  }
+}
+
+// `ip` is the client address, for throttling; logins made by the server
+// itself (first-admin setup) leave it out
+export function login({ username, password }, { ip = null } = {}) {
+  const cleanUsername = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  const keys = throttleKeys(USERNAME_PATTERN.test(cleanUsername) ? cleanUsername : null, ip);
+  const now = Date.now();
+  removeExpiredFailures(now);
+  const waitMs = lockedOutFor(keys, now);
+  if (waitMs > 0) {
+    throw new AuthError(`Too many failed logins; try again in ${Math.ceil(waitMs / 60000)} minutes`, 429);
+  }
+
+  const user = cleanUsername ? findByUsername(cleanUsername) : null;
+  const passwordMatches = verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+  if (!user || user.disabled || !passwordMatches) {
+    recordFailedLogin(keys, user, ip, now);
+    throw new AuthError('Invalid username or password', 401);
+  }
+
+  // Only the username's count is reset: the address keeps counting, so one
+  // working account cannot be used to keep guessing the passwords of others
+  failedLogins.delete(`user:${user.username}`);
+  removeExpiredSessions();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + SESSION_HOURS * 60 * 60 * 1000).toISOString();
+  saveSession({ id: hashToken(token), userId: user.id, createdAt: createdAt.toISOString(), expiresAt });
+  const signedIn = saveUser({ ...user, lastLoginAt: createdAt.toISOString() });
+  recordAudit({ actor: user.username, action: 'auth.login' });
+
+  return { token, expiresAt, user: publicUser(signedIn) };
+}
+
+export function logout(token) {
+  if (token) {
+    deleteSession(hashToken(token));
+  }
+}
+
+// The user a session token belongs to, or null for unknown and expired
+// sessions and disabled accounts
+function sessionUser(token) {
+  const session = token ? getSession(hashToken(token)) : null;
+  if (!session || session.expiresAt < new Date().toISOString()) {
+    return null;
+  }
+  const user = getUser(session.userId);
+  return user && !user.disabled ? publicUser(user) : null;
+}
+
+// Session token from the bearer header or the session cookie
+export function requestToken(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  const cookies = (req.get('Cookie') || '').split(';').map(cookie => cookie.trim());
+  const session = cookies.find(cookie => cookie.startsWith(`${SESSION_COOKIE}=`));
+  if (!session) {
+    return null;
+  }
+  // A malformed cookie counts as signed out, so logging in can replace it
+  try {
+    return decodeURIComponent(session.slice(SESSION_COOKIE.length + 1));
+  } catch {
+    return null;
+  }
+}
+
+export function sessionCookie(token, expiresAt) {
+  const maxAge = token ? Math.max(0, Math.round((new Date(expiresAt) - Date.now()) / 1000)) : 0;
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ''}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure}`;
+}
+
+// Middleware: sets req.user from the request's session, null when signed out
+export function authenticate(req, res, next) {
+  req.user = sessionUser(requestToken(req));
+  next();
+}
+
+// Middleware: only signed-in users with at least `role` get through
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Sign in to continue' });
+    }
+    if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+      console.warn(`Denied ${req.method} ${req.originalUrl} to ${req.user.username} (${req.user.role})`);
+      return res.status(403).json({ error: `This needs the ${role} role` });
+    }
+    next();
+  };
+}
@@ -0,0 +1,59 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Login throttling and session cookies, against a store in a temporary
+// directory (DATA_DIR is read when the store module loads)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asb-auth-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.AUTH_MAX_FAILED_LOGINS = '3';
+process.env.AUTH_MAX_FAILED_LOGINS_PER_IP = '5';
+
+const { setupFirstAdmin, login, requestToken, SESSION_COOKIE } = await import('./auth.js');
+const { flush } = await import('./db.js');
+
+after(() => {
+  flush();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+setupFirstAdmin({ username: 'admin', password: 'correct horse' });
+
+const requestWith = headers => ({ get: name => headers[name] });
+
+function loginStatus(username, password, ip) {
+  try {
+    login({ username, password }, { ip });
+    return 200;
+  } catch (error) {
+    return error.status;
+  }
+}
+
+test('reads the session token from the bearer header or the cookie', () => {
+  assert.equal(requestToken(requestWith({ Authorization: 'Bearer abc' })), 'abc');
+  assert.equal(requestToken(requestWith({ Cookie: `theme=dark; ${SESSION_COOKIE}=a%2Bb` })), 'a+b');
+  assert.equal(requestToken(requestWith({})), null);
+});
+
+test('treats a malformed session cookie as signed out', () => {
+  assert.equal(requestToken(requestWith({ Cookie: `${SESSION_COOKIE}=%E0` })), null);
+});
+
+test('locks a username out after repeated failed logins', () => {
+  assert.equal(loginStatus('admin', 'wrong password', '10.0.0.1'), 401);
+  assert.equal(loginStatus('admin', 'wrong password', '10.0.0.2'), 401);
+  assert.equal(loginStatus('admin', 'wrong password', '10.0.0.3'), 401);
+  // Even the right password is refused until the lockout ends
+  assert.equal(loginStatus('admin', 'correct horse', '10.0.0.4'), 429);
+});
+
+test('locks an address out after failed logins for any usernames', () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal(loginStatus(`guess${i}`, 'wrong password', '10.0.1.1'), 401);
+  }
+  assert.equal(loginStatus('someone', 'wrong password', '10.0.1.1'), 429);
+  assert.equal(loginStatus('someone', 'wrong password', '10.0.1.2'), 401);
+});
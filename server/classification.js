@@ -0,0 +1,143 @@
+import { getProfile, saveProfile } from './repository.js';
+import { normalizeTitle, splitHeadline, SENIORITY_LEVELS, JOB_FUNCTIONS } from './normalization.js';
+import { generateClassification, isAIConfigured } from './ai.js';
+import { CLASSIFICATION_OVERRIDE_FIELDS, applyOverrides, trackScrapedValues } from './overrides.js';
+
+// Industry, job function and seniority of each alumnus.
+//
+// The rules classifier is deterministic: seniority and function come from the
+// current job title (see normalization.js), industry from the company's alias
+// dictionary entry or keywords in the company name, title and summary. When
+// an LLM provider is configured each scraped profile is also classified by the
+// model; any value it gets wrong or leaves out falls back to the rules.
+
+export const INDUSTRIES = [
+  'financial_services',
+  'consulting',
+  'energy',
+  'technology',
+  'telecommunications',
+  'healthcare',
+  'education',
+  'manufacturing',
+  'retail_consumer',
+  'media',
+  'government',
+  'real_estate',
+  'transportation_logistics',
+  'nonprofit',
+  'other'
+];
+
+// Checked in order against the company name first, then the title and summary
+const INDUSTRY_RULES = [
+  ['government', /\b(government|ministry|public sector|central bank|authority|council|jabatan|kementerian)\b/],
+  ['financial_services', /\b(bank|banking|capital|securities|insurance|takaful|financial|finance|fintech|investments?|asset management|fund|treasury|wealth)\b/],
+  ['consulting', /\b(consulting|consultancy|consultants?|advisory)\b/],
+  ['energy', /\b(energy|oil|gas|petroleum|petrochemicals?|power|utilities|renewables?|solar)\b/],
+  ['telecommunications', /\b(telecoms?|telecommunications?|telco|mobile network|broadband)\b/],
+  ['healthcare', /\b(health|healthcare|hospitals?|medical|pharma|pharmaceuticals?|biotech|clinics?)\b/],
+  ['education', /\b(university|universiti|school|college|education|academy|edtech)\b/],
+  ['manufacturing', /\b(manufacturing|industrial|automotive|semiconductors?|electronics|chemicals|plantations?)\b/],
+  ['retail_consumer', /\b(retail|consumer|fmcg|food|beverages?|fashion|e-?commerce)\b/],
+  ['media', /\b(media|entertainment|publishing|advertising|broadcast)\b/],
+  ['real_estate', /\b(property|properties|real estate|construction)\b/],
+  ['transportation_logistics', /\b(logistics|transport|shipping|airlines?|aviation|airports?|freight)\b/],
+  ['nonprofit', /\b(foundation|ngo|non-?profit|charity)\b/],
+  ['technology', /\b(technology|technologies|tech|software|digital|saas|cloud|internet|platform|ai)\b/]
+];
+
+function matchIndustry(text) {
+  const found = INDUSTRY_RULES.find(([, pattern]) => pattern.test(text.toLowerCase()));
+  return found ? found[0] : null;
+}
+
+export function classifyWithRules(profile, index) {
+  const company = profile.canonicalCompany || profile.company || '';
+  const title = normalizeTitle(profile.canonicalTitle || splitHeadline(profile.title).title, index);
+
+  const industry = index.industries.get(company) ||
+    matchIndustry(company) ||
+    matchIndustry([profile.title, profile.summary].filter(Boolean).join(' ')) ||
+    'other';
+
+  return {
+    industry,
+    jobFunction: title.function || 'other',
+    seniority: title.seniority || 'individual_contributor',
+    source: 'rules'
+  };
+}
+
+// Keep the model's values that are on the allowed lists; fill the rest from
+// the rules. The source is the provider when any value came from the model.
+function mergeWithRules(generated, rules, { provider, model }) {
+  const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+  const merged = {
+    industry: pick(generated?.industry, INDUSTRIES, rules.industry),
+    jobFunction: pick(generated?.jobFunction, JOB_FUNCTIONS, rules.jobFunction),
+    seniority: pick(generated?.seniority, SENIORITY_LEVELS, rules.seniority)
+  };
+  const fromModel = ['industry', 'jobFunction', 'seniority'].filter(field => merged[field] === generated?.[field]);
+  return fromModel.length > 0 ? { ...merged, source: provider, model } : { ...merged, source: 'rules' };
+}
+
+// The values a classification was made from. A model's classification is
+// kept only while they stay the same.
+export function classificationInputs(profile) {
+  return { company: profile.company || '', title: profile.title || '' };
+}
+
+// Store a classification on the profile: the top-level fields drive the
+// filters and exports, `classification` records where they came from.
+// Manually overridden fields keep their override.
+export function applyClassification(profile, classification) {
+  return applyOverrides(trackScrapedValues({
+    ...profile,
+    industry: classification.industry,
+    jobFunction: classification.jobFunction,
+    seniority: classification.seniority,
+    classification: {
+      source: classification.source,
+      ...(classification.model ? { model: classification.model } : {}),
+      basedOn: classificationInputs(profile),
+      classifiedAt: new Date().toISOString()
+    }
+  }, classification, CLASSIFICATION_OVERRIDE_FIELDS));
+}
+
+// Classify a stored profile again, with the LLM when one is configured
+export async function classifyStoredProfile(profileId, index) {
+  const profile = getProfile(profileId);
+  if (!profile) {
+    return null;
+  }
+
+  let generated = null;
+  if (isAIConfigured() && profile.status === 'success') {
+    try {
+      generated = await generateClassification(profile, {
+        industries: INDUSTRIES,
+        jobFunctions: JOB_FUNCTIONS,
+        seniorityLevels: SENIORITY_LEVELS
+      });
+    } catch (error) {
+      console.error(`AI classification failed for ${profileId}, using rules:`, error);
+    }
+  }
+
+  // Edits, overrides and erasure may have happened while the model was
+  // answering: classify the profile as it is stored now
+  const current = getProfile(profileId);
+  if (!current) {
+    console.log(`Profile ${profileId} was removed during classification`);
+    return null;
+  }
+  const rules = classifyWithRules(current, index);
+  const classification = generated
+    ? mergeWithRules(generated.values, rules, { provider: generated.provider, model: generated.model })
+    : rules;
+
+  console.log(`Classified ${profileId} (${classification.source}):`, classification);
+  return saveProfile(applyClassification(current, classification));
+}
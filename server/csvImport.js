@@ -0,0 +1,413 @@
+import fs from 'fs';
+import { parse } from 'csv-parse/sync';
+import { normalizeLinkedInUrl, profileIdForUrl } from './linkedinUrl.js';
+import { getImport, listImports, saveImport, deleteImport, getProfile } from './repository.js';
+import { createJob } from './jobs.js';
+import { isXlsxFile, readWorkbookSheets } from './spreadsheets.js';
+
+// Staged CSV / Excel import: an uploaded file is parsed and kept as an
+// "import" so the user can pick a sheet, map its columns and review a per-row
+// validation report before any scraping job is created.
+
+// Staged imports that were never confirmed are dropped after a day
+const IMPORT_TTL_MS = 24 * 60 * 60 * 1000;
+const SAMPLE_ROWS = 5;
+
+export class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = status;
+  }
+}
+
+// Fields a column can be mapped to. Aliases are matched against headers
+// lowercased with punctuation collapsed to single spaces.
+export const IMPORT_FIELDS = [
+  {
+    key: 'linkedinUrl',
+    label: 'LinkedIn URL',
+    required: true,
+    aliases: ['linkedin url', 'linkedinurl', 'linkedin', 'linkedin profile', 'profile url', 'profile', 'url']
+  },
+  { key: 'name', label: 'Name', required: false, aliases: ['name', 'full name', 'fullname', 'alumni name', 'student name'] },
+  { key: 'cohort', label: 'Cohort', required: false, aliases: ['cohort', 'intake', 'batch', 'class'] },
+  {
+    key: 'graduationYear',
+    label: 'Graduation Year',
+    required: false,
+    aliases: ['graduation year', 'graduationyear', 'grad year', 'year of graduation', 'class of', 'year']
+  },
+  { key: 'program', label: 'Program', required: false, aliases: ['program', 'programme', 'program name', 'degree', 'course'] },
+  { key: 'email', label: 'Email', required: false, aliases: ['email', 'e mail', 'email address', 'mail'] }
+];
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const YEAR_PATTERN = /^(19|20)\d{2}$/;
+
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function generateImportId() {
+  return `import_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Rows as { column: value } objects keyed by the first (header) row;
+// blank and repeated headers get unique names
+export function tableFromRows(rows) {
+  if (rows.length === 0) {
+    return { columns: [], records: [] };
+  }
+
+  const [header, ...dataRows] = rows;
+  const columns = [];
+  header.forEach((name, index) => {
+    const base = name || `Column ${index + 1}`;
+    let column = base;
+    for (let copy = 2; columns.includes(column); copy++) {
+      column = `${base} (${copy})`;
+    }
+    columns.push(column);
+  });
+
+  const records = dataRows.map(row =>
+    Object.fromEntries(columns.map((column, index) => [column, String(row[index] ?? '').trim()]))
+  );
+
+  return { columns, records };
+}
+
+export function parseCsvContent(content) {
+  let rows;
+  try {
+    rows = parse(content, { bom: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+  } catch (error) {
+    throw new ImportError('Failed to parse CSV file: ' + error.message);
+  }
+  return tableFromRows(rows);
+}
+
+// Guess which column holds each field from the headers, falling back to the
+// column whose values look like LinkedIn profile URLs for the URL field
+export function suggestColumnMapping(columns, records) {
+  const mapping = {};
+  const used = new Set();
+
+  for (const field of IMPORT_FIELDS) {
+    const column = columns.find(candidate =>
+      !used.has(candidate) && field.aliases.includes(normalizeHeader(candidate))
+    );
+    mapping[field.key] = column || null;
+    if (column) {
+      used.add(column);
+    }
+  }
+
+  if (!mapping.linkedinUrl) {
+    const sample = records.slice(0, 20);
+    mapping.linkedinUrl = columns.find(column => {
+      if (used.has(column)) {
+        return false;
+      }
+      const values = sample.map(record => record[column]).filter(Boolean);
+      const urls = values.filter(value => /linkedin\.com\/in\//i.test(value));
+      return values.length > 0 && urls.length >= values.length / 2;
+    }) || null;
+  }
+
+  return mapping;
+}
+
+// Reject mappings that name unknown fields or columns the file doesn't have
+function checkMapping(columns, mapping) {
+  if (!mapping || typeof mapping !== 'object') {
+    throw new ImportError('A column mapping is required');
+  }
+
+  const checked = {};
+  for (const field of IMPORT_FIELDS) {
+    const column = mapping[field.key] || null;
+    if (column && !columns.includes(column)) {
+      throw new ImportError(`Unknown column "${column}" mapped to ${field.label}`);
+    }
+    checked[field.key] = column;
+  }
+
+  const unknownFields = Object.keys(mapping).filter(key => !IMPORT_FIELDS.some(field => field.key === key));
+  if (unknownFields.length > 0) {
+    throw new ImportError(`Unknown import fields: ${unknownFields.join(', ')}`);
+  }
+  if (!checked.linkedinUrl) {
+    throw new ImportError('Map a column to LinkedIn URL to continue');
+  }
+
+  return checked;
+}
+
+// Per-row validation report. Rows are numbered as lines in the file (the
+// header is line 1). For repeated profiles the first row wins and later ones
+// are reported as duplicates.
+export function validateRows(records, mapping) {
+  const firstRowByUrl = new Map();
+
+  const rows = records.map((record, index) => {
+    const row = index + 2;
+    const value = key => (mapping[key] ? record[mapping[key]] || '' : '').trim();
+    const errors = [];
+    const warnings = [];
+
+    const input = value('linkedinUrl');
+    const linkedinUrl = normalizeLinkedInUrl(input);
+    if (!input) {
+      errors.push('Missing LinkedIn URL');
+    } else if (!linkedinUrl) {
+      errors.push(`Not a LinkedIn profile URL: ${input}`);
+    }
+
+    const alumni = {};
+    if (value('name')) {
+      alumni.importedName = value('name');
+    }
+    if (value('cohort')) {
+      alumni.cohort = value('cohort');
+    }
+    if (value('program')) {
+      alumni.program = value('program');
+    }
+    if (value('graduationYear')) {
+      if (YEAR_PATTERN.test(value('graduationYear'))) {
+        alumni.graduationYear = Number(value('graduationYear'));
+      } else {
+        warnings.push(`Ignored graduation year "${value('graduationYear')}"`);
+      }
+    }
+    if (value('email')) {
+      if (EMAIL_PATTERN.test(value('email'))) {
+        alumni.email = value('email').toLowerCase();
+      } else {
+        warnings.push(`Ignored email "${value('email')}"`);
+      }
+    }
+
+    let status = errors.length > 0 ? 'invalid' : 'valid';
+    if (status === 'valid') {
+      if (firstRowByUrl.has(linkedinUrl)) {
+        status = 'duplicate';
+        warnings.push(`Duplicate of row ${firstRowByUrl.get(linkedinUrl)}`);
+      } else {
+        firstRowByUrl.set(linkedinUrl, row);
+      }
+    }
+
+    return {
+      row,
+      status,
+      input,
+      linkedinUrl,
+      alumni,
+      // Already tracked profiles are re-scraped and keep their history
+      existing: status === 'valid' && getProfile(profileIdForUrl(linkedinUrl)) !== null,
+      errors,
+      warnings
+    };
+  });
+
+  return {
+    summary: {
+      total: rows.length,
+      valid: rows.filter(row => row.status === 'valid').length,
+      invalid: rows.filter(row => row.status === 'invalid').length,
+      duplicates: rows.filter(row => row.status === 'duplicate').length,
+      existing: rows.filter(row => row.existing).length,
+      withWarnings: rows.filter(row => row.warnings.length > 0).length
+    },
+    rows
+  };
+}
+
+// Profile URLs to scrape and the alumni details to store with each of them
+function jobInput(report) {
+  const validRows = report.rows.filter(row => row.status === 'valid');
+  return {
+    urls: validRows.map(row => row.linkedinUrl),
+    alumni: Object.fromEntries(validRows.map(row => [row.linkedinUrl, row.alumni]))
+  };
+}
+
+// The sheet being imported; a CSV file is a single sheet
+function activeSheet(staged) {
+  return staged.sheets.find(sheet => sheet.name === staged.sheet) || staged.sheets[0];
+}
+
+// Pick a sheet by name or 1-based position, defaulting to the first one with data
+function selectSheet(sheets, requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    const sheet = sheets.find(candidate => candidate.records.length > 0) || sheets[0];
+    return sheet.name;
+  }
+
+  const byName = sheets.find(sheet => sheet.name === String(requested));
+  const byIndex = /^\d+$/.test(String(requested)) ? sheets[Number(requested) - 1] : null;
+  const sheet = byName || byIndex;
+  if (!sheet) {
+    throw new ImportError(`Sheet "${requested}" not found. Sheets: ${sheets.map(candidate => candidate.name).join(', ')}`);
+  }
+  return sheet.name;
+}
+
+function toPreview(staged) {
+  const { columns, records } = activeSheet(staged);
+  return {
+    importId: staged.importId,
+    fileName: staged.fileName,
+    createdAt: staged.createdAt,
+    sheetNames: staged.sheets.map(sheet => sheet.name),
+    sheet: staged.sheet,
+    columns,
+    sampleRows: records.slice(0, SAMPLE_ROWS),
+    fields: IMPORT_FIELDS.map(({ key, label, required }) => ({ key, label, required })),
+    mapping: staged.mapping,
+    report: validateRows(records, staged.mapping)
+  };
+}
+
+// Drop unconfirmed imports (which hold the uploaded rows, emails included)
+// once they are older than IMPORT_TTL_MS. Runs on every scheduler tick and
+// retention purge as well as before staging a new file. Returns the count.
+export function pruneStaleImports(now = new Date()) {
+  const cutoff = now.getTime() - IMPORT_TTL_MS;
+  const stale = listImports().filter(staged => new Date(staged.createdAt).getTime() < cutoff);
+  for (const staged of stale) {
+    console.log(`Dropping unconfirmed import ${staged.importId}`);
+    deleteImport(staged.importId);
+  }
+  return stale.length;
+}
+
+// Read an uploaded CSV or .xlsx file (removing it from disk) into sheets of
+// { name, columns, records }
+async function readUploadedFile(file) {
+  console.log('Reading uploaded file:', file.path);
+  try {
+    if (isXlsxFile(file)) {
+      let sheets;
+      try {
+        sheets = await readWorkbookSheets(file.path);
+      } catch (error) {
+        throw new ImportError('Failed to read Excel file: ' + error.message);
+      }
+      if (sheets.length === 0) {
+        throw new ImportError('The Excel file has no sheets');
+      }
+      return sheets.map(({ name, rows }) => ({ name, ...tableFromRows(rows) }));
+    }
+
+    return [{ name: 'CSV', ...parseCsvContent(fs.readFileSync(file.path, 'utf-8')) }];
+  } finally {
+    try {
+      fs.unlinkSync(file.path);
+      console.log('Cleaned up uploaded file');
+    } catch (cleanupError) {
+      console.error('Error cleaning up uploaded file:', cleanupError);
+    }
+  }
+}
+
+function requireImport(importId) {
+  const staged = getImport(importId);
+  if (!staged) {
+    throw new ImportError(`Import ${importId} not found`, 404);
+  }
+  return staged;
+}
+
+function requireRows(staged) {
+  if (activeSheet(staged).records.length === 0) {
+    throw new ImportError(`${staged.sheets.length > 1 ? `Sheet "${staged.sheet}"` : 'The file'} has no data rows`);
+  }
+}
+
+// Stage an uploaded file (multer file object) and preview it with a
+// suggested column mapping
+export async function createImport(file, { sheet } = {}) {
+  pruneStaleImports();
+
+  const sheets = await readUploadedFile(file);
+  const staged = {
+    importId: generateImportId(),
+    fileName: file.originalname,
+    createdAt: new Date().toISOString(),
+    sheets,
+    sheet: selectSheet(sheets, sheet),
+    mapping: null
+  };
+  requireRows(staged);
+  const { columns, records } = activeSheet(staged);
+  staged.mapping = suggestColumnMapping(columns, records);
+  saveImport(staged);
+
+  console.log(`Staged import ${staged.importId}: ${records.length} rows, ${columns.length} columns`);
+  return toPreview(staged);
+}
+
+// Re-validate a staged import with another sheet and/or column mapping.
+// Switching sheets without a mapping falls back to the suggested one.
+export function remapImport(importId, { mapping, sheet } = {}) {
+  const staged = requireImport(importId);
+
+  if (sheet !== undefined && sheet !== null && sheet !== '') {
+    const selected = selectSheet(staged.sheets, sheet);
+    if (selected !== staged.sheet) {
+      staged.sheet = selected;
+      const { columns, records } = activeSheet(staged);
+      staged.mapping = mapping ? checkMapping(columns, mapping) : suggestColumnMapping(columns, records);
+      saveImport(staged);
+      return toPreview(staged);
+    }
+  }
+
+  staged.mapping = checkMapping(activeSheet(staged).columns, mapping);
+  saveImport(staged);
+  return toPreview(staged);
+}
+
+// Create the scraping job from the valid rows of a staged import
+export function confirmImport(importId, { mapping, extraction }) {
+  const staged = requireImport(importId);
+  const { columns, records } = activeSheet(staged);
+  if (mapping) {
+    staged.mapping = checkMapping(columns, mapping);
+  }
+
+  const report = validateRows(records, checkMapping(columns, staged.mapping || {}));
+  const { urls, alumni } = jobInput(report);
+  if (urls.length === 0) {
+    throw new ImportError('No valid LinkedIn URLs found in the file');
+  }
+
+  const job = createJob(urls, { type: 'upload', extraction, alumni });
+  deleteImport(importId);
+
+  console.log(`Import ${importId} created job ${job.jobId} with ${urls.length} profiles`);
+  return { job, report };
+}
+
+// One-step import with the suggested mapping, for POST /api/upload
+export async function importFile(file, { extraction, sheet }) {
+  const sheets = await readUploadedFile(file);
+  const { columns, records } = sheets.find(candidate => candidate.name === selectSheet(sheets, sheet));
+  const mapping = suggestColumnMapping(columns, records);
+  if (!mapping.linkedinUrl) {
+    throw new ImportError('Could not find a LinkedIn URL column in the file');
+  }
+
+  const report = validateRows(records, mapping);
+  const { urls, alumni } = jobInput(report);
+  if (urls.length === 0) {
+    throw new ImportError('No valid LinkedIn URLs found in the file');
+  }
+
+  const job = createJob(urls, { type: 'upload', extraction, alumni });
+  return { job, report, mapping };
+}
@@ -0,0 +1,122 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { migrations } from './migrations.js';
+
+// Load environment variables
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STORE_FILE = path.join(DATA_DIR, 'store.json');
+
+// Writes are debounced so bursts of job progress updates hit the disk once
+const SAVE_DEBOUNCE_MS = 250;
+
+let store = null;
+let saveTimer = null;
+
+function emptyStore() {
+  return {
+    schemaVersion: 0,
+    collections: {}
+  };
+}
+
+function readStoreFile() {
+  if (!fs.existsSync(STORE_FILE)) {
+    return emptyStore();
+  }
+
+  const content = fs.readFileSync(STORE_FILE, 'utf-8');
+  const data = JSON.parse(content);
+  data.collections = data.collections || {};
+  data.schemaVersion = data.schemaVersion || 0;
+  return data;
+}
+
+function runMigrations(data) {
+  const pending = migrations.filter(migration => migration.version > data.schemaVersion);
+
+  for (const migration of pending) {
+    console.log(`Applying store migration ${migration.version}: ${migration.description}`);
+    migration.up(data);
+    data.schemaVersion = migration.version;
+  }
+
+  return pending.length;
+}
+
+function writeStoreFile() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+
+  // Write to a temp file and rename so a crash never leaves a half-written store
+  const tempFile = `${STORE_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(store));
+  fs.renameSync(tempFile, STORE_FILE);
+}
+
+// Load the store from disk and bring it up to the latest schema version
+export function openStore() {
+  if (store) {
+    return store;
+  }
+
+  try {
+    store = readStoreFile();
+  } catch (error) {
+    console.error('Error reading store file:', error);
+    throw new Error('Failed to open data store: ' + error.message);
+  }
+
+  const applied = runMigrations(store);
+  if (applied > 0) {
+    writeStoreFile();
+  }
+
+  console.log(`Data store opened at ${STORE_FILE} (schema v${store.schemaVersion})`);
+  return store;
+}
+
+export function getCollection(name) {
+  const data = openStore();
+  if (!data.collections[name]) {
+    throw new Error(`Unknown collection: ${name}`);
+  }
+  return data.collections[name];
+}
+
+// Schedule a write of the whole store to disk
+export function persist() {
+  if (saveTimer) {
+    return;
+  }
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      writeStoreFile();
+    } catch (error) {
+      console.error('Error writing store file:', error);
+    }
+  }, SAVE_DEBOUNCE_MS);
+}
+
+// Write any pending changes immediately (used on shutdown)
+export function flush() {
+  if (!store) {
+    return;
+  }
+
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  writeStoreFile();
+}
@@ -0,0 +1,34 @@
+// Alias dictionary the store is seeded with. Staff extend it through the
+// /api/aliases endpoints; edits are kept in the store, not here. Company
+// entries may name their industry (one of classification.js INDUSTRIES).
+export const DEFAULT_ALIASES = [
+  { kind: 'company', canonical: 'PETRONAS', aliases: ['Petroliam Nasional', 'Petroliam Nasional Berhad', 'Petronas Berhad'], industry: 'energy' },
+  { kind: 'company', canonical: 'Maybank', aliases: ['Malayan Banking', 'Malayan Banking Berhad', 'Maybank Group'], industry: 'financial_services' },
+  { kind: 'company', canonical: 'CIMB', aliases: ['CIMB Group', 'CIMB Bank', 'CIMB Group Holdings', 'CIMB Investment Bank'], industry: 'financial_services' },
+  { kind: 'company', canonical: 'RHB', aliases: ['RHB Bank', 'RHB Banking Group'], industry: 'financial_services' },
+  { kind: 'company', canonical: 'Public Bank', aliases: ['Public Bank Berhad', 'PBB'], industry: 'financial_services' },
+  { kind: 'company', canonical: 'Bank Negara Malaysia', aliases: ['BNM', 'Central Bank of Malaysia'], industry: 'government' },
+  { kind: 'company', canonical: 'Khazanah Nasional', aliases: ['Khazanah', 'Khazanah Nasional Berhad'], industry: 'financial_services' },
+  { kind: 'company', canonical: 'Tenaga Nasional', aliases: ['TNB', 'Tenaga Nasional Berhad'], industry: 'energy' },
+  { kind: 'company', canonical: 'Axiata', aliases: ['Axiata Group', 'Axiata Group Berhad'], industry: 'telecommunications' },
+  { kind: 'company', canonical: 'AirAsia', aliases: ['Air Asia', 'AirAsia Group', 'Capital A'], industry: 'transportation_logistics' },
+  { kind: 'company', canonical: 'Sime Darby', aliases: ['Sime Darby Berhad', 'Sime Darby Plantation'], industry: 'manufacturing' },
+  { kind: 'company', canonical: 'Grab', aliases: ['GrabTaxi', 'Grab Holdings', 'Grab Malaysia', 'Grab Singapore'], industry: 'technology' },
+  { kind: 'company', canonical: 'Shopee', aliases: ['Shopee Malaysia', 'Sea Group', 'Sea Limited'], industry: 'technology' },
+  { kind: 'company', canonical: 'Shell', aliases: ['Royal Dutch Shell', 'Shell Malaysia', 'Sarawak Shell'], industry: 'energy' },
+  { kind: 'company', canonical: 'McKinsey & Company', aliases: ['McKinsey', 'McKinsey and Company'], industry: 'consulting' },
+  { kind: 'company', canonical: 'Boston Consulting Group', aliases: ['BCG', 'The Boston Consulting Group'], industry: 'consulting' },
+  { kind: 'company', canonical: 'Bain & Company', aliases: ['Bain', 'Bain and Company'], industry: 'consulting' },
+  { kind: 'company', canonical: 'Deloitte', aliases: ['Deloitte Consulting', 'Deloitte Touche Tohmatsu', 'Deloitte Malaysia'], industry: 'consulting' },
+  { kind: 'company', canonical: 'PwC', aliases: ['PricewaterhouseCoopers', 'PwC Malaysia', 'PwC Consulting'], industry: 'consulting' },
+  { kind: 'company', canonical: 'EY', aliases: ['Ernst & Young', 'Ernst and Young'], industry: 'consulting' },
+  { kind: 'company', canonical: 'KPMG', aliases: ['KPMG Malaysia', 'KPMG PLT'], industry: 'consulting' },
+  { kind: 'company', canonical: 'Accenture', aliases: ['Accenture Malaysia', 'Accenture Solutions'], industry: 'consulting' },
+  { kind: 'company', canonical: 'Asia School of Business', aliases: ['ASB'], industry: 'education' },
+  { kind: 'title', canonical: 'Software Engineer', aliases: ['Software Development Engineer', 'SDE', 'Software Developer'] },
+  { kind: 'title', canonical: 'Chief Executive Officer', aliases: ['CEO'] },
+  { kind: 'title', canonical: 'Chief Financial Officer', aliases: ['CFO'] },
+  { kind: 'title', canonical: 'Chief Operating Officer', aliases: ['COO'] },
+  { kind: 'title', canonical: 'Chief Technology Officer', aliases: ['CTO'] },
+  { kind: 'title', canonical: 'Co-Founder', aliases: ['Cofounder', 'Co Founder'] }
+];
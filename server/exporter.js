@@ -0,0 +1,141 @@
+import { QueryError } from './profileQuery.js';
+
+// Streaming profile exports. Rows are written to the response one at a time
+// (waiting for the socket to drain), so nothing is buffered in full and no
+// temp files are shared between concurrent exports.
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// "Head of Product at Grab (2021-01 to present, 34 mos)"
+export function formatRoleForExport(role) {
+  if (!role.startDate) {
+    return `${role.title} at ${role.company}${role.years ? ` (${role.years})` : ''}`;
+  }
+  const period = `${role.startDate} to ${role.isCurrent ? 'present' : role.endDate}`;
+  const tenure = role.durationMonths ? `, ${role.durationMonths} mos` : '';
+  return `${role.title} at ${role.company} (${period}${tenure})`;
+}
+
+// Exportable columns. `text` flattens list fields for CSV; JSON formats keep
+// the structured value.
+export const EXPORT_COLUMNS = [
+  { key: 'id', header: 'Profile ID' },
+  { key: 'name', header: 'Name' },
+  { key: 'title', header: 'Current Title' },
+  { key: 'company', header: 'Current Company' },
+  { key: 'canonicalCompany', header: 'Company (Normalised)' },
+  { key: 'canonicalTitle', header: 'Job Title (Normalised)' },
+  { key: 'industry', header: 'Industry' },
+  { key: 'seniority', header: 'Seniority' },
+  { key: 'jobFunction', header: 'Function' },
+  { key: 'location', header: 'Location' },
+  { key: 'cohort', header: 'Cohort' },
+  { key: 'program', header: 'Program' },
+  { key: 'graduationYear', header: 'Graduation Year' },
+  { key: 'email', header: 'Email' },
+  { key: 'summary', header: 'AI Summary' },
+  { key: 'education', header: 'Education', text: profile => (profile.education || []).join('; ') },
+  { key: 'pastRoles', header: 'Past Roles', text: profile => (profile.pastRoles || []).map(formatRoleForExport).join('; ') },
+  { key: 'linkedinUrl', header: 'LinkedIn URL' },
+  { key: 'status', header: 'Status' },
+  { key: 'scrapedAt', header: 'Scraped At' },
+  { key: 'lastChangedAt', header: 'Last Changed At' }
+];
+
+// Used for CSV when no columns are requested; JSON formats then export
+// complete profile records
+export const DEFAULT_EXPORT_COLUMNS = [
+  'name', 'title', 'company', 'location', 'cohort', 'program', 'graduationYear',
+  'email', 'summary', 'education', 'pastRoles', 'linkedinUrl', 'scrapedAt'
+];
+
+// "name,company,linkedinUrl" -> column definitions, in the requested order
+export function parseExportColumns(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const keys = String(value).split(',').map(key => key.trim()).filter(Boolean);
+  const unknown = keys.filter(key => !EXPORT_COLUMNS.some(column => column.key === key));
+  if (unknown.length > 0) {
+    throw new QueryError(`Unknown export columns: ${unknown.join(', ')}. Available: ${EXPORT_COLUMNS.map(column => column.key).join(', ')}`);
+  }
+  return keys.map(key => EXPORT_COLUMNS.find(column => column.key === key));
+}
+
+// Cells starting with = + - or @ get a leading ' so spreadsheet apps show
+// them as text instead of running them as formulas
+export function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+function pickColumns(profile, columns) {
+  if (!columns) {
+    return profile;
+  }
+  return Object.fromEntries(columns.map(column => [column.key, profile[column.key] ?? null]));
+}
+
+// Write a chunk, waiting for the socket to drain (or close) when its buffer is full
+async function write(res, chunk) {
+  if (!res.write(chunk)) {
+    await new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+}
+
+// Stream `profiles` in `format` with the given columns (null for the default)
+export async function streamExport(res, format, profiles, columns = null) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=alumni_data.${extension}`);
+
+  let aborted = false;
+  res.on('close', () => {
+    aborted = !res.writableFinished;
+  });
+
+  if (format === 'csv') {
+    const csvColumns = columns || parseExportColumns(DEFAULT_EXPORT_COLUMNS.join(','));
+    await write(res, csvLine(csvColumns.map(column => column.header)));
+    for (const profile of profiles) {
+      if (aborted) return;
+      await write(res, csvLine(csvColumns.map(column => (column.text ? column.text(profile) : profile[column.key]))));
+    }
+  } else if (format === 'ndjson') {
+    for (const profile of profiles) {
+      if (aborted) return;
+      await write(res, JSON.stringify(pickColumns(profile, columns)) + '\n');
+    }
+  } else {
+    await write(res, '[');
+    let first = true;
+    for (const profile of profiles) {
+      if (aborted) return;
+      await write(res, (first ? '\n' : ',\n') + JSON.stringify(pickColumns(profile, columns)));
+      first = false;
+    }
+    await write(res, '\n]\n');
+  }
+
+  res.end();
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import { csvCell, parseExportColumns, streamExport } from './exporter.js';
+import { buildAlumniWorkbook } from './spreadsheets.js';
+
+const profile = {
+  id: 'jane-tan',
+  name: 'Jane Tan',
+  title: 'Head of Product',
+  company: 'Grab',
+  email: 'jane@example.com',
+  linkedinUrl: 'https://www.linkedin.com/in/jane-tan',
+  education: ['National University of Singapore - BBA'],
+  pastRoles: [{ title: 'Product Manager', company: 'Shopee', years: '2018 - 2021' }]
+};
+
+// Collects what streamExport writes, with the response methods it uses
+function fakeResponse() {
+  const res = new PassThrough();
+  res.setHeader = () => {};
+  let body = '';
+  res.on('data', chunk => {
+    body += chunk;
+  });
+  return { res, body: () => body };
+}
+
+async function readWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  return workbook;
+}
+
+test('CSV cells that would run as formulas are written as text', () => {
+  assert.equal(csvCell('=HYPERLINK("http://evil.example")'), `"'=HYPERLINK(""http://evil.example"")"`);
+  assert.equal(csvCell('+65 1234 5678'), "'+65 1234 5678");
+  assert.equal(csvCell('-2+3'), "'-2+3");
+  assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvCell('Head of Product, APAC'), '"Head of Product, APAC"');
+  assert.equal(csvCell(2019), '2019');
+  assert.equal(csvCell(null), '');
+});
+
+test('the CSV export guards every cell', async () => {
+  const { res, body } = fakeResponse();
+  await streamExport(res, 'csv', [{ ...profile, name: '=cmd|calc' }], parseExportColumns('name,company'));
+  assert.equal(body(), "Name,Current Company\r\n'=cmd|calc,Grab\r\n");
+});
+
+test('the Excel export keeps its full layout without columns', async () => {
+  const workbook = await readWorkbook(await buildAlumniWorkbook([profile]));
+  assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), ['Profiles', 'Past Roles', 'Education']);
+  assert.equal(workbook.getWorksheet('Profiles').getRow(1).getCell(2).value, 'Name');
+});
+
+test('the Excel export limits the Profiles sheet to the chosen columns', async () => {
+  const columns = parseExportColumns('name,email,pastRoles');
+  const workbook = await readWorkbook(await buildAlumniWorkbook([profile], columns));
+
+  assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), ['Profiles', 'Past Roles']);
+  const sheet = workbook.getWorksheet('Profiles');
+  assert.deepEqual(sheet.getRow(1).values.slice(1), ['Name', 'Email', 'Past Roles']);
+  assert.deepEqual(sheet.getRow(2).values.slice(1), ['Jane Tan', 'jane@example.com', 'Product Manager at Shopee (2018 - 2021)']);
+});
@@ -0,0 +1,54 @@
+import * as cheerio from 'cheerio';
+import { findSection, formatEducation, parseEducation, parseExperience } from './sections.js';
+
+// Cheerio extraction: parses a profile's HTML in Node, either captured from
+// the live page or read from a saved fixture file.
+
+export const cheerioExtractor = {
+  name: 'cheerio',
+  description: 'CSS selectors applied to the page HTML with Cheerio',
+  input: 'html',
+  isAvailable: () => true,
+  extract: async ({ html }) => parseProfileHtml(html)
+};
+
+// First selector that matches inside `scope` wins
+function firstText($, scope, selectors) {
+  for (const selector of selectors) {
+    const text = $(scope).find(selector).first().text().replace(/\s+/g, ' ').trim();
+    if (text) {
+      return text;
+    }
+  }
+  return '';
+}
+
+export function parseProfileHtml(html) {
+  const $ = cheerio.load(html);
+  const root = $.root();
+
+  const name = firstText($, root, ['h1.text-heading-xlarge', 'h1.top-card-layout__title']);
+  const title = firstText($, root, ['div.text-body-medium.break-words', 'div.top-card-layout__headline', 'div.text-body-medium']);
+  const location = firstText($, root, [
+    'span.text-body-small.inline.t-black--light.break-words',
+    'span.top-card__subline-item',
+    'span.text-body-small'
+  ]);
+  const about = firstText($, root, [
+    'div.display-flex.ph5.pv3',
+    'div.pv-shared-text-with-see-more',
+    'div.inline-show-more-text'
+  ]);
+
+  const educationDetails = parseEducation($, findSection($, 'education'));
+
+  return {
+    name,
+    title,
+    location,
+    about,
+    pastRoles: parseExperience($, findSection($, 'experience')),
+    education: educationDetails.map(formatEducation),
+    educationDetails
+  };
+}
@@ -0,0 +1,61 @@
+import dotenv from 'dotenv';
+import { selectorsExtractor } from './selectors.js';
+import { cheerioExtractor } from './cheerio.js';
+import { llmExtractor } from './llm.js';
+import { mockExtractor } from './mock.js';
+
+// Load environment variables
+dotenv.config();
+
+// Every extraction strategy exposes the same shape:
+//   name, description
+//   input: 'page' (live Puppeteer page), 'html' (page HTML string) or 'none'
+//   isAvailable(): false when required configuration is missing
+//   extract({ url, page, html }): resolves to { name, title, location, about,
+//     pastRoles, education } and optionally company
+const extractors = {
+  [selectorsExtractor.name]: selectorsExtractor,
+  [cheerioExtractor.name]: cheerioExtractor,
+  [llmExtractor.name]: llmExtractor,
+  [mockExtractor.name]: mockExtractor
+};
+
+// Where profile pages come from: LinkedIn itself, or saved HTML fixture files
+export const HTML_SOURCES = ['live', 'fixtures'];
+
+export const DEFAULT_STRATEGY = process.env.EXTRACTION_STRATEGY || 'selectors';
+export const DEFAULT_SOURCE = process.env.EXTRACTION_SOURCE || 'live';
+
+export function getExtractor(name) {
+  return extractors[name] || null;
+}
+
+export function listExtractors() {
+  return Object.values(extractors).map(extractor => ({
+    name: extractor.name,
+    description: extractor.description,
+    input: extractor.input,
+    available: extractor.isAvailable()
+  }));
+}
+
+// Validate a job's extraction choice, filling in defaults
+export function resolveExtractionOptions({ strategy, source } = {}) {
+  const resolved = {
+    strategy: strategy || DEFAULT_STRATEGY,
+    source: source || DEFAULT_SOURCE
+  };
+
+  const extractor = getExtractor(resolved.strategy);
+  if (!extractor) {
+    throw new Error(`Unknown extraction strategy: ${resolved.strategy}`);
+  }
+  if (!extractor.isAvailable()) {
+    throw new Error(`Extraction strategy '${resolved.strategy}' is not configured`);
+  }
+  if (!HTML_SOURCES.includes(resolved.source)) {
+    throw new Error(`Unknown HTML source: ${resolved.source}`);
+  }
+
+  return resolved;
+}
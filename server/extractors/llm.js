@@ -0,0 +1,118 @@
+import * as cheerio from 'cheerio';
+import { extractNameFromUrl } from '../linkedinUrl.js';
+import { generateStructured, isAIConfigured } from '../llm/index.js';
+import { PROFILE_SCHEMA, PROFILE_FIELDS } from '../llm/schema.js';
+import { ScrapeError, ScrapeErrorType } from '../scrapeErrors.js';
+
+// LLM extraction: page text is sent to the configured model (see
+// llm/index.js), whose JSON reply is checked against PROFILE_SCHEMA and sent
+// back for repair when it does not fit. The result carries `aiInference`:
+// which fields the model inferred, how confident it was in each, and how
+// validation went.
+
+export const llmExtractor = {
+  name: 'llm',
+  description: 'The configured LLM reads the page text and returns structured JSON',
+  input: 'html',
+  isAvailable: () => isAIConfigured(),
+  extract: ({ html, url }) => analyzeLinkedInContentWithLLM(html, url)
+};
+
+export async function analyzeLinkedInContentWithLLM(htmlContent, profileUrl) {
+  // Extract text content from HTML using Cheerio first to reduce token usage
+  const $ = cheerio.load(htmlContent);
+  
+  // Remove script and style tags
+  $('script, style, noscript').remove();
+  
+  // Extract relevant sections
+  const textContent = $('body').text().replace(/\s+/g, ' ').trim();
+  
+  // Limit content size to avoid token limits (first 8000 characters)
+  const limitedContent = textContent.substring(0, 8000);
+  
+  const prompt = `
+    You are a LinkedIn profile data extractor. Analyze the following LinkedIn profile content and extract structured information.
+
+    LinkedIn Profile URL: ${profileUrl}
+    
+    Profile Content:
+    ${limitedContent}
+
+    Please extract the following information and return it as a valid JSON object:
+
+    {
+      "name": "Full name of the person",
+      "title": "Current job title",
+      "company": "Current company name", 
+      "location": "Current location/city",
+      "about": "About section summary (if available)",
+      "education": ["Array of education entries"],
+      "pastRoles": [
+        {
+          "title": "Previous job title",
+          "company": "Previous company",
+          "years": "Duration (e.g., 2020-2023)"
+        }
+      ],
+      "confidence": {
+        "name": 0.95,
+        "title": 0.9,
+        "company": 0.8,
+        "location": 0.7,
+        "about": 0.9,
+        "education": 0.8,
+        "pastRoles": 0.6
+      }
+    }
+
+    Instructions:
+    1. Extract information from the provided content only
+    2. If information is not available, use empty strings or empty arrays
+    3. For pastRoles, include up to 3-5 most recent previous positions
+    4. Keep education entries concise (school name and degree)
+    5. For confidence, give each field a number from 0 to 1: 1 when the page states it plainly, lower when you had to guess, 0 when it is missing
+    6. Ensure all string values are properly escaped for JSON
+
+    Extract the data:
+    `;
+  
+  const { value, validation } = await generateStructured('extraction', prompt, PROFILE_SCHEMA, { url: profileUrl }, { cache: true });
+  if (validation.budgetFallback) {
+    throw new ScrapeError(ScrapeErrorType.BUDGET_EXCEEDED, 'Daily LLM budget is used up, extraction needs a real model');
+  }
+  if (!validation.valid) {
+    throw new ScrapeError(
+      ScrapeErrorType.PARSE_FAILURE,
+      `LLM reply did not match the profile schema after ${validation.attempts} attempts: ${validation.errors.slice(0, 3).join('; ')}`
+    );
+  }
+  
+  const confidence = value.confidence || {};
+  const data = {
+    name: value.name || extractNameFromUrl(profileUrl),
+    title: value.title,
+    company: value.company,
+    location: value.location,
+    about: value.about,
+    education: value.education,
+    pastRoles: value.pastRoles,
+    aiInference: {
+      task: 'extraction',
+      provider: validation.provider,
+      model: validation.model,
+      // Field -> the model's confidence, null when it gave none
+      fields: Object.fromEntries(PROFILE_FIELDS.map(field => [field, confidence[field] ?? null])),
+      validation: {
+        valid: validation.valid,
+        attempts: validation.attempts,
+        repairedErrors: validation.repairedErrors,
+        cached: validation.cached
+      },
+      inferredAt: new Date().toISOString()
+    }
+  };
+  
+  console.log(`Successfully extracted data for: ${data.name} (${validation.cached ? 'cached' : `${validation.attempts} attempt(s)`})`);
+  return data;
+}
@@ -0,0 +1,73 @@
+import { extractNameFromUrl } from '../linkedinUrl.js';
+
+// Mock extraction: plausible random data without touching LinkedIn, for demos
+// and for exercising the pipeline end to end.
+
+export const mockExtractor = {
+  name: 'mock',
+  description: 'Randomised sample data, no network access',
+  input: 'none',
+  isAvailable: () => true,
+  extract: async ({ url }) => generateMockProfileData(url)
+};
+
+export function generateMockProfileData(profileUrl) {
+  // Generate mock data when Gemini API is not available or fails
+  const mockName = extractNameFromUrl(profileUrl);
+  
+  const mockTitles = [
+    'Senior Manager',
+    'Product Manager', 
+    'Business Analyst',
+    'Marketing Director',
+    'Operations Manager',
+    'Strategy Consultant',
+    'Finance Manager',
+    'Project Manager'
+  ];
+  
+  const mockCompanies = [
+    'Tech Solutions Pte Ltd',
+    'Global Consulting Group',
+    'Innovation Partners',
+    'Strategic Ventures',
+    'Digital Transformation Co',
+    'Business Excellence Ltd',
+    'Future Technologies',
+    'Growth Partners'
+  ];
+  
+  const mockLocations = [
+    'Singapore',
+    'Kuala Lumpur, Malaysia',
+    'Bangkok, Thailand',
+    'Jakarta, Indonesia',
+    'Manila, Philippines',
+    'Ho Chi Minh City, Vietnam'
+  ];
+  
+  const randomTitle = mockTitles[Math.floor(Math.random() * mockTitles.length)];
+  const randomCompany = mockCompanies[Math.floor(Math.random() * mockCompanies.length)];
+  const randomLocation = mockLocations[Math.floor(Math.random() * mockLocations.length)];
+  
+  return {
+    name: mockName,
+    title: randomTitle,
+    company: randomCompany,
+    location: randomLocation,
+    about: `Experienced professional with expertise in ${randomTitle.toLowerCase()} and business development. Passionate about driving growth and innovation in the ${randomCompany.includes('Tech') ? 'technology' : 'business'} sector.`,
+    education: ['MBA, Asian School of Business', 'Bachelor of Business Administration'],
+    pastRoles: [
+      {
+        title: 'Senior Analyst',
+        company: 'Previous Company Ltd',
+        years: '2020-2023'
+      },
+      {
+        title: 'Business Associate', 
+        company: 'Startup Ventures',
+        years: '2018-2020'
+      }
+    ]
+  };
+}
@@ -0,0 +1,400 @@
+import * as cheerio from 'cheerio';
+
+// Experience and education section parsing, shared by the 'selectors' and
+// 'cheerio' strategies. Every field is read relative to its own list item,
+// and three LinkedIn layouts are understood:
+//   modern   - signed-in profile, text in span[aria-hidden="true"]
+//   public   - signed-out profile (experience-item / education__list-item)
+//   legacy   - older pv-entity markup
+// Grouped positions (several roles at one company) are flattened into one
+// role per position, each carrying the company name.
+
+const EMPLOYMENT_TYPES = [
+  'full-time',
+  'part-time',
+  'self-employed',
+  'freelance',
+  'contract',
+  'internship',
+  'apprenticeship',
+  'seasonal',
+  'temporary',
+  'volunteer'
+];
+
+const DATE_PATTERN = /\b(19|20)\d{2}\b|\bpresent\b/i;
+const DURATION_PATTERN = /^(less than a year|\d+\s*(yrs?|years?|mos?|months?)(\s+\d+\s*(mos?|months?))?)$/i;
+
+export function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function splitDots(text) {
+  return cleanText(text).split(/\s+·\s+|\s*·\s*/).map(part => part.trim()).filter(Boolean);
+}
+
+function isEmploymentType(text) {
+  return EMPLOYMENT_TYPES.includes(cleanText(text).toLowerCase());
+}
+
+export function isDateLine(text) {
+  const first = splitDots(text)[0] || '';
+  return DATE_PATTERN.test(first) && !isEmploymentType(first);
+}
+
+// "Jan 2021 - Present · 3 yrs 10 mos" -> { dateRange, duration }
+export function parseDateLine(text) {
+  const parts = splitDots(text);
+  const dateRange = (parts[0] || '').replace(/\s*[–—-]\s*/, ' - ');
+  const duration = parts.slice(1).find(part => DURATION_PATTERN.test(part)) || '';
+  return { dateRange, duration };
+}
+
+// "Grab · Full-time" -> { company: 'Grab', employmentType: 'Full-time' }
+export function splitCompanyLine(text) {
+  const parts = splitDots(text);
+  const employmentType = parts.find(isEmploymentType) || '';
+  const company = parts.find(part => !isEmploymentType(part) && !DURATION_PATTERN.test(part)) || '';
+  return { company, employmentType };
+}
+
+function makeRole({ title, company, employmentType = '', dateText = '', location = '' }) {
+  const { dateRange, duration } = parseDateLine(dateText);
+  return {
+    title: cleanText(title),
+    company: cleanText(company),
+    years: dateRange,
+    dateRange,
+    duration,
+    employmentType: cleanText(employmentType),
+    // "Kuala Lumpur, Malaysia · Hybrid" keeps only the place
+    location: splitDots(location)[0] || ''
+  };
+}
+
+// List items directly under the section, not the nested ones of grouped positions
+function topLevelItems($, section) {
+  return $(section).find('li').filter((index, li) => $(li).parentsUntil(section, 'li').length === 0).toArray();
+}
+
+function textOf($, scope, selectors) {
+  for (const selector of selectors) {
+    const text = cleanText($(scope).find(selector).first().text());
+    if (text) {
+      return text;
+    }
+  }
+  return '';
+}
+
+function detectLayout($, section) {
+  if ($(section).find('span[aria-hidden="true"]').length > 0) {
+    return 'modern';
+  }
+  if ($(section).find('li.experience-item, li.experience-group, li.education__list-item').length > 0) {
+    return 'public';
+  }
+  return 'legacy';
+}
+
+// Modern layout
+
+// Visible text lines of an entity, excluding nested sub-components,
+// tagged as bold (title), light (dates, location) or normal (company, degree)
+function modernLines($, item) {
+  const entity = $(item).clone();
+  entity.find('.pvs-entity__sub-components, .pvs-list__outer-container').remove();
+
+  return entity.find('span[aria-hidden="true"]').toArray()
+    .map(span => ({
+      text: cleanText($(span).text()),
+      bold: $(span).closest('.t-bold').length > 0,
+      light: $(span).closest('.t-black--light').length > 0
+    }))
+    .filter(line => line.text);
+}
+
+function readModernEntity(lines) {
+  const bold = lines.find(line => line.bold)?.text || '';
+  const normal = lines.filter(line => !line.bold && !line.light).map(line => line.text);
+  const light = lines.filter(line => line.light).map(line => line.text);
+  const dateText = light.find(isDateLine) || normal.find(isDateLine) || '';
+  const location = light.find(text => text !== dateText && !isDateLine(text)) || '';
+  return { bold, normal: normal.filter(text => text !== dateText), dateText, location };
+}
+
+// Nested list items one level below `item` (positions of a grouped entry,
+// or description and skills rows of a single one)
+function modernSubItems($, item) {
+  return $(item).find('.pvs-entity__sub-components li, .pvs-list__outer-container li').toArray()
+    .filter(li => $(li).parent().closest('li')[0] === item);
+}
+
+function parseModernExperience($, section) {
+  const roles = [];
+
+  for (const item of topLevelItems($, section)) {
+    const top = readModernEntity(modernLines($, item));
+
+    // A grouped item names the company and lists each position underneath
+    const positions = modernSubItems($, item)
+      .map(li => readModernEntity(modernLines($, li)))
+      .filter(entity => entity.bold && entity.dateText);
+
+    if (positions.length > 0) {
+      const groupType = top.normal.map(text => splitCompanyLine(text).employmentType).find(Boolean) || '';
+      const groupLocation = top.location && !isDateLine(top.location) ? top.location : '';
+      for (const position of positions) {
+        const ownType = position.normal.map(text => splitCompanyLine(text).employmentType).find(Boolean);
+        roles.push(makeRole({
+          title: position.bold,
+          company: top.bold,
+          employmentType: ownType || groupType,
+          dateText: position.dateText,
+          location: position.location || groupLocation
+        }));
+      }
+      continue;
+    }
+
+    const { company, employmentType } = splitCompanyLine(top.normal[0] || '');
+    roles.push(makeRole({
+      title: top.bold,
+      company,
+      employmentType,
+      dateText: top.dateText,
+      location: top.location
+    }));
+  }
+
+  return roles;
+}
+
+function parseModernEducation($, section) {
+  return topLevelItems($, section).map(item => {
+    const entity = readModernEntity(modernLines($, item));
+    const [degree = '', ...fieldParts] = (entity.normal[0] || '').split(/,\s+/);
+    return makeEducation({
+      school: entity.bold,
+      degree,
+      field: fieldParts.join(', '),
+      years: entity.dateText
+    });
+  });
+}
+
+// Public (signed-out) layout
+
+function parsePublicExperience($, section) {
+  const roles = [];
+
+  for (const item of topLevelItems($, section)) {
+    if ($(item).hasClass('experience-group')) {
+      const company = textOf($, item, ['.experience-group-header__company', 'h4']);
+      $(item).find('li.experience-group-position, li.profile-section-card').each((index, position) => {
+        const subtitle = textOf($, position, ['h4', '.profile-section-card__subtitle']);
+        roles.push(makeRole({
+          title: textOf($, position, ['h3', '.profile-section-card__title']),
+          company,
+          employmentType: isEmploymentType(subtitle) ? subtitle : '',
+          dateText: publicDateText($, position),
+          location: textOf($, position, ['.experience-group-position__location', '.experience-item__location', 'p.experience-item__meta-item:not(:has(.date-range))'])
+        }));
+      });
+      continue;
+    }
+
+    const { company, employmentType } = splitCompanyLine(textOf($, item, ['h4', '.profile-section-card__subtitle']));
+    roles.push(makeRole({
+      title: textOf($, item, ['h3', '.profile-section-card__title']),
+      company,
+      employmentType,
+      dateText: publicDateText($, item),
+      location: textOf($, item, ['.experience-item__location', 'p.experience-item__meta-item:not(:has(.date-range))'])
+    }));
+  }
+
+  return roles;
+}
+
+// <span class="date-range"><time>Jan 2021</time> - <time>Present</time><span>3 years</span></span>
+function publicDateText($, scope) {
+  const dateRange = $(scope).find('.date-range').first();
+  if (dateRange.length === 0) {
+    return '';
+  }
+  const times = dateRange.find('time').toArray().map(time => cleanText($(time).text()));
+  const duration = cleanText(dateRange.find('span').last().text());
+  const range = times.length > 0 ? times.join(' - ') : cleanText(dateRange.text());
+  return duration ? `${range} · ${duration}` : range;
+}
+
+function parsePublicEducation($, section) {
+  return topLevelItems($, section).map(item => {
+    const degreeInfo = $(item).find('.education__item--degree-info');
+    return makeEducation({
+      school: textOf($, item, ['h3', '.profile-section-card__title']),
+      degree: cleanText(degreeInfo.eq(0).text()),
+      field: cleanText(degreeInfo.eq(1).text()),
+      years: publicDateText($, item)
+    });
+  });
+}
+
+// Legacy (pv-entity) layout
+
+// Legacy markup prefixes values with a visually hidden label span
+function legacyValue($, scope, selector) {
+  const element = $(scope).find(selector).first();
+  if (element.length === 0) {
+    return '';
+  }
+  const labelled = element.children('span');
+  return cleanText(labelled.length > 1 ? labelled.last().text() : element.text());
+}
+
+function parseLegacyExperience($, section) {
+  const roles = [];
+
+  for (const item of topLevelItems($, section)) {
+    const groupedRoles = $(item).find('li.pv-entity__position-group-role-item, li.pv-entity__position-group-role-item-fading-timeline');
+
+    if (groupedRoles.length > 0) {
+      const company = legacyValue($, item, '.pv-entity__company-summary-info h3') || textOf($, item, ['.pv-entity__company-summary-info h3']);
+      groupedRoles.each((index, role) => {
+        const title = legacyValue($, role, 'h3');
+        const dateRange = legacyValue($, role, '.pv-entity__date-range');
+        const duration = textOf($, role, ['.pv-entity__bullet-item-v2']);
+        roles.push(makeRole({
+          title,
+          company,
+          employmentType: textOf($, role, ['.pv-entity__secondary-title']),
+          dateText: duration ? `${dateRange} · ${duration}` : dateRange,
+          location: legacyValue($, role, '.pv-entity__location')
+        }));
+      });
+      continue;
+    }
+
+    // <p class="pv-entity__secondary-title">KPMG <span class="separator">Full-time</span></p>
+    const companyElement = $(item).find('p.pv-entity__secondary-title, p.pv-entity__company-name, p.t-14.t-black.t-normal, p.t-14.t-black').first().clone();
+    const typeElements = companyElement.find('.separator, .pv-entity__employment-type');
+    const employmentType = cleanText(typeElements.text());
+    typeElements.remove();
+    const { company, employmentType: lineType } = splitCompanyLine(companyElement.text());
+    const dateRange = legacyValue($, item, '.pv-entity__date-range') ||
+      textOf($, item, ['span.t-14.t-black--light.t-normal', 'span.t-14.t-black--light']);
+    const duration = textOf($, item, ['.pv-entity__bullet-item-v2']);
+
+    roles.push(makeRole({
+      title: textOf($, item, ['h3.t-16.t-black.t-bold', 'h3.pv-entity__name', 'h3.t-18.t-black.t-normal', 'h3.t-16.t-black', 'h3']),
+      company,
+      employmentType: employmentType || lineType,
+      dateText: duration ? `${dateRange} · ${duration}` : dateRange,
+      location: legacyValue($, item, '.pv-entity__location')
+    }));
+  }
+
+  return roles;
+}
+
+function parseLegacyEducation($, section) {
+  return topLevelItems($, section).map(item => makeEducation({
+    school: textOf($, item, ['h3.pv-entity__school-name', 'h3.pv-entity__name', 'h3.t-16.t-black.t-bold', 'h3.t-16.t-black', 'h3']),
+    degree: legacyValue($, item, 'p.pv-entity__degree-name'),
+    field: legacyValue($, item, 'p.pv-entity__fos'),
+    years: legacyValue($, item, 'p.pv-entity__dates')
+  }));
+}
+
+// Education
+
+function makeEducation({ school, degree = '', field = '', years = '' }) {
+  return {
+    school: cleanText(school),
+    degree: cleanText(degree),
+    field: cleanText(field),
+    years: parseDateLine(years).dateRange
+  };
+}
+
+// One-line form kept in profile.education, e.g. "Asia School of Business - MBA, Finance"
+export function formatEducation(entry) {
+  const detail = [entry.degree, entry.field].filter(Boolean).join(', ');
+  return `${entry.school}${detail ? ` - ${detail}` : ''}`;
+}
+
+// Section lookup
+
+const SECTION_SELECTORS = {
+  experience: [
+    'section.experience-section',
+    'section#experience-section',
+    'section[data-section="experience"]',
+    'section.experience'
+  ],
+  education: [
+    'section.education-section',
+    'section#education-section',
+    'section[data-section="education"]',
+    'section.education'
+  ]
+};
+
+export function findSection($, name) {
+  for (const selector of SECTION_SELECTORS[name]) {
+    const section = $(selector).first();
+    if (section.length > 0) {
+      return section;
+    }
+  }
+
+  // Modern profiles mark each card with an anchor div: <div id="experience">
+  const anchor = $(`div#${name}`).first();
+  if (anchor.length > 0) {
+    return anchor.closest('section');
+  }
+
+  return null;
+}
+
+export function parseExperience($, section) {
+  if (!section || section.length === 0) {
+    return [];
+  }
+
+  const parsers = {
+    modern: parseModernExperience,
+    public: parsePublicExperience,
+    legacy: parseLegacyExperience
+  };
+  return parsers[detectLayout($, section)]($, section)
+    .filter(role => role.title && role.company);
+}
+
+export function parseEducation($, section) {
+  if (!section || section.length === 0) {
+    return [];
+  }
+
+  const parsers = {
+    modern: parseModernEducation,
+    public: parsePublicEducation,
+    legacy: parseLegacyEducation
+  };
+  return parsers[detectLayout($, section)]($, section)
+    .filter(entry => entry.school);
+}
+
+// Parse standalone section HTML, as captured from the live page
+export function parseSectionsHtml({ experienceHtml, educationHtml }) {
+  const experience$ = cheerio.load(experienceHtml || '');
+  const education$ = cheerio.load(educationHtml || '');
+
+  const educationDetails = parseEducation(education$, education$('section').first());
+  return {
+    pastRoles: parseExperience(experience$, experience$('section').first()),
+    educationDetails,
+    education: educationDetails.map(formatEducation)
+  };
+}
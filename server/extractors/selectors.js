@@ -0,0 +1,95 @@
+import { parseSectionsHtml } from './sections.js';
+
+// DOM selector extraction: runs inside the live (or fixture-loaded) page.
+
+export const selectorsExtractor = {
+  name: 'selectors',
+  description: 'CSS selectors evaluated in the browser page',
+  input: 'page',
+  isAvailable: () => true,
+  extract
+};
+
+async function extract({ page }) {
+  // Extract profile data with updated selectors
+  const topCard = await page.evaluate(() => {
+    const getText = (selector) => {
+      const element = document.querySelector(selector);
+      console.log(`Looking for selector: ${selector}`);
+      console.log(`Found element:`, element);
+      return element ? element.textContent.trim() : '';
+    };
+
+    const getList = (selector) => {
+      const elements = document.querySelectorAll(selector);
+      console.log(`Looking for list selector: ${selector}`);
+      console.log(`Found elements:`, elements.length);
+      return Array.from(elements).map(el => el.textContent.trim());
+    };
+
+    // Log the entire page HTML for debugging
+    console.log('Page HTML:', document.documentElement.outerHTML);
+
+    // Updated selectors for the new LinkedIn layout
+    console.log('Extracting name...');
+    const name = getText('h1.text-heading-xlarge') || 
+                getText('h1.top-card-layout__title') ||
+                getText('h1.text-heading-xlarge.break-words');
+    console.log('Name found:', name);
+
+    console.log('Extracting title...');
+    const title = getText('div.text-body-medium.break-words') || 
+                 getText('div.top-card-layout__headline') ||
+                 getText('div.text-body-medium');
+    console.log('Title found:', title);
+
+    console.log('Extracting location...');
+    const location = getText('span.text-body-small.inline.t-black--light.break-words') || 
+                    getText('span.top-card__subline-item') ||
+                    getText('span.text-body-small');
+    console.log('Location found:', location);
+    
+    // About section
+    console.log('Extracting about section...');
+    const aboutSection = document.querySelector('div.display-flex.ph5.pv3') || 
+                        document.querySelector('div.pv-shared-text-with-see-more') ||
+                        document.querySelector('div.inline-show-more-text') ||
+                        document.querySelector('div.pv-shared-text-with-see-more span.inline-show-more-text');
+    console.log('About section found:', aboutSection);
+    const about = aboutSection ? aboutSection.textContent.trim() : '';
+    console.log('About text:', about);
+
+    // Experience and education are captured as HTML and parsed per item
+    // in Node (see sections.js); modern profiles mark each card with an
+    // anchor div such as <div id="experience">
+    const findSection = (name) => document.querySelector(`section.${name}-section`) ||
+                                  document.querySelector(`section#${name}-section`) ||
+                                  document.querySelector(`section[data-section="${name}"]`) ||
+                                  document.querySelector(`section.${name}`) ||
+                                  document.querySelector(`div#${name}`)?.closest('section');
+
+    console.log('Extracting experience and education sections...');
+    const experienceHtml = findSection('experience')?.outerHTML || '';
+    const educationHtml = findSection('education')?.outerHTML || '';
+    console.log('Experience section found:', Boolean(experienceHtml));
+    console.log('Education section found:', Boolean(educationHtml));
+
+    const result = {
+      name,
+      title,
+      location,
+      about,
+      experienceHtml,
+      educationHtml
+    };
+
+    console.log('Final extracted data:', result);
+    return result;
+  });
+
+  const { experienceHtml, educationHtml, ...profileData } = topCard;
+  return {
+    ...profileData,
+    ...parseSectionsHtml({ experienceHtml, educationHtml })
+  };
+}
@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { canonicalLinkedInUrl } from './linkedinUrl.js';
+import { ScrapeError, ScrapeErrorType } from './scrapeErrors.js';
+
+// Load environment variables
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Saved profile pages, one file per profile named after its URL slug:
+//   https://www.linkedin.com/in/janedoe/  ->  <FIXTURES_DIR>/janedoe.html
+export const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, 'fixtures', 'profiles');
+
+// The slug is checked after decoding, so that an encoded slash, backslash or
+// ".." cannot point at a file outside FIXTURES_DIR
+export function fixturePathForUrl(url) {
+  const slug = canonicalLinkedInUrl(url).split('/').filter(Boolean).pop();
+  let name;
+  try {
+    name = decodeURIComponent(slug);
+  } catch {
+    name = null;
+  }
+  const fixturePath = name ? path.resolve(FIXTURES_DIR, `${name}.html`) : null;
+  if (!name || /[/\\\0]|\.\./.test(name) || path.dirname(fixturePath) !== path.resolve(FIXTURES_DIR)) {
+    throw new ScrapeError(ScrapeErrorType.INVALID_URL, `No fixture can be named after ${url}`);
+  }
+  return fixturePath;
+}
+
+export async function readFixtureHtml(url) {
+  const fixturePath = fixturePathForUrl(url);
+  try {
+    return await fs.promises.readFile(fixturePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new ScrapeError(ScrapeErrorType.NOT_FOUND, `No saved HTML fixture at ${fixturePath}`);
+    }
+    throw error;
+  }
+}
+
+// Profile URLs for every saved fixture, handy for building a fixture-mode job
+export function listFixtureUrls() {
+  if (!fs.existsSync(FIXTURES_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => `https://www.linkedin.com/in/${encodeURIComponent(file.replace(/\.html$/, ''))}/`);
+}
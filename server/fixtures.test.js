@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { FIXTURES_DIR, fixturePathForUrl } from './fixtures.js';
+import { parseProfileHtml } from './extractors/cheerio.js';
+import { normalizeRoles } from './roleDates.js';
+import { currentCompany } from './normalization.js';
+
+// Parsing of the saved profile pages in fixtures/profiles, one test per
+// layout. Durations of current roles are counted up to NOW.
+
+const NOW = new Date('2025-06-01T00:00:00Z');
+
+function parseFixture(file) {
+  const profile = parseProfileHtml(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf-8'));
+  const pastRoles = normalizeRoles(profile.pastRoles, NOW);
+  return { ...profile, pastRoles, company: currentCompany({ title: profile.title, pastRoles }) };
+}
+
+// The fields of each role the assertions look at
+const roleSummary = ({ title, company, dateRange, duration, employmentType, location, startDate, endDate, isCurrent, durationMonths }) =>
+  ({ title, company, dateRange, duration, employmentType, location, startDate, endDate, isCurrent, durationMonths });
+
+const EXPECTED = {
+  'arif-rahman-sample.html': {
+    name: 'Arif Rahman',
+    title: 'Strategy Consultant',
+    company: 'McKinsey & Company',
+    location: 'Kuala Lumpur, Federal Territory of Kuala Lumpur, Malaysia',
+    education: ['Asia School of Business - MBA'],
+    educationDetails: [
+      { school: 'Asia School of Business', degree: 'MBA', field: '', years: '' }
+    ],
+    roles: [
+      { title: 'Strategy Consultant', company: 'McKinsey & Company', dateRange: 'Aug 2022 - Present', duration: '2 yrs 3 mos', employmentType: '', location: '', startDate: '2022-08', endDate: null, isCurrent: true, durationMonths: 35 },
+      { title: 'Engineer', company: 'PETRONAS', dateRange: 'Jul 2016 - Jun 2020', duration: '4 yrs', employmentType: '', location: '', startDate: '2016-07', endDate: '2020-06', isCurrent: false, durationMonths: 48 }
+    ]
+  },
+  // Signed-out layout, with two roles grouped under CIMB
+  'daniel-ong-sample.html': {
+    name: 'Daniel Ong',
+    title: 'Vice President, Treasury at CIMB',
+    company: 'CIMB',
+    location: 'Kuala Lumpur',
+    education: [
+      'Asia School of Business - Master of Business Administration (MBA), Finance',
+      'University of Malaya - Bachelor of Accounting'
+    ],
+    educationDetails: [
+      { school: 'Asia School of Business', degree: 'Master of Business Administration (MBA)', field: 'Finance', years: '2020 - 2022' },
+      { school: 'University of Malaya', degree: 'Bachelor of Accounting', field: '', years: '2010 - 2014' }
+    ],
+    roles: [
+      { title: 'Vice President, Treasury', company: 'CIMB', dateRange: 'Jan 2022 - Present', duration: '2 years 10 months', employmentType: 'Full-time', location: 'Kuala Lumpur, Malaysia', startDate: '2022-01', endDate: null, isCurrent: true, durationMonths: 42 },
+      { title: 'Assistant Vice President, ALM', company: 'CIMB', dateRange: 'Jul 2018 - Dec 2021', duration: '3 years 6 months', employmentType: '', location: '', startDate: '2018-07', endDate: '2021-12', isCurrent: false, durationMonths: 42 },
+      { title: 'Senior Associate, Audit', company: 'PwC', dateRange: 'Aug 2014 - Jun 2018', duration: '3 years 11 months', employmentType: '', location: 'Kuala Lumpur', startDate: '2014-08', endDate: '2018-06', isCurrent: false, durationMonths: 47 }
+    ]
+  },
+  'jane-tan-sample.html': {
+    name: 'Jane Tan',
+    title: 'Head of Product at Grab',
+    company: 'Grab',
+    location: 'Singapore',
+    education: [
+      'Asia School of Business - Master of Business Administration - MBA',
+      'National University of Singapore - Bachelor of Computing'
+    ],
+    educationDetails: [
+      { school: 'Asia School of Business', degree: 'Master of Business Administration - MBA', field: '', years: '' },
+      { school: 'National University of Singapore', degree: 'Bachelor of Computing', field: '', years: '' }
+    ],
+    roles: [
+      { title: 'Head of Product', company: 'Grab', dateRange: 'Jan 2021 - Present', duration: '3 yrs 10 mos', employmentType: '', location: '', startDate: '2021-01', endDate: null, isCurrent: true, durationMonths: 54 },
+      { title: 'Senior Product Manager', company: 'Maybank', dateRange: 'Mar 2017 - Dec 2020', duration: '3 yrs 10 mos', employmentType: '', location: '', startDate: '2017-03', endDate: '2020-12', isCurrent: false, durationMonths: 46 },
+      // Year-only dates run from January to December
+      { title: 'Business Analyst', company: 'Accenture', dateRange: '2014 - 2017', duration: '', employmentType: '', location: '', startDate: '2014-01', endDate: '2017-12', isCurrent: false, durationMonths: 48 }
+    ]
+  },
+  // Signed-in layout, with two roles grouped under Petronas
+  'wei-ling-lim-sample.html': {
+    name: 'Wei Ling Lim',
+    title: 'Digital Transformation Lead at Petronas',
+    company: 'Petronas',
+    location: 'Kuala Lumpur, Malaysia',
+    education: [
+      'Asia School of Business - Master of Business Administration - MBA, Business Analytics',
+      'Universiti Teknologi PETRONAS - Bachelor of Engineering - BE, Chemical Engineering'
+    ],
+    educationDetails: [
+      { school: 'Asia School of Business', degree: 'Master of Business Administration - MBA', field: 'Business Analytics', years: '2021 - 2023' },
+      { school: 'Universiti Teknologi PETRONAS', degree: 'Bachelor of Engineering - BE', field: 'Chemical Engineering', years: '2011 - 2016' }
+    ],
+    roles: [
+      { title: 'Digital Transformation Lead', company: 'Petronas', dateRange: 'Apr 2022 - Present', duration: '2 yrs 7 mos', employmentType: 'Full-time', location: 'Kuala Lumpur, Malaysia', startDate: '2022-04', endDate: null, isCurrent: true, durationMonths: 39 },
+      { title: 'Senior Process Engineer', company: 'Petronas', dateRange: 'Sep 2019 - Mar 2022', duration: '2 yrs 7 mos', employmentType: 'Full-time', location: 'Kuala Lumpur, Malaysia', startDate: '2019-09', endDate: '2022-03', isCurrent: false, durationMonths: 31 },
+      { title: 'Consultant', company: 'Deloitte', dateRange: 'Jun 2016 - Aug 2019', duration: '3 yrs 3 mos', employmentType: 'Contract', location: 'Singapore', startDate: '2016-06', endDate: '2019-08', isCurrent: false, durationMonths: 39 },
+      { title: 'Engineering Intern', company: 'Shell', dateRange: 'Jun 2015 - Aug 2015', duration: '3 mos', employmentType: 'Internship', location: '', startDate: '2015-06', endDate: '2015-08', isCurrent: false, durationMonths: 3 }
+    ]
+  }
+};
+
+test('every saved fixture has expectations', () => {
+  const files = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.html')).sort();
+  assert.deepEqual(files, Object.keys(EXPECTED).sort());
+});
+
+for (const [file, expected] of Object.entries(EXPECTED)) {
+  test(`parses ${file}`, () => {
+    const profile = parseFixture(file);
+    assert.equal(profile.name, expected.name);
+    assert.equal(profile.title, expected.title);
+    assert.equal(profile.company, expected.company);
+    assert.equal(profile.location, expected.location);
+    assert.deepEqual(profile.education, expected.education);
+    assert.deepEqual(profile.educationDetails, expected.educationDetails);
+    assert.deepEqual(profile.pastRoles.map(roleSummary), expected.roles);
+  });
+}
+
+test('maps profile URLs to files inside the fixtures directory', () => {
+  assert.equal(fixturePathForUrl('https://www.linkedin.com/in/jane-tan-sample/'), path.resolve(FIXTURES_DIR, 'jane-tan-sample.html'));
+});
+
+test('rejects profile URLs whose decoded slug leaves the fixtures directory', () => {
+  for (const slug of ['..%2F..%2Fpackage', '..%5C..%5Cpackage', '%2E%2E', 'a%2Fb', '%E0%A4%A']) {
+    assert.throws(() => fixturePathForUrl(`https://www.linkedin.com/in/${slug}/`), { type: 'invalid_url' }, slug);
+  }
+});
@@ -1,14 +1,84 @@
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
-import csv from 'csv-parser';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { createObjectCsvWriter } from 'csv-writer';
-import { scrapeLinkedInProfile, isValidLinkedInUrl, cleanupBrowser } from './scraper.js';
+import { cleanupBrowser } from './scraper.js';
+import { openStore, flush } from './db.js';
+import { getJob, getProfile, listProfiles } from './repository.js';
+import { getProfileHistory } from './profileHistory.js';
+import {
+  createJob,
+  processUrls,
+  recoverInterruptedJobs,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  retryFailedProfiles,
+  jobEvents,
+  jobSummary,
+  isJobFinished
+} from './jobs.js';
+import { listExtractors, resolveExtractionOptions, HTML_SOURCES, DEFAULT_STRATEGY, DEFAULT_SOURCE } from './extractors/index.js';
+import { listFixtureUrls, FIXTURES_DIR } from './fixtures.js';
+import { createImport, remapImport, confirmImport, importFile } from './csvImport.js';
+import { buildAlumniWorkbook, isXlsxFile, XLSX_MIME_TYPE } from './spreadsheets.js';
+import { parseProfileFilters, filterProfiles, parseProfileQuery, queryProfiles } from './profileQuery.js';
+import { EXPORT_COLUMNS, EXPORT_FORMATS, DEFAULT_EXPORT_COLUMNS, parseExportColumns, streamExport } from './exporter.js';
+import { listAliasEntries, addAliases, updateAliasEntry, removeAliasEntry, mergeAliases, aliasSuggestions, getAliasIndex } from './aliases.js';
+import { classifyStoredProfile } from './classification.js';
+import { getLLMStatus, getProvider, isAIConfigured } from './llm/index.js';
+import { usageReport, updateBudget } from './llm/usage.js';
+import { cacheStats, clearCache } from './llm/cache.js';
+import { requireProfile, updateProfile, setConsent, removeProfile, rescrapeProfile } from './profiles.js';
+import { profileAuditTrail, auditLog, recordAudit } from './audit.js';
+import {
+  ROLES,
+  authenticate,
+  requireRole,
+  requestToken,
+  sessionCookie,
+  login,
+  logout,
+  hasUsers,
+  setupFirstAdmin,
+  ensureAdminUser,
+  listUsers,
+  createUser,
+  updateUser,
+  removeUser
+} from './auth.js';
+import {
+  createSelfUpdateLink,
+  getSelfUpdateForm,
+  submitSelfUpdate,
+  verifyWebhookSignature,
+  intakeWebhook,
+  listSelfUpdates,
+  approveSelfUpdate,
+  rejectSelfUpdate
+} from './selfUpdates.js';
+import {
+  isOptedOut,
+  exportableProfiles,
+  subjectAccessExport,
+  getRetentionPolicy,
+  updateRetentionPolicy,
+  purgeStaleData
+} from './privacy.js';
+import {
+  parseAnalyticsQuery,
+  analyticsOverview,
+  topEmployers,
+  industryDistribution,
+  locationDistribution,
+  seniorityByCohort,
+  careerMoves,
+  employerFlows
+} from './analytics.js';
+import { startScheduler, stopScheduler, getRefreshSchedule, updateRefreshSchedule, runRefresh } from './scheduler.js';
 import dotenv from 'dotenv';
-import { parse } from 'csv-parse/sync';
 
 // Load environment variables
 dotenv.config();
@@ -22,11 +92,18 @@ const PORT = process.env.PORT || 3001;
 // Middleware
 app.use(cors({
   origin: ['http://localhost:5173', 'http://127.0.0.1:5173'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: true
 }));
-app.use(express.json());
+// Keep the raw body for checking webhook signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+// Who is signed in; routes check roles with requireRole (see auth.js)
+app.use('/api', authenticate);
 
 // Storage for uploaded files
 const storage = multer.diskStorage({
@@ -45,39 +122,342 @@ const storage = multer.diskStorage({
 const upload = multer({ 
   storage: storage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.mimetype === 'application/vnd.ms-excel') {
+    if (file.mimetype === 'text/csv' || file.mimetype === 'application/vnd.ms-excel' || /\.csv$/i.test(file.originalname) || isXlsxFile(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'));
+      cb(new Error('Only CSV and Excel (.xlsx) files are allowed'));
     }
   }
 });
 
-// In-memory storage for jobs and profiles
-const jobs = new Map();
-const profiles = new Map();
+// Accept a single uploaded file, answering rejected files with a JSON error
+function acceptUpload(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      console.error('Upload rejected:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+}
 
 // Cleanup browser on server shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down server...');
+  flush();
   await cleanupBrowser();
   process.exit(0);
 });
 
-// Helper function to generate job ID
-function generateJobId() {
-  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+// Sign in with { username, password }. Sets the session cookie and also
+// returns the token for scripts to send as "Authorization: Bearer <token>".
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const session = login(req.body || {}, { ip: req.ip });
+    res.setHeader('Set-Cookie', sessionCookie(session.token, session.expiresAt));
+    res.json(session);
+  } catch (error) {
+    console.error('Login error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  logout(requestToken(req));
+  res.setHeader('Set-Cookie', sessionCookie(null));
+  res.json({ signedOut: true });
+});
+
+// The signed-in user, if any; setupRequired while there are no users at all
+app.get('/api/auth/session', (req, res) => {
+  res.json({ user: req.user, roles: ROLES, setupRequired: !hasUsers() });
+});
+
+// Create the first admin; only works while there are no users
+app.post('/api/auth/setup', (req, res) => {
+  try {
+    const { username, name, password } = req.body || {};
+    setupFirstAdmin({ username, name, password });
+    const session = login({ username, password });
+    res.setHeader('Set-Cookie', sessionCookie(session.token, session.expiresAt));
+    res.json(session);
+  } catch (error) {
+    console.error('Setup error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// User accounts
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json(listUsers());
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    const { username, name, password, role } = req.body || {};
+    res.json(createUser({ username, name, password, role }, requestActor(req)));
+  } catch (error) {
+    console.error('User create error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// { name, role, password, disabled }
+app.patch('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    res.json(updateUser(req.params.id, req.body || {}, requestActor(req)));
+  } catch (error) {
+    console.error('User update error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(409).json({ error: 'You cannot delete your own account' });
+    }
+    res.json(removeUser(req.params.id, requestActor(req)));
+  } catch (error) {
+    console.error('User delete error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Everything people did, newest first; ?actor=, ?action= (e.g. job, export) and ?limit=
+app.get('/api/audit', requireRole('admin'), (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 200, 1000);
+  res.json({ entries: auditLog({ actor: req.query.actor || null, action: req.query.action || null, limit }) });
+});
+
+// Search, filter, sort and page through profiles. Returns one page with the
+// total, facet counts for the filter dropdowns and the cursor of the next page.
+app.get('/api/profiles', requireRole('viewer'), (req, res) => {
+  try {
+    const result = queryProfiles(listProfiles(), parseProfileQuery(req.query));
+    console.log(`Serving profiles: ${result.profiles.length} of ${result.total}`);
+    res.json(result);
+  } catch (error) {
+    console.error('Profile query error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Career outcome aggregates. Each report takes the same filters as
+// GET /api/profiles, plus `top` for ranked lists and `by` where noted.
+const ANALYTICS_REPORTS = {
+  overview: analyticsOverview,
+  employers: topEmployers,
+  industries: industryDistribution,
+  locations: (profiles, options, query) => locationDistribution(profiles, options, query.by),
+  seniority: (profiles, options, query) => seniorityByCohort(profiles, options, query.by),
+  moves: careerMoves,
+  flows: employerFlows
+};
+
+app.get('/api/analytics/:report', requireRole('viewer'), (req, res) => {
+  const report = ANALYTICS_REPORTS[req.params.report];
+  if (!report) {
+    return res.status(404).json({ error: `Unknown report: ${req.params.report}. Use one of ${Object.keys(ANALYTICS_REPORTS).join(', ')}` });
+  }
+
+  try {
+    res.json(report(listProfiles(), parseAnalyticsQuery(req.query), req.query));
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/profiles/:id', requireRole('viewer'), (req, res) => {
+  try {
+    res.json(requireProfile(req.params.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Who made a change: the signed-in user
+function requestActor(req) {
+  return req.user.username;
+}
+
+// Record that the signed-in user started, controlled or exported something
+function auditAction(req, action, details) {
+  recordAudit({ actor: requestActor(req), action, details });
 }
 
-// Get all profiles
-app.get('/api/profiles', (req, res) => {
-  const profilesArray = Array.from(profiles.values());
-  console.log('Serving profiles:', profilesArray.length);
-  res.json(profilesArray);
+// Edit alumni details directly, or override scraped and classified fields
+// (name, title, company, location, summary, industry, jobFunction,
+// seniority) and set contact preferences; see profiles.js
+app.patch('/api/profiles/:id', requireRole('staff'), (req, res) => {
+  try {
+    res.json(updateProfile(req.params.id, req.body, requestActor(req)));
+  } catch (error) {
+    console.error('Profile update error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Erase a profile with its snapshots and its traces in jobs, self-updates and
+// the audit log. ?optOut=true keeps it on the do-not-scrape register.
+app.delete('/api/profiles/:id', requireRole('admin'), (req, res) => {
+  try {
+    res.json(removeProfile(req.params.id, requestActor(req), { optOut: req.query.optOut === 'true' }));
+  } catch (error) {
+    console.error('Profile delete error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Record consent: { status: 'unknown' | 'granted' | 'opted_out', note }
+app.put('/api/profiles/:id/consent', requireRole('staff'), (req, res) => {
+  try {
+    res.json(setConsent(req.params.id, req.body || {}, requestActor(req)));
+  } catch (error) {
+    console.error('Consent update error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Everything stored about the alumnus, for a subject access request
+app.get('/api/profiles/:id/subject-access', requireRole('admin'), (req, res) => {
+  try {
+    const data = subjectAccessExport(req.params.id);
+    recordAudit({ actor: requestActor(req), action: 'profile.subject-access', profileId: req.params.id });
+    res.setHeader('Content-Disposition', `attachment; filename=${req.params.id}_subject_access.json`);
+    res.json(data);
+  } catch (error) {
+    console.error('Subject access export error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Who changed the profile and how, newest first
+app.get('/api/profiles/:id/audit', requireRole('staff'), (req, res) => {
+  try {
+    requireProfile(req.params.id);
+    res.json({ profileId: req.params.id, entries: profileAuditTrail(req.params.id) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// A personal link to the public self-update form for the alumnus
+app.post('/api/profiles/:id/self-update-link', requireRole('staff'), (req, res) => {
+  try {
+    res.json(createSelfUpdateLink(req.params.id, requestActor(req)));
+  } catch (error) {
+    console.error('Self-update link error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Public self-update form: the token is the only credential
+app.get('/api/self-update/:token', (req, res) => {
+  try {
+    res.json(getSelfUpdateForm(req.params.token));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/self-update/:token', (req, res) => {
+  try {
+    res.json(submitSelfUpdate(req.params.token, req.body));
+  } catch (error) {
+    console.error('Self-update error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Submissions from form services, signed with SELF_UPDATE_WEBHOOK_SECRET in
+// the X-Signature header
+app.post('/api/webhooks/self-update', (req, res) => {
+  try {
+    verifyWebhookSignature(req.rawBody, req.get('X-Signature'));
+    res.status(202).json(intakeWebhook(req.body));
+  } catch (error) {
+    console.error('Self-update webhook error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Self-update submissions for staff review; ?status=pending|approved|rejected
+app.get('/api/self-updates', requireRole('staff'), (req, res) => {
+  res.json(listSelfUpdates(req.query.status || null));
+});
+
+// Merge a submission into the profile; `fields` picks which proposed values
+// to take and `profileId` assigns one that matched no profile
+app.post('/api/self-updates/:id/approve', requireRole('staff'), (req, res) => {
+  try {
+    res.json(approveSelfUpdate(req.params.id, { fields: req.body?.fields, profileId: req.body?.profileId }, requestActor(req)));
+  } catch (error) {
+    console.error('Self-update approval error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/self-updates/:id/reject', requireRole('staff'), (req, res) => {
+  try {
+    res.json(rejectSelfUpdate(req.params.id, { reason: req.body?.reason }, requestActor(req)));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Scrape one profile again now; follow the returned job like any other
+app.post('/api/profiles/:id/rescrape', requireRole('admin'), (req, res) => {
+  try {
+    const job = rescrapeProfile(req.params.id, { strategy: req.body?.strategy, source: req.body?.source });
+    recordAudit({ actor: requestActor(req), action: 'profile.rescrape', profileId: req.params.id, details: { jobId: job.jobId } });
+    res.json({ jobId: job.jobId, totalProfiles: job.totalProfiles, extraction: job.extraction });
+  } catch (error) {
+    console.error('Re-scrape error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get the scrape history of a profile with field-level changes, newest first
+app.get('/api/profiles/:id/history', requireRole('viewer'), (req, res) => {
+  const { id } = req.params;
+  const profile = getProfile(id);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+
+  res.json({
+    profileId: id,
+    linkedinUrl: profile.linkedinUrl,
+    snapshots: getProfileHistory(id)
+  });
 });
 
-// API endpoint to upload CSV file
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+// Classify a profile again (industry, job function, seniority), with the LLM
+// when one is configured
+app.post('/api/profiles/:id/classify', requireRole('staff'), async (req, res) => {
+  try {
+    const profile = await classifyStoredProfile(req.params.id, getAliasIndex());
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Classification error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Extraction strategy and HTML source can be chosen per job
+function extractionFromBody(body) {
+  return resolveExtractionOptions({ strategy: body.strategy, source: body.source });
+}
+
+// API endpoint to upload a CSV or .xlsx file and create a job in one step,
+// mapping columns automatically (see /api/import for the reviewed flow).
+// For workbooks the optional `sheet` field picks a sheet by name or position.
+app.post('/api/upload', requireRole('admin'), acceptUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -85,126 +465,73 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
 
     console.log('File received:', req.file);
 
-    const filePath = req.file.path;
-    const urls = await parseCSV(filePath);
-    
-    if (!urls || urls.length === 0) {
-      return res.status(400).json({ error: 'No valid LinkedIn URLs found in the CSV file' });
+    let extraction;
+    try {
+      extraction = extractionFromBody(req.body);
+    } catch (optionError) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error: optionError.message });
     }
-    
-    // Create a new job
-    const jobId = Date.now().toString();
-    const job = {
-      jobId,
-      status: 'pending',
-      totalProfiles: urls.length,
-      processedProfiles: 0,
-      successfulProfiles: 0,
-      failedProfiles: 0,
-      currentProfile: '',
-      results: [],
-      startedAt: new Date().toISOString(),
-      completedAt: null,
-      errors: [],
-      urls: urls // Store the URLs in the job
-    };
-    
-    jobs.set(jobId, job);
-    
+
+    const { job, report, mapping } = await importFile(req.file, { extraction, sheet: req.body.sheet });
+    auditAction(req, 'job.create', { jobId: job.jobId, totalProfiles: job.totalProfiles, file: req.file.originalname });
+
     // Return the job ID without starting the scraping
-    res.json({ jobId, totalProfiles: urls.length });
+    res.json({ jobId: job.jobId, totalProfiles: job.totalProfiles, mapping, report });
   } catch (error) {
     console.error('Upload error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: error.message || 'Failed to process the uploaded file',
-      details: error.stack
+      details: error.status ? undefined : error.stack
     });
   }
 });
 
-// Process URLs for a job
-async function processUrls(jobId) {
-  const job = jobs.get(jobId);
-  if (!job) {
-    console.error(`Job ${jobId} not found`);
-    return;
-  }
-
-  console.log(`Starting to process ${job.urls.length} URLs for job ${jobId}`);
-  job.status = 'running';
-  job.startedAt = new Date().toISOString();
-  job.processedProfiles = 0;
-  job.successfulProfiles = 0;
-  job.failedProfiles = 0;
-  job.results = [];
-  job.errors = [];
-
-  try {
-    for (const url of job.urls) {
-      try {
-        console.log(`Processing URL: ${url}`);
-        job.currentProfile = url;
-        job.processedProfiles++;
-
-        if (!isValidLinkedInUrl(url)) {
-          console.error(`Invalid LinkedIn URL: ${url}`);
-          job.errors.push({
-            url,
-            error: 'Invalid LinkedIn URL'
-          });
-          job.failedProfiles++;
-          continue;
-        }
-
-        console.log(`Scraping profile: ${url}`);
-        const profile = await scrapeLinkedInProfile(url);
-        console.log(`Successfully scraped profile:`, profile);
-
-        if (profile) {
-          job.results.push(profile);
-          job.successfulProfiles++;
-          // Store in profiles map
-          profiles.set(profile.id, profile);
-        } else {
-          console.error(`Failed to scrape profile: ${url}`);
-          job.errors.push({
-            url,
-            error: 'Failed to scrape profile'
-          });
-          job.failedProfiles++;
-        }
-
-        // Add delay between requests
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      } catch (error) {
-        console.error(`Error processing URL ${url}:`, error);
-        job.errors.push({
-          url,
-          error: error.message
-        });
-        job.failedProfiles++;
-      }
+// Stage a CSV or .xlsx file: returns its sheets, columns, sample rows, a
+// suggested column mapping and the validation report for that mapping
+app.post('/api/import/preview', requireRole('admin'), acceptUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
     }
+    res.json(await createImport(req.file, { sheet: req.body.sheet }));
+  } catch (error) {
+    console.error('Import preview error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    job.status = 'completed';
-    job.completedAt = new Date().toISOString();
-    console.log(`Job ${jobId} completed. Results:`, {
-      total: job.totalProfiles,
-      successful: job.successfulProfiles,
-      failed: job.failedProfiles
-    });
+// Re-validate a staged import with the user's sheet and column mapping
+app.post('/api/import/:importId/validate', requireRole('admin'), (req, res) => {
+  try {
+    res.json(remapImport(req.params.importId, { mapping: req.body.mapping, sheet: req.body.sheet }));
   } catch (error) {
-    console.error(`Error in job ${jobId}:`, error);
-    job.status = 'failed';
-    job.completedAt = new Date().toISOString();
-    job.errors.push({
-      error: error.message
-    });
+    console.error(`Import validation error for ${req.params.importId}:`, error.message);
+    res.status(error.status || 500).json({ error: error.message });
   }
-}
+});
+
+// Create the scraping job from the valid rows of a staged import
+app.post('/api/import/:importId/confirm', requireRole('admin'), (req, res) => {
+  try {
+    let extraction;
+    try {
+      extraction = extractionFromBody(req.body);
+    } catch (optionError) {
+      return res.status(400).json({ error: optionError.message });
+    }
+
+    const { job, report } = confirmImport(req.params.importId, { mapping: req.body.mapping, extraction });
+    auditAction(req, 'job.create', { jobId: job.jobId, totalProfiles: job.totalProfiles, importId: req.params.importId });
+    res.json({ jobId: job.jobId, totalProfiles: job.totalProfiles, report: report.summary });
+  } catch (error) {
+    console.error(`Import confirm error for ${req.params.importId}:`, error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
 // API endpoint to start scraping
-app.post('/api/scrape', async (req, res) => {
+app.post('/api/scrape', requireRole('admin'), async (req, res) => {
   try {
     const { jobId } = req.body;
     console.log(`Received scrape request for job ${jobId}`);
@@ -214,7 +541,7 @@ app.post('/api/scrape', async (req, res) => {
       return res.status(400).json({ error: 'Job ID is required' });
     }
 
-    const job = jobs.get(jobId);
+    const job = getJob(jobId);
     if (!job) {
       console.error(`Job ${jobId} not found`);
       return res.status(404).json({ error: 'Job not found' });
@@ -230,7 +557,16 @@ app.post('/api/scrape', async (req, res) => {
       return res.status(400).json({ error: 'Job is already completed' });
     }
 
+    if (job.status === 'paused') {
+      return res.status(400).json({ error: 'Job is paused, resume it instead' });
+    }
+
+    if (job.status === 'cancelled') {
+      return res.status(400).json({ error: 'Job was cancelled' });
+    }
+
     console.log(`Starting scraping for job ${jobId}`);
+    auditAction(req, 'job.start', { jobId, totalProfiles: job.totalProfiles });
     // Start processing in the background
     processUrls(jobId).catch(error => {
       console.error(`Error in background processing for job ${jobId}:`, error);
@@ -248,11 +584,11 @@ app.post('/api/scrape', async (req, res) => {
 });
 
 // API endpoint to get job status
-app.get('/api/job/:jobId', (req, res) => {
+app.get('/api/job/:jobId', requireRole('viewer'), (req, res) => {
   const { jobId } = req.params;
   console.log(`Getting status for job ${jobId}`);
   
-  const job = jobs.get(jobId);
+  const job = getJob(jobId);
   if (!job) {
     console.error(`Job ${jobId} not found`);
     return res.status(404).json({ error: 'Job not found' });
@@ -262,108 +598,375 @@ app.get('/api/job/:jobId', (req, res) => {
   res.json(job);
 });
 
-// Export data
-app.post('/api/export/:format', (req, res) => {
-  try {
-    const { format } = req.params;
-    const { data } = req.body;
-    
-    if (format === 'csv') {
-      const csvWriter = createObjectCsvWriter({
-        path: path.join(__dirname, 'temp_export.csv'),
-        header: [
-          { id: 'name', title: 'Name' },
-          { id: 'title', title: 'Current Title' },
-          { id: 'company', title: 'Current Company' },
-          { id: 'location', title: 'Location' },
-          { id: 'summary', title: 'AI Summary' },
-          { id: 'education', title: 'Education' },
-          { id: 'linkedinUrl', title: 'LinkedIn URL' },
-          { id: 'scrapedAt', title: 'Scraped At' }
-        ]
-      });
-      
-      const csvData = data.map(item => ({
-        ...item,
-        education: item.education.join('; '),
-        pastRoles: item.pastRoles.map(role => 
-          `${role.title} at ${role.company} (${role.years})`
-        ).join('; ')
-      }));
-      
-      csvWriter.writeRecords(csvData).then(() => {
-        res.download(path.join(__dirname, 'temp_export.csv'), 'alumni_data.csv', (err) => {
-          if (!err) {
-            fs.unlinkSync(path.join(__dirname, 'temp_export.csv'));
-          }
-        });
-      });
-    } else if (format === 'json') {
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', 'attachment; filename=alumni_data.json');
-      res.send(JSON.stringify(data, null, 2));
-    } else {
-      res.status(400).json({ error: 'Invalid format' });
+// Stream live job progress as Server-Sent Events.
+// Sends a 'snapshot' first, then 'status', 'progress', 'profile' and
+// 'profile-error' events as they happen, and 'done' when the job finishes.
+const SSE_HEARTBEAT_MS = 15000;
+
+app.get('/api/job/:jobId/events', requireRole('viewer'), (req, res) => {
+  const { jobId } = req.params;
+  const job = getJob(jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('snapshot', jobSummary(job));
+  if (isJobFinished(job)) {
+    send('done', jobSummary(job));
+    return res.end();
+  }
+
+  const onEvent = ({ type, data }) => {
+    send(type, data);
+    if (type === 'done') {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    jobEvents.off(jobId, onEvent);
+  }
+
+  jobEvents.on(jobId, onEvent);
+  req.on('close', cleanup);
+});
+
+// Job controls: pause, resume and cancel are honoured between profiles
+function handleJobControl(action) {
+  return (req, res) => {
+    const { jobId } = req.params;
+    try {
+      console.log(`Received ${action.name} request for job ${jobId}`);
+      const job = action(jobId);
+      auditAction(req, `job.${action.name.replace(/Job$/, '')}`, { jobId });
+      res.json(jobSummary(job));
+    } catch (error) {
+      console.error(`Error in ${action.name} for job ${jobId}:`, error.message);
+      res.status(error.status || 500).json({ error: error.message });
     }
+  };
+}
+
+app.post('/api/job/:jobId/pause', requireRole('admin'), handleJobControl(pauseJob));
+app.post('/api/job/:jobId/resume', requireRole('admin'), handleJobControl(resumeJob));
+app.post('/api/job/:jobId/cancel', requireRole('admin'), handleJobControl(cancelJob));
+
+// Spawn a child job that re-scrapes only the failed profiles of a finished job
+app.post('/api/job/:jobId/retry-failed', requireRole('admin'), (req, res) => {
+  const { jobId } = req.params;
+  try {
+    const child = retryFailedProfiles(jobId);
+    auditAction(req, 'job.retry', { jobId: child.jobId, parentJobId: jobId, totalProfiles: child.totalProfiles });
+    res.json({ jobId: child.jobId, parentJobId: jobId, totalProfiles: child.totalProfiles });
   } catch (error) {
-    console.error('Export error:', error);
-    res.status(500).json({ error: 'Export failed' });
+    console.error(`Error retrying failed profiles for job ${jobId}:`, error.message);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  const hasGeminiKey = process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here';
-  res.json({ 
-    status: 'ok', 
-    geminiConfigured: hasGeminiKey,
-    message: hasGeminiKey ? 'Gemini AI enabled' : 'Using mock AI service - add GEMINI_API_KEY to enable real AI'
+// Available extraction strategies and HTML sources
+app.get('/api/extractors', requireRole('viewer'), (req, res) => {
+  res.json({
+    strategies: listExtractors(),
+    sources: HTML_SOURCES,
+    defaults: { strategy: DEFAULT_STRATEGY, source: DEFAULT_SOURCE },
+    fixtures: listFixtureUrls().length
   });
 });
 
-// Function to parse CSV file
-async function parseCSV(filePath) {
+// Start a job over every saved HTML fixture, for developing and
+// regression-testing extraction without hitting LinkedIn
+app.post('/api/fixtures/scrape', requireRole('admin'), (req, res) => {
   try {
-    console.log('Reading CSV file:', filePath);
-    const fileContent = fs.readFileSync(filePath, 'utf-8');
-    
-    const records = parse(fileContent, {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true
+    const urls = listFixtureUrls();
+    if (urls.length === 0) {
+      return res.status(400).json({ error: `No HTML fixtures found in ${FIXTURES_DIR}` });
+    }
+
+    const extraction = resolveExtractionOptions({ strategy: req.body.strategy || 'cheerio', source: 'fixtures' });
+    const job = createJob(urls, { type: 'fixtures', extraction });
+    auditAction(req, 'job.start', { jobId: job.jobId, totalProfiles: job.totalProfiles, type: 'fixtures' });
+    processUrls(job.jobId).catch(error => {
+      console.error(`Error in background processing for job ${job.jobId}:`, error);
     });
 
-    console.log('Parsed CSV records:', records);
+    res.json({ jobId: job.jobId, totalProfiles: job.totalProfiles, extraction });
+  } catch (error) {
+    console.error('Error starting fixture job:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    // Extract LinkedIn URLs from the CSV
-    const urls = records
-      .map(record => {
-        // Try different possible column names for LinkedIn URL
-        const url = record.linkedin_url || record.linkedinUrl || record.url || record.URL || record.LinkedIn;
-        return url ? url.trim() : null;
-      })
-      .filter(url => url && isValidLinkedInUrl(url));
+// Get the periodic refresh schedule
+app.get('/api/schedule', requireRole('viewer'), (req, res) => {
+  res.json(getRefreshSchedule());
+});
 
-    console.log('Extracted LinkedIn URLs:', urls);
+// Update refresh cadence, batch size or enable/disable the schedule
+app.put('/api/schedule', requireRole('admin'), (req, res) => {
+  try {
+    const { enabled, intervalHours, batchSize } = req.body;
+    const schedule = updateRefreshSchedule({ enabled, intervalHours, batchSize });
+    auditAction(req, 'schedule.update', { enabled: schedule.enabled, intervalHours: schedule.intervalHours, batchSize: schedule.batchSize });
+    res.json(schedule);
+  } catch (error) {
+    console.error('Schedule update error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    // Clean up the file after parsing
-    try {
-      fs.unlinkSync(filePath);
-      console.log('Cleaned up CSV file');
-    } catch (cleanupError) {
-      console.error('Error cleaning up CSV file:', cleanupError);
+// Trigger a refresh run immediately
+app.post('/api/schedule/run', requireRole('admin'), (req, res) => {
+  try {
+    const job = runRefresh();
+    if (!job) {
+      return res.status(409).json({
+        error: 'A refresh is already running or there are no stored profiles to refresh',
+        schedule: getRefreshSchedule()
+      });
     }
+    auditAction(req, 'job.start', { jobId: job.jobId, totalProfiles: job.totalProfiles, type: 'refresh' });
+    res.json({ jobId: job.jobId, totalProfiles: job.totalProfiles, schedule: getRefreshSchedule() });
+  } catch (error) {
+    console.error('Error starting refresh:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    return urls;
+// Retention of old snapshots and finished jobs' results, in days (0 keeps
+// them forever). The scheduler purges once a day.
+app.get('/api/retention', requireRole('admin'), (req, res) => {
+  res.json(getRetentionPolicy());
+});
+
+app.put('/api/retention', requireRole('admin'), (req, res) => {
+  try {
+    const { snapshotDays, jobResultDays } = req.body;
+    const policy = updateRetentionPolicy({ snapshotDays, jobResultDays });
+    auditAction(req, 'retention.update', { snapshotDays: policy.snapshotDays, jobResultDays: policy.jobResultDays });
+    res.json(policy);
   } catch (error) {
-    console.error('Error parsing CSV:', error);
-    throw new Error('Failed to parse CSV file: ' + error.message);
+    console.error('Retention update error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
   }
-}
+});
+
+app.post('/api/retention/purge', requireRole('admin'), (req, res) => {
+  try {
+    const policy = purgeStaleData();
+    auditAction(req, 'retention.purge', policy.lastPurge);
+    res.json(policy);
+  } catch (error) {
+    console.error('Retention purge error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Model usage: calls, tokens and estimated cost per day, the daily budgets
+// and the reply cache
+
+// Provider, per-task models and today's usage, budget and cache statistics
+app.get('/api/llm/status', requireRole('staff'), (req, res) => {
+  res.json(getLLMStatus());
+});
+
+app.get('/api/llm/usage', requireRole('staff'), (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+  res.json({ ...usageReport(days), cache: cacheStats() });
+});
+
+app.put('/api/llm/budget', requireRole('admin'), (req, res) => {
+  try {
+    const { dailyTokens, dailyCost } = req.body;
+    const budget = updateBudget({ dailyTokens, dailyCost });
+    auditAction(req, 'llm.budget.update', { dailyTokens: budget.dailyTokens, dailyCost: budget.dailyCost });
+    res.json(budget);
+  } catch (error) {
+    console.error('LLM budget update error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/llm/cache', requireRole('admin'), (req, res) => {
+  try {
+    const removed = clearCache();
+    auditAction(req, 'llm.cache.clear', { removed });
+    res.json({ removed, cache: cacheStats() });
+  } catch (error) {
+    console.error('LLM cache clear error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Alias dictionary for company and title normalisation. Every change
+// re-normalises stored profiles; responses report how many changed.
+app.get('/api/aliases', requireRole('viewer'), (req, res) => {
+  try {
+    res.json(listAliasEntries(req.query.kind || null));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Company names on profiles that no alias matches exactly, with the closest entry
+app.get('/api/aliases/suggestions', requireRole('viewer'), (req, res) => {
+  res.json(aliasSuggestions());
+});
+
+app.post('/api/aliases', requireRole('staff'), (req, res) => {
+  try {
+    const { kind, canonical, aliases, industry } = req.body;
+    res.json(addAliases({ kind, canonical, aliases, industry }));
+  } catch (error) {
+    console.error('Alias update error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Merge spellings or whole entries into one canonical name
+app.post('/api/aliases/merge', requireRole('staff'), (req, res) => {
+  try {
+    const { kind, canonical, names, industry } = req.body;
+    const result = mergeAliases({ kind, canonical, names, industry });
+    console.log(`Merged ${names.length} names into ${result.entry.id}`);
+    res.json(result);
+  } catch (error) {
+    console.error('Alias merge error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/aliases/:id', requireRole('staff'), (req, res) => {
+  try {
+    const { canonical, aliases, industry } = req.body;
+    res.json(updateAliasEntry(req.params.id, { canonical, aliases, industry }));
+  } catch (error) {
+    console.error('Alias update error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/aliases/:id', requireRole('staff'), (req, res) => {
+  try {
+    res.json(removeAliasEntry(req.params.id));
+  } catch (error) {
+    console.error('Alias delete error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Columns that can be chosen for exports
+app.get('/api/export/columns', requireRole('viewer'), (req, res) => {
+  res.json({
+    columns: EXPORT_COLUMNS.map(({ key, header }) => ({ key, header })),
+    defaults: DEFAULT_EXPORT_COLUMNS
+  });
+});
+
+// Export stored profiles matching the dashboard filters (search, company,
+// location, cohort, changedSince), streamed as CSV, JSON or NDJSON with an
+// optional comma-separated `columns` list. `xlsx` returns the workbook, its
+// Profiles sheet limited to the same columns.
+// Opted-out alumni are never exported.
+app.get('/api/export', requireRole('admin'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format] && format !== 'xlsx') {
+      return res.status(400).json({ error: `Invalid format: ${format}. Use csv, json, ndjson or xlsx` });
+    }
+
+    const filters = parseProfileFilters(req.query);
+    const columns = parseExportColumns(req.query.columns);
+    const profiles = exportableProfiles(filterProfiles(listProfiles(), filters));
+    console.log(`Exporting ${profiles.length} profiles as ${format}`, filters);
+    auditAction(req, 'export', { format, filters, columns: columns ? columns.map(column => column.key) : null, count: profiles.length });
+
+    if (format === 'xlsx') {
+      const workbook = await buildAlumniWorkbook(profiles, columns);
+      res.setHeader('Content-Type', XLSX_MIME_TYPE);
+      res.setHeader('Content-Disposition', 'attachment; filename=alumni_data.xlsx');
+      return res.send(Buffer.from(workbook));
+    }
+
+    await streamExport(res, format, profiles, columns);
+  } catch (error) {
+    console.error('Export error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Export failed' });
+  }
+});
+
+// Export rows posted by the client. Kept for older clients; prefer GET /api/export.
+app.post('/api/export/:format', requireRole('admin'), async (req, res) => {
+  try {
+    const { format } = req.params;
+    if (!Array.isArray(req.body.data)) {
+      return res.status(400).json({ error: 'Body must contain a data array' });
+    }
+    const data = req.body.data.filter(row => !isOptedOut(row.id));
+    auditAction(req, 'export', { format, count: data.length });
+
+    if (format === 'xlsx') {
+      // Separate Profiles, Past Roles and Education sheets joined on profile id
+      const workbook = await buildAlumniWorkbook(data);
+      res.setHeader('Content-Type', XLSX_MIME_TYPE);
+      res.setHeader('Content-Disposition', 'attachment; filename=alumni_data.xlsx');
+      return res.send(Buffer.from(workbook));
+    }
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: 'Invalid format' });
+    }
+
+    await streamExport(res, format, data);
+  } catch (error) {
+    console.error('Export error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
+
+// Health check endpoint. Open to everyone, so it only says whether the server
+// is up and which provider answers; usage and models are under /api/llm/status
+app.get('/api/health', (req, res) => {
+  const llm = { provider: getProvider().name, configured: isAIConfigured() };
+  res.json({
+    status: 'ok',
+    geminiConfigured: llm.provider === 'gemini',
+    llm,
+    message: llm.configured
+      ? `AI enabled (${llm.provider})`
+      : 'Using mock AI service - set GEMINI_API_KEY, OPENAI_API_KEY or OPENAI_BASE_URL to enable real AI'
+  });
+});
 
-// Function to start the server
 async function startServer() {
   try {
+    // Load persisted jobs and profiles
+    openStore();
+    ensureAdminUser();
+    recoverInterruptedJobs();
+    startScheduler();
+
     // Cleanup any existing browser session
     await cleanupBrowser();
     
@@ -389,6 +992,8 @@ async function startServer() {
     // Handle process termination
     process.on('SIGINT', async () => {
       console.log('Shutting down server...');
+      stopScheduler();
+      flush();
       await cleanupBrowser();
       server.close(() => {
         console.log('Server closed');
@@ -398,6 +1003,8 @@ async function startServer() {
 
     process.on('SIGTERM', async () => {
       console.log('Received SIGTERM. Shutting down server...');
+      stopScheduler();
+      flush();
       await cleanupBrowser();
       server.close(() => {
         console.log('Server closed');
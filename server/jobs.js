@@ -0,0 +1,497 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import { scrapeLinkedInProfile, isValidLinkedInUrl, cleanupBrowser, getMaxConcurrentPages } from './scraper.js';
+import { getJob, listJobs, saveJob } from './repository.js';
+import { recordScrape } from './profileHistory.js';
+import { classifyStoredProfile } from './classification.js';
+import { getAliasIndex } from './aliases.js';
+import { isAIConfigured } from './ai.js';
+import { createRateLimiter } from './rateLimiter.js';
+import { runWorkerPool } from './workerPool.js';
+import { ScrapeErrorType, classifyScrapeError, isTransientError } from './scrapeErrors.js';
+import { resolveExtractionOptions } from './extractors/index.js';
+import { skipReason } from './privacy.js';
+import { trackJobUsage, emptyJobUsage } from './llm/usage.js';
+
+// Load environment variables
+dotenv.config();
+
+// A count or duration from the environment; 0 is a valid setting, so only
+// unset, negative or non-numeric values fall back to the default
+function envNumber(name, fallback) {
+  const value = process.env[name];
+  const number = value === undefined || value === '' ? NaN : Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// Minimum spacing between profile requests, plus random jitter on top
+const SCRAPING_DELAY_MS = envNumber('SCRAPING_DELAY_MS', 3000);
+const SCRAPING_JITTER_MS = envNumber('SCRAPING_JITTER_MS', 1000);
+
+// Retries for transient scrape errors (timeouts, rate limiting, network failures)
+const SCRAPE_MAX_RETRIES = Math.floor(envNumber('SCRAPE_MAX_RETRIES', 2));
+const SCRAPE_RETRY_BASE_MS = envNumber('SCRAPE_RETRY_BASE_MS', 10000);
+
+// Jobs whose processing loop is currently running in this process;
+// the browser is closed when the last one finishes
+const activeJobs = new Set();
+
+// Live job updates for Server-Sent Events subscribers. Events are emitted
+// under the job id with a { type, data } payload.
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const TERMINAL_STATUSES = new Set(['completed', 'cancelled', 'failed']);
+
+export function isJobFinished(job) {
+  return TERMINAL_STATUSES.has(job.status);
+}
+
+// Job fields sent to clients; the URL list and full results are left out
+export function jobSummary(job) {
+  const { urls, results, alumni, ...summary } = job;
+  return {
+    ...summary,
+    resultCount: results ? results.length : 0
+  };
+}
+
+function publish(job, type, data) {
+  jobEvents.emit(job.jobId, { type, data });
+}
+
+function publishProgress(job) {
+  publish(job, 'progress', {
+    processedProfiles: job.processedProfiles,
+    successfulProfiles: job.successfulProfiles,
+    failedProfiles: job.failedProfiles,
+    skippedProfiles: job.skippedProfiles || 0,
+    llmUsage: job.llmUsage || emptyJobUsage(),
+    currentProfile: job.currentProfile,
+    cursor: job.cursor
+  });
+}
+
+// Announce a status change, and the end of the stream once the job is finished
+function publishStatus(job) {
+  publish(job, 'status', jobSummary(job));
+  if (isJobFinished(job)) {
+    publish(job, 'done', jobSummary(job));
+  }
+}
+
+// Helper function to generate job ID
+function generateJobId() {
+  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Error for job control requests that don't fit the job's current state
+export class JobStateError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'JobStateError';
+    this.status = status;
+  }
+}
+
+// Create and persist a pending job for a list of profile URLs.
+// `type` records what created the job ('upload', 'refresh', 'retry',
+// 'fixtures' or 'rescrape'); `extraction` is the { strategy, source } used for every profile;
+// `alumni` maps profile URLs to details from the import (cohort, program, ...).
+export function createJob(urls, { type = 'upload', parentJobId = null, extraction = resolveExtractionOptions(), alumni = {} } = {}) {
+  const job = {
+    jobId: generateJobId(),
+    type,
+    extraction,
+    parentJobId,
+    childJobIds: [],
+    status: 'pending',
+    totalProfiles: urls.length,
+    processedProfiles: 0,
+    successfulProfiles: 0,
+    failedProfiles: 0,
+    skippedProfiles: 0,
+    // Model calls, tokens and estimated cost of this job (see llm/usage.js)
+    llmUsage: emptyJobUsage(),
+    currentProfile: '',
+    results: [],
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    errors: [],
+    urls: urls, // Store the URLs in the job
+    alumni,
+    // Index of the first URL not yet processed; URLs finished out of order
+    // past the cursor are held in completedIndexes until it catches up
+    cursor: 0,
+    completedIndexes: []
+  };
+
+  return saveJob(job);
+}
+
+export function isJobActive(job) {
+  return job.status === 'pending' || job.status === 'running' || job.status === 'paused';
+}
+
+// Whether this process is running the job's loop. A cancelled or paused job
+// can still be finishing its in-flight profiles.
+export function isJobProcessing(jobId) {
+  return activeJobs.has(jobId);
+}
+
+// Indexes of URLs that still need processing, in order
+function remainingIndexes(job) {
+  const completed = new Set(job.completedIndexes);
+  const indexes = [];
+  for (let index = job.cursor; index < job.urls.length; index++) {
+    if (!completed.has(index)) {
+      indexes.push(index);
+    }
+  }
+  return indexes;
+}
+
+// Record a finished URL and advance the cursor past every contiguous finished index
+function markIndexCompleted(job, index) {
+  const completed = new Set(job.completedIndexes);
+  completed.add(index);
+  while (completed.has(job.cursor)) {
+    completed.delete(job.cursor);
+    job.cursor++;
+  }
+  job.completedIndexes = Array.from(completed);
+}
+
+function recordFailure(job, url, error, type, attempts) {
+  const entry = {
+    url,
+    error,
+    type,
+    attempts,
+    transient: isTransientError(type)
+  };
+  job.errors.push(entry);
+  job.failedProfiles++;
+  publish(job, 'profile-error', entry);
+}
+
+// Exponential backoff with jitter: base, 2x base, 4x base, ...
+function retryDelay(attempt) {
+  const backoff = SCRAPE_RETRY_BASE_MS * 2 ** (attempt - 1);
+  return backoff + Math.random() * backoff * 0.5;
+}
+
+// Fixture and mock jobs never contact LinkedIn, so they skip rate limiting
+function usesLinkedIn(job) {
+  const { strategy, source } = job.extraction || {};
+  return source !== 'fixtures' && strategy !== 'mock';
+}
+
+async function processUrl(job, url, rateLimiter) {
+  let attempts = 0;
+  try {
+    console.log(`Processing URL: ${url}`);
+    job.currentProfile = url;
+    publishProgress(job);
+
+    // Opted-out alumni are never scraped; erased ones have no URL any more
+    const reason = skipReason(url);
+    if (reason) {
+      console.log(`Skipping ${reason === 'erased' ? 'an erased profile' : url}: ${reason}`);
+      job.skippedProfiles = (job.skippedProfiles || 0) + 1;
+      publish(job, 'profile-skipped', { url: reason === 'erased' ? null : url, reason });
+      return;
+    }
+
+    if (!isValidLinkedInUrl(url)) {
+      console.error(`Invalid LinkedIn URL: ${url}`);
+      recordFailure(job, url, 'Invalid LinkedIn URL', ScrapeErrorType.INVALID_URL, 0);
+      return;
+    }
+
+    // Transient failures (timeouts, throttling) are retried with backoff;
+    // login walls, missing profiles and parse failures fail immediately
+    let profile = null;
+    while (attempts <= SCRAPE_MAX_RETRIES) {
+      if (attempts > 0) {
+        const waitMs = retryDelay(attempts);
+        console.log(`Retrying ${url} in ${Math.round(waitMs)}ms (attempt ${attempts + 1})`);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+      attempts++;
+
+      // Wait for a rate limit token before hitting LinkedIn
+      if (usesLinkedIn(job)) {
+        await rateLimiter.acquire();
+      }
+
+      console.log(`Scraping profile: ${url}`);
+      profile = await scrapeLinkedInProfile(url, job.extraction);
+
+      if (!profile || profile.status === 'success' || !isTransientError(profile.errorType)) {
+        break;
+      }
+      console.error(`Transient ${profile.errorType} error scraping ${url}: ${profile.error}`);
+    }
+
+    if (!profile) {
+      console.error(`Failed to scrape profile: ${url}`);
+      recordFailure(job, url, 'Failed to scrape profile', ScrapeErrorType.UNKNOWN, attempts);
+      return;
+    }
+
+    // The alumnus may have opted out while the page was being scraped
+    if (skipReason(url)) {
+      console.log(`Discarding the scrape of ${url}: opted out during the job`);
+      job.skippedProfiles = (job.skippedProfiles || 0) + 1;
+      publish(job, 'profile-skipped', { url, reason: skipReason(url) });
+      return;
+    }
+
+    recordScrape(profile, job.alumni?.[url]);
+
+    if (profile.status === 'success') {
+      // The stored profile already has a rules classification; refine it
+      // with the LLM when one is configured
+      if (isAIConfigured()) {
+        await classifyStoredProfile(profile.id, getAliasIndex());
+      }
+
+      console.log(`Successfully scraped profile:`, profile);
+      job.results.push(profile);
+      job.successfulProfiles++;
+      publish(job, 'profile', {
+        url,
+        profileId: profile.id,
+        name: profile.name,
+        title: profile.title,
+        company: profile.company
+      });
+    } else {
+      console.error(`Failed to scrape profile ${url} after ${attempts} attempt(s): ${profile.error}`);
+      recordFailure(job, url, profile.error, profile.errorType, attempts);
+    }
+  } catch (error) {
+    console.error(`Error processing URL ${url}:`, error);
+    recordFailure(job, url, error.message, classifyScrapeError(error), attempts);
+  }
+}
+
+// Process URLs for a job. Starts a pending job from the beginning or
+// resumes a paused/interrupted one from its cursor.
+export async function processUrls(jobId) {
+  const job = getJob(jobId);
+  if (!job) {
+    console.error(`Job ${jobId} not found`);
+    return;
+  }
+
+  if (activeJobs.has(jobId)) {
+    console.log(`Job ${jobId} is already being processed`);
+    return;
+  }
+
+  if (job.status === 'pending') {
+    console.log(`Starting to process ${job.urls.length} URLs for job ${jobId}`);
+    job.startedAt = new Date().toISOString();
+    job.processedProfiles = 0;
+    job.successfulProfiles = 0;
+    job.failedProfiles = 0;
+    job.skippedProfiles = 0;
+    job.llmUsage = emptyJobUsage();
+    job.results = [];
+    job.errors = [];
+    job.cursor = 0;
+    job.completedIndexes = [];
+  } else {
+    console.log(`Resuming job ${jobId} at URL ${job.cursor + 1} of ${job.urls.length}`);
+  }
+  job.status = 'running';
+  saveJob(job);
+  publishStatus(job);
+
+  // Each job gets its own limiter: pages overlap page loads, but new
+  // requests still start at most once per SCRAPING_DELAY_MS
+  const rateLimiter = createRateLimiter({
+    intervalMs: SCRAPING_DELAY_MS,
+    jitterMs: SCRAPING_JITTER_MS
+  });
+
+  activeJobs.add(jobId);
+  try {
+    // Pause and cancel are honoured between profiles: workers stop taking new
+    // URLs and in-flight ones finish. A resume that arrives while the pool is
+    // still draining simply goes round the loop again.
+    let indexes = remainingIndexes(job);
+    while (job.status === 'running' && indexes.length > 0) {
+      await runWorkerPool(indexes, getMaxConcurrentPages(), async (index) => {
+        // Model calls made while processing the profile are charged to the job
+        await trackJobUsage(job, () => processUrl(job, job.urls[index], rateLimiter));
+        job.processedProfiles++;
+        markIndexCompleted(job, index);
+        saveJob(job);
+        publishProgress(job);
+      }, { shouldContinue: () => job.status === 'running' });
+      indexes = remainingIndexes(job);
+    }
+
+    if (job.status === 'running') {
+      job.status = 'completed';
+      job.currentProfile = '';
+      job.completedAt = new Date().toISOString();
+      saveJob(job);
+      publishStatus(job);
+      console.log(`Job ${jobId} completed. Results:`, {
+        total: job.totalProfiles,
+        successful: job.successfulProfiles,
+        failed: job.failedProfiles
+      });
+    } else if (job.status === 'cancelled') {
+      job.currentProfile = '';
+      job.completedAt = new Date().toISOString();
+      saveJob(job);
+      publishStatus(job);
+      console.log(`Job ${jobId} cancelled after ${job.processedProfiles} of ${job.totalProfiles} profiles`);
+    } else {
+      console.log(`Job ${jobId} paused at URL ${job.cursor + 1} of ${job.urls.length}`);
+    }
+  } catch (error) {
+    console.error(`Error in job ${jobId}:`, error);
+    job.status = 'failed';
+    job.completedAt = new Date().toISOString();
+    job.errors.push({
+      error: error.message
+    });
+    saveJob(job);
+    publishStatus(job);
+  } finally {
+    activeJobs.delete(jobId);
+    // Release the browser once no job needs it any more
+    if (activeJobs.size === 0) {
+      await cleanupBrowser();
+    }
+  }
+}
+
+// Ask a running job to stop after its in-flight profiles
+export function pauseJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) {
+    throw new JobStateError(`Job ${jobId} not found`, 404);
+  }
+  if (job.status !== 'running') {
+    throw new JobStateError(`Cannot pause a job that is ${job.status}`);
+  }
+
+  job.status = 'paused';
+  job.pausedAt = new Date().toISOString();
+  saveJob(job);
+  publishStatus(job);
+  return job;
+}
+
+// Continue a paused job from its cursor
+export function resumeJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) {
+    throw new JobStateError(`Job ${jobId} not found`, 404);
+  }
+  if (job.status !== 'paused') {
+    throw new JobStateError(`Cannot resume a job that is ${job.status}`);
+  }
+
+  job.status = 'running';
+  job.pausedAt = null;
+  saveJob(job);
+  publishStatus(job);
+
+  // If the previous loop is still draining it will pick the job up again
+  if (!activeJobs.has(jobId)) {
+    processUrls(jobId).catch(error => {
+      console.error(`Error in background processing for job ${jobId}:`, error);
+    });
+  }
+
+  return job;
+}
+
+// Stop a job for good; profiles already scraped are kept
+export function cancelJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) {
+    throw new JobStateError(`Job ${jobId} not found`, 404);
+  }
+  if (!isJobActive(job)) {
+    throw new JobStateError(`Cannot cancel a job that is ${job.status}`);
+  }
+
+  job.status = 'cancelled';
+  if (!activeJobs.has(jobId)) {
+    job.currentProfile = '';
+    job.completedAt = new Date().toISOString();
+  }
+  saveJob(job);
+  // A job with a live loop announces 'done' once in-flight profiles finish
+  if (activeJobs.has(jobId)) {
+    publish(job, 'status', jobSummary(job));
+  } else {
+    publishStatus(job);
+  }
+  return job;
+}
+
+// Spawn a child job that re-scrapes only the URLs that failed in a finished job.
+// Invalid URLs are left out since retrying them can't succeed.
+export function retryFailedProfiles(jobId) {
+  const job = getJob(jobId);
+  if (!job) {
+    throw new JobStateError(`Job ${jobId} not found`, 404);
+  }
+  if (isJobActive(job)) {
+    throw new JobStateError(`Cannot retry failures of a job that is ${job.status}`);
+  }
+
+  const failedUrls = Array.from(new Set(
+    job.errors
+      .filter(error => error.url && error.type !== ScrapeErrorType.INVALID_URL)
+      .map(error => error.url)
+  ));
+  if (failedUrls.length === 0) {
+    throw new JobStateError('Job has no failed profiles to retry', 400);
+  }
+
+  const alumni = Object.fromEntries(
+    failedUrls.filter(url => job.alumni?.[url]).map(url => [url, job.alumni[url]])
+  );
+  const child = createJob(failedUrls, { type: 'retry', parentJobId: jobId, extraction: job.extraction, alumni });
+  job.childJobIds = [...(job.childJobIds || []), child.jobId];
+  saveJob(job);
+
+  console.log(`Retrying ${failedUrls.length} failed profiles of job ${jobId} in job ${child.jobId}`);
+  processUrls(child.jobId).catch(error => {
+    console.error(`Error in background processing for job ${child.jobId}:`, error);
+  });
+
+  return child;
+}
+
+// Jobs that were running when the server stopped are resumed from their
+// cursor; paused jobs stay paused until someone resumes them
+export function recoverInterruptedJobs() {
+  for (const job of listJobs()) {
+    if (job.status === 'running') {
+      // Jobs created before cursors existed restart from the beginning
+      if (job.cursor === undefined) {
+        job.cursor = 0;
+        job.completedIndexes = [];
+        job.processedProfiles = 0;
+        job.successfulProfiles = 0;
+        job.failedProfiles = 0;
+      }
+      console.log(`Resuming interrupted job ${job.jobId}`);
+      processUrls(job.jobId).catch(error => {
+        console.error(`Error in background processing for job ${job.jobId}:`, error);
+      });
+    }
+  }
+}
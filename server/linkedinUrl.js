@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+
+// Reduce the many shapes of a LinkedIn profile URL to one canonical form so the
+// same alumnus is always stored under the same key:
+//   http://linkedin.com/in/JaneDoe?trk=x  ->  https://www.linkedin.com/in/janedoe/
+export function canonicalLinkedInUrl(url) {
+  try {
+    const urlObj = new URL(url.trim());
+    const match = urlObj.pathname.match(/^\/in\/([^/]+)/);
+    if (!match) {
+      return url.trim();
+    }
+    const slug = decodeURIComponent(match[1]).toLowerCase();
+    return `https://www.linkedin.com/in/${encodeURIComponent(slug)}/`;
+  } catch {
+    return url.trim();
+  }
+}
+
+// linkedin.com, www., mobile (m.) and country (uk., my., ...) hosts
+const LINKEDIN_HOST = /^(?:(?:www|m|[a-z]{2})\.)?linkedin\.com$/i;
+
+// Canonical URL for anything that points at a LinkedIn profile, null otherwise.
+// Accepts a missing scheme ("linkedin.com/in/janedoe") and any host variant.
+export function normalizeLinkedInUrl(input) {
+  const value = (input || '').trim();
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const urlObj = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    if (!LINKEDIN_HOST.test(urlObj.hostname) || !/^\/in\/[^/]+/.test(urlObj.pathname)) {
+      return null;
+    }
+    return canonicalLinkedInUrl(urlObj.toString());
+  } catch {
+    return null;
+  }
+}
+
+// Stable profile id derived from the canonical URL
+export function profileIdForUrl(url) {
+  const hash = crypto
+    .createHash('sha1')
+    .update(canonicalLinkedInUrl(url))
+    .digest('hex')
+    .substring(0, 16);
+  return `alumni_${hash}`;
+}
+
+// Best-effort display name from the profile slug, e.g. /in/jane-doe -> Jane Doe
+export function extractNameFromUrl(profileUrl) {
+  const urlParts = canonicalLinkedInUrl(profileUrl).split('/');
+  const profileSlug = urlParts[urlParts.length - 2] || urlParts[urlParts.length - 1];
+  if (profileSlug && profileSlug !== 'in' && profileSlug !== '') {
+    return profileSlug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+  }
+  return 'Unknown Professional';
+}
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import {
+  getLLMCacheEntry,
+  listLLMCacheEntries,
+  saveLLMCacheEntry,
+  deleteLLMCacheEntry
+} from '../repository.js';
+
+// Load environment variables
+dotenv.config();
+
+// Replies to summary and extraction prompts, kept on disk so that re-scraping
+// a profile whose content has not changed costs no API quota. Entries are
+// keyed by a hash of the task, provider, model and full prompt: any change to
+// the About text or page content, or a switch of model, misses the cache.
+// Only the hash is stored, not the prompt. Entries note the profile they
+// came from so erasing the profile removes them too.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a reply is reused; 0 turns the cache off
+const CACHE_DAYS = Number(process.env.LLM_CACHE_DAYS ?? 30);
+
+export function isCacheEnabled() {
+  return CACHE_DAYS > 0;
+}
+
+export function cacheKey(task, provider, model, prompt) {
+  return crypto.createHash('sha256').update([task, provider, model, prompt].join('\n')).digest('hex');
+}
+
+function isExpired(entry, now = new Date()) {
+  return now - new Date(entry.createdAt) > CACHE_DAYS * DAY_MS;
+}
+
+// The cached entry for this prompt, or null. Expired entries are dropped.
+export function readCache(task, provider, model, prompt) {
+  if (!isCacheEnabled()) {
+    return null;
+  }
+  const id = cacheKey(task, provider, model, prompt);
+  const entry = getLLMCacheEntry(id);
+  if (!entry) {
+    return null;
+  }
+  if (isExpired(entry)) {
+    deleteLLMCacheEntry(id);
+    return null;
+  }
+  return saveLLMCacheEntry({ ...entry, hits: (entry.hits || 0) + 1, lastHitAt: new Date().toISOString() });
+}
+
+export function writeCache(task, provider, model, prompt, { text, usage, profileId = null }) {
+  if (!isCacheEnabled()) {
+    return null;
+  }
+  return saveLLMCacheEntry({
+    id: cacheKey(task, provider, model, prompt),
+    task,
+    provider,
+    model,
+    profileId,
+    text,
+    usage: usage || null,
+    hits: 0,
+    createdAt: new Date().toISOString(),
+    lastHitAt: null
+  });
+}
+
+export function dropCache(task, provider, model, prompt) {
+  deleteLLMCacheEntry(cacheKey(task, provider, model, prompt));
+}
+
+// Remove entries matching `predicate` (all of them by default); returns the count
+export function clearCache(predicate = () => true) {
+  const entries = listLLMCacheEntries().filter(predicate);
+  entries.forEach(entry => deleteLLMCacheEntry(entry.id));
+  if (entries.length > 0) {
+    console.log(`Removed ${entries.length} LLM cache entries`);
+  }
+  return entries.length;
+}
+
+export function clearProfileCache(profileId) {
+  return clearCache(entry => entry.profileId === profileId);
+}
+
+export function purgeExpiredCache(now = new Date()) {
+  return clearCache(entry => isExpired(entry, now));
+}
+
+export function cacheStats() {
+  const byTask = {};
+  let hits = 0;
+  const entries = listLLMCacheEntries();
+  for (const entry of entries) {
+    byTask[entry.task] = (byTask[entry.task] || 0) + 1;
+    hits += entry.hits || 0;
+  }
+  return { enabled: isCacheEnabled(), days: CACHE_DAYS, entries: entries.length, hits, byTask };
+}
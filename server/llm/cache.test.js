@@ -0,0 +1,82 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startFakeLLMServer } from './fakeServer.js';
+
+// Reply caching in generateText, against the fake model server and a store
+// in a temporary directory. Entries are kept for the default 30 days.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asb-cache-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'openai';
+process.env.OPENAI_MODEL = 'fake-small';
+delete process.env.LLM_CACHE_DAYS;
+
+const { generateText } = await import('./index.js');
+const { cacheStats, clearProfileCache, purgeExpiredCache } = await import('./cache.js');
+const { usageReport } = await import('./usage.js');
+const { flush } = await import('../db.js');
+
+const server = await startFakeLLMServer({ reply: ({ prompt }) => `Reply to ${prompt}` });
+process.env.OPENAI_BASE_URL = server.url;
+
+after(async () => {
+  await server.close();
+  flush();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('answers a repeated prompt from the cache', async () => {
+  const first = await generateText('summary', 'Summarise Jane', { profileId: 'jane' }, { cache: true });
+  const second = await generateText('summary', 'Summarise Jane', { profileId: 'jane' }, { cache: true });
+
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, true);
+  assert.equal(second.text, first.text);
+  assert.deepEqual(second.usage, first.usage);
+  assert.equal(server.requests.length, 1);
+
+  const stats = cacheStats();
+  assert.equal(stats.entries, 1);
+  assert.equal(stats.hits, 1);
+  assert.equal(usageReport(1).today.cacheHits, 1);
+  // Only the call that reached the model is charged
+  assert.equal(usageReport(1).today.calls, 1);
+});
+
+test('misses for a different prompt or task', async () => {
+  const other = await generateText('summary', 'Summarise Ahmad', { profileId: 'ahmad' }, { cache: true });
+  const extraction = await generateText('extraction', 'Summarise Jane', {}, { cache: true });
+
+  assert.equal(other.cached, false);
+  assert.equal(other.text, 'Reply to Summarise Ahmad');
+  assert.equal(extraction.cached, false);
+  assert.equal(server.requests.length, 3);
+  assert.equal(cacheStats().entries, 3);
+});
+
+test('neither reads nor stores replies unless asked to', async () => {
+  const reply = await generateText('summary', 'Summarise Jane');
+  assert.equal(reply.cached, false);
+  await generateText('summary', 'Summarise Mei', {});
+  assert.equal(server.requests.length, 5);
+  assert.equal(cacheStats().entries, 3);
+});
+
+test('drops the entries for an erased profile', () => {
+  assert.equal(clearProfileCache('jane'), 1);
+  assert.equal(cacheStats().entries, 2);
+});
+
+test('expires entries after the configured days', async () => {
+  assert.equal(purgeExpiredCache(new Date(Date.now() + 29 * DAY_MS)), 0);
+  assert.equal(purgeExpiredCache(new Date(Date.now() + 31 * DAY_MS)), 2);
+  assert.equal(cacheStats().entries, 0);
+
+  const reply = await generateText('summary', 'Summarise Ahmad', { profileId: 'ahmad' }, { cache: true });
+  assert.equal(reply.cached, false);
+  assert.equal(server.requests.length, 6);
+});
@@ -0,0 +1,9 @@
+// Failed calls to a language model. `status` is the HTTP status the provider
+// answered with, or 502 when its reply could not be used.
+export class LLMError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+  }
+}
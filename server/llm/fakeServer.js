@@ -0,0 +1,125 @@
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+// A stand-in for an OpenAI-compatible model server, for trying the LLM paths
+// (summaries, extraction, classification) without an API key or a local
+// model. Point the openai provider at it:
+//
+//   npm run fake-llm
+//   LLM_PROVIDER=openai OPENAI_BASE_URL=http://127.0.0.1:8089/v1 npm run server
+//
+// or start it from a script with startFakeLLMServer(). Replies are
+// deterministic: a fixed `reply` (string or function of { prompt, model }),
+// otherwise a plausible answer for the kind of prompt. The first `failures`
+// requests are answered with `failureStatus` to exercise error handling.
+
+const MODELS = ['fake-small', 'fake-large'];
+
+// Roughly four characters per token, like the real tokenizers
+const tokenCount = text => Math.ceil(String(text || '').length / 4);
+
+// "seniority must be one of: intern, junior, ..." -> "intern"
+function firstAllowed(prompt, field) {
+  const match = prompt.match(new RegExp(`${field} must be one of: ([a-z_]+)`));
+  return match ? match[1] : null;
+}
+
+export function defaultReply(prompt) {
+  if (prompt.includes('Classify this professional')) {
+    return JSON.stringify({
+      industry: firstAllowed(prompt, 'industry'),
+      jobFunction: firstAllowed(prompt, 'jobFunction'),
+      seniority: firstAllowed(prompt, 'seniority')
+    });
+  }
+  if (prompt.includes('LinkedIn profile data extractor')) {
+    const slug = (prompt.match(/linkedin\.com\/in\/([^/\s]+)/i) || [])[1] || 'fake-profile';
+    const name = slug.split('-').filter(part => !/\d/.test(part)).map(part => part[0].toUpperCase() + part.slice(1)).join(' ');
+    return `\`\`\`json\n${JSON.stringify({
+      name,
+      title: 'Fake Title',
+      company: 'Fake Company',
+      location: 'Kuala Lumpur',
+      about: '',
+      education: [],
+      pastRoles: [],
+      confidence: { name: 0.95, title: 0.6, company: 0.6, location: 0.4, about: 0, education: 0, pastRoles: 0 }
+    })}\n\`\`\``;
+  }
+  return 'Experienced professional summarised by the fake model.';
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// Resolves to { url, requests, close() }; `url` is the OPENAI_BASE_URL to use
+// and `requests` collects { model, prompt } of every completion request
+export function startFakeLLMServer({ port = 0, reply, failures = 0, failureStatus = 500 } = {}) {
+  const requests = [];
+  let failuresLeft = failures;
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.method === 'GET' && req.url === '/v1/models') {
+        return send(res, 200, { object: 'list', data: MODELS.map(id => ({ id, object: 'model' })) });
+      }
+      if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+        return send(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+      }
+
+      const { model, messages } = JSON.parse(await readBody(req));
+      const prompt = (messages || []).map(message => message.content).join('\n');
+      requests.push({ model, prompt });
+
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        return send(res, failureStatus, { error: { message: `Fake failure (${failureStatus})` } });
+      }
+
+      const text = typeof reply === 'function' ? reply({ prompt, model }) : reply ?? defaultReply(prompt);
+      send(res, 200, {
+        id: `chatcmpl-fake-${requests.length}`,
+        object: 'chat.completion',
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+        usage: {
+          prompt_tokens: tokenCount(prompt),
+          completion_tokens: tokenCount(text),
+          total_tokens: tokenCount(prompt) + tokenCount(text)
+        }
+      });
+    } catch (error) {
+      send(res, 400, { error: { message: error.message } });
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}/v1`;
+      resolve({
+        url,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Run on its own: node server/llm/fakeServer.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.FAKE_LLM_PORT || '8089', 10);
+  startFakeLLMServer({ port }).then(({ url }) => {
+    console.log(`Fake LLM server listening at ${url}`);
+  });
+}
@@ -0,0 +1,40 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Google Gemini through the official SDK. GEMINI_MODEL picks the model.
+
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10);
+
+let client = null;
+let clientKey = null;
+
+function apiKey() {
+  const key = process.env.GEMINI_API_KEY;
+  return key && key !== 'your_gemini_api_key_here' ? key : null;
+}
+
+function getClient() {
+  if (!client || clientKey !== apiKey()) {
+    clientKey = apiKey();
+    client = new GoogleGenerativeAI(clientKey);
+  }
+  return client;
+}
+
+export const geminiProvider = {
+  name: 'gemini',
+  description: 'Google Gemini (GEMINI_API_KEY)',
+  isConfigured: () => Boolean(apiKey()),
+  defaultModel: () => process.env.GEMINI_MODEL || 'gemini-pro',
+  generate: async ({ prompt, model }) => {
+    const result = await getClient().getGenerativeModel({ model }, { timeout: TIMEOUT_MS }).generateContent(prompt);
+    const response = await result.response;
+    const usage = response.usageMetadata
+      ? { inputTokens: response.usageMetadata.promptTokenCount || 0, outputTokens: response.usageMetadata.candidatesTokenCount || 0 }
+      : null;
+    return { text: response.text(), usage };
+  }
+};
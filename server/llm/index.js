@@ -0,0 +1,235 @@
+import dotenv from 'dotenv';
+import { geminiProvider } from './gemini.js';
+import { openaiProvider } from './openai.js';
+import { mockProvider } from './mock.js';
+import { LLMError } from './errors.js';
+import { validateSchema } from './schema.js';
+import { readCache, writeCache, dropCache, cacheStats } from './cache.js';
+import { recordLLMCall, recordCacheHit, recordBudgetFallback, isBudgetExceeded, budgetStatus, usageReport } from './usage.js';
+import { profileIdForUrl } from '../linkedinUrl.js';
+
+// Load environment variables
+dotenv.config();
+
+// One entry point for every language model call (summaries, profile
+// extraction, classification), whichever backend is configured.
+//
+// Every provider exposes the same shape:
+//   name, description
+//   isConfigured(): false when required configuration is missing
+//   defaultModel(): model used when no per-task model is set
+//   generate({ prompt, model, task, context }): resolves to
+//     { text, usage: { inputTokens, outputTokens } | null }
+//
+// LLM_PROVIDER picks the backend (gemini, openai or mock). Without it the
+// first configured one of Gemini and OpenAI-compatible is used, else mock.
+const providers = {
+  [geminiProvider.name]: geminiProvider,
+  [openaiProvider.name]: openaiProvider,
+  [mockProvider.name]: mockProvider
+};
+
+// What the model is asked to do; each can run on its own model
+export const LLM_TASKS = ['summary', 'extraction', 'classification'];
+
+// Times a reply that does not fit its schema is sent back for correction
+const MAX_REPAIRS = parseInt(process.env.LLM_MAX_REPAIRS || '2', 10);
+
+export { LLMError };
+
+// Misconfiguration is reported once rather than on every call
+const warnings = new Set();
+function warnOnce(message) {
+  if (!warnings.has(message)) {
+    warnings.add(message);
+    console.warn(message);
+  }
+}
+
+export function getProvider() {
+  const configured = process.env.LLM_PROVIDER;
+  if (configured) {
+    const provider = providers[configured];
+    if (!provider) {
+      warnOnce(`Unknown LLM_PROVIDER '${configured}', using mock. Use one of ${Object.keys(providers).join(', ')}`);
+      return mockProvider;
+    }
+    if (!provider.isConfigured()) {
+      warnOnce(`LLM provider '${configured}' is not configured, using mock`);
+      return mockProvider;
+    }
+    return provider;
+  }
+  return [geminiProvider, openaiProvider].find(provider => provider.isConfigured()) || mockProvider;
+}
+
+// Whether a real model answers; the mock provider only returns canned text
+export function isAIConfigured() {
+  return getProvider() !== mockProvider;
+}
+
+// LLM_SUMMARY_MODEL, LLM_EXTRACTION_MODEL, ... override the provider's model per task
+export function modelForTask(task, provider = getProvider()) {
+  return process.env[`LLM_${task.toUpperCase()}_MODEL`] || provider.defaultModel();
+}
+
+export function getLLMStatus() {
+  const provider = getProvider();
+  return {
+    provider: provider.name,
+    configured: provider !== mockProvider,
+    models: Object.fromEntries(LLM_TASKS.map(task => [task, modelForTask(task, provider)])),
+    providers: Object.values(providers).map(({ name, description, isConfigured }) => ({
+      name,
+      description,
+      configured: isConfigured()
+    })),
+    usage: {
+      today: usageReport(1).today,
+      budget: budgetStatus(),
+      cache: cacheStats()
+    }
+  };
+}
+
+// The profile a prompt is about, so its cache entries go when it is erased
+function cacheProfileId(context) {
+  if (context.profileId) {
+    return context.profileId;
+  }
+  return context.url ? profileIdForUrl(context.url) : null;
+}
+
+// Send a prompt for `task` to the configured model and return its reply text
+// with the provider and model that produced it. `context` carries the raw
+// input for the mock provider, which does not read prompts, and the `url` or
+// `profileId` the prompt is about.
+//
+// With `cache`, a reply stored for the same task, model and prompt is
+// returned without a call (`cached: true`), and a new reply is stored. Once
+// today's budget is used up the mock provider answers instead
+// (`budgetFallback: true`). Real calls are charged in usage.js.
+export async function generateText(task, prompt, context = {}, { cache = false } = {}) {
+  if (!LLM_TASKS.includes(task)) {
+    throw new LLMError(`Unknown LLM task: ${task}`, 400);
+  }
+  let provider = getProvider();
+  let budgetFallback = false;
+  if (provider !== mockProvider && isBudgetExceeded()) {
+    console.warn(`Daily LLM budget used up, answering ${task} with the mock provider`);
+    recordBudgetFallback(task);
+    provider = mockProvider;
+    budgetFallback = true;
+  }
+  const model = modelForTask(task, provider);
+  const cacheable = cache && provider !== mockProvider;
+
+  if (cacheable) {
+    const cached = readCache(task, provider.name, model, prompt);
+    if (cached) {
+      console.log(`LLM ${task} answered from cache (${provider.name}/${model})`);
+      recordCacheHit(task);
+      return { text: cached.text, provider: provider.name, model, usage: cached.usage, cached: true, budgetFallback };
+    }
+  }
+
+  const startedAt = Date.now();
+  const { text, usage } = await provider.generate({ prompt, model, task, context });
+  console.log(`LLM ${task} answered by ${provider.name}/${model} in ${Date.now() - startedAt}ms`);
+
+  const reply = String(text || '').trim();
+  if (provider !== mockProvider) {
+    recordLLMCall({ task, model, usage, prompt, text: reply });
+  }
+  if (cacheable) {
+    writeCache(task, provider.name, model, prompt, { text: reply, usage, profileId: cacheProfileId(context) });
+  }
+  return { text: reply, provider: provider.name, model, usage, cached: false, budgetFallback };
+}
+
+// Strip markdown fences and any text around the outermost JSON value
+export function extractJson(text) {
+  const cleaned = String(text || '').replace(/```(?:json)?\s*/gi, '').replace(/```/g, '').trim();
+  const start = cleaned.search(/[[{]/);
+  if (start === -1) {
+    return cleaned;
+  }
+  const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+  return end > start ? cleaned.substring(start, end + 1) : cleaned.substring(start);
+}
+
+function parseReply(text, schema) {
+  let value;
+  try {
+    value = JSON.parse(extractJson(text));
+  } catch (error) {
+    return { value: null, errors: [`Reply is not valid JSON: ${error.message}`] };
+  }
+  return { value, errors: validateSchema(schema, value) };
+}
+
+function schemaInstructions(schema) {
+  return `
+
+    Return ONLY JSON matching this JSON Schema, with no markdown or other text:
+    ${JSON.stringify(schema)}
+    `;
+}
+
+function repairPrompt(prompt, reply, errors, schema) {
+  return `${prompt}
+
+    Your previous reply was:
+    ${reply.substring(0, 4000)}
+
+    It does not match the required schema:
+    ${errors.slice(0, 20).map(error => `- ${error}`).join('\n    ')}
+    ${schemaInstructions(schema)}`;
+}
+
+// Ask for JSON matching `schema`. A reply that is not JSON or breaks the
+// schema is sent back with the problems listed, up to LLM_MAX_REPAIRS times.
+// Resolves to { value, validation }: `value` is null when no reply fitted,
+// and `validation` records { valid, attempts, errors, repairedErrors,
+// provider, model, cached, budgetFallback } for the caller to store.
+//
+// With `cache`, the reply that finally fits is stored under the original
+// prompt, so the next identical request skips the repairs as well, and a
+// reply that never fits is not kept. The mock provider's canned replies are
+// never sent for repair.
+export async function generateStructured(task, prompt, schema, context = {}, { cache = false } = {}) {
+  const fullPrompt = prompt + schemaInstructions(schema);
+  let reply = await generateText(task, fullPrompt, context, { cache });
+  let { value, errors } = parseReply(reply.text, schema);
+  const { cached, budgetFallback } = reply;
+  const repairedErrors = [];
+  let attempts = 1;
+
+  while (errors.length > 0 && attempts <= MAX_REPAIRS && reply.provider !== mockProvider.name) {
+    console.warn(`LLM ${task} reply failed validation (attempt ${attempts}):`, errors);
+    repairedErrors.push(...errors);
+    reply = await generateText(task, repairPrompt(fullPrompt, reply.text, errors, schema), context);
+    ({ value, errors } = parseReply(reply.text, schema));
+    attempts++;
+  }
+
+  const validation = {
+    valid: errors.length === 0,
+    attempts,
+    errors,
+    repairedErrors: errors.length === 0 ? repairedErrors : [],
+    provider: reply.provider,
+    model: reply.model,
+    cached,
+    budgetFallback
+  };
+  if (!validation.valid) {
+    console.error(`LLM ${task} reply still invalid after ${attempts} attempts:`, errors);
+    if (cache) {
+      dropCache(task, reply.provider, reply.model, fullPrompt);
+    }
+  } else if (cache && attempts > 1) {
+    writeCache(task, reply.provider, reply.model, fullPrompt, { text: reply.text, usage: reply.usage, profileId: cacheProfileId(context) });
+  }
+  return { value: validation.valid ? value : null, validation };
+}
@@ -0,0 +1,67 @@
+import dotenv from 'dotenv';
+import { LLMError } from './errors.js';
+
+// Load environment variables
+dotenv.config();
+
+// Any server speaking the OpenAI chat completions API: OpenAI itself, or a
+// local model behind Ollama (http://localhost:11434/v1), llama.cpp's server
+// (http://localhost:8080/v1), vLLM and the like. OPENAI_BASE_URL points at
+// the server; OPENAI_API_KEY is only needed by hosted services.
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10);
+
+function apiKey() {
+  const key = process.env.OPENAI_API_KEY;
+  return key && key !== 'your_openai_api_key_here' ? key : null;
+}
+
+function baseUrl() {
+  return (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+export const openaiProvider = {
+  name: 'openai',
+  description: 'OpenAI-compatible chat completions (OPENAI_BASE_URL, OPENAI_API_KEY), including local models',
+  // The hosted API needs a key; a local server only needs its URL
+  isConfigured: () => Boolean(apiKey() || process.env.OPENAI_BASE_URL),
+  defaultModel: () => process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  generate: async ({ prompt, model }) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey()) {
+      headers.Authorization = `Bearer ${apiKey()}`;
+    }
+
+    const response = await fetch(`${baseUrl()}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.2
+      }),
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    const body = await response.text();
+    if (!response.ok) {
+      throw new LLMError(`OpenAI-compatible API error ${response.status}: ${body.substring(0, 200)}`, response.status);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      throw new LLMError('OpenAI-compatible API returned invalid JSON');
+    }
+    const text = data.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new LLMError('OpenAI-compatible API returned no message');
+    }
+    const usage = data.usage
+      ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 }
+      : null;
+    return { text, usage };
+  }
+};
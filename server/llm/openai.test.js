@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startFakeLLMServer } from './fakeServer.js';
+
+// The OpenAI-compatible provider and generateText against the fake model
+// server. Calls are charged to a store in a temporary directory (DATA_DIR is
+// read when the store module loads).
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asb-openai-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'openai';
+process.env.OPENAI_MODEL = 'fake-small';
+
+const { openaiProvider } = await import('./openai.js');
+const { generateText, getProvider, LLMError } = await import('./index.js');
+const { flush } = await import('../db.js');
+
+const servers = [];
+
+async function fakeServer(options) {
+  const server = await startFakeLLMServer(options);
+  servers.push(server);
+  process.env.OPENAI_BASE_URL = server.url;
+  return server;
+}
+
+before(async () => {
+  await fakeServer();
+});
+
+after(async () => {
+  await Promise.all(servers.map(server => server.close()));
+  flush();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the provider returns the reply text and token usage', async () => {
+  const server = await fakeServer({ reply: 'Hello from the fake model' });
+  const { text, usage } = await openaiProvider.generate({ prompt: 'Say hello', model: 'fake-large' });
+  assert.equal(text, 'Hello from the fake model');
+  assert.deepEqual(usage, { inputTokens: 3, outputTokens: 7 });
+  assert.deepEqual(server.requests, [{ model: 'fake-large', prompt: 'Say hello' }]);
+});
+
+test('the provider reports error statuses as LLMErrors', async () => {
+  const server = await fakeServer({ failures: 1, failureStatus: 503, reply: 'Recovered' });
+  await assert.rejects(
+    openaiProvider.generate({ prompt: 'Say hello', model: 'fake-small' }),
+    error => error instanceof LLMError && error.status === 503 && /error 503/.test(error.message)
+  );
+  const { text } = await openaiProvider.generate({ prompt: 'Say hello', model: 'fake-small' });
+  assert.equal(text, 'Recovered');
+  assert.equal(server.requests.length, 2);
+});
+
+test('generateText uses the configured OpenAI-compatible server', async () => {
+  const server = await fakeServer({ reply: ({ model }) => `  Summary from ${model}  ` });
+  assert.equal(getProvider().name, 'openai');
+  const reply = await generateText('summary', 'Summarise this profile', { aboutText: 'About' });
+  assert.equal(reply.text, 'Summary from fake-small');
+  assert.equal(reply.provider, 'openai');
+  assert.equal(reply.model, 'fake-small');
+  assert.equal(reply.cached, false);
+  assert.equal(reply.budgetFallback, false);
+  assert.equal(server.requests.length, 1);
+});
+
+test('generateText passes provider failures on to the caller', async () => {
+  await fakeServer({ failures: 2, failureStatus: 429 });
+  await assert.rejects(generateText('summary', 'Summarise this profile'), { name: 'LLMError', status: 429 });
+  await assert.rejects(generateText('summary', 'Summarise this profile'), { status: 429 });
+  const reply = await generateText('summary', 'Summarise this profile');
+  assert.equal(reply.text, 'Experienced professional summarised by the fake model.');
+});
+
+test('generateText rejects unknown tasks', async () => {
+  await assert.rejects(generateText('poetry', 'Write a poem'), { status: 400 });
+});
@@ -0,0 +1,103 @@
+// JSON Schema checks for model replies, and the shapes the model is asked to
+// answer in. Only the keywords these shapes use are supported: type,
+// properties, required, items, enum, minimum and maximum.
+
+const CONFIDENCE_SCHEMA = { type: 'number', minimum: 0, maximum: 1 };
+
+export const ROLE_SCHEMA = {
+  type: 'object',
+  required: ['title', 'company'],
+  properties: {
+    title: { type: 'string' },
+    company: { type: 'string' },
+    years: { type: 'string' }
+  }
+};
+
+export const ROLES_SCHEMA = {
+  type: 'array',
+  items: ROLE_SCHEMA
+};
+
+// Fields of an extracted profile; each may get a confidence from 0 to 1
+export const PROFILE_FIELDS = ['name', 'title', 'company', 'location', 'about', 'education', 'pastRoles'];
+
+export const PROFILE_SCHEMA = {
+  type: 'object',
+  required: PROFILE_FIELDS,
+  properties: {
+    name: { type: 'string' },
+    title: { type: 'string' },
+    company: { type: 'string' },
+    location: { type: 'string' },
+    about: { type: 'string' },
+    education: { type: 'array', items: { type: 'string' } },
+    pastRoles: ROLES_SCHEMA,
+    confidence: {
+      type: 'object',
+      properties: Object.fromEntries(PROFILE_FIELDS.map(field => [field, CONFIDENCE_SCHEMA]))
+    }
+  }
+};
+
+// Industry, job function and seniority, each one of the allowed values
+export function classificationSchema({ industries, jobFunctions, seniorityLevels }) {
+  return {
+    type: 'object',
+    required: ['industry', 'jobFunction', 'seniority'],
+    properties: {
+      industry: { type: 'string', enum: industries },
+      jobFunction: { type: 'string', enum: jobFunctions },
+      seniority: { type: 'string', enum: seniorityLevels }
+    }
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Every way `value` breaks `schema`, as "path: problem" messages; [] when it fits
+export function validateSchema(schema, value, path = '$') {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push(`${path}.${field}: is required`);
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) {
+        errors.push(...validateSchema(fieldSchema, value[field], `${path}.${field}`));
+      }
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,99 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startFakeLLMServer } from './fakeServer.js';
+import { validateSchema, classificationSchema, PROFILE_SCHEMA } from './schema.js';
+
+// Schema checks on structured replies, and the repair loop run against the
+// fake model server. Calls are charged to a store in a temporary directory.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asb-schema-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'openai';
+process.env.OPENAI_MODEL = 'fake-small';
+process.env.LLM_MAX_REPAIRS = '2';
+
+const { generateStructured } = await import('./index.js');
+const { flush } = await import('../db.js');
+
+const servers = [];
+
+async function fakeServer(options) {
+  const server = await startFakeLLMServer(options);
+  servers.push(server);
+  process.env.OPENAI_BASE_URL = server.url;
+  return server;
+}
+
+after(async () => {
+  await Promise.all(servers.map(server => server.close()));
+  flush();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const schema = classificationSchema({
+  industries: ['consulting', 'technology'],
+  jobFunctions: ['finance', 'product'],
+  seniorityLevels: ['senior', 'executive']
+});
+
+const valid = { industry: 'consulting', jobFunction: 'finance', seniority: 'senior' };
+
+test('accepts a value that fits the schema', () => {
+  assert.deepEqual(validateSchema(schema, valid), []);
+});
+
+test('lists every problem with its path', () => {
+  assert.deepEqual(validateSchema(schema, { industry: 'farming', jobFunction: 3 }), [
+    '$.seniority: is required',
+    '$.industry: must be one of consulting, technology',
+    '$.jobFunction: expected string, got integer'
+  ]);
+  assert.deepEqual(validateSchema(schema, []), ['$: expected object, got array']);
+});
+
+test('checks array items and confidence ranges', () => {
+  const profile = {
+    name: 'Jane Tan',
+    title: 'Head of Product',
+    company: 'Grab',
+    location: 'Singapore',
+    about: '',
+    education: ['National University of Singapore', 7],
+    pastRoles: [{ title: 'Head of Product', company: 'Grab', years: '2021 - Present' }],
+    confidence: { name: 1.5 }
+  };
+  assert.deepEqual(validateSchema(PROFILE_SCHEMA, profile), [
+    '$.education[1]: expected string, got integer',
+    '$.confidence.name: must be at most 1'
+  ]);
+});
+
+test('sends an invalid reply back and accepts the repaired one', async () => {
+  const replies = ['Sure! Here is the classification: industry consulting', JSON.stringify(valid)];
+  const server = await fakeServer({ reply: () => replies.shift() });
+
+  const { value, validation } = await generateStructured('classification', 'Classify this professional', schema);
+
+  assert.deepEqual(value, valid);
+  assert.equal(validation.valid, true);
+  assert.equal(validation.attempts, 2);
+  assert.deepEqual(validation.errors, []);
+  assert.match(validation.repairedErrors[0], /not valid JSON/);
+  assert.equal(server.requests.length, 2);
+  assert.match(server.requests[1].prompt, /Your previous reply was:\s+Sure! Here is the classification/);
+});
+
+test('gives up once the repair limit is reached', async () => {
+  const server = await fakeServer({ reply: JSON.stringify({ ...valid, seniority: 'intern' }) });
+
+  const { value, validation } = await generateStructured('classification', 'Classify this professional', schema);
+
+  assert.equal(value, null);
+  assert.equal(validation.valid, false);
+  assert.equal(validation.attempts, 3);
+  assert.deepEqual(validation.errors, ['$.seniority: must be one of senior, executive']);
+  assert.deepEqual(validation.repairedErrors, []);
+  assert.equal(server.requests.length, 3);
+});
@@ -0,0 +1,204 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import dotenv from 'dotenv';
+import { getLLMUsageDay, listLLMUsageDays, saveLLMUsageDay, getSetting, saveSetting } from '../repository.js';
+import { LLMError } from './errors.js';
+
+// Load environment variables
+dotenv.config();
+
+// Accounting of model calls: one record per UTC day with calls, tokens and
+// estimated cost (in total and per task), plus the same counts on the job
+// that made the calls. Daily budgets on tokens or cost switch the pipeline to
+// the mock provider until the next UTC day once they are used up.
+
+// USD per million input and output tokens. Models not listed (local ones
+// behind an OpenAI-compatible server, the mock) cost nothing. LLM_PRICES
+// adds or overrides entries: {"my-model": {"input": 0.2, "output": 0.6}}
+const DEFAULT_PRICES = {
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 }
+};
+
+function loadPrices() {
+  if (!process.env.LLM_PRICES) {
+    return DEFAULT_PRICES;
+  }
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+  } catch (error) {
+    console.warn('Ignoring LLM_PRICES, it is not valid JSON:', error.message);
+    return DEFAULT_PRICES;
+  }
+}
+
+const PRICES = loadPrices();
+
+// Exact model name first, then the longest listed prefix, so dated
+// releases like gpt-4o-mini-2024-07-18 are priced as their family
+export function priceForModel(model) {
+  if (PRICES[model]) {
+    return PRICES[model];
+  }
+  const prefix = Object.keys(PRICES)
+    .filter(name => String(model).startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? PRICES[prefix] : { input: 0, output: 0 };
+}
+
+function estimateCost(model, { inputTokens, outputTokens }) {
+  const price = priceForModel(model);
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+const roundCost = cost => Math.round(cost * 1e6) / 1e6;
+
+// Roughly four characters per token, for providers that report no usage
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+function todayId(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+function emptyCounts() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, cacheHits: 0 };
+}
+
+function emptyDay(id) {
+  return { id, ...emptyCounts(), fallbacks: 0, estimatedCalls: 0, byTask: {} };
+}
+
+export function emptyJobUsage() {
+  return { ...emptyCounts(), fallbacks: 0 };
+}
+
+// The job whose profile is being processed, for charging its calls to it
+const jobContext = new AsyncLocalStorage();
+
+export function trackJobUsage(job, fn) {
+  return jobContext.run(job, fn);
+}
+
+function addCounts(counts = emptyCounts(), { calls = 0, inputTokens = 0, outputTokens = 0, cost = 0, cacheHits = 0 }) {
+  return {
+    ...counts,
+    calls: counts.calls + calls,
+    inputTokens: counts.inputTokens + inputTokens,
+    outputTokens: counts.outputTokens + outputTokens,
+    cost: roundCost(counts.cost + cost),
+    cacheHits: counts.cacheHits + cacheHits
+  };
+}
+
+// Add `counts` to today's record, its task entry and the current job, if any
+function updateUsage(task, counts, { estimated = false, fallback = false } = {}) {
+  const id = todayId();
+  const day = getLLMUsageDay(id) || emptyDay(id);
+  saveLLMUsageDay({
+    ...addCounts(day, counts),
+    fallbacks: day.fallbacks + (fallback ? 1 : 0),
+    estimatedCalls: day.estimatedCalls + (estimated ? 1 : 0),
+    byTask: { ...day.byTask, [task]: addCounts(day.byTask[task], counts) }
+  });
+
+  const job = jobContext.getStore();
+  if (job) {
+    const jobUsage = { ...emptyJobUsage(), ...job.llmUsage };
+    job.llmUsage = { ...addCounts(jobUsage, counts), fallbacks: jobUsage.fallbacks + (fallback ? 1 : 0) };
+  }
+}
+
+// Charge one answered call. Without reported usage the tokens are estimated
+// from the prompt and reply lengths.
+export function recordLLMCall({ task, model, usage, prompt, text }) {
+  const tokens = usage || { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) };
+  updateUsage(task, { calls: 1, ...tokens, cost: estimateCost(model, tokens) }, { estimated: !usage });
+}
+
+export function recordCacheHit(task) {
+  updateUsage(task, { cacheHits: 1 });
+}
+
+export function recordBudgetFallback(task) {
+  updateUsage(task, {}, { fallback: true });
+}
+
+// Daily budgets. 0 means no limit.
+
+const BUDGET_SETTING_ID = 'llmBudget';
+
+function defaultBudget() {
+  return {
+    id: BUDGET_SETTING_ID,
+    dailyTokens: Number(process.env.LLM_DAILY_TOKEN_BUDGET) || 0,
+    dailyCost: Number(process.env.LLM_DAILY_COST_BUDGET) || 0
+  };
+}
+
+export function getBudget() {
+  let budget = getSetting(BUDGET_SETTING_ID);
+  if (!budget) {
+    budget = saveSetting(defaultBudget());
+  }
+  return budget;
+}
+
+function budgetValue(name, value, { integer }) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw new LLMError(`${name} must be ${integer ? 'a whole number' : 'a number'} of at least 0 (0 means no limit)`, 400);
+  }
+  return number;
+}
+
+export function updateBudget({ dailyTokens, dailyCost }) {
+  const budget = { ...getBudget() };
+  if (dailyTokens !== undefined) {
+    budget.dailyTokens = budgetValue('dailyTokens', dailyTokens, { integer: true });
+  }
+  if (dailyCost !== undefined) {
+    budget.dailyCost = budgetValue('dailyCost', dailyCost, { integer: false });
+  }
+  console.log('Updated LLM budget:', budget);
+  return saveSetting(budget);
+}
+
+// Today's spending against the budget. The check runs before each call, so
+// the last call of the day may go over by its own size.
+export function budgetStatus() {
+  const { dailyTokens, dailyCost } = getBudget();
+  const today = getLLMUsageDay(todayId()) || emptyDay(todayId());
+  const tokensUsed = today.inputTokens + today.outputTokens;
+  const tokensExceeded = dailyTokens > 0 && tokensUsed >= dailyTokens;
+  const costExceeded = dailyCost > 0 && today.cost >= dailyCost;
+  return {
+    dailyTokens,
+    dailyCost,
+    tokensUsed,
+    costUsed: today.cost,
+    exceeded: tokensExceeded || costExceeded,
+    exceededBy: [tokensExceeded && 'tokens', costExceeded && 'cost'].filter(Boolean)
+  };
+}
+
+export function isBudgetExceeded() {
+  return budgetStatus().exceeded;
+}
+
+// Usage for today and each of the last `days` days that saw calls
+export function usageReport(days = 30) {
+  const since = todayId(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+  const history = listLLMUsageDays().filter(day => day.id >= since);
+  const totals = history.reduce((sum, day) => addCounts(sum, day), emptyCounts());
+  return {
+    today: getLLMUsageDay(todayId()) || emptyDay(todayId()),
+    budget: budgetStatus(),
+    days: history,
+    totals: {
+      ...totals,
+      fallbacks: history.reduce((sum, day) => sum + day.fallbacks, 0)
+    }
+  };
+}
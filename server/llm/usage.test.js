@@ -0,0 +1,96 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startFakeLLMServer } from './fakeServer.js';
+
+// Token and cost accounting and daily budgets, with calls answered by the
+// fake model server and charged to a store in a temporary directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asb-usage-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'openai';
+process.env.OPENAI_MODEL = 'gpt-4o-mini';
+
+const { generateText } = await import('./index.js');
+const { usageReport, updateBudget, budgetStatus, trackJobUsage, recordLLMCall, priceForModel } = await import('./usage.js');
+const { flush } = await import('../db.js');
+
+// 400 characters of prompt and 40 of reply: 100 input and 10 output tokens
+const PROMPT = 'p'.repeat(400);
+const server = await startFakeLLMServer({ reply: 'r'.repeat(40) });
+process.env.OPENAI_BASE_URL = server.url;
+
+after(async () => {
+  await server.close();
+  flush();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const today = () => usageReport(1).today;
+
+test('prices dated model releases as their family', () => {
+  assert.deepEqual(priceForModel('gpt-4o-mini-2024-07-18'), priceForModel('gpt-4o-mini'));
+  assert.deepEqual(priceForModel('llama3'), { input: 0, output: 0 });
+});
+
+test('charges each call to the day and the task', async () => {
+  await generateText('summary', PROMPT);
+
+  const day = today();
+  assert.equal(day.calls, 1);
+  assert.equal(day.inputTokens, 100);
+  assert.equal(day.outputTokens, 10);
+  // gpt-4o-mini: $0.15 per million input and $0.60 per million output tokens
+  assert.equal(day.cost, 0.000021);
+  assert.equal(day.byTask.summary.calls, 1);
+  assert.equal(usageReport(30).totals.calls, 1);
+});
+
+test('charges calls made for a job to that job too', async () => {
+  const job = { jobId: 'job_test' };
+  await trackJobUsage(job, () => generateText('summary', PROMPT));
+
+  assert.equal(job.llmUsage.calls, 1);
+  assert.equal(job.llmUsage.inputTokens, 100);
+  assert.equal(today().calls, 2);
+});
+
+test('estimates tokens from text length when the provider reports none', () => {
+  recordLLMCall({ task: 'classification', model: 'llama3', usage: null, prompt: 'x'.repeat(80), text: 'y'.repeat(8) });
+
+  const day = today();
+  assert.equal(day.estimatedCalls, 1);
+  assert.equal(day.byTask.classification.inputTokens, 20);
+  assert.equal(day.byTask.classification.outputTokens, 2);
+  assert.equal(day.byTask.classification.cost, 0);
+});
+
+test('answers with the mock provider once the daily budget is used up', async () => {
+  updateBudget({ dailyTokens: 200 });
+  assert.deepEqual(budgetStatus().exceededBy, ['tokens']);
+  const requestsBefore = server.requests.length;
+
+  const reply = await generateText('summary', PROMPT, { aboutText: 'Finance leader with banking experience' });
+
+  assert.equal(reply.provider, 'mock');
+  assert.equal(reply.budgetFallback, true);
+  assert.equal(server.requests.length, requestsBefore);
+  assert.equal(today().fallbacks, 1);
+  assert.equal(today().calls, 3);
+});
+
+test('goes back to the model once the budget is raised', async () => {
+  updateBudget({ dailyTokens: 0, dailyCost: 1 });
+  assert.equal(budgetStatus().exceeded, false);
+
+  const reply = await generateText('summary', PROMPT);
+  assert.equal(reply.provider, 'openai');
+  assert.equal(reply.budgetFallback, false);
+});
+
+test('rejects negative or fractional budgets', () => {
+  assert.throws(() => updateBudget({ dailyTokens: -1 }), { status: 400 });
+  assert.throws(() => updateBudget({ dailyTokens: 1.5 }), { status: 400 });
+  assert.equal(updateBudget({ dailyCost: 0.25 }).dailyCost, 0.25);
+});
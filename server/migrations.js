@@ -0,0 +1,172 @@
+import { canonicalLinkedInUrl, profileIdForUrl } from './linkedinUrl.js';
+import { normalizeRoles } from './roleDates.js';
+import { aliasId, buildAliasIndex, normalizeProfile } from './normalization.js';
+import { DEFAULT_ALIASES } from './defaultAliases.js';
+import { classifyWithRules, applyClassification } from './classification.js';
+
+// Schema migrations for the on-disk store.
+// Each migration receives the raw store document and mutates it in place.
+// Append new migrations to the end of the list - never edit or reorder
+// a migration that has already shipped.
+// Migrations call the live helpers and seed data (URL keys, role dates,
+// normalisation, classification) instead of keeping copies. A change to
+// those that stored profiles need gets its own migration; old ones only run
+// on stores that have not reached them yet.
+export const migrations = [
+  {
+    version: 1,
+    description: 'Create jobs and profiles collections',
+    up(data) {
+      data.collections.jobs = data.collections.jobs || {};
+      data.collections.profiles = data.collections.profiles || {};
+    }
+  },
+  {
+    version: 2,
+    description: 'Key profiles by canonical LinkedIn URL and add scrape snapshots',
+    up(data) {
+      const snapshots = data.collections.snapshots || {};
+      const profiles = {};
+
+      const byScrapedAt = Object.values(data.collections.profiles)
+        .sort((a, b) => (a.scrapedAt || '').localeCompare(b.scrapedAt || ''));
+
+      for (const profile of byScrapedAt) {
+        const id = profileIdForUrl(profile.linkedinUrl);
+        const previous = profiles[id];
+
+        if (profile.status === 'success') {
+          snapshots[id] = [...(snapshots[id] || []), {
+            scrapedAt: profile.scrapedAt,
+            data: {
+              name: profile.name,
+              title: profile.title,
+              company: profile.company,
+              location: profile.location,
+              education: profile.education,
+              pastRoles: profile.pastRoles,
+              summary: profile.summary
+            },
+            changes: []
+          }];
+        }
+
+        profiles[id] = {
+          ...profile,
+          id,
+          linkedinUrl: canonicalLinkedInUrl(profile.linkedinUrl),
+          firstScrapedAt: previous?.firstScrapedAt || profile.scrapedAt,
+          lastChangedAt: null,
+          changedSinceLastRun: false,
+          changes: []
+        };
+      }
+
+      data.collections.profiles = profiles;
+      data.collections.snapshots = snapshots;
+    }
+  },
+  {
+    version: 3,
+    description: 'Add schedules collection for periodic refresh',
+    up(data) {
+      data.collections.schedules = data.collections.schedules || {};
+    }
+  },
+  {
+    version: 4,
+    description: 'Add structured start/end dates and tenure to past roles',
+    up(data) {
+      for (const profile of Object.values(data.collections.profiles)) {
+        profile.pastRoles = normalizeRoles(profile.pastRoles || []);
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Add imports collection for staged CSV uploads',
+    up(data) {
+      data.collections.imports = data.collections.imports || {};
+    }
+  },
+  {
+    version: 6,
+    description: 'Add alias dictionary and canonical company and title fields',
+    up(data) {
+      const now = new Date().toISOString();
+      const aliases = data.collections.aliases || {};
+      for (const entry of DEFAULT_ALIASES) {
+        const id = aliasId(entry.kind, entry.canonical);
+        aliases[id] = aliases[id] || { id, ...entry, createdAt: now, updatedAt: now };
+      }
+      data.collections.aliases = aliases;
+
+      const index = buildAliasIndex(Object.values(aliases));
+      for (const [id, profile] of Object.entries(data.collections.profiles)) {
+        data.collections.profiles[id] = normalizeProfile(profile, index);
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Add industries to company aliases and classify profiles',
+    up(data) {
+      for (const entry of DEFAULT_ALIASES) {
+        const stored = data.collections.aliases[aliasId(entry.kind, entry.canonical)];
+        if (stored && entry.industry && !stored.industry) {
+          stored.industry = entry.industry;
+        }
+      }
+
+      const index = buildAliasIndex(Object.values(data.collections.aliases));
+      for (const [id, profile] of Object.entries(data.collections.profiles)) {
+        data.collections.profiles[id] = applyClassification(profile, classifyWithRules(profile, index));
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Create audit collection',
+    up(data) {
+      data.collections.audit = data.collections.audit || {};
+    }
+  },
+  {
+    version: 9,
+    description: 'Create self-update link and submission collections',
+    up(data) {
+      data.collections.selfUpdateTokens = data.collections.selfUpdateTokens || {};
+      data.collections.selfUpdates = data.collections.selfUpdates || {};
+    }
+  },
+  {
+    version: 10,
+    description: 'Create user and session collections',
+    up(data) {
+      data.collections.users = data.collections.users || {};
+      data.collections.sessions = data.collections.sessions || {};
+    }
+  },
+  {
+    version: 11,
+    description: 'Create the opt-out register',
+    up(data) {
+      data.collections.optOuts = data.collections.optOuts || {};
+    }
+  },
+  {
+    version: 12,
+    description: 'Create settings collection',
+    up(data) {
+      data.collections.settings = data.collections.settings || {};
+    }
+  },
+  {
+    version: 13,
+    description: 'Create LLM reply cache and usage collections',
+    up(data) {
+      data.collections.llmCache = data.collections.llmCache || {};
+      data.collections.llmUsage = data.collections.llmUsage || {};
+    }
+  }
+];
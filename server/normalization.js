@@ -0,0 +1,294 @@
+// Company and job title normalisation.
+//
+// Scraped names come in many spellings ("Petronas", "PETRONAS Berhad",
+// "Petroliam Nasional"). Each is reduced to a comparison key (lowercase, no
+// punctuation or legal suffixes) and looked up in the alias dictionary, first
+// exactly and then by edit-distance similarity. Titles have their
+// abbreviations expanded and are tagged with a seniority level and a function.
+// Raw values are never overwritten: canonical ones go in separate fields.
+
+// Words dropped from company keys: "Grab Holdings Inc." -> "grab"
+const COMPANY_SUFFIXES = new Set([
+  'berhad', 'bhd', 'sdn', 'pte', 'ltd', 'limited', 'inc', 'incorporated', 'corp',
+  'corporation', 'co', 'company', 'plc', 'llc', 'llp', 'gmbh', 'ag', 'sa', 'nv', 'bv',
+  'tbk', 'pt', 'holdings', 'holding', 'group'
+]);
+
+// Minimum similarity (0-1) for a fuzzy match, and the shortest key it is tried on
+const FUZZY_THRESHOLD = 0.85;
+const FUZZY_MIN_LENGTH = 5;
+
+// Title abbreviations, matched as whole words
+const TITLE_ABBREVIATIONS = [
+  [/\bsr\.?(?=\s|$)/gi, 'Senior'],
+  [/\bjr\.?(?=\s|$)/gi, 'Junior'],
+  [/\bmgr\.?(?=\s|$)/gi, 'Manager'],
+  [/\bmgmt\.?(?=\s|$)/gi, 'Management'],
+  [/\bengr?\.?(?=\s|$)/gi, 'Engineer'],
+  [/\bdir\.?(?=\s|$)/gi, 'Director'],
+  [/\basst\.?(?=\s|$)/gi, 'Assistant'],
+  [/\bassoc\.?(?=\s|$)/gi, 'Associate'],
+  [/\bexec\.?(?=\s|$)/gi, 'Executive'],
+  [/\bmktg\.?(?=\s|$)/gi, 'Marketing'],
+  [/\bops\.?(?=\s|$)/gi, 'Operations'],
+  [/\bavp\b/gi, 'Assistant Vice President'],
+  [/\bsvp\b/gi, 'Senior Vice President'],
+  [/\bevp\b/gi, 'Executive Vice President'],
+  [/\bvp\b/gi, 'Vice President'],
+  [/\bswe\b/gi, 'Software Engineer']
+];
+
+// Seniority levels, most junior first
+export const SENIORITY_LEVELS = [
+  'intern',
+  'individual_contributor',
+  'senior',
+  'manager',
+  'director',
+  'vice_president',
+  'c_suite'
+];
+
+// Checked in order; the first pattern that matches the title wins
+const SENIORITY_RULES = [
+  ['intern', /\b(intern|internship|trainee|apprentice)\b/],
+  ['manager', /\b(assistant vice president)\b/],
+  ['vice_president', /\b(vice president)\b/],
+  ['c_suite', /\b(chief|ceo|cfo|coo|cto|cio|cmo|founder|co-founder|cofounder|owner|president|managing director|managing partner)\b/],
+  ['director', /\b(director|head of|partner)\b/],
+  ['manager', /\b(manager|supervisor)\b/],
+  ['senior', /\b(senior|lead|principal|staff)\b/]
+];
+
+export const JOB_FUNCTIONS = [
+  'general_management',
+  'engineering',
+  'data',
+  'product',
+  'design',
+  'consulting',
+  'finance',
+  'marketing',
+  'sales',
+  'operations',
+  'human_resources',
+  'legal',
+  'strategy',
+  'research',
+  'education',
+  'other'
+];
+
+const FUNCTION_RULES = [
+  ['general_management', /\b(ceo|chief executive|founder|co-founder|cofounder|general manager|managing director|(?<!vice )president|owner)\b/],
+  ['data', /\b(data|analytics|machine learning|ml|ai|scientist|bi)\b/],
+  ['product', /\b(product)\b/],
+  ['design', /\b(design|designer|ux|ui)\b/],
+  ['engineering', /\b(engineer|engineering|developer|software|cto|architect|devops|technical|technology|it)\b/],
+  ['consulting', /\b(consultant|consulting|advisory)\b/],
+  ['finance', /\b(finance|financial|cfo|accountant|accounting|audit|auditor|treasury|investment|banker|banking|credit|risk|alm|tax)\b/],
+  ['marketing', /\b(marketing|brand|cmo|communications|growth|content)\b/],
+  ['sales', /\b(sales|business development|account manager|account executive|relationship manager)\b/],
+  ['human_resources', /\b(hr|human resources|talent|recruiter|recruitment|people)\b/],
+  ['legal', /\b(legal|lawyer|counsel|compliance|attorney)\b/],
+  ['strategy', /\b(strategy|strategic|transformation|corporate development)\b/],
+  ['research', /\b(research|researcher)\b/],
+  ['education', /\b(teacher|lecturer|professor|tutor)\b/],
+  ['operations', /\b(operations|coo|supply chain|logistics|procurement|process)\b/]
+];
+
+export function companyKey(name) {
+  const words = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !COMPANY_SUFFIXES.has(word));
+  // "McKinsey & Company" leaves a dangling "and"
+  while (words.length > 1 && words[words.length - 1] === 'and') {
+    words.pop();
+  }
+  return words.join(' ');
+}
+
+export function titleKey(title) {
+  return expandTitle(title).toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function expandTitle(title) {
+  let expanded = String(title || '').replace(/\s+/g, ' ').trim();
+  for (const [pattern, replacement] of TITLE_ABBREVIATIONS) {
+    expanded = expanded.replace(pattern, replacement);
+  }
+  return expanded;
+}
+
+// Kept in capitals when a title is re-cased
+const TITLE_ACRONYMS = /\b(ceo|cfo|coo|cto|cio|cmo|hr|it|ai|ml|ux|ui|bi|alm|esg|gm)\b/gi;
+
+// Only titles typed entirely in upper or lower case are re-cased
+function tidyCase(text) {
+  if (text !== text.toUpperCase() && text !== text.toLowerCase()) {
+    return text;
+  }
+  return text
+    .toLowerCase()
+    .replace(/\b\p{L}/gu, letter => letter.toUpperCase())
+    .replace(TITLE_ACRONYMS, acronym => acronym.toUpperCase());
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// Lookup tables for alias dictionary entries ({ kind, canonical, aliases },
+// company entries optionally with an industry)
+export function buildAliasIndex(entries) {
+  const index = { company: new Map(), title: new Map(), industries: new Map() };
+  for (const entry of entries) {
+    const table = index[entry.kind];
+    if (!table) continue;
+    if (entry.kind === 'company' && entry.industry) {
+      index.industries.set(entry.canonical, entry.industry);
+    }
+    const keyOf = entry.kind === 'company' ? companyKey : titleKey;
+    for (const name of [entry.canonical, ...(entry.aliases || [])]) {
+      const key = keyOf(name);
+      if (key && !table.has(key)) {
+        table.set(key, entry.canonical);
+      }
+    }
+  }
+  return index;
+}
+
+// Closest dictionary key to `key`, if it is similar enough
+function fuzzyLookup(table, key) {
+  if (key.length < FUZZY_MIN_LENGTH) {
+    return null;
+  }
+
+  let best = null;
+  for (const [candidate, canonical] of table) {
+    // Keys of very different length can't reach the threshold
+    if (Math.abs(candidate.length - key.length) > key.length * (1 - FUZZY_THRESHOLD)) continue;
+    const score = similarity(key, candidate);
+    if (score >= FUZZY_THRESHOLD && (!best || score > best.score)) {
+      best = { canonical, score };
+    }
+  }
+  return best;
+}
+
+// "PETRONAS Berhad" -> { canonical: 'PETRONAS', matchedBy: 'alias' }.
+// Unknown names keep their own (trimmed) spelling with matchedBy 'none'.
+export function normalizeCompany(name, index) {
+  const raw = String(name || '').replace(/\s+/g, ' ').trim();
+  const key = companyKey(raw);
+  if (!key) {
+    return { canonical: raw, matchedBy: 'none' };
+  }
+
+  const exact = index.company.get(key);
+  if (exact) {
+    return { canonical: exact, matchedBy: 'alias' };
+  }
+
+  const fuzzy = fuzzyLookup(index.company, key);
+  if (fuzzy) {
+    return { canonical: fuzzy.canonical, matchedBy: 'fuzzy', score: Number(fuzzy.score.toFixed(2)) };
+  }
+
+  return { canonical: raw, matchedBy: 'none' };
+}
+
+function classify(rules, text, fallback) {
+  const found = rules.find(([, pattern]) => pattern.test(text));
+  return found ? found[0] : fallback;
+}
+
+// "Sr. Software Eng." -> { canonical: 'Senior Software Engineer',
+// seniority: 'senior', function: 'engineering' }
+export function normalizeTitle(title, index) {
+  const expanded = tidyCase(expandTitle(title));
+  if (!expanded) {
+    return { canonical: '', seniority: null, function: null };
+  }
+
+  const canonical = index.title.get(titleKey(expanded)) || expanded;
+  const text = canonical.toLowerCase();
+  return {
+    canonical,
+    seniority: classify(SENIORITY_RULES, text, 'individual_contributor'),
+    function: classify(FUNCTION_RULES, text, 'other')
+  };
+}
+
+// "Head of Product at Grab | Angel investor" -> { title: 'Head of Product', company: 'Grab' }
+export function splitHeadline(headline) {
+  const first = String(headline || '').split(/\s[|•·]\s/)[0].trim();
+  const match = first.match(/^(.*?)\s+(?:at|@)\s+(.+)$/i);
+  if (!match) {
+    return { title: first, company: '' };
+  }
+  return { title: match[1].trim(), company: match[2].trim() };
+}
+
+// The company someone works at now: their current role if one is listed,
+// otherwise whatever the headline names
+export function currentCompany(profile) {
+  const currentRole = (profile.pastRoles || []).find(role => role.isCurrent && role.company);
+  return currentRole?.company || splitHeadline(profile.title).company || profile.company || '';
+}
+
+// Canonical company and title fields for a profile and each of its roles.
+// `company` and `title` stay as scraped.
+export function normalizeProfile(profile, index) {
+  const pastRoles = (profile.pastRoles || []).map(role => {
+    const title = normalizeTitle(role.title, index);
+    return {
+      ...role,
+      canonicalCompany: normalizeCompany(role.company, index).canonical,
+      canonicalTitle: title.canonical,
+      seniority: title.seniority,
+      jobFunction: title.function
+    };
+  });
+
+  const currentRole = pastRoles.find(role => role.isCurrent);
+  const company = normalizeCompany(profile.company, index);
+  const title = normalizeTitle(currentRole?.title || splitHeadline(profile.title).title, index);
+
+  // Profile-level seniority and function are set by classification.js
+  return {
+    ...profile,
+    pastRoles,
+    canonicalCompany: company.canonical,
+    companyMatchedBy: company.matchedBy,
+    canonicalTitle: title.canonical
+  };
+}
+
+// Dictionary entries are keyed by kind and the canonical name's key:
+// "company:mckinsey"
+export function aliasId(kind, canonical) {
+  const key = kind === 'company' ? companyKey(canonical) : titleKey(canonical);
+  return `${kind}:${key.replace(/\s+/g, '-')}`;
+}
@@ -0,0 +1,50 @@
+// Manual corrections of scraped and classified fields.
+//
+// An override is stored on the profile as overrides[field] =
+// { value, scrapedValue, updatedAt, updatedBy }. The top-level field always
+// holds the effective value, so filters, exports and the dashboard need no
+// special handling; `scrapedValue` keeps what the scraper (or classifier)
+// last produced, refreshed on every run without touching the override.
+
+// Fields that come from LinkedIn
+export const SCRAPED_OVERRIDE_FIELDS = ['name', 'title', 'company', 'location', 'summary'];
+
+// Fields set by classification.js
+export const CLASSIFICATION_OVERRIDE_FIELDS = ['industry', 'jobFunction', 'seniority'];
+
+export const OVERRIDABLE_FIELDS = [...SCRAPED_OVERRIDE_FIELDS, ...CLASSIFICATION_OVERRIDE_FIELDS];
+
+function hasOverrides(profile) {
+  return Boolean(profile.overrides) && Object.keys(profile.overrides).length > 0;
+}
+
+// The profile with every override value in place
+export function applyOverrides(profile) {
+  if (!hasOverrides(profile)) {
+    return profile;
+  }
+  const applied = { ...profile };
+  for (const [field, override] of Object.entries(profile.overrides)) {
+    applied[field] = override.value;
+  }
+  return applied;
+}
+
+// Record newly produced values of overridden `fields` as their scrapedValue
+export function trackScrapedValues(profile, values, fields) {
+  if (!hasOverrides(profile)) {
+    return profile;
+  }
+  const overrides = { ...profile.overrides };
+  for (const field of fields) {
+    if (overrides[field] && values[field] !== undefined) {
+      overrides[field] = { ...overrides[field], scrapedValue: values[field] };
+    }
+  }
+  return { ...profile, overrides };
+}
+
+// What the field would hold without its override
+export function scrapedValueOf(profile, field) {
+  return profile.overrides?.[field] ? profile.overrides[field].scrapedValue : profile[field];
+}
@@ -0,0 +1,235 @@
+import dotenv from 'dotenv';
+import {
+  getProfile,
+  getSnapshots,
+  listSnapshotProfileIds,
+  saveSnapshots,
+  listJobs,
+  saveJob,
+  getSetting,
+  saveSetting,
+  listSelfUpdates,
+  deleteSelfUpdate,
+  listSelfUpdateTokens,
+  deleteSelfUpdateToken,
+  getOptOut,
+  saveOptOut,
+  deleteOptOut
+} from './repository.js';
+import { profileIdForUrl } from './linkedinUrl.js';
+import { profileAuditTrail, redactProfileAudit } from './audit.js';
+import { clearProfileCache, purgeExpiredCache } from './llm/cache.js';
+import { pruneStaleImports } from './csvImport.js';
+
+// Personal data governance: the opt-out register, erasing what the jobs,
+// self-update queue, audit log and LLM reply cache still hold about a deleted
+// profile, retention of old snapshots and job results, and subject-access
+// exports.
+
+// Load environment variables
+dotenv.config();
+
+export class PrivacyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PrivacyError';
+    this.status = status;
+  }
+}
+
+// Stands in for the LinkedIn URL of an erased profile in old jobs
+export const ERASED_URL = 'erased';
+
+export function isOptedOut(profileId) {
+  return Boolean(getOptOut(profileId));
+}
+
+// Why a job should not scrape `url`, or null to go ahead
+export function skipReason(url) {
+  if (url === ERASED_URL) {
+    return 'erased';
+  }
+  return isOptedOut(profileIdForUrl(url)) ? 'opted_out' : null;
+}
+
+// Profiles that may appear in exports
+export function exportableProfiles(profiles) {
+  return profiles.filter(profile => !isOptedOut(profile.id));
+}
+
+export function addOptOut(profileId, actor) {
+  const existing = getOptOut(profileId);
+  if (existing) {
+    return existing;
+  }
+  console.log(`Opted out ${profileId}`);
+  return saveOptOut({ id: profileId, optedOutAt: new Date().toISOString(), optedOutBy: actor });
+}
+
+export function removeOptOut(profileId) {
+  if (isOptedOut(profileId)) {
+    deleteOptOut(profileId);
+    console.log(`Removed opt-out for ${profileId}`);
+  }
+}
+
+// Remove everything but the profile record itself that mentions an alumnus:
+// job URLs, results, errors and import details, self-update submissions and
+// links, cached model replies, and the values in their audit entries.
+// Returns what was removed.
+export function eraseTraces(profile) {
+  const url = profile.linkedinUrl;
+  let jobs = 0;
+  for (const job of listJobs()) {
+    const mentioned = (job.urls || []).includes(url)
+      || (job.results || []).some(result => result.id === profile.id)
+      || Boolean(job.alumni?.[url]);
+    if (!mentioned) continue;
+
+    const alumni = { ...job.alumni };
+    delete alumni[url];
+    saveJob({
+      ...job,
+      urls: (job.urls || []).map(jobUrl => (jobUrl === url ? ERASED_URL : jobUrl)),
+      results: (job.results || []).filter(result => result.id !== profile.id),
+      errors: (job.errors || []).map(error => (error.url === url ? { ...error, url: ERASED_URL } : error)),
+      alumni,
+      currentProfile: job.currentProfile === url ? '' : job.currentProfile
+    });
+    jobs++;
+  }
+
+  const submissions = listSelfUpdates().filter(submission => submission.profileId === profile.id);
+  submissions.forEach(submission => deleteSelfUpdate(submission.id));
+  listSelfUpdateTokens()
+    .filter(token => token.profileId === profile.id)
+    .forEach(token => deleteSelfUpdateToken(token.id));
+
+  const llmCacheEntries = clearProfileCache(profile.id);
+  const auditEntries = redactProfileAudit(profile.id);
+  return { jobs, selfUpdates: submissions.length, llmCacheEntries, auditEntries };
+}
+
+// Everything held about one alumnus, for answering a subject access request
+export function subjectAccessExport(profileId) {
+  const profile = getProfile(profileId);
+  if (!profile) {
+    throw new PrivacyError('Profile not found', 404);
+  }
+
+  const url = profile.linkedinUrl;
+  const jobs = listJobs()
+    .filter(job => (job.urls || []).includes(url))
+    .map(job => ({
+      jobId: job.jobId,
+      type: job.type,
+      status: job.status,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      importedDetails: job.alumni?.[url] || null,
+      errors: (job.errors || []).filter(error => error.url === url)
+    }));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    profileId,
+    profile,
+    optOut: getOptOut(profileId),
+    snapshots: getSnapshots(profileId),
+    jobs,
+    selfUpdates: listSelfUpdates().filter(submission => submission.profileId === profileId),
+    auditTrail: profileAuditTrail(profileId)
+  };
+}
+
+// Retention policy, stored in the settings collection. 0 days keeps data
+// forever. The latest snapshot of a profile is always kept, since new
+// scrapes are compared with it.
+
+const RETENTION_SETTING_ID = 'retention';
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function defaultRetention() {
+  return {
+    id: RETENTION_SETTING_ID,
+    snapshotDays: Number(process.env.SNAPSHOT_RETENTION_DAYS) || 0,
+    jobResultDays: Number(process.env.JOB_RESULT_RETENTION_DAYS) || 0,
+    lastPurgeAt: null,
+    lastPurge: null
+  };
+}
+
+export function getRetentionPolicy() {
+  let policy = getSetting(RETENTION_SETTING_ID);
+  if (!policy) {
+    policy = saveSetting(defaultRetention());
+  }
+  return policy;
+}
+
+function daysValue(name, value) {
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new PrivacyError(`${name} must be a whole number of days (0 keeps data forever)`);
+  }
+  return days;
+}
+
+export function updateRetentionPolicy({ snapshotDays, jobResultDays }) {
+  const policy = { ...getRetentionPolicy() };
+  if (snapshotDays !== undefined) {
+    policy.snapshotDays = daysValue('snapshotDays', snapshotDays);
+  }
+  if (jobResultDays !== undefined) {
+    policy.jobResultDays = daysValue('jobResultDays', jobResultDays);
+  }
+  return saveSetting(policy);
+}
+
+function cutoff(days, now) {
+  return days > 0 ? new Date(now.getTime() - days * DAY_MS).toISOString() : null;
+}
+
+// Drop snapshots and finished jobs' results older than the policy allows,
+// model replies older than LLM_CACHE_DAYS and unconfirmed imports
+export function purgeStaleData(now = new Date()) {
+  const policy = getRetentionPolicy();
+  const removed = { snapshots: 0, jobs: 0, llmCacheEntries: purgeExpiredCache(now), imports: pruneStaleImports(now) };
+
+  const snapshotCutoff = cutoff(policy.snapshotDays, now);
+  if (snapshotCutoff) {
+    for (const profileId of listSnapshotProfileIds()) {
+      const snapshots = getSnapshots(profileId);
+      const kept = snapshots.filter((snapshot, index) => index === snapshots.length - 1 || snapshot.scrapedAt >= snapshotCutoff);
+      if (kept.length < snapshots.length) {
+        saveSnapshots(profileId, kept);
+        removed.snapshots += snapshots.length - kept.length;
+      }
+    }
+  }
+
+  const jobCutoff = cutoff(policy.jobResultDays, now);
+  if (jobCutoff) {
+    for (const job of listJobs()) {
+      if (!job.completedAt || job.completedAt >= jobCutoff || job.resultsPurgedAt) continue;
+      saveJob({ ...job, results: [], alumni: {}, resultsPurgedAt: now.toISOString() });
+      removed.jobs++;
+    }
+  }
+
+  console.log(`Retention purge removed ${removed.snapshots} snapshots, the results of ${removed.jobs} jobs and ${removed.llmCacheEntries} cached LLM replies and ${removed.imports} unconfirmed imports`);
+  return saveSetting({ ...policy, lastPurgeAt: now.toISOString(), lastPurge: removed });
+}
+
+// Called from the scheduler tick: purge at most once a day
+export function purgeIfDue(now = new Date()) {
+  const policy = getRetentionPolicy();
+  if (!policy.snapshotDays && !policy.jobResultDays) {
+    return null;
+  }
+  if (policy.lastPurgeAt && now - new Date(policy.lastPurgeAt) < PURGE_INTERVAL_MS) {
+    return null;
+  }
+  return purgeStaleData(now);
+}
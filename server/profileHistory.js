@@ -0,0 +1,137 @@
+import { getProfile, saveProfile, getSnapshots, addSnapshot } from './repository.js';
+import { normalizeForStore } from './aliases.js';
+import { SCRAPED_OVERRIDE_FIELDS, applyOverrides, trackScrapedValues } from './overrides.js';
+
+// Fields compared between consecutive scrapes of the same alumnus
+export const TRACKED_FIELDS = ['title', 'company', 'location', 'pastRoles', 'education'];
+
+function roleKey(role) {
+  return [role.title, role.company, role.years].map(value => (value || '').trim().toLowerCase()).join('|');
+}
+
+function itemKey(field, item) {
+  return field === 'pastRoles' ? roleKey(item) : String(item).trim().toLowerCase();
+}
+
+function diffList(field, previous = [], current = []) {
+  const previousKeys = new Set(previous.map(item => itemKey(field, item)));
+  const currentKeys = new Set(current.map(item => itemKey(field, item)));
+
+  const added = current.filter(item => !previousKeys.has(itemKey(field, item)));
+  const removed = previous.filter(item => !currentKeys.has(itemKey(field, item)));
+
+  if (added.length === 0 && removed.length === 0) {
+    return null;
+  }
+
+  return { field, previous, current, added, removed };
+}
+
+// Field-level diff between two versions of a profile
+export function diffProfiles(previous, current) {
+  const changes = [];
+
+  for (const field of TRACKED_FIELDS) {
+    if (Array.isArray(previous[field]) || Array.isArray(current[field])) {
+      const change = diffList(field, previous[field], current[field]);
+      if (change) {
+        changes.push(change);
+      }
+      continue;
+    }
+
+    const before = (previous[field] || '').trim();
+    const after = (current[field] || '').trim();
+    if (before !== after) {
+      changes.push({ field, previous: before, current: after });
+    }
+  }
+
+  return changes;
+}
+
+// Alumni details that come from an import rather than from LinkedIn
+export const ALUMNI_FIELDS = ['importedName', 'cohort', 'graduationYear', 'program', 'email'];
+
+// Imported details win; scrapes without them (refreshes, retries) keep the stored ones
+function mergeAlumniFields(existing, alumni) {
+  const merged = {};
+  for (const field of ALUMNI_FIELDS) {
+    const value = alumni?.[field] ?? existing?.[field];
+    if (value !== undefined) {
+      merged[field] = value;
+    }
+  }
+  return merged;
+}
+
+// Set by staff or by alumni themselves, never by a scrape
+const KEPT_FIELDS = ['overrides', 'editedAt', 'editedBy', 'contactPreferences', 'selfUpdatedAt', 'consent'];
+
+function keptFields(existing) {
+  return Object.fromEntries(KEPT_FIELDS.filter(field => existing?.[field] !== undefined).map(field => [field, existing[field]]));
+}
+
+// Snapshot of the scraped fields as they were at scrape time
+function toSnapshotData(profile) {
+  return {
+    name: profile.name,
+    title: profile.title,
+    company: profile.company,
+    location: profile.location,
+    education: profile.education,
+    educationDetails: profile.educationDetails,
+    pastRoles: profile.pastRoles,
+    summary: profile.summary
+  };
+}
+
+// Store a freshly scraped profile: update the alumnus keyed by canonical URL,
+// append a snapshot and flag what changed since the previous scrape.
+// `alumni` holds details from the import that queued the scrape, if any.
+// Manual overrides survive; the new scraped values are kept alongside them.
+export function recordScrape(scraped, alumni = null) {
+  const existing = getProfile(scraped.id);
+  const alumniFields = mergeAlumniFields(existing, alumni);
+
+  // A failed re-scrape must not wipe out good data from an earlier run
+  if (scraped.status !== 'success' && existing && existing.status === 'success') {
+    Object.assign(existing, alumniFields);
+    existing.lastScrapeError = scraped.error || 'Failed to scrape profile';
+    existing.lastAttemptedAt = scraped.scrapedAt;
+    return saveProfile(existing);
+  }
+
+  const previousSnapshot = getSnapshots(scraped.id).at(-1);
+  const changes = previousSnapshot && scraped.status === 'success'
+    ? diffProfiles(previousSnapshot.data, scraped)
+    : [];
+
+  if (scraped.status === 'success') {
+    addSnapshot(scraped.id, {
+      scrapedAt: scraped.scrapedAt,
+      data: toSnapshotData(scraped),
+      changes
+    });
+  }
+
+  const merged = {
+    ...scraped,
+    ...alumniFields,
+    // A profile that never scraped is still listed under its imported name
+    name: scraped.status === 'success' ? scraped.name : alumniFields.importedName || scraped.name,
+    firstScrapedAt: existing?.firstScrapedAt || existing?.scrapedAt || scraped.scrapedAt,
+    lastChangedAt: changes.length > 0 ? scraped.scrapedAt : existing?.lastChangedAt || null,
+    changedSinceLastRun: changes.length > 0,
+    changes,
+    ...keptFields(existing)
+  };
+  const profile = normalizeForStore(applyOverrides(trackScrapedValues(merged, merged, SCRAPED_OVERRIDE_FIELDS)));
+
+  return saveProfile(profile);
+}
+
+// Snapshots for a profile, newest first
+export function getProfileHistory(profileId) {
+  return [...getSnapshots(profileId)].reverse();
+}
@@ -0,0 +1,286 @@
+// Profile search, filters, sorting and cursor pagination, shared by
+// GET /api/profiles and the exports.
+//
+// `search` is a full-text match: every word must appear somewhere in the
+// name, title, company, location, summary, past roles or education. Facet
+// filters (company, location, cohort, program, status, industry, jobFunction,
+// seniority) take one or more values and compare case-insensitively;
+// graduation year and scrape time take ranges.
+
+export class QueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QueryError';
+    this.status = status;
+  }
+}
+
+export const FACET_FIELDS = ['company', 'location', 'cohort', 'program', 'status', 'industry', 'jobFunction', 'seniority'];
+
+// Company filters, facets and sorting use the canonical name
+const FIELD_VALUES = {
+  company: profile => profile.canonicalCompany || profile.company
+};
+
+function fieldValue(profile, field) {
+  return FIELD_VALUES[field] ? FIELD_VALUES[field](profile) : profile[field];
+}
+export const SORT_FIELDS = ['name', 'title', 'company', 'location', 'cohort', 'graduationYear', 'scrapedAt', 'lastChangedAt', 'tenure'];
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 200;
+
+function normalizeText(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+// ?company=Grab&company=CIMB and ?company=Grab both give a list
+function queryValues(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim());
+}
+
+function queryDate(query, key) {
+  if (typeof query[key] !== 'string' || !query[key].trim()) {
+    return undefined;
+  }
+  const date = new Date(query[key]);
+  if (Number.isNaN(date.getTime())) {
+    throw new QueryError(`Invalid ${key} date: ${query[key]}`);
+  }
+  return date.toISOString();
+}
+
+function queryYear(query, key) {
+  if (typeof query[key] !== 'string' || !query[key].trim()) {
+    return undefined;
+  }
+  if (!/^\d{4}$/.test(query[key].trim())) {
+    throw new QueryError(`Invalid ${key}: ${query[key]}`);
+  }
+  return Number(query[key]);
+}
+
+// Read filters from a query string, ignoring empty values
+export function parseProfileFilters(query) {
+  const filters = {};
+
+  if (typeof query.search === 'string' && query.search.trim()) {
+    filters.search = query.search.trim();
+  }
+
+  for (const field of FACET_FIELDS) {
+    const values = queryValues(query[field]);
+    if (values.length > 0) {
+      filters[field] = values;
+    }
+  }
+
+  const ranges = {
+    graduationYearFrom: queryYear(query, 'graduationYearFrom'),
+    graduationYearTo: queryYear(query, 'graduationYearTo'),
+    scrapedAfter: queryDate(query, 'scrapedAfter'),
+    scrapedBefore: queryDate(query, 'scrapedBefore'),
+    changedSince: queryDate(query, 'changedSince')
+  };
+  for (const [key, value] of Object.entries(ranges)) {
+    if (value !== undefined) {
+      filters[key] = value;
+    }
+  }
+
+  return filters;
+}
+
+// Text searched by `search`
+function searchableText(profile) {
+  return [
+    profile.name,
+    profile.importedName,
+    profile.title,
+    profile.company,
+    profile.canonicalCompany,
+    profile.canonicalTitle,
+    profile.location,
+    profile.summary,
+    ...(profile.pastRoles || []).flatMap(role => [role.title, role.company, role.canonicalCompany, role.location]),
+    ...(profile.education || [])
+  ].filter(Boolean).join('\n').toLowerCase();
+}
+
+// `skip` leaves one filter out, which is how facet counts are computed
+export function matchesProfileFilters(profile, filters, skip = null) {
+  if (filters.search) {
+    const text = searchableText(profile);
+    const words = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.every(word => text.includes(word))) {
+      return false;
+    }
+  }
+
+  for (const field of FACET_FIELDS) {
+    if (field === skip || !filters[field]) continue;
+    const value = normalizeText(fieldValue(profile, field));
+    if (!filters[field].some(wanted => normalizeText(wanted) === value)) {
+      return false;
+    }
+  }
+
+  if (skip !== 'graduationYear') {
+    const year = profile.graduationYear;
+    if (filters.graduationYearFrom !== undefined && !(year >= filters.graduationYearFrom)) {
+      return false;
+    }
+    if (filters.graduationYearTo !== undefined && !(year <= filters.graduationYearTo)) {
+      return false;
+    }
+  }
+
+  if (filters.scrapedAfter && !(profile.scrapedAt >= filters.scrapedAfter)) {
+    return false;
+  }
+  if (filters.scrapedBefore && !(profile.scrapedAt < filters.scrapedBefore)) {
+    return false;
+  }
+
+  // Changed on or after the given time
+  if (filters.changedSince && !(profile.lastChangedAt && profile.lastChangedAt >= filters.changedSince)) {
+    return false;
+  }
+
+  return true;
+}
+
+export function filterProfiles(profiles, filters) {
+  return profiles.filter(profile => matchesProfileFilters(profile, filters));
+}
+
+// Months in the current role, null when there is no dated current role
+export function currentTenureMonths(profile) {
+  return (profile.pastRoles || []).find(role => role.isCurrent)?.durationMonths ?? null;
+}
+
+function sortValue(profile, field) {
+  const value = field === 'tenure' ? currentTenureMonths(profile) : fieldValue(profile, field);
+  return value === undefined || value === '' ? null : value;
+}
+
+// Missing values always sort last, whichever the direction
+function compareValues(a, b, direction) {
+  if (a === null || b === null) {
+    return a === b ? 0 : a === null ? 1 : -1;
+  }
+  const result = typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+  return result * direction;
+}
+
+// Position of a profile in the sort order; ids break ties so the order is total
+function compareKeys(a, b, direction) {
+  return compareValues(a.value, b.value, direction) || a.id.localeCompare(b.id);
+}
+
+function encodeCursor(key, sort) {
+  return Buffer.from(JSON.stringify({ sort, value: key.value, id: key.id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new QueryError('Invalid cursor');
+  }
+  if (!decoded || typeof decoded.id !== 'string') {
+    throw new QueryError('Invalid cursor');
+  }
+  if (decoded.sort !== sort) {
+    throw new QueryError('Cursor belongs to a different sort order; start again without a cursor');
+  }
+  return { value: decoded.value ?? null, id: decoded.id };
+}
+
+// Filters plus sort, order, limit and cursor
+export function parseProfileQuery(query) {
+  const sort = typeof query.sort === 'string' && query.sort ? query.sort : 'name';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new QueryError(`Invalid sort: ${sort}. Use one of ${SORT_FIELDS.join(', ')}`);
+  }
+
+  const order = typeof query.order === 'string' && query.order ? query.order : 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new QueryError(`Invalid order: ${order}. Use asc or desc`);
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new QueryError(`Invalid limit: ${query.limit}`);
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  return {
+    filters: parseProfileFilters(query),
+    sort,
+    order,
+    limit,
+    cursor: typeof query.cursor === 'string' && query.cursor ? query.cursor : null
+  };
+}
+
+// Value counts for each facet over the profiles matching every other filter,
+// most common first
+function facetCounts(profiles, filters) {
+  const facets = {};
+
+  for (const field of [...FACET_FIELDS, 'graduationYear']) {
+    const counts = new Map();
+    for (const profile of profiles) {
+      const value = fieldValue(profile, field);
+      if (value === undefined || value === null || value === '') continue;
+      if (!matchesProfileFilters(profile, filters, field)) continue;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    facets[field] = [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  }
+
+  return facets;
+}
+
+// One page of matching profiles, the total, facet counts and the cursor for
+// the next page (null on the last page)
+export function queryProfiles(profiles, { filters, sort, order, limit, cursor }) {
+  const direction = order === 'desc' ? -1 : 1;
+  const sortKey = `${sort}:${order}`;
+  const keyOf = profile => ({ value: sortValue(profile, sort), id: profile.id });
+
+  const matching = filterProfiles(profiles, filters)
+    .sort((a, b) => compareKeys(keyOf(a), keyOf(b), direction));
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor, sortKey);
+    start = matching.findIndex(profile => compareKeys(keyOf(profile), after, direction) > 0);
+    if (start === -1) {
+      start = matching.length;
+    }
+  }
+
+  const page = matching.slice(start, start + limit);
+  const hasMore = start + limit < matching.length;
+
+  return {
+    profiles: page,
+    total: matching.length,
+    nextCursor: hasMore ? encodeCursor(keyOf(page[page.length - 1]), sortKey) : null,
+    facets: facetCounts(profiles, filters),
+    lastScrapedAt: matching.reduce((latest, profile) => (!latest || profile.scrapedAt > latest ? profile.scrapedAt : latest), null)
+  };
+}
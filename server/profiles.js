@@ -0,0 +1,271 @@
+import { getProfile, saveProfile, deleteProfile, getSnapshots, deleteSnapshots, listJobs } from './repository.js';
+import { ALUMNI_FIELDS } from './profileHistory.js';
+import { EMAIL_PATTERN, YEAR_PATTERN } from './csvImport.js';
+import { createJob, processUrls, isJobActive, isJobProcessing } from './jobs.js';
+import { resolveExtractionOptions } from './extractors/index.js';
+import { normalizeForStore } from './aliases.js';
+import { INDUSTRIES } from './classification.js';
+import { JOB_FUNCTIONS, SENIORITY_LEVELS } from './normalization.js';
+import { OVERRIDABLE_FIELDS } from './overrides.js';
+import { recordAudit } from './audit.js';
+import { addOptOut, removeOptOut, eraseTraces } from './privacy.js';
+
+// Staff actions on a single stored profile: editing it (alumni details and
+// overrides of scraped fields), recording consent, erasing it and
+// re-scraping it on demand.
+
+export class ProfileError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProfileError';
+    this.status = status;
+  }
+}
+
+export function requireProfile(profileId) {
+  const profile = getProfile(profileId);
+  if (!profile) {
+    throw new ProfileError('Profile not found', 404);
+  }
+  return profile;
+}
+
+// Checked and cleaned value for an alumni field; null clears it
+function alumniValue(field, value) {
+  if (value === null || value === '') {
+    return null;
+  }
+  if (field === 'graduationYear') {
+    if (!YEAR_PATTERN.test(String(value).trim())) {
+      throw new ProfileError(`Invalid graduation year: ${value}`);
+    }
+    return Number(value);
+  }
+  if (typeof value !== 'string') {
+    throw new ProfileError(`${field} must be text`);
+  }
+  const text = value.replace(/\s+/g, ' ').trim();
+  if (field === 'email' && text && !EMAIL_PATTERN.test(text)) {
+    throw new ProfileError(`Invalid email: ${value}`);
+  }
+  return text || null;
+}
+
+// Ways an alumnus can agree to be contacted, each true (opted in) or false
+export const CONTACT_CHANNELS = ['email', 'newsletter', 'events', 'mentoring'];
+
+export function contactPreferencesValue(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ProfileError('contactPreferences must be an object');
+  }
+  const unknown = Object.keys(value).filter(channel => !CONTACT_CHANNELS.includes(channel));
+  if (unknown.length > 0) {
+    throw new ProfileError(`Unknown contact preferences: ${unknown.join(', ')}. Use ${CONTACT_CHANNELS.join(', ')}`);
+  }
+  const preferences = {};
+  for (const [channel, allowed] of Object.entries(value)) {
+    if (typeof allowed !== 'boolean') {
+      throw new ProfileError(`contactPreferences.${channel} must be true or false`);
+    }
+    preferences[channel] = allowed;
+  }
+  return preferences;
+}
+
+const CLASSIFICATION_VALUES = {
+  industry: INDUSTRIES,
+  jobFunction: JOB_FUNCTIONS,
+  seniority: SENIORITY_LEVELS
+};
+
+// Checked and cleaned override value for a scraped or classified field
+function overrideValue(field, value) {
+  if (CLASSIFICATION_VALUES[field]) {
+    if (!CLASSIFICATION_VALUES[field].includes(value)) {
+      throw new ProfileError(`Invalid ${field}: ${value}. Use one of ${CLASSIFICATION_VALUES[field].join(', ')}`);
+    }
+    return value;
+  }
+  if (typeof value !== 'string') {
+    throw new ProfileError(`${field} must be text`);
+  }
+  const text = field === 'summary' ? value.trim() : value.replace(/\s+/g, ' ').trim();
+  if (field === 'name' && !text) {
+    throw new ProfileError('name cannot be empty');
+  }
+  return text;
+}
+
+// Edit a profile. Alumni details (name from the import, cohort, programme,
+// graduation year, email) are set directly and null or '' clears them;
+// contactPreferences are merged into the stored ones.
+// Scraped and classified fields get an override that later scrapes keep;
+// null removes the override and restores the scraped value. Changes are
+// recorded in the audit log under `actor`.
+export function updateProfile(profileId, changes, actor) {
+  const profile = requireProfile(profileId);
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new ProfileError('Expected an object of fields to update');
+  }
+
+  const editable = [...ALUMNI_FIELDS, ...OVERRIDABLE_FIELDS, 'contactPreferences'];
+  const unknown = Object.keys(changes).filter(field => !editable.includes(field));
+  if (unknown.length > 0) {
+    throw new ProfileError(`Cannot edit ${unknown.join(', ')}. Editable fields: ${editable.join(', ')}`);
+  }
+
+  const now = new Date().toISOString();
+  const updated = { ...profile, overrides: { ...profile.overrides } };
+  const edits = [];
+
+  for (const [field, value] of Object.entries(changes)) {
+    const previous = updated[field] ?? null;
+    const override = updated.overrides[field];
+
+    if (field === 'contactPreferences') {
+      updated.contactPreferences = { ...updated.contactPreferences, ...contactPreferencesValue(value) };
+      if (JSON.stringify(updated.contactPreferences) !== JSON.stringify(profile.contactPreferences)) {
+        edits.push({ field, previous: profile.contactPreferences || null, current: updated.contactPreferences });
+      }
+      continue;
+    }
+
+    if (ALUMNI_FIELDS.includes(field)) {
+      const cleaned = alumniValue(field, value);
+      if (cleaned === null) {
+        delete updated[field];
+      } else {
+        updated[field] = cleaned;
+      }
+    } else if (value === null) {
+      if (!override) continue;
+      delete updated.overrides[field];
+      if (override.scrapedValue === null || override.scrapedValue === undefined) {
+        delete updated[field];
+      } else {
+        updated[field] = override.scrapedValue;
+      }
+    } else {
+      const cleaned = overrideValue(field, value);
+      updated.overrides[field] = {
+        value: cleaned,
+        scrapedValue: override ? override.scrapedValue : profile[field] ?? null,
+        updatedAt: now,
+        updatedBy: actor
+      };
+      updated[field] = cleaned;
+    }
+
+    const current = updated[field] ?? null;
+    if (previous !== current || Boolean(override) !== Boolean(updated.overrides[field])) {
+      edits.push({ field, previous, current, overridden: Boolean(updated.overrides[field]) });
+    }
+  }
+
+  if (edits.length === 0) {
+    return profile;
+  }
+  if (Object.keys(updated.overrides).length === 0) {
+    delete updated.overrides;
+  }
+
+  // Profiles that never scraped are listed under their imported name
+  if (updated.status !== 'success' && updated.importedName && !updated.overrides?.name) {
+    updated.name = updated.importedName;
+  }
+  updated.editedAt = now;
+  updated.editedBy = actor;
+
+  // A corrected company or title changes the canonical names and classification
+  const saved = saveProfile(normalizeForStore(updated));
+  recordAudit({ actor, action: 'profile.update', profileId, changes: edits });
+  console.log(`Updated ${profileId}:`, edits.map(edit => edit.field).join(', '));
+  return saved;
+}
+
+// Whether the alumnus agreed to be tracked: unknown (the default), granted
+// or opted_out. Opted-out profiles are skipped by scraping jobs and left out
+// of exports.
+export const CONSENT_STATUSES = ['unknown', 'granted', 'opted_out'];
+
+export function setConsent(profileId, { status, note }, actor) {
+  const profile = requireProfile(profileId);
+  if (!CONSENT_STATUSES.includes(status)) {
+    throw new ProfileError(`Invalid consent status: ${status}. Use one of ${CONSENT_STATUSES.join(', ')}`);
+  }
+
+  const consent = {
+    status,
+    note: typeof note === 'string' && note.trim() ? note.trim() : null,
+    updatedAt: new Date().toISOString(),
+    updatedBy: actor
+  };
+  if (status === 'opted_out') {
+    addOptOut(profileId, actor);
+  } else {
+    removeOptOut(profileId);
+  }
+
+  const saved = saveProfile({ ...profile, consent });
+  recordAudit({
+    actor,
+    action: 'profile.consent',
+    profileId,
+    changes: [{ field: 'consent', previous: profile.consent?.status || 'unknown', current: status }]
+  });
+  return saved;
+}
+
+// Erase a profile: the record, its scrape history and its traces in jobs,
+// self-updates and the audit log. With `optOut` the LinkedIn URL stays on the
+// opt-out register so later imports and refreshes don't scrape it again.
+export function removeProfile(profileId, actor, { optOut = false } = {}) {
+  const profile = requireProfile(profileId);
+
+  // A job still working through the profile's URL keeps it in memory and
+  // would write the URL and results back, or scrape the profile again
+  const busyJob = listJobs().find(job =>
+    (isJobActive(job) || isJobProcessing(job.jobId)) && (job.urls || []).includes(profile.linkedinUrl)
+  );
+  if (busyJob) {
+    throw new ProfileError(`Job ${busyJob.jobId} still includes this profile; cancel it or wait for it to finish before erasing`, 409);
+  }
+
+  const snapshots = getSnapshots(profileId).length;
+  const optedOut = optOut || profile.consent?.status === 'opted_out';
+  if (optedOut) {
+    addOptOut(profileId, actor);
+  }
+
+  deleteProfile(profileId);
+  deleteSnapshots(profileId);
+  const traces = eraseTraces(profile);
+  const erased = { snapshots, ...traces };
+
+  recordAudit({ actor, action: 'profile.erase', profileId, details: { ...erased, optedOut } });
+  console.log(`Erased profile ${profileId}:`, erased);
+  return { deleted: profileId, erased };
+}
+
+// Start a one-profile job that scrapes the alumnus again, with the extraction
+// options given or, failing those, the ones used last time
+export function rescrapeProfile(profileId, { strategy, source } = {}) {
+  const profile = requireProfile(profileId);
+
+  let extraction;
+  try {
+    extraction = strategy || source
+      ? resolveExtractionOptions({ strategy, source })
+      : resolveExtractionOptions(profile.extraction || {});
+  } catch (error) {
+    throw new ProfileError(error.message);
+  }
+
+  const job = createJob([profile.linkedinUrl], { type: 'rescrape', extraction });
+  console.log(`Re-scraping ${profileId} in job ${job.jobId}`);
+  processUrls(job.jobId).catch(error => {
+    console.error(`Error in background processing for job ${job.jobId}:`, error);
+  });
+
+  return job;
+}
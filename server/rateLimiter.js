@@ -0,0 +1,45 @@
+// Token bucket rate limiter.
+// One token is added every `intervalMs` up to `capacity`; each request takes one.
+// A random delay of up to `jitterMs` is added before a request goes out so
+// requests don't hit LinkedIn on an exactly regular beat.
+export function createRateLimiter({ intervalMs, capacity = 1, jitterMs = 0 }) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    const elapsed = now - lastRefill;
+    const newTokens = Math.floor(elapsed / intervalMs);
+    if (newTokens > 0) {
+      tokens = Math.min(capacity, tokens + newTokens);
+      lastRefill = tokens === capacity ? now : lastRefill + newTokens * intervalMs;
+    }
+  }
+
+  async function take() {
+    // An interval of 0 puts no spacing between requests
+    if (intervalMs > 0) {
+      refill();
+      while (tokens < 1) {
+        const waitMs = intervalMs - (Date.now() - lastRefill);
+        await new Promise(resolve => setTimeout(resolve, Math.max(waitMs, 0)));
+        refill();
+      }
+      tokens--;
+    }
+
+    if (jitterMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, Math.random() * jitterMs));
+    }
+  }
+
+  // Requests are served one at a time in arrival order
+  function acquire() {
+    const next = queue.then(take);
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  return { acquire };
+}
@@ -0,0 +1,285 @@
+import { getCollection, persist } from './db.js';
+
+// Jobs
+
+export function getJob(jobId) {
+  return getCollection('jobs')[jobId] || null;
+}
+
+export function listJobs() {
+  return Object.values(getCollection('jobs'));
+}
+
+export function saveJob(job) {
+  getCollection('jobs')[job.jobId] = job;
+  persist();
+  return job;
+}
+
+// Profiles
+
+export function getProfile(id) {
+  return getCollection('profiles')[id] || null;
+}
+
+export function listProfiles() {
+  return Object.values(getCollection('profiles'));
+}
+
+export function saveProfile(profile) {
+  getCollection('profiles')[profile.id] = profile;
+  persist();
+  return profile;
+}
+
+export function deleteProfile(id) {
+  delete getCollection('profiles')[id];
+  persist();
+}
+
+// Snapshots (scrape history per profile, oldest first)
+
+export function getSnapshots(profileId) {
+  return getCollection('snapshots')[profileId] || [];
+}
+
+export function addSnapshot(profileId, snapshot) {
+  const snapshots = getCollection('snapshots');
+  snapshots[profileId] = [...(snapshots[profileId] || []), snapshot];
+  persist();
+  return snapshot;
+}
+
+export function deleteSnapshots(profileId) {
+  delete getCollection('snapshots')[profileId];
+  persist();
+}
+
+export function listSnapshotProfileIds() {
+  return Object.keys(getCollection('snapshots'));
+}
+
+export function saveSnapshots(profileId, snapshots) {
+  getCollection('snapshots')[profileId] = snapshots;
+  persist();
+}
+
+// Schedules
+
+export function getSchedule(id) {
+  return getCollection('schedules')[id] || null;
+}
+
+export function saveSchedule(schedule) {
+  getCollection('schedules')[schedule.id] = schedule;
+  persist();
+  return schedule;
+}
+
+// Settings (admin-editable policies, one row per id)
+
+export function getSetting(id) {
+  return getCollection('settings')[id] || null;
+}
+
+export function saveSetting(setting) {
+  getCollection('settings')[setting.id] = setting;
+  persist();
+  return setting;
+}
+
+// Imports (uploaded files waiting for column mapping and confirmation)
+
+export function getImport(importId) {
+  return getCollection('imports')[importId] || null;
+}
+
+export function listImports() {
+  return Object.values(getCollection('imports'));
+}
+
+export function saveImport(staged) {
+  getCollection('imports')[staged.importId] = staged;
+  persist();
+  return staged;
+}
+
+export function deleteImport(importId) {
+  delete getCollection('imports')[importId];
+  persist();
+}
+
+// Aliases (company and title dictionary entries)
+
+export function getAlias(id) {
+  return getCollection('aliases')[id] || null;
+}
+
+export function listAliases() {
+  return Object.values(getCollection('aliases'));
+}
+
+export function saveAlias(entry) {
+  getCollection('aliases')[entry.id] = entry;
+  persist();
+  return entry;
+}
+
+export function deleteAlias(id) {
+  delete getCollection('aliases')[id];
+  persist();
+}
+
+// Audit log (who changed what, oldest first)
+
+export function addAuditEntry(entry) {
+  getCollection('audit')[entry.id] = entry;
+  persist();
+  return entry;
+}
+
+export function listAuditEntries() {
+  return Object.values(getCollection('audit'));
+}
+
+// Only for removing personal data from entries on erasure
+export function replaceAuditEntry(entry) {
+  getCollection('audit')[entry.id] = entry;
+  persist();
+  return entry;
+}
+
+// Self-update links (keyed by a hash of the token) and submissions
+
+export function getSelfUpdateToken(id) {
+  return getCollection('selfUpdateTokens')[id] || null;
+}
+
+export function saveSelfUpdateToken(token) {
+  getCollection('selfUpdateTokens')[token.id] = token;
+  persist();
+  return token;
+}
+
+export function getSelfUpdate(id) {
+  return getCollection('selfUpdates')[id] || null;
+}
+
+export function listSelfUpdates() {
+  return Object.values(getCollection('selfUpdates'));
+}
+
+export function saveSelfUpdate(submission) {
+  getCollection('selfUpdates')[submission.id] = submission;
+  persist();
+  return submission;
+}
+
+export function deleteSelfUpdate(id) {
+  delete getCollection('selfUpdates')[id];
+  persist();
+}
+
+export function listSelfUpdateTokens() {
+  return Object.values(getCollection('selfUpdateTokens'));
+}
+
+export function deleteSelfUpdateToken(id) {
+  delete getCollection('selfUpdateTokens')[id];
+  persist();
+}
+
+// Users and login sessions (keyed by a hash of the session token)
+
+export function getUser(id) {
+  return getCollection('users')[id] || null;
+}
+
+export function listUsers() {
+  return Object.values(getCollection('users'));
+}
+
+export function saveUser(user) {
+  getCollection('users')[user.id] = user;
+  persist();
+  return user;
+}
+
+export function deleteUser(id) {
+  delete getCollection('users')[id];
+  persist();
+}
+
+export function getSession(id) {
+  return getCollection('sessions')[id] || null;
+}
+
+export function listSessions() {
+  return Object.values(getCollection('sessions'));
+}
+
+export function saveSession(session) {
+  getCollection('sessions')[session.id] = session;
+  persist();
+  return session;
+}
+
+export function deleteSession(id) {
+  delete getCollection('sessions')[id];
+  persist();
+}
+
+// Opt-outs: profile ids (hashes of the LinkedIn URL) never to be scraped or
+// exported, kept after the profile itself is erased
+
+export function getOptOut(profileId) {
+  return getCollection('optOuts')[profileId] || null;
+}
+
+export function saveOptOut(optOut) {
+  getCollection('optOuts')[optOut.id] = optOut;
+  persist();
+  return optOut;
+}
+
+export function deleteOptOut(profileId) {
+  delete getCollection('optOuts')[profileId];
+  persist();
+}
+
+// LLM reply cache, keyed by a hash of provider, model, task and prompt
+
+export function getLLMCacheEntry(id) {
+  return getCollection('llmCache')[id] || null;
+}
+
+export function listLLMCacheEntries() {
+  return Object.values(getCollection('llmCache'));
+}
+
+export function saveLLMCacheEntry(entry) {
+  getCollection('llmCache')[entry.id] = entry;
+  persist();
+  return entry;
+}
+
+export function deleteLLMCacheEntry(id) {
+  delete getCollection('llmCache')[id];
+  persist();
+}
+
+// LLM usage, one record per UTC day
+
+export function getLLMUsageDay(date) {
+  return getCollection('llmUsage')[date] || null;
+}
+
+export function listLLMUsageDays() {
+  return Object.values(getCollection('llmUsage')).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+export function saveLLMUsageDay(day) {
+  getCollection('llmUsage')[day.id] = day;
+  persist();
+  return day;
+}
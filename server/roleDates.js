@@ -0,0 +1,124 @@
+// Turn the free-form date text on a past role ("2020-2023",
+// "Jan 2021 - Present · 2 yrs") into structured fields:
+//   startDate / endDate  'YYYY-MM' (endDate is null while the role is current)
+//   isCurrent            the role runs to the present
+//   durationMonths       months in role, counted inclusively like LinkedIn does
+// Year-only dates count from January of the start year to December of the end year.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const CURRENT_WORDS = /^(present|current|now|today|ongoing)$/i;
+
+// "Jan 2021" | "January 2021" | "2021" | "01/2021" | "2021-01" -> { year, month, monthKnown }
+function parseDatePart(text) {
+  const value = (text || '').trim().replace(/\.$/, '');
+
+  let match = value.match(/^([a-z]{3,9})\.?\s+((?:19|20)\d{2})$/i);
+  if (match) {
+    const month = MONTHS.indexOf(match[1].substring(0, 3).toLowerCase());
+    if (month !== -1) {
+      return { year: Number(match[2]), month: month + 1, monthKnown: true };
+    }
+  }
+
+  match = value.match(/^(\d{1,2})\/((?:19|20)\d{2})$/) || value.match(/^((?:19|20)\d{2})-(\d{1,2})$/);
+  if (match) {
+    const [year, month] = match[1].length === 4 ? [match[1], match[2]] : [match[2], match[1]];
+    if (Number(month) >= 1 && Number(month) <= 12) {
+      return { year: Number(year), month: Number(month), monthKnown: true };
+    }
+  }
+
+  match = value.match(/^((?:19|20)\d{2})$/);
+  if (match) {
+    return { year: Number(match[1]), month: null, monthKnown: false };
+  }
+
+  return null;
+}
+
+// "3 yrs 10 mos" | "2 years" | "less than a year" -> months
+export function parseDurationText(text) {
+  const value = (text || '').toLowerCase();
+  if (value.includes('less than a year')) {
+    return 1;
+  }
+  const years = value.match(/(\d+)\s*(yrs?|years?)/);
+  const months = value.match(/(\d+)\s*(mos?|months?)/);
+  if (!years && !months) {
+    return null;
+  }
+  return (years ? Number(years[1]) * 12 : 0) + (months ? Number(months[1]) : 0);
+}
+
+function formatMonth(year, month) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+export function parseRoleDates(text, now = new Date()) {
+  const [rangeText, ...rest] = (text || '').split('·').map(part => part.trim());
+  const durationText = rest.join(' ');
+  const empty = { startDate: null, endDate: null, isCurrent: false, durationMonths: parseDurationText(durationText) };
+
+  if (!rangeText) {
+    return empty;
+  }
+
+  // Split on a dash between two dates; "2021-01" on its own is a single date
+  const parts = parseDatePart(rangeText)
+    ? [rangeText]
+    : rangeText.split(/\s*[–—-]\s*|\s+to\s+/i).filter(Boolean);
+
+  const start = parseDatePart(parts[0]);
+  if (!start) {
+    return empty;
+  }
+
+  const endText = parts.length > 1 ? parts[parts.length - 1] : parts[0];
+  const isCurrent = CURRENT_WORDS.test(endText.trim());
+  const end = isCurrent
+    ? { year: now.getFullYear(), month: now.getMonth() + 1, monthKnown: true }
+    : parseDatePart(endText);
+
+  if (!end) {
+    return { ...empty, startDate: formatMonth(start.year, start.month || 1) };
+  }
+
+  const startMonth = start.month || 1;
+  const endMonth = end.month || 12;
+  const computedMonths = (end.year * 12 + endMonth) - (start.year * 12 + startMonth) + 1;
+
+  return {
+    startDate: formatMonth(start.year, startMonth),
+    endDate: isCurrent ? null : formatMonth(end.year, endMonth),
+    isCurrent,
+    durationMonths: computedMonths > 0 ? computedMonths : parseDurationText(durationText)
+  };
+}
+
+// Newest first: current roles, then by start date descending
+function compareRoles(a, b) {
+  if (a.isCurrent !== b.isCurrent) {
+    return a.isCurrent ? -1 : 1;
+  }
+  return (b.startDate || '').localeCompare(a.startDate || '');
+}
+
+// Add structured dates to every role and order the career newest first.
+// Roles without any parseable date keep their original relative order at the end.
+export function normalizeRoles(roles, now = new Date()) {
+  if (!Array.isArray(roles)) {
+    return [];
+  }
+
+  const dated = [];
+  const undated = [];
+  for (const role of roles) {
+    const dateText = role.duration && role.dateRange
+      ? `${role.dateRange} · ${role.duration}`
+      : role.dateRange || role.years || '';
+    const normalized = { ...role, ...parseRoleDates(dateText, now) };
+    (normalized.startDate ? dated : undated).push(normalized);
+  }
+
+  return [...dated.sort(compareRoles), ...undated];
+}
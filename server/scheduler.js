@@ -0,0 +1,155 @@
+import dotenv from 'dotenv';
+import { getJob, listProfiles, getSchedule, saveSchedule } from './repository.js';
+import { createJob, processUrls, isJobActive } from './jobs.js';
+import { isOptedOut, purgeIfDue } from './privacy.js';
+import { pruneStaleImports } from './csvImport.js';
+
+// Load environment variables
+dotenv.config();
+
+const REFRESH_SCHEDULE_ID = 'refresh';
+
+// How often the scheduler checks whether a refresh is due
+const TICK_INTERVAL_MS = 60 * 1000;
+
+let tickTimer = null;
+
+function defaultSchedule() {
+  return {
+    id: REFRESH_SCHEDULE_ID,
+    enabled: process.env.REFRESH_ENABLED === 'true',
+    intervalHours: Number(process.env.REFRESH_INTERVAL_HOURS) || 24 * 7,
+    batchSize: Number(process.env.REFRESH_BATCH_SIZE) || 25,
+    lastRunAt: null,
+    nextRunAt: null,
+    lastJobId: null
+  };
+}
+
+function computeNextRunAt(schedule, from = new Date()) {
+  if (!schedule.enabled) {
+    return null;
+  }
+  return new Date(from.getTime() + schedule.intervalHours * 60 * 60 * 1000).toISOString();
+}
+
+export function getRefreshSchedule() {
+  let schedule = getSchedule(REFRESH_SCHEDULE_ID);
+  if (!schedule) {
+    schedule = defaultSchedule();
+    schedule.nextRunAt = computeNextRunAt(schedule);
+    saveSchedule(schedule);
+  }
+
+  const lastJob = schedule.lastJobId ? getJob(schedule.lastJobId) : null;
+  return {
+    ...schedule,
+    running: Boolean(lastJob && isJobActive(lastJob))
+  };
+}
+
+export function updateRefreshSchedule(changes) {
+  const schedule = getRefreshSchedule();
+  delete schedule.running;
+
+  if (changes.intervalHours !== undefined) {
+    const intervalHours = Number(changes.intervalHours);
+    if (!Number.isFinite(intervalHours) || intervalHours < 1) {
+      throw new Error('intervalHours must be a number of at least 1');
+    }
+    schedule.intervalHours = intervalHours;
+  }
+
+  if (changes.batchSize !== undefined) {
+    const batchSize = Number(changes.batchSize);
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error('batchSize must be a positive integer');
+    }
+    schedule.batchSize = batchSize;
+  }
+
+  if (changes.enabled !== undefined) {
+    schedule.enabled = Boolean(changes.enabled);
+  }
+
+  // Restart the countdown from the last run (or now) with the new cadence
+  schedule.nextRunAt = computeNextRunAt(schedule, schedule.lastRunAt ? new Date(schedule.lastRunAt) : new Date());
+  saveSchedule(schedule);
+  return getRefreshSchedule();
+}
+
+// Profiles that have gone longest without a scrape come first; opted-out
+// ones are left alone
+export function selectProfilesForRefresh(batchSize) {
+  return listProfiles()
+    .filter(profile => !isOptedOut(profile.id))
+    .sort((a, b) => (a.scrapedAt || '').localeCompare(b.scrapedAt || ''))
+    .slice(0, batchSize);
+}
+
+// Create a refresh job over the stalest profiles and start it.
+// Returns null when there is nothing to refresh or a refresh is still running.
+export function runRefresh() {
+  const schedule = getRefreshSchedule();
+  if (schedule.running) {
+    console.log(`Refresh job ${schedule.lastJobId} is still running, skipping`);
+    return null;
+  }
+  delete schedule.running;
+
+  const now = new Date();
+  schedule.lastRunAt = now.toISOString();
+  schedule.nextRunAt = computeNextRunAt(schedule, now);
+
+  const urls = selectProfilesForRefresh(schedule.batchSize).map(profile => profile.linkedinUrl);
+  if (urls.length === 0) {
+    console.log('No stored profiles to refresh');
+    saveSchedule(schedule);
+    return null;
+  }
+
+  const job = createJob(urls, { type: 'refresh' });
+  schedule.lastJobId = job.jobId;
+  saveSchedule(schedule);
+
+  console.log(`Starting refresh job ${job.jobId} for ${urls.length} profiles`);
+  processUrls(job.jobId).catch(error => {
+    console.error(`Error in background processing for refresh job ${job.jobId}:`, error);
+  });
+
+  return job;
+}
+
+function tick() {
+  try {
+    const schedule = getRefreshSchedule();
+    if (schedule.enabled && schedule.nextRunAt && new Date(schedule.nextRunAt) <= new Date()) {
+      runRefresh();
+    }
+    pruneStaleImports();
+    purgeIfDue();
+  } catch (error) {
+    console.error('Scheduler error:', error);
+  }
+}
+
+export function startScheduler() {
+  if (tickTimer) {
+    return;
+  }
+
+  const schedule = getRefreshSchedule();
+  console.log(schedule.enabled
+    ? `Refresh scheduler started, next run at ${schedule.nextRunAt}`
+    : 'Refresh scheduler started (disabled)');
+
+  tick();
+  tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+}
+
+export function stopScheduler() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
@@ -0,0 +1,94 @@
+// Classification of scrape failures. Transient classes are retried with
+// exponential backoff; the rest, including errors that are not recognised,
+// fail straight away.
+export const ScrapeErrorType = {
+  TIMEOUT: 'timeout',
+  LOGIN_WALL: 'login_wall',
+  NOT_FOUND: 'not_found',
+  RATE_LIMITED: 'rate_limited',
+  // The connection failed: reset, refused, DNS lookup or network down
+  NETWORK: 'network',
+  PARSE_FAILURE: 'parse_failure',
+  INVALID_URL: 'invalid_url',
+  // The daily LLM budget ran out before LLM extraction could run
+  BUDGET_EXCEEDED: 'budget_exceeded',
+  UNKNOWN: 'unknown'
+};
+
+const TRANSIENT_TYPES = new Set([
+  ScrapeErrorType.TIMEOUT,
+  ScrapeErrorType.RATE_LIMITED,
+  ScrapeErrorType.NETWORK
+]);
+
+// Node socket error codes, and the browser's net::ERR_ names, of failed
+// connections. Timed-out ones count as timeouts.
+const TIMEOUT_CODES = new Set(['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT']);
+const NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'ENETUNREACH',
+  'ENETDOWN',
+  'EHOSTUNREACH',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'UND_ERR_SOCKET'
+]);
+const NETWORK_MESSAGES = [
+  'net::err_connection_',
+  'net::err_internet_disconnected',
+  'net::err_network_changed',
+  'net::err_name_not_resolved',
+  'net::err_address_unreachable',
+  'socket hang up'
+];
+
+// The error code of `error` or of the error that caused it (fetch wraps them)
+function errorCode(error) {
+  return error?.code || error?.cause?.code || '';
+}
+
+export class ScrapeError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = 'ScrapeError';
+    this.type = type;
+  }
+}
+
+export function isTransientError(type) {
+  return TRANSIENT_TYPES.has(type);
+}
+
+// Map any error thrown while scraping to one of the ScrapeErrorType classes
+export function classifyScrapeError(error) {
+  if (error instanceof ScrapeError) {
+    return error.type;
+  }
+
+  const message = (error?.message || '').toLowerCase();
+  const code = errorCode(error);
+
+  if (error?.name === 'TimeoutError' || TIMEOUT_CODES.has(code) || message.includes('timeout') || message.includes('timed out') || message.includes('net::err_timed_out')) {
+    return ScrapeErrorType.TIMEOUT;
+  }
+  if (NETWORK_CODES.has(code) || NETWORK_MESSAGES.some(text => message.includes(text))) {
+    return ScrapeErrorType.NETWORK;
+  }
+  if (message.includes('429') || message.includes('too many requests') || message.includes('rate limit')) {
+    return ScrapeErrorType.RATE_LIMITED;
+  }
+  if (message.includes('login') || message.includes('authwall') || message.includes('sign in')) {
+    return ScrapeErrorType.LOGIN_WALL;
+  }
+  if (message.includes('404') || message.includes('not found') || message.includes('unavailable')) {
+    return ScrapeErrorType.NOT_FOUND;
+  }
+  if (message.includes('invalid linkedin url')) {
+    return ScrapeErrorType.INVALID_URL;
+  }
+
+  return ScrapeErrorType.UNKNOWN;
+}
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScrapeErrorType, classifyScrapeError, isTransientError } from './scrapeErrors.js';
+
+const failure = (message, fields = {}) => Object.assign(new Error(message), fields);
+
+test('classifies connection failures as network errors', () => {
+  assert.equal(classifyScrapeError(failure('read ECONNRESET', { code: 'ECONNRESET' })), ScrapeErrorType.NETWORK);
+  assert.equal(classifyScrapeError(failure('fetch failed', { cause: { code: 'ECONNREFUSED' } })), ScrapeErrorType.NETWORK);
+  assert.equal(classifyScrapeError(failure('page.goto: net::ERR_CONNECTION_RESET')), ScrapeErrorType.NETWORK);
+});
+
+test('classifies timed-out connections as timeouts', () => {
+  assert.equal(classifyScrapeError(failure('connect ETIMEDOUT', { code: 'ETIMEDOUT' })), ScrapeErrorType.TIMEOUT);
+  assert.equal(classifyScrapeError(failure('page.goto: net::ERR_TIMED_OUT')), ScrapeErrorType.TIMEOUT);
+});
+
+test('retries only recognised network, timeout and rate limit errors', () => {
+  assert.equal(classifyScrapeError(failure('Cannot read properties of undefined')), ScrapeErrorType.UNKNOWN);
+  assert.equal(isTransientError(ScrapeErrorType.UNKNOWN), false);
+  assert.equal(isTransientError(ScrapeErrorType.NOT_FOUND), false);
+  for (const type of [ScrapeErrorType.TIMEOUT, ScrapeErrorType.RATE_LIMITED, ScrapeErrorType.NETWORK]) {
+    assert.equal(isTransientError(type), true);
+  }
+});
@@ -0,0 +1,295 @@
+import crypto from 'crypto';
+import {
+  getProfile,
+  saveProfile,
+  listProfiles,
+  getSelfUpdateToken,
+  saveSelfUpdateToken,
+  getSelfUpdate,
+  listSelfUpdates as listStoredSelfUpdates,
+  saveSelfUpdate
+} from './repository.js';
+import { requireProfile, updateProfile, contactPreferencesValue, ProfileError, CONTACT_CHANNELS } from './profiles.js';
+import { normalizeLinkedInUrl, profileIdForUrl } from './linkedinUrl.js';
+import { EMAIL_PATTERN } from './csvImport.js';
+import { recordAudit } from './audit.js';
+
+// Alumni keeping their own details current.
+//
+// Two ways in, both ending in the same queue of submissions that staff
+// approve (field by field) before anything reaches the profile:
+// - a personal link (#/self-update/<token>) to a public form showing the
+//   alumnus' current title, company, location and contact preferences;
+//   each link works once and expires after SELF_UPDATE_TOKEN_DAYS
+// - POST /api/webhooks/self-update for Google Forms, Zapier and the like,
+//   signed with SELF_UPDATE_WEBHOOK_SECRET
+//
+// Only a hash of each token is stored.
+
+const TOKEN_DAYS = parseInt(process.env.SELF_UPDATE_TOKEN_DAYS || '30', 10);
+
+// Fields an alumnus can propose
+export const SELF_UPDATE_FIELDS = ['title', 'company', 'location', 'email', 'contactPreferences'];
+
+export class SelfUpdateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SelfUpdateError';
+    this.status = status;
+  }
+}
+
+function generateSubmissionId() {
+  return `selfupdate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// A new personal form link for the alumnus; earlier links keep working until
+// used or expired
+export function createSelfUpdateLink(profileId, actor) {
+  requireProfile(profileId);
+  const token = crypto.randomBytes(24).toString('base64url');
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  saveSelfUpdateToken({
+    id: hashToken(token),
+    profileId,
+    createdAt: createdAt.toISOString(),
+    createdBy: actor,
+    expiresAt,
+    usedAt: null
+  });
+  recordAudit({ actor, action: 'self-update.link', profileId });
+  console.log(`Created self-update link for ${profileId}, expires ${expiresAt}`);
+
+  return { token, path: `/#/self-update/${token}`, expiresAt };
+}
+
+function requireToken(token) {
+  const stored = getSelfUpdateToken(hashToken(token));
+  if (!stored || !getProfile(stored.profileId)) {
+    throw new SelfUpdateError('This link is not valid', 404);
+  }
+  if (stored.usedAt) {
+    throw new SelfUpdateError('This link has already been used', 410);
+  }
+  if (stored.expiresAt < new Date().toISOString()) {
+    throw new SelfUpdateError('This link has expired', 410);
+  }
+  return stored;
+}
+
+// What the public form shows: only the fields the alumnus may change
+export function getSelfUpdateForm(token) {
+  const { profileId, expiresAt } = requireToken(token);
+  const profile = getProfile(profileId);
+  return {
+    name: profile.name,
+    title: profile.title || '',
+    company: profile.company || '',
+    location: profile.location || '',
+    email: profile.email || '',
+    contactPreferences: profile.contactPreferences || {},
+    contactChannels: CONTACT_CHANNELS,
+    expiresAt
+  };
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+// Proposed values from a form or webhook body; blank fields are left out
+function proposedChanges(body) {
+  const proposed = {};
+  for (const field of ['title', 'company', 'location']) {
+    if (text(body[field])) {
+      proposed[field] = text(body[field]);
+    }
+  }
+  if (text(body.email)) {
+    if (!EMAIL_PATTERN.test(text(body.email))) {
+      throw new SelfUpdateError(`Invalid email: ${body.email}`);
+    }
+    proposed.email = text(body.email);
+  }
+  if (body.contactPreferences !== undefined) {
+    try {
+      proposed.contactPreferences = contactPreferencesValue(body.contactPreferences);
+    } catch (error) {
+      throw new SelfUpdateError(error.message);
+    }
+  }
+  return proposed;
+}
+
+function queueSubmission({ source, profileId, proposed, identity = {} }) {
+  const submission = saveSelfUpdate({
+    id: generateSubmissionId(),
+    source,
+    status: 'pending',
+    profileId,
+    submittedAt: new Date().toISOString(),
+    proposed,
+    identity
+  });
+  console.log(`Queued ${source} self-update ${submission.id} for ${profileId || 'an unmatched profile'}`);
+  return submission;
+}
+
+// The alumnus sends the form; confirming without changes is a submission too,
+// so staff know the details were checked
+export function submitSelfUpdate(token, body) {
+  const stored = requireToken(token);
+  const proposed = proposedChanges(body || {});
+
+  saveSelfUpdateToken({ ...stored, usedAt: new Date().toISOString() });
+  const submission = queueSubmission({ source: 'form', profileId: stored.profileId, proposed });
+  return { id: submission.id, status: submission.status };
+}
+
+// Check the X-Signature header, "sha256=<hex HMAC of the raw body>"
+export function verifyWebhookSignature(rawBody, signature) {
+  const secret = process.env.SELF_UPDATE_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new SelfUpdateError('Self-update webhook is not configured', 503);
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody || '').digest('hex')}`;
+  const given = Buffer.from(String(signature || ''));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+    throw new SelfUpdateError('Invalid signature', 401);
+  }
+}
+
+// The stored profile a webhook submission is about: by id, LinkedIn URL or
+// email, in that order; null when none matches
+function matchProfile({ profileId, linkedinUrl, email }) {
+  if (profileId && getProfile(profileId)) {
+    return profileId;
+  }
+  const url = normalizeLinkedInUrl(linkedinUrl);
+  if (url && getProfile(profileIdForUrl(url))) {
+    return profileIdForUrl(url);
+  }
+  const address = text(email).toLowerCase();
+  if (address) {
+    const match = listProfiles().find(profile => (profile.email || '').toLowerCase() === address);
+    if (match) return match.id;
+  }
+  return null;
+}
+
+// A signed submission from a form service. Unmatched submissions are still
+// queued so staff can pick the profile by hand.
+export function intakeWebhook(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new SelfUpdateError('Expected a JSON object');
+  }
+  const identity = {
+    name: text(body.name) || null,
+    email: text(body.email) || null,
+    linkedinUrl: text(body.linkedinUrl) || null
+  };
+  if (!body.profileId && !identity.email && !identity.linkedinUrl) {
+    throw new SelfUpdateError('Include profileId, linkedinUrl or email to identify the alumnus');
+  }
+
+  const proposed = proposedChanges(body);
+  const submission = queueSubmission({ source: 'webhook', profileId: matchProfile({ ...body, ...identity }), proposed, identity });
+  return { id: submission.id, status: submission.status, matched: Boolean(submission.profileId) };
+}
+
+// Submissions, newest first, each with the profile's current values to compare
+export function listSelfUpdates(status = null) {
+  return listStoredSelfUpdates()
+    .filter(submission => !status || submission.status === status)
+    .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt))
+    .map(submission => {
+      const profile = submission.profileId ? getProfile(submission.profileId) : null;
+      return {
+        ...submission,
+        current: profile
+          ? Object.fromEntries(SELF_UPDATE_FIELDS.map(field => [field, profile[field] ?? null]))
+          : null,
+        profileName: profile?.name || null
+      };
+    });
+}
+
+function requirePending(id) {
+  const submission = getSelfUpdate(id);
+  if (!submission) {
+    throw new SelfUpdateError('Submission not found', 404);
+  }
+  if (submission.status !== 'pending') {
+    throw new SelfUpdateError(`Submission is already ${submission.status}`, 409);
+  }
+  return submission;
+}
+
+// Merge the chosen fields (all proposed ones by default) into the profile.
+// `profileId` assigns a submission that matched no profile.
+export function approveSelfUpdate(id, { fields, profileId } = {}, actor) {
+  const submission = requirePending(id);
+  const targetId = profileId || submission.profileId;
+  if (!targetId) {
+    throw new SelfUpdateError('Choose the profile this submission belongs to');
+  }
+  requireProfile(targetId);
+
+  if (fields !== undefined && !Array.isArray(fields)) {
+    throw new SelfUpdateError('fields must be a list of field names');
+  }
+  const chosen = fields || Object.keys(submission.proposed);
+  const unknown = chosen.filter(field => !(field in submission.proposed));
+  if (unknown.length > 0) {
+    throw new SelfUpdateError(`Not part of the submission: ${unknown.join(', ')}`);
+  }
+
+  // The edits themselves are audited by updateProfile
+  const changes = Object.fromEntries(chosen.map(field => [field, submission.proposed[field]]));
+  let profile = getProfile(targetId);
+  try {
+    if (chosen.length > 0) {
+      profile = updateProfile(targetId, changes, actor);
+    }
+  } catch (error) {
+    if (error instanceof ProfileError) {
+      throw new SelfUpdateError(error.message, error.status);
+    }
+    throw error;
+  }
+  // The alumnus confirmed their details, whether or not anything changed
+  profile = saveProfile({ ...profile, selfUpdatedAt: submission.submittedAt });
+
+  const reviewed = saveSelfUpdate({
+    ...submission,
+    profileId: targetId,
+    status: 'approved',
+    appliedFields: chosen,
+    reviewedAt: new Date().toISOString(),
+    reviewedBy: actor
+  });
+  recordAudit({ actor, action: 'self-update.approve', profileId: targetId });
+  console.log(`Approved self-update ${id} for ${targetId}:`, chosen.join(', ') || 'no changes');
+  return { submission: reviewed, profile };
+}
+
+export function rejectSelfUpdate(id, { reason } = {}, actor) {
+  const submission = requirePending(id);
+  const reviewed = saveSelfUpdate({
+    ...submission,
+    status: 'rejected',
+    reason: text(reason) || null,
+    reviewedAt: new Date().toISOString(),
+    reviewedBy: actor
+  });
+  recordAudit({ actor, action: 'self-update.reject', profileId: submission.profileId });
+  console.log(`Rejected self-update ${id}`);
+  return reviewed;
+}
@@ -0,0 +1,164 @@
+import ExcelJS from 'exceljs';
+
+// Excel (.xlsx) support: reading uploaded workbooks for import and building
+// the alumni export workbook.
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+export function isXlsxFile(file) {
+  return file.mimetype === XLSX_MIME_TYPE || /\.xlsx$/i.test(file.originalname || '');
+}
+
+// Display text of a cell. Hyperlink cells labelled "Profile" and the like
+// yield their link target when it points at LinkedIn.
+function cellText(cell) {
+  const { value } = cell;
+  if (value && typeof value === 'object' && typeof value.hyperlink === 'string' && /linkedin\.com/i.test(value.hyperlink)) {
+    return value.hyperlink;
+  }
+  return (cell.text || '').trim();
+}
+
+// Every worksheet as { name, rows }, rows being arrays of cell text
+export async function readWorkbookSheets(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  return workbook.worksheets.map(worksheet => {
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, row => {
+      const cells = [];
+      for (let column = 1; column <= worksheet.columnCount; column++) {
+        cells.push(cellText(row.getCell(column)));
+      }
+      if (cells.some(Boolean)) {
+        rows.push(cells);
+      }
+    });
+    return { name: worksheet.name, rows };
+  });
+}
+
+function addSheet(workbook, name, columns, rows) {
+  const worksheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  worksheet.columns = columns;
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.addRows(rows);
+  return worksheet;
+}
+
+// Education entries as { school, degree, field, years }; profiles scraped
+// before education was split only have the one-line form
+function educationEntries(profile) {
+  if (Array.isArray(profile.educationDetails) && profile.educationDetails.length > 0) {
+    return profile.educationDetails;
+  }
+  return (profile.education || []).map(line => {
+    const [school, ...detail] = line.split(' - ');
+    return { school: school.trim(), degree: detail.join(' - ').trim(), field: '', years: '' };
+  });
+}
+
+// Profiles sheet layout when no columns are chosen
+const PROFILE_SHEET_COLUMNS = [
+  { header: 'Profile ID', key: 'id', width: 26 },
+  { header: 'Name', key: 'name', width: 24 },
+  { header: 'Current Title', key: 'title', width: 36 },
+  { header: 'Current Company', key: 'company', width: 24 },
+  { header: 'Company (Normalised)', key: 'canonicalCompany', width: 24 },
+  { header: 'Job Title (Normalised)', key: 'canonicalTitle', width: 30 },
+  { header: 'Industry', key: 'industry', width: 20 },
+  { header: 'Seniority', key: 'seniority', width: 16 },
+  { header: 'Function', key: 'jobFunction', width: 18 },
+  { header: 'Location', key: 'location', width: 24 },
+  { header: 'Cohort', key: 'cohort', width: 14 },
+  { header: 'Program', key: 'program', width: 14 },
+  { header: 'Graduation Year', key: 'graduationYear', width: 16 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'AI Summary', key: 'summary', width: 60 },
+  { header: 'LinkedIn URL', key: 'linkedinUrl', width: 44 },
+  { header: 'Status', key: 'status', width: 10 },
+  { header: 'Scraped At', key: 'scrapedAt', width: 24 }
+];
+
+// Sheet columns for export columns picked by the caller (see exporter.js),
+// in their order. List fields are flattened the way the CSV export does.
+function selectedSheetColumns(columns) {
+  return columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: PROFILE_SHEET_COLUMNS.find(sheetColumn => sheetColumn.key === column.key)?.width ?? (column.text ? 60 : 24)
+  }));
+}
+
+function profileRow(profile, columns) {
+  const row = {
+    ...profile,
+    linkedinUrl: profile.linkedinUrl ? { text: profile.linkedinUrl, hyperlink: profile.linkedinUrl } : ''
+  };
+  for (const column of columns || []) {
+    if (column.text) {
+      row[column.key] = column.text(profile);
+    }
+  }
+  return row;
+}
+
+// Workbook with one sheet per entity: profiles, their past roles and their
+// education, joined on the profile id. With `columns` (export column
+// definitions) the Profiles sheet has just those, and the Past Roles and
+// Education sheets are only added when `pastRoles` or `education` is picked.
+export async function buildAlumniWorkbook(profiles, columns = null) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'ASB Alumni Scraper';
+  workbook.created = new Date();
+  const picked = key => !columns || columns.some(column => column.key === key);
+
+  addSheet(
+    workbook,
+    'Profiles',
+    columns ? selectedSheetColumns(columns) : PROFILE_SHEET_COLUMNS,
+    profiles.map(profile => profileRow(profile, columns))
+  );
+
+  if (picked('pastRoles')) {
+    addSheet(workbook, 'Past Roles', [
+      { header: 'Profile ID', key: 'profileId', width: 26 },
+      { header: 'Name', key: 'name', width: 24 },
+      { header: 'Title', key: 'title', width: 36 },
+      { header: 'Company', key: 'company', width: 24 },
+      { header: 'Company (Normalised)', key: 'canonicalCompany', width: 24 },
+      { header: 'Seniority', key: 'seniority', width: 16 },
+      { header: 'Function', key: 'jobFunction', width: 18 },
+      { header: 'Employment Type', key: 'employmentType', width: 16 },
+      { header: 'Location', key: 'location', width: 24 },
+      { header: 'Start', key: 'startDate', width: 10 },
+      { header: 'End', key: 'endDate', width: 10 },
+      { header: 'Current', key: 'isCurrent', width: 10 },
+      { header: 'Months', key: 'durationMonths', width: 10 },
+      { header: 'Dates (as listed)', key: 'years', width: 24 }
+    ], profiles.flatMap(profile => (profile.pastRoles || []).map(role => ({
+      ...role,
+      profileId: profile.id,
+      name: profile.name,
+      isCurrent: role.isCurrent ? 'Yes' : 'No'
+    }))));
+  }
+
+  if (picked('education')) {
+    addSheet(workbook, 'Education', [
+      { header: 'Profile ID', key: 'profileId', width: 26 },
+      { header: 'Name', key: 'name', width: 24 },
+      { header: 'School', key: 'school', width: 36 },
+      { header: 'Degree', key: 'degree', width: 36 },
+      { header: 'Field of Study', key: 'field', width: 28 },
+      { header: 'Years', key: 'years', width: 14 }
+    ], profiles.flatMap(profile => educationEntries(profile).map(entry => ({
+      ...entry,
+      profileId: profile.id,
+      name: profile.name
+    }))));
+  }
+
+  return workbook.xlsx.writeBuffer();
+}
@@ -0,0 +1,17 @@
+// Run `worker` over `items` with at most `concurrency` calls in flight.
+// Workers pull the next item as soon as they finish the previous one.
+// `shouldContinue` is checked before each item is taken, so returning false
+// lets in-flight items finish while no new ones are started.
+export async function runWorkerPool(items, concurrency, worker, { shouldContinue = () => true } = {}) {
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length && shouldContinue()) {
+      const index = nextIndex++;
+      await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+}
@@ -1,40 +1,150 @@
-import React, { useState, useEffect } from 'react';
-import { Upload, Users, Download, Search, Filter, Play, CheckCircle, AlertCircle, Clock } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Upload, Users, Download, Search, Filter, Play, CheckCircle, AlertCircle, Clock, CalendarClock, BarChart3, Inbox, Shield, LogOut } from 'lucide-react';
 import UploadSection from './components/UploadSection';
 import Dashboard from './components/Dashboard';
+import Analytics from './components/Analytics';
+import ProfileDetail from './components/ProfileDetail';
 import ScrapingProgress from './components/ScrapingProgress';
-import { AlumniData, ScrapingJob } from './types';
+import RefreshSchedulePanel from './components/RefreshSchedulePanel';
+import SelfUpdateQueue from './components/SelfUpdateQueue';
+import SelfUpdateForm from './components/SelfUpdateForm';
+import LoginScreen from './components/LoginScreen';
+import UserAdmin from './components/UserAdmin';
+import LlmUsagePanel from './components/LlmUsagePanel';
+import { AuthContext } from './hooks/useAuth';
+import { useJobProgress } from './hooks/useJobProgress';
+import { profileFilterParams } from './utils/profileQuery';
+import { profileIdFromHash, selfUpdateTokenFromHash } from './utils/routes';
+import { JobControlAction, ExtractionOptions, ColumnMapping, ExportFormat, ProfileFilters, User } from './types';
 
 function App() {
-  const [currentView, setCurrentView] = useState<'upload' | 'dashboard' | 'scraping'>('upload');
-  const [alumniData, setAlumniData] = useState<AlumniData[]>([]);
-  const [scrapingJob, setScrapingJob] = useState<ScrapingJob | null>(null);
+  const [currentView, setCurrentView] = useState<'upload' | 'dashboard' | 'analytics' | 'scraping' | 'schedule' | 'updates' | 'admin'>('upload');
+  const [user, setUser] = useState<User | null>(null);
+  const [sessionChecked, setSessionChecked] = useState(false);
+  const [setupRequired, setSetupRequired] = useState(false);
+  const [profileCount, setProfileCount] = useState(0);
+  const [openProfileId, setOpenProfileId] = useState<string | null>(() => profileIdFromHash(window.location.hash));
+  const [selfUpdateToken, setSelfUpdateToken] = useState<string | null>(() => selfUpdateTokenFromHash(window.location.hash));
+  const [activeJobId, setActiveJobId] = useState<string | null>(null);
+  const { job: scrapingJob, connection } = useJobProgress(activeJobId);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
-  const handleFileUpload = async (file: File) => {
-    let pollInterval: NodeJS.Timeout;
+  // The dashboard pages through profiles itself; here we only need to know
+  // whether there are any
+  const loadProfiles = useCallback(async () => {
+    const profilesResponse = await fetch('/api/profiles?limit=1');
+    if (profilesResponse.ok) {
+      const { total } = await profilesResponse.json();
+      setProfileCount(total);
+    } else if (profilesResponse.status === 401) {
+      // The session expired
+      setUser(null);
+    }
+  }, []);
+
+  // Admins start on the upload view, everyone else on the dashboard
+  const handleSignedIn = (signedIn: User) => {
+    setUser(signedIn);
+    setSetupRequired(false);
+    setCurrentView(signedIn.role === 'admin' ? 'upload' : 'dashboard');
+  };
+
+  useEffect(() => {
+    const loadSession = async () => {
+      try {
+        const response = await fetch('/api/auth/session');
+        if (response.ok) {
+          const session = await response.json();
+          setSetupRequired(session.setupRequired);
+          if (session.user) handleSignedIn(session.user);
+        }
+      } finally {
+        setSessionChecked(true);
+      }
+    };
+    loadSession();
+  }, []);
+
+  const handleSignOut = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    setUser(null);
+    setActiveJobId(null);
+  };
+
+  useEffect(() => {
+    if (user) loadProfiles();
+  }, [user, loadProfiles]);
+
+  // Profile pages and self-update forms are addressed by the URL hash
+  useEffect(() => {
+    const handleHashChange = () => {
+      setOpenProfileId(profileIdFromHash(window.location.hash));
+      setSelfUpdateToken(selfUpdateTokenFromHash(window.location.hash));
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  // Switching views closes any open profile page
+  const showView = (view: typeof currentView) => {
+    if (window.location.hash) {
+      window.history.pushState(null, '', window.location.pathname + window.location.search);
+    }
+    setOpenProfileId(null);
+    setCurrentView(view);
+  };
+
+  const handleProfileDeleted = () => {
+    loadProfiles();
+    showView('dashboard');
+  };
+
+  // Follow the finished job: refresh the dashboard data on success
+  const jobStatus = scrapingJob?.status;
+  const jobFailure = jobStatus === 'failed'
+    ? scrapingJob?.errors[scrapingJob.errors.length - 1]?.error || 'Unknown error'
+    : null;
+
+  useEffect(() => {
+    if (jobStatus === 'completed') {
+      setIsLoading(false);
+      loadProfiles();
+      const redirect = setTimeout(() => setCurrentView('dashboard'), 2000);
+      return () => clearTimeout(redirect);
+    }
+    if (jobStatus === 'cancelled') {
+      setIsLoading(false);
+      loadProfiles();
+    }
+    if (jobFailure) {
+      setIsLoading(false);
+      setError(`Scraping failed: ${jobFailure}`);
+    }
+  }, [jobStatus, jobFailure, loadProfiles]);
+
+  const handleImportConfirm = async (importId: string, mapping: ColumnMapping, extraction?: ExtractionOptions) => {
     try {
       setIsLoading(true);
       setError(null);
 
-      // Step 1: Upload the file
-      console.log('Uploading file...');
-      const formData = new FormData();
-      formData.append('file', file);
-
-      const uploadResponse = await fetch('/api/upload', {
+      // Step 1: Create the job from the reviewed import
+      console.log('Confirming import...');
+      const importResponse = await fetch(`/api/import/${importId}/confirm`, {
         method: 'POST',
-        body: formData,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ mapping, ...extraction }),
       });
 
-      if (!uploadResponse.ok) {
-        const errorData = await uploadResponse.json();
-        throw new Error(errorData.error || 'Failed to upload file');
+      if (!importResponse.ok) {
+        const errorData = await importResponse.json();
+        throw new Error(errorData.error || 'Failed to import file');
       }
 
-      const { jobId, totalProfiles } = await uploadResponse.json();
-      console.log('File uploaded successfully. Job ID:', jobId);
+      const { jobId } = await importResponse.json();
+      console.log('Import confirmed. Job ID:', jobId);
 
       // Step 2: Start the scraping job
       console.log('Starting scraping job...');
@@ -53,166 +163,270 @@ function App() {
 
       console.log('Scraping job started successfully');
 
-      // Step 3: Poll for job status
-      pollInterval = setInterval(async () => {
-        try {
-          const statusResponse = await fetch(`/api/job/${jobId}`);
-          if (!statusResponse.ok) {
-            throw new Error('Failed to get job status');
-          }
-
-          const jobStatus = await statusResponse.json();
-          console.log('Job status:', jobStatus);
-
-          if (jobStatus.status === 'completed') {
-            clearInterval(pollInterval);
-            setIsLoading(false);
-            setCurrentView('dashboard');
-            // Fetch all profiles
-            const profilesResponse = await fetch('/api/profiles');
-            if (profilesResponse.ok) {
-              const profiles = await profilesResponse.json();
-              setAlumniData(profiles);
-            }
-          } else if (jobStatus.status === 'failed') {
-            clearInterval(pollInterval);
-            setIsLoading(false);
-            setError(`Scraping failed: ${jobStatus.errors[0]?.error || 'Unknown error'}`);
-          }
-        } catch (error) {
-          console.error('Error polling job status:', error);
-          clearInterval(pollInterval);
-          setIsLoading(false);
-          setError('Failed to get job status');
-        }
-      }, 2000);
+      // Step 3: Follow live progress
+      setActiveJobId(jobId);
+      setCurrentView('scraping');
     } catch (error) {
       console.error('Error in file upload process:', error);
       setIsLoading(false);
       setError(error instanceof Error ? error.message : 'An error occurred');
     }
+  };
 
-    // Cleanup function
-    return () => {
-      if (pollInterval) {
-        clearInterval(pollInterval);
+  const handleJobControl = async (action: JobControlAction) => {
+    if (!scrapingJob) return;
+    try {
+      const response = await fetch(`/api/job/${scrapingJob.jobId}/${action}`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to ${action} job`);
       }
-    };
+    } catch (error) {
+      console.error(`Error trying to ${action} job:`, error);
+      setError(error instanceof Error ? error.message : `Failed to ${action} job`);
+    }
   };
 
-  const handleExport = async (format: 'csv' | 'json') => {
+  const handleRetryFailed = async () => {
+    if (!scrapingJob) return;
     try {
-      console.log(`📥 Exporting data as ${format}`);
-      const response = await fetch(`/api/export/${format}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ data: alumniData }),
-      });
-
+      const response = await fetch(`/api/job/${scrapingJob.jobId}/retry-failed`, { method: 'POST' });
+      const data = await response.json();
       if (!response.ok) {
-        throw new Error('Export failed');
+        throw new Error(data.error || 'Failed to retry failed profiles');
       }
 
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.style.display = 'none';
-      a.href = url;
-      a.download = `alumni_data.${format}`;
-      document.body.appendChild(a);
-      a.click();
-      window.URL.revokeObjectURL(url);
-      console.log(`✅ Data exported successfully as ${format}`);
+      setActiveJobId(data.jobId);
     } catch (error) {
-      console.error('❌ Export error:', error);
+      console.error('Error retrying failed profiles:', error);
+      setError(error instanceof Error ? error.message : 'Failed to retry failed profiles');
+    }
+  };
+
+  // The server streams the export straight from the store, so let the
+  // browser download it rather than buffering it here
+  const handleExport = async (format: ExportFormat, filters: ProfileFilters, columns: string[]) => {
+    console.log(`📥 Exporting data as ${format}`, filters);
+    const params = profileFilterParams(filters);
+    params.set('format', format);
+    if (columns.length > 0) {
+      params.set('columns', columns.join(','));
     }
+
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = `/api/export?${params.toString()}`;
+    a.download = `alumni_data.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
   };
 
+  // Alumni following their self-update link see only the form
+  if (selfUpdateToken) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-indigo-50">
+        <SelfUpdateForm token={selfUpdateToken} />
+      </div>
+    );
+  }
+
+  if (!sessionChecked) {
+    return <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-indigo-50" />;
+  }
+
+  if (!user) {
+    return <LoginScreen setupRequired={setupRequired} onSignedIn={handleSignedIn} />;
+  }
+
+  const isAdmin = user.role === 'admin';
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-indigo-50">
-      {/* Header */}
-      <header className="bg-white shadow-sm border-b border-gray-200">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="flex justify-between items-center h-16">
-            <div className="flex items-center space-x-3">
-              <div className="w-10 h-10 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-lg flex items-center justify-center">
-                <Users className="w-6 h-6 text-white" />
-              </div>
-              <div>
-                <h1 className="text-xl font-bold text-gray-900">ASB Alumni Tracker</h1>
-                <p className="text-sm text-gray-500">LinkedIn Career Intelligence Platform</p>
+    <AuthContext.Provider value={user}>
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-indigo-50">
+        {/* Header */}
+        <header className="bg-white shadow-sm border-b border-gray-200">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="flex justify-between items-center h-16">
+              <div className="flex items-center space-x-3">
+                <div className="w-10 h-10 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-lg flex items-center justify-center">
+                  <Users className="w-6 h-6 text-white" />
+                </div>
+                <div>
+                  <h1 className="text-xl font-bold text-gray-900">ASB Alumni Tracker</h1>
+                  <p className="text-sm text-gray-500">LinkedIn Career Intelligence Platform</p>
+                </div>
               </div>
+              
+              <nav className="flex items-center space-x-1">
+                {isAdmin && (
+                  <button
+                    onClick={() => showView('upload')}
+                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                      !openProfileId && currentView === 'upload'
+                        ? 'bg-blue-100 text-blue-700'
+                        : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+                    }`}
+                  >
+                    <Upload className="w-4 h-4 inline mr-2" />
+                    Upload
+                  </button>
+                )}
+                <button
+                  onClick={() => showView('dashboard')}
+                  disabled={profileCount === 0}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    !openProfileId && currentView === 'dashboard'
+                      ? 'bg-blue-100 text-blue-700'
+                      : profileCount > 0
+                      ? 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+                      : 'text-gray-400 cursor-not-allowed'
+                  }`}
+                >
+                  <Users className="w-4 h-4 inline mr-2" />
+                  Dashboard
+                </button>
+                <button
+                  onClick={() => showView('analytics')}
+                  disabled={profileCount === 0}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    !openProfileId && currentView === 'analytics'
+                      ? 'bg-blue-100 text-blue-700'
+                      : profileCount > 0
+                      ? 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+                      : 'text-gray-400 cursor-not-allowed'
+                  }`}
+                >
+                  <BarChart3 className="w-4 h-4 inline mr-2" />
+                  Analytics
+                </button>
+                <button
+                  onClick={() => showView('schedule')}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    !openProfileId && currentView === 'schedule'
+                      ? 'bg-blue-100 text-blue-700'
+                      : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+                  }`}
+                >
+                  <CalendarClock className="w-4 h-4 inline mr-2" />
+                  Schedule
+                </button>
+                {user.role !== 'viewer' && (
+                  <button
+                    onClick={() => showView('updates')}
+                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                      !openProfileId && currentView === 'updates'
+                        ? 'bg-blue-100 text-blue-700'
+                        : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+                    }`}
+                  >
+                    <Inbox className="w-4 h-4 inline mr-2" />
+                    Updates
+                  </button>
+                )}
+                {isAdmin && (
+                  <button
+                    onClick={() => showView('admin')}
+                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                      !openProfileId && currentView === 'admin'
+                        ? 'bg-blue-100 text-blue-700'
+                        : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+                    }`}
+                  >
+                    <Shield className="w-4 h-4 inline mr-2" />
+                    Admin
+                  </button>
+                )}
+                <div className="flex items-center pl-3 ml-2 border-l border-gray-200">
+                  <div className="text-right mr-2">
+                    <p className="text-sm font-medium text-gray-900">{user.name}</p>
+                    <p className="text-xs text-gray-500 capitalize">{user.role}</p>
+                  </div>
+                  <button
+                    onClick={handleSignOut}
+                    title="Sign out"
+                    className="p-2 rounded-lg text-gray-600 hover:text-gray-900 hover:bg-gray-100"
+                  >
+                    <LogOut className="w-4 h-4" />
+                  </button>
+                </div>
+              </nav>
             </div>
-            
-            <nav className="flex space-x-1">
-              <button
-                onClick={() => setCurrentView('upload')}
-                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
-                  currentView === 'upload'
-                    ? 'bg-blue-100 text-blue-700'
-                    : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
-                }`}
-              >
-                <Upload className="w-4 h-4 inline mr-2" />
-                Upload
-              </button>
-              <button
-                onClick={() => setCurrentView('dashboard')}
-                disabled={alumniData.length === 0}
-                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
-                  currentView === 'dashboard'
-                    ? 'bg-blue-100 text-blue-700'
-                    : alumniData.length > 0
-                    ? 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
-                    : 'text-gray-400 cursor-not-allowed'
-                }`}
-              >
-                <Users className="w-4 h-4 inline mr-2" />
-                Dashboard
-              </button>
-            </nav>
           </div>
-        </div>
-      </header>
-
-      {/* Main Content */}
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {currentView === 'upload' && (
-          <UploadSection onFileUpload={handleFileUpload} isLoading={isLoading} error={error} />
-        )}
-        
-        {currentView === 'scraping' && scrapingJob && (
-          <ScrapingProgress job={scrapingJob} />
-        )}
-        
-        {currentView === 'dashboard' && (
-          <Dashboard data={alumniData} onExport={handleExport} />
-        )}
-      </main>
-
-      {/* Footer */}
-      <footer className="bg-white border-t border-gray-200 mt-16">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
-          <div className="flex justify-between items-center">
-            <p className="text-sm text-gray-500">
-              © 2025 ASB Alumni Office. Built for career intelligence and engagement.
-            </p>
-            <div className="flex items-center space-x-4 text-sm text-gray-500">
-              <span className="flex items-center">
-                <CheckCircle className="w-4 h-4 mr-1 text-green-500" />
-                Ethical Scraping
-              </span>
-              <span className="flex items-center">
-                <CheckCircle className="w-4 h-4 mr-1 text-green-500" />
-                Public Data Only
-              </span>
+        </header>
+
+        {/* Main Content */}
+        <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {openProfileId ? (
+            <ProfileDetail
+              key={openProfileId}
+              profileId={openProfileId}
+              onBack={() => showView('dashboard')}
+              onDeleted={handleProfileDeleted}
+            />
+          ) : (
+            <>
+              {currentView === 'upload' && (
+                <UploadSection onImportConfirm={handleImportConfirm} isLoading={isLoading} error={error} />
+              )}
+
+              {currentView === 'scraping' && scrapingJob && (
+                <ScrapingProgress
+                  job={scrapingJob}
+                  connection={connection}
+                  onControl={handleJobControl}
+                  onRetryFailed={handleRetryFailed}
+                />
+              )}
+
+              {currentView === 'dashboard' && (
+                <Dashboard onExport={handleExport} />
+              )}
+
+              {currentView === 'analytics' && (
+                <Analytics />
+              )}
+
+              {currentView === 'schedule' && (
+                <RefreshSchedulePanel />
+              )}
+
+              {currentView === 'updates' && (
+                <SelfUpdateQueue />
+              )}
+
+              {currentView === 'admin' && (
+                <>
+                  <LlmUsagePanel />
+                  <UserAdmin />
+                </>
+              )}
+            </>
+          )}
+        </main>
+
+        {/* Footer */}
+        <footer className="bg-white border-t border-gray-200 mt-16">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+            <div className="flex justify-between items-center">
+              <p className="text-sm text-gray-500">
+                © 2025 ASB Alumni Office. Built for career intelligence and engagement.
+              </p>
+              <div className="flex items-center space-x-4 text-sm text-gray-500">
+                <span className="flex items-center">
+                  <CheckCircle className="w-4 h-4 mr-1 text-green-500" />
+                  Ethical Scraping
+                </span>
+                <span className="flex items-center">
+                  <CheckCircle className="w-4 h-4 mr-1 text-green-500" />
+                  Public Data Only
+                </span>
+              </div>
             </div>
           </div>
-        </div>
-      </footer>
-    </div>
+        </footer>
+      </div>
+    </AuthContext.Provider>
   );
 }
 
@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Container,
+  Typography,
+  Paper,
+  Card,
+  CardContent,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import {
+  AnalyticsOverview,
+  CareerMoveYear,
+  DistributionItem,
+  EmployerCount,
+  EmployerFlow,
+  FacetCount,
+  ProfileFilters,
+  ProfilePage,
+  Seniority,
+  SeniorityByCohort,
+} from '../types';
+import { profileFilterParams } from '../utils/profileQuery';
+import { humanize } from '../utils/labels';
+import FacetSelect from './FacetSelect';
+
+interface AnalyticsData {
+  overview: AnalyticsOverview;
+  employers: EmployerCount[];
+  industries: DistributionItem[];
+  locations: DistributionItem[];
+  seniority: SeniorityByCohort;
+  moves: CareerMoveYear[];
+  flows: EmployerFlow[];
+}
+
+type CohortGrouping = 'graduationYear' | 'cohort';
+
+// One colour per seniority level, most junior first
+const SENIORITY_COLORS: Record<Seniority, string> = {
+  intern: '#cfd8dc',
+  individual_contributor: '#90caf9',
+  senior: '#42a5f5',
+  manager: '#1e88e5',
+  director: '#3949ab',
+  vice_president: '#5e35b1',
+  c_suite: '#8e24aa',
+};
+
+const COMPANY_CHANGE_COLOR = '#1e88e5';
+const INTERNAL_MOVE_COLOR = '#90caf9';
+
+const fetchReport = async <T,>(report: string, params: URLSearchParams, signal: AbortSignal): Promise<T> => {
+  const response = await fetch(`/api/analytics/${report}?${params.toString()}`, { signal });
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error || `Failed to load ${report}`);
+  return result as T;
+};
+
+interface ChartCardProps {
+  title: string;
+  action?: React.ReactNode;
+  children: React.ReactNode;
+}
+
+const ChartCard: React.FC<ChartCardProps> = ({ title, action, children }) => (
+  <Paper sx={{ p: 2 }}>
+    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2, minHeight: 32 }}>
+      <Typography variant="h6">{title}</Typography>
+      {action}
+    </Box>
+    {children}
+  </Paper>
+);
+
+const EmptyChart: React.FC = () => (
+  <Typography variant="body2" color="text.secondary">
+    No data for these filters
+  </Typography>
+);
+
+interface BarListProps {
+  items: { label: string; count: number; detail?: string }[];
+  color?: string;
+}
+
+// Horizontal bars scaled to the largest count
+const BarList: React.FC<BarListProps> = ({ items, color = 'primary.main' }) => {
+  if (items.length === 0) return <EmptyChart />;
+  const max = Math.max(...items.map((item) => item.count));
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+      {items.map((item) => (
+        <Box key={item.label}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 2 }}>
+            <Typography variant="body2" noWrap title={item.label}>
+              {item.label}
+              {item.detail && (
+                <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                  {item.detail}
+                </Typography>
+              )}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">{item.count}</Typography>
+          </Box>
+          <Box sx={{ height: 8, borderRadius: 1, bgcolor: 'grey.100' }}>
+            <Box sx={{ height: '100%', borderRadius: 1, bgcolor: color, width: `${(item.count / max) * 100}%` }} />
+          </Box>
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+const distributionItems = (items: DistributionItem[], format: (value: string) => string = (value) => value) =>
+  items.map((item) => ({ label: format(item.value), count: item.count, detail: `${Math.round(item.share * 100)}%` }));
+
+interface LegendProps {
+  entries: { label: string; color: string }[];
+}
+
+const Legend: React.FC<LegendProps> = ({ entries }) => (
+  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mt: 2 }}>
+    {entries.map((entry) => (
+      <Box key={entry.label} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+        <Box sx={{ width: 12, height: 12, borderRadius: 0.5, bgcolor: entry.color }} />
+        <Typography variant="caption">{entry.label}</Typography>
+      </Box>
+    ))}
+  </Box>
+);
+
+// One 100% bar per cohort, split by seniority level
+const SeniorityChart: React.FC<{ data: SeniorityByCohort }> = ({ data }) => {
+  if (data.groups.length === 0) return <EmptyChart />;
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+        {data.groups.map((group) => (
+          <Box key={String(group.group)} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Typography variant="body2" sx={{ width: 120, flexShrink: 0 }} noWrap title={String(group.group)}>
+              {group.group}
+            </Typography>
+            <Box sx={{ display: 'flex', flexGrow: 1, height: 20, borderRadius: 1, overflow: 'hidden' }}>
+              {data.levels.filter((level) => group.counts[level] > 0).map((level) => (
+                <Tooltip key={level} title={`${humanize(level)}: ${group.counts[level]}`}>
+                  <Box sx={{ bgcolor: SENIORITY_COLORS[level], width: `${(group.counts[level] / group.total) * 100}%` }} />
+                </Tooltip>
+              ))}
+            </Box>
+            <Typography variant="body2" color="text.secondary" sx={{ width: 32, textAlign: 'right' }}>
+              {group.total}
+            </Typography>
+          </Box>
+        ))}
+      </Box>
+      <Legend entries={data.levels.map((level) => ({ label: humanize(level), color: SENIORITY_COLORS[level] }))} />
+    </Box>
+  );
+};
+
+// Stacked columns per year: moves to another company and moves within one
+const CareerMovesChart: React.FC<{ data: CareerMoveYear[] }> = ({ data }) => {
+  if (data.length === 0) return <EmptyChart />;
+  const max = Math.max(...data.map((year) => year.total));
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: 1, height: 180, overflowX: 'auto' }}>
+        {data.map((year) => (
+          <Tooltip
+            key={year.year}
+            title={`${year.year}: ${year.companyChanges} company changes, ${year.internalMoves} internal moves`}
+          >
+            <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', minWidth: 32, flex: 1, height: '100%' }}>
+              <Box sx={{ display: 'flex', flexDirection: 'column', justifyContent: 'flex-end', flexGrow: 1, width: '70%' }}>
+                <Box sx={{ bgcolor: INTERNAL_MOVE_COLOR, height: `${(year.internalMoves / max) * 100}%` }} />
+                <Box sx={{ bgcolor: COMPANY_CHANGE_COLOR, height: `${(year.companyChanges / max) * 100}%` }} />
+              </Box>
+              <Typography variant="caption" color="text.secondary">{year.year}</Typography>
+            </Box>
+          </Tooltip>
+        ))}
+      </Box>
+      <Legend
+        entries={[
+          { label: 'Company change', color: COMPANY_CHANGE_COLOR },
+          { label: 'Internal move', color: INTERNAL_MOVE_COLOR },
+        ]}
+      />
+    </Box>
+  );
+};
+
+const Analytics: React.FC = () => {
+  const [data, setData] = useState<AnalyticsData | null>(null);
+  const [cohortOptions, setCohortOptions] = useState<FacetCount[]>([]);
+  const [programOptions, setProgramOptions] = useState<FacetCount[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [cohortFilter, setCohortFilter] = useState<string[]>([]);
+  const [programFilter, setProgramFilter] = useState<string[]>([]);
+  const [graduationYearFrom, setGraduationYearFrom] = useState('');
+  const [graduationYearTo, setGraduationYearTo] = useState('');
+  const [groupBy, setGroupBy] = useState<CohortGrouping>('graduationYear');
+
+  const filters = useMemo<ProfileFilters>(() => ({
+    cohort: cohortFilter,
+    program: programFilter,
+    graduationYearFrom,
+    graduationYearTo,
+  }), [cohortFilter, programFilter, graduationYearFrom, graduationYearTo]);
+
+  // Every report is computed on the server from the stored profiles
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = profileFilterParams(filters);
+    const seniorityParams = new URLSearchParams(params);
+    seniorityParams.set('by', groupBy);
+    const optionParams = new URLSearchParams(params);
+    optionParams.set('status', 'success');
+    optionParams.set('limit', '1');
+
+    setLoading(true);
+    Promise.all([
+      fetchReport<AnalyticsOverview>('overview', params, controller.signal),
+      fetchReport<EmployerCount[]>('employers', params, controller.signal),
+      fetchReport<DistributionItem[]>('industries', params, controller.signal),
+      fetchReport<DistributionItem[]>('locations', params, controller.signal),
+      fetchReport<SeniorityByCohort>('seniority', seniorityParams, controller.signal),
+      fetchReport<CareerMoveYear[]>('moves', params, controller.signal),
+      fetchReport<EmployerFlow[]>('flows', params, controller.signal),
+      fetch(`/api/profiles?${optionParams.toString()}`, { signal: controller.signal }).then((response) => response.json() as Promise<ProfilePage>),
+    ])
+      .then(([overview, employers, industries, locations, seniority, moves, flows, page]) => {
+        setData({ overview, employers, industries, locations, seniority, moves, flows });
+        setCohortOptions(page.facets?.cohort ?? []);
+        setProgramOptions(page.facets?.program ?? []);
+        setLoading(false);
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('Error loading analytics:', err);
+        setError(err instanceof Error ? err.message : 'Failed to load analytics');
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [filters, groupBy, reloadCount]);
+
+  const overviewCards = data
+    ? [
+        { label: 'Alumni', value: data.overview.alumni },
+        { label: 'Employers', value: data.overview.employers },
+        { label: 'Industries', value: data.overview.industries },
+        { label: 'Countries', value: data.overview.countries },
+        {
+          label: 'Median Time in Role',
+          value: data.overview.medianTenureMonths === null ? '—' : `${data.overview.medianTenureMonths} mos`,
+        },
+      ]
+    : [];
+
+  return (
+    <Container maxWidth="xl">
+      <Box sx={{ my: 4 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          Career Outcomes
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {/* Cohort Filters */}
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+            <FacetSelect label="Cohort" options={cohortOptions} value={cohortFilter} onChange={setCohortFilter} />
+            <FacetSelect label="Program" options={programOptions} value={programFilter} onChange={setProgramFilter} />
+            <TextField
+              label="Class of (from)"
+              type="number"
+              size="small"
+              value={graduationYearFrom}
+              onChange={(e) => setGraduationYearFrom(e.target.value)}
+              sx={{ width: 130 }}
+            />
+            <TextField
+              label="Class of (to)"
+              type="number"
+              size="small"
+              value={graduationYearTo}
+              onChange={(e) => setGraduationYearTo(e.target.value)}
+              sx={{ width: 130 }}
+            />
+            <Button variant="outlined" startIcon={<RefreshIcon />} onClick={() => setReloadCount((count) => count + 1)}>
+              Refresh
+            </Button>
+            {loading && <CircularProgress size={24} />}
+          </Box>
+        </Paper>
+
+        {data && (
+          <>
+            <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', md: 'repeat(5, 1fr)' }, gap: 3, mb: 3 }}>
+              {overviewCards.map((card) => (
+                <Card key={card.label}>
+                  <CardContent>
+                    <Typography color="textSecondary" gutterBottom>
+                      {card.label}
+                    </Typography>
+                    <Typography variant="h5">{card.value}</Typography>
+                  </CardContent>
+                </Card>
+              ))}
+            </Box>
+
+            <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '1fr 1fr' }, gap: 3 }}>
+              <ChartCard title="Top Employers">
+                <BarList
+                  items={data.employers.map((employer) => ({
+                    label: employer.company,
+                    count: employer.count,
+                    detail: employer.industry ? humanize(employer.industry) : undefined,
+                  }))}
+                />
+              </ChartCard>
+              <ChartCard title="Industries">
+                <BarList items={distributionItems(data.industries, humanize)} color="secondary.main" />
+              </ChartCard>
+              <ChartCard
+                title="Seniority by Cohort"
+                action={
+                  <ToggleButtonGroup
+                    size="small"
+                    exclusive
+                    value={groupBy}
+                    onChange={(_, value: CohortGrouping | null) => value && setGroupBy(value)}
+                  >
+                    <ToggleButton value="graduationYear">Class of</ToggleButton>
+                    <ToggleButton value="cohort">Cohort</ToggleButton>
+                  </ToggleButtonGroup>
+                }
+              >
+                <SeniorityChart data={data.seniority} />
+              </ChartCard>
+              <ChartCard title="Locations">
+                <BarList items={distributionItems(data.locations)} color="success.main" />
+              </ChartCard>
+              <ChartCard title="Career Moves by Year">
+                <CareerMovesChart data={data.moves} />
+              </ChartCard>
+              <ChartCard title="Employer Migration">
+                <BarList
+                  items={data.flows.map((flow) => ({ label: `${flow.from} → ${flow.to}`, count: flow.count }))}
+                  color="warning.main"
+                />
+              </ChartCard>
+            </Box>
+          </>
+        )}
+      </Box>
+    </Container>
+  );
+};
+
+export default Analytics;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   Box,
   Container,
@@ -26,6 +26,9 @@ import {
   CardContent,
   Collapse,
   Tooltip,
+  Checkbox,
+  ListItemText,
+  Link,
 } from '@mui/material';
 import {
   Search as SearchIcon,
@@ -36,74 +39,186 @@ import {
   Refresh as RefreshIcon,
 } from '@mui/icons-material';
 import { format } from 'date-fns';
-import { AlumniData } from '../types';
+import { AlumniData, ExportColumn, ExportFormat, FacetCount, OverridableField, ProfileFilters, ProfilePage, ProfileSortField } from '../types';
+import { profileFilterParams } from '../utils/profileQuery';
+import { humanize, formatTenure } from '../utils/labels';
+import { profilePath } from '../utils/routes';
+import FacetSelect from './FacetSelect';
+import EditableCell from './EditableCell';
+import { useAuth } from '../hooks/useAuth';
+
+type SortDirection = 'asc' | 'desc';
+
+// Wait for typing to pause before querying the server
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Months in the current role, from the structured role dates
+const currentTenureMonths = (profile: AlumniData): number | null =>
+  profile.pastRoles.find((role) => role.isCurrent)?.durationMonths ?? null;
+
+const facetCount = (options: FacetCount[] | undefined, value: string): number =>
+  options?.find((option) => String(option.value) === value)?.count ?? 0;
 
 interface DashboardProps {
-  data: AlumniData[];
-  onExport: (format: 'csv' | 'json') => Promise<void>;
+  onExport: (format: ExportFormat, filters: ProfileFilters, columns: string[]) => Promise<void>;
 }
 
-const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
-  const [profiles, setProfiles] = useState<AlumniData[]>(data);
+const Dashboard: React.FC<DashboardProps> = ({ onExport }) => {
+  const { hasRole } = useAuth();
+  const [profiles, setProfiles] = useState<AlumniData[]>([]);
+  const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState<ProfilePage['facets'] | null>(null);
+  const [lastScrapedAt, setLastScrapedAt] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
+  // Cursor of every page visited so far; the first page has none
+  const [cursors, setCursors] = useState<(string | null)[]>([null]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [reloadCount, setReloadCount] = useState(0);
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [expandedRows, setExpandedRows] = useState<Set<string>>(new Set());
-  const [companyFilter, setCompanyFilter] = useState<string>('');
-  const [locationFilter, setLocationFilter] = useState<string>('');
-  const [sortField, setSortField] = useState<keyof AlumniData>('name');
-  const [sortDirection, setSortDirection] = useState<'asc' | 'desc'>('asc');
-  const [availableCompanies, setAvailableCompanies] = useState<string[]>([]);
-  const [availableLocations, setAvailableLocations] = useState<string[]>([]);
+  const [companyFilter, setCompanyFilter] = useState<string[]>([]);
+  const [locationFilter, setLocationFilter] = useState<string[]>([]);
+  const [cohortFilter, setCohortFilter] = useState<string[]>([]);
+  const [programFilter, setProgramFilter] = useState<string[]>([]);
+  const [industryFilter, setIndustryFilter] = useState<string[]>([]);
+  const [functionFilter, setFunctionFilter] = useState<string[]>([]);
+  const [seniorityFilter, setSeniorityFilter] = useState<string[]>([]);
+  const [graduationYearFrom, setGraduationYearFrom] = useState('');
+  const [graduationYearTo, setGraduationYearTo] = useState('');
+  const [changedSince, setChangedSince] = useState<string>('');
+  const [exportColumns, setExportColumns] = useState<ExportColumn[]>([]);
+  const [selectedColumns, setSelectedColumns] = useState<string[]>([]);
+  const [sortField, setSortField] = useState<ProfileSortField>('name');
+  const [sortDirection, setSortDirection] = useState<SortDirection>('asc');
+
+  const filters = useMemo<ProfileFilters>(() => ({
+    search: debouncedSearch,
+    company: companyFilter,
+    location: locationFilter,
+    cohort: cohortFilter,
+    program: programFilter,
+    industry: industryFilter,
+    jobFunction: functionFilter,
+    seniority: seniorityFilter,
+    graduationYearFrom,
+    graduationYearTo,
+    changedSince,
+  }), [debouncedSearch, companyFilter, locationFilter, cohortFilter, programFilter, industryFilter, functionFilter, seniorityFilter, graduationYearFrom, graduationYearTo, changedSince]);
+
+  // Any change to the query starts again from the first page
+  const resetPaging = () => {
+    setPage(0);
+    setCursors([null]);
+  };
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm);
+      setPage(0);
+      setCursors([null]);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
-  // Update profiles when data changes
+  // Load the current page; search, filtering, sorting and facet counts all
+  // happen on the server
+  const cursor = cursors[page] ?? null;
   useEffect(() => {
-    setProfiles(data);
-    setLoading(false);
+    const controller = new AbortController();
+    const params = profileFilterParams(filters);
+    params.set('sort', sortField);
+    params.set('order', sortDirection);
+    params.set('limit', String(rowsPerPage));
+    if (cursor) params.set('cursor', cursor);
 
-    // Extract unique companies and locations
-    const companies = Array.from(new Set(data.map(p => p.company).filter(Boolean))) as string[];
-    const locations = Array.from(new Set(data.map(p => p.location).filter(Boolean))) as string[];
-    
-    setAvailableCompanies(companies);
-    setAvailableLocations(locations);
-  }, [data]);
+    setLoading(true);
+    fetch(`/api/profiles?${params.toString()}`, { signal: controller.signal })
+      .then(async (response) => {
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load profiles');
+        return result as ProfilePage;
+      })
+      .then((result) => {
+        setProfiles(result.profiles);
+        setTotal(result.total);
+        setFacets(result.facets);
+        setLastScrapedAt(result.lastScrapedAt);
+        setNextCursor(result.nextCursor);
+        setLoading(false);
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('Error loading profiles:', err);
+        setError(err instanceof Error ? err.message : 'Failed to load profiles');
+        setLoading(false);
+      });
 
+    return () => controller.abort();
+  }, [filters, sortField, sortDirection, rowsPerPage, cursor, reloadCount]);
+
+  // Correct a scraped field in place; the server keeps the correction
+  // across re-scrapes and records who made it
+  const saveField = (profileId: string, field: OverridableField) => async (value: string | null) => {
+    const response = await fetch(`/api/profiles/${encodeURIComponent(profileId)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ [field]: value }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      setError(result.error || `Failed to save ${field}`);
+      throw new Error(result.error);
+    }
+    setProfiles((current) => current.map((item) => (item.id === profileId ? result : item)));
+  };
+
+  // Columns offered by the export endpoint, starting from its defaults
+  useEffect(() => {
+    fetch('/api/export/columns')
+      .then((response) => response.json())
+      .then((result: { columns: ExportColumn[]; defaults: string[] }) => {
+        setExportColumns(result.columns);
+        setSelectedColumns(result.defaults);
+      })
+      .catch((err) => console.error('Failed to load export columns:', err));
+  }, []);
+
+  // Cursor pagination only moves one page at a time
   const handleChangePage = (event: unknown, newPage: number) => {
+    if (newPage > page) {
+      setCursors((previous) => [...previous.slice(0, newPage), nextCursor]);
+    }
     setPage(newPage);
   };
 
   const handleChangeRowsPerPage = (event: React.ChangeEvent<HTMLInputElement>) => {
     setRowsPerPage(parseInt(event.target.value, 10));
-    setPage(0);
+    resetPaging();
   };
 
   const handleSearch = (event: React.ChangeEvent<HTMLInputElement>) => {
     setSearchTerm(event.target.value);
-    setPage(0);
   };
 
-  const handleSort = (field: keyof AlumniData) => {
+  const handleFilterChange = <T,>(setter: (value: T) => void) => (value: T) => {
+    setter(value);
+    resetPaging();
+  };
+
+  const handleSort = (field: ProfileSortField) => {
     const isAsc = sortField === field && sortDirection === 'asc';
     setSortDirection(isAsc ? 'desc' : 'asc');
     setSortField(field);
+    resetPaging();
   };
 
-  const handleRefresh = async () => {
-    try {
-      setLoading(true);
-      const response = await fetch('http://localhost:3001/api/profiles');
-      if (!response.ok) throw new Error('Failed to refresh profiles');
-      const data = await response.json();
-      setProfiles(data);
-    } catch (err) {
-      console.error('Refresh error:', err);
-      setError(err instanceof Error ? err.message : 'Failed to refresh profiles');
-    } finally {
-      setLoading(false);
-    }
+  const handleRefresh = () => {
+    resetPaging();
+    setReloadCount((count) => count + 1);
   };
 
   const toggleRowExpand = (id: string) => {
@@ -116,36 +231,9 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
     setExpandedRows(newExpandedRows);
   };
 
-  // Filter and sort profiles
-  const filteredProfiles = profiles
-    .filter((profile) => {
-      const matchesSearch = 
-        profile.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        profile.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        profile.company.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        profile.location.toLowerCase().includes(searchTerm.toLowerCase());
-
-      const matchesCompany = !companyFilter || profile.company === companyFilter;
-      const matchesLocation = !locationFilter || profile.location === locationFilter;
-
-      return matchesSearch && matchesCompany && matchesLocation;
-    })
-    .sort((a, b) => {
-      const aValue = a[sortField];
-      const bValue = b[sortField];
-
-      if (typeof aValue === 'string' && typeof bValue === 'string') {
-        return sortDirection === 'asc'
-          ? aValue.localeCompare(bValue)
-          : bValue.localeCompare(aValue);
-      }
-      return 0;
-    });
-
-  const paginatedProfiles = filteredProfiles.slice(
-    page * rowsPerPage,
-    page * rowsPerPage + rowsPerPage
-  );
+  const handleExport = (exportFormat: ExportFormat) => {
+    onExport(exportFormat, filters, selectedColumns);
+  };
 
   return (
     <Container maxWidth="xl">
@@ -166,10 +254,10 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
           <Card>
             <CardContent>
               <Typography color="textSecondary" gutterBottom>
-                Total Profiles
+                Matching Profiles
               </Typography>
               <Typography variant="h5">
-                {profiles.length}
+                {total}
               </Typography>
             </CardContent>
           </Card>
@@ -179,7 +267,7 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
                 Successful Scrapes
               </Typography>
               <Typography variant="h5">
-                {profiles.filter(p => p.status === 'success').length}
+                {facetCount(facets?.status, 'success')}
               </Typography>
             </CardContent>
           </Card>
@@ -189,7 +277,7 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
                 Failed Scrapes
               </Typography>
               <Typography variant="h5">
-                {profiles.filter(p => p.status === 'failed').length}
+                {facetCount(facets?.status, 'failed')}
               </Typography>
             </CardContent>
           </Card>
@@ -199,8 +287,8 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
                 Last Updated
               </Typography>
               <Typography variant="h5">
-                {profiles.length > 0
-                  ? format(new Date(profiles[0].scrapedAt), 'MMM d, yyyy HH:mm')
+                {lastScrapedAt
+                  ? format(new Date(lastScrapedAt), 'MMM d, yyyy HH:mm')
                   : 'Never'}
               </Typography>
             </CardContent>
@@ -215,41 +303,81 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
             size="small"
             value={searchTerm}
             onChange={handleSearch}
+            placeholder="Name, role, company, school..."
             sx={{ flexGrow: 1 }}
             InputProps={{
               startAdornment: <SearchIcon sx={{ mr: 1, color: 'text.secondary' }} />,
             }}
           />
-          <FormControl size="small" sx={{ minWidth: 200 }}>
-            <InputLabel>Company</InputLabel>
-            <Select
-              value={companyFilter}
-              label="Company"
-              onChange={(e) => setCompanyFilter(e.target.value)}
-            >
-              <MenuItem value="">All Companies</MenuItem>
-              {availableCompanies.map((company) => (
-                <MenuItem key={company} value={company}>
-                  {company}
-                </MenuItem>
-              ))}
-            </Select>
-          </FormControl>
-          <FormControl size="small" sx={{ minWidth: 200 }}>
-            <InputLabel>Location</InputLabel>
-            <Select
-              value={locationFilter}
-              label="Location"
-              onChange={(e) => setLocationFilter(e.target.value)}
-            >
-              <MenuItem value="">All Locations</MenuItem>
-              {availableLocations.map((location) => (
-                <MenuItem key={location} value={location}>
-                  {location}
-                </MenuItem>
-              ))}
-            </Select>
-          </FormControl>
+          <FacetSelect
+            label="Company"
+            options={facets?.company ?? []}
+            value={companyFilter}
+            onChange={handleFilterChange(setCompanyFilter)}
+          />
+          <FacetSelect
+            label="Location"
+            options={facets?.location ?? []}
+            value={locationFilter}
+            onChange={handleFilterChange(setLocationFilter)}
+          />
+          <FacetSelect
+            label="Cohort"
+            options={facets?.cohort ?? []}
+            value={cohortFilter}
+            onChange={handleFilterChange(setCohortFilter)}
+          />
+          <FacetSelect
+            label="Program"
+            options={facets?.program ?? []}
+            value={programFilter}
+            onChange={handleFilterChange(setProgramFilter)}
+          />
+          <FacetSelect
+            label="Industry"
+            options={facets?.industry ?? []}
+            value={industryFilter}
+            onChange={handleFilterChange(setIndustryFilter)}
+            formatLabel={humanize}
+          />
+          <FacetSelect
+            label="Function"
+            options={facets?.jobFunction ?? []}
+            value={functionFilter}
+            onChange={handleFilterChange(setFunctionFilter)}
+            formatLabel={humanize}
+          />
+          <FacetSelect
+            label="Seniority"
+            options={facets?.seniority ?? []}
+            value={seniorityFilter}
+            onChange={handleFilterChange(setSeniorityFilter)}
+            formatLabel={humanize}
+          />
+          <TextField
+            label="Class of (from)"
+            type="number"
+            size="small"
+            value={graduationYearFrom}
+            onChange={(e) => handleFilterChange(setGraduationYearFrom)(e.target.value)}
+            sx={{ width: 130 }}
+          />
+          <TextField
+            label="Class of (to)"
+            type="number"
+            size="small"
+            value={graduationYearTo}
+            onChange={(e) => handleFilterChange(setGraduationYearTo)(e.target.value)}
+            sx={{ width: 130 }}
+          />
+          <TextField
+            label="Changed since"
+            type="date"
+            size="small"
+            value={changedSince}
+            onChange={(e) => handleFilterChange(setChangedSince)(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
           <Button
             variant="outlined"
             startIcon={<RefreshIcon />}
@@ -258,20 +386,58 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
           >
             Refresh
           </Button>
-          <Button
-            variant="outlined"
-            startIcon={<DownloadIcon />}
-            onClick={() => onExport('csv')}
-          >
-            Export CSV
-          </Button>
-          <Button
-            variant="outlined"
-            startIcon={<DownloadIcon />}
-            onClick={() => onExport('json')}
-          >
-            Export JSON
-          </Button>
+          {hasRole('admin') && (
+            <>
+              <FormControl size="small" sx={{ minWidth: 180 }}>
+                <InputLabel>Export columns</InputLabel>
+                <Select
+                  multiple
+                  value={selectedColumns}
+                  label="Export columns"
+                  onChange={(e) => {
+                    const value = e.target.value;
+                    setSelectedColumns(typeof value === 'string' ? value.split(',') : value);
+                  }}
+                  renderValue={(selected) => `${selected.length} of ${exportColumns.length} columns`}
+                >
+                  {exportColumns.map((column) => (
+                    <MenuItem key={column.key} value={column.key}>
+                      <Checkbox size="small" checked={selectedColumns.includes(column.key)} />
+                      <ListItemText primary={column.header} />
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Button
+                variant="outlined"
+                startIcon={<DownloadIcon />}
+                onClick={() => handleExport('csv')}
+              >
+                Export CSV
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<DownloadIcon />}
+                onClick={() => handleExport('json')}
+              >
+                Export JSON
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<DownloadIcon />}
+                onClick={() => handleExport('ndjson')}
+              >
+                Export NDJSON
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<DownloadIcon />}
+                onClick={() => handleExport('xlsx')}
+              >
+                Export Excel
+              </Button>
+            </>
+          )}
         </Box>
 
         {/* Table */}
@@ -312,6 +478,14 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
                     Location {sortField === 'location' && (sortDirection === 'asc' ? '↑' : '↓')}
                   </Button>
                 </TableCell>
+                <TableCell>
+                  <Button
+                    onClick={() => handleSort('tenure')}
+                    sx={{ color: 'inherit', fontWeight: 'bold' }}
+                  >
+                    Time in Role {sortField === 'tenure' && (sortDirection === 'asc' ? '↑' : '↓')}
+                  </Button>
+                </TableCell>
                 <TableCell>Status</TableCell>
                 <TableCell>Actions</TableCell>
               </TableRow>
@@ -319,18 +493,18 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
             <TableBody>
               {loading ? (
                 <TableRow>
-                  <TableCell colSpan={6} align="center">
+                  <TableCell colSpan={8} align="center">
                     <CircularProgress />
                   </TableCell>
                 </TableRow>
-              ) : paginatedProfiles.length === 0 ? (
+              ) : profiles.length === 0 ? (
                 <TableRow>
-                  <TableCell colSpan={6} align="center">
+                  <TableCell colSpan={8} align="center">
                     No profiles found
                   </TableCell>
                 </TableRow>
               ) : (
-                paginatedProfiles.map((profile) => (
+                profiles.map((profile) => (
                   <React.Fragment key={profile.id}>
                     <TableRow>
                       <TableCell padding="checkbox">
@@ -345,10 +519,45 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
                           )}
                         </IconButton>
                       </TableCell>
-                      <TableCell>{profile.name}</TableCell>
-                      <TableCell>{profile.title}</TableCell>
-                      <TableCell>{profile.company}</TableCell>
-                      <TableCell>{profile.location}</TableCell>
+                      <TableCell>
+                        <EditableCell value={profile.name} override={profile.overrides?.name} onSave={saveField(profile.id, 'name')} readOnly={!hasRole('staff')}>
+                          <Link href={profilePath(profile.id)} underline="hover" color="inherit" fontWeight={500}>
+                            {profile.name}
+                          </Link>
+                        </EditableCell>
+                        {profile.changedSinceLastRun && (
+                          <Tooltip
+                            title={`Changed since last run: ${(profile.changes || [])
+                              .map((change) => change.field)
+                              .join(', ')}`}
+                          >
+                            <Chip label="Changed" color="info" size="small" sx={{ ml: 1 }} />
+                          </Tooltip>
+                        )}
+                        {profile.consent?.status === 'opted_out' && (
+                          <Tooltip title="Not scraped again and left out of exports">
+                            <Chip label="Opted out" color="warning" size="small" sx={{ ml: 1 }} />
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <EditableCell value={profile.title} override={profile.overrides?.title} onSave={saveField(profile.id, 'title')} readOnly={!hasRole('staff')} />
+                      </TableCell>
+                      <TableCell>
+                        <EditableCell value={profile.company} override={profile.overrides?.company} onSave={saveField(profile.id, 'company')} readOnly={!hasRole('staff')}>
+                          {profile.canonicalCompany && profile.canonicalCompany !== profile.company ? (
+                            <Tooltip title={`As listed: ${profile.company}`}>
+                              <span>{profile.canonicalCompany}</span>
+                            </Tooltip>
+                          ) : (
+                            profile.company
+                          )}
+                        </EditableCell>
+                      </TableCell>
+                      <TableCell>
+                        <EditableCell value={profile.location} override={profile.overrides?.location} onSave={saveField(profile.id, 'location')} readOnly={!hasRole('staff')} />
+                      </TableCell>
+                      <TableCell>{formatTenure(currentTenureMonths(profile))}</TableCell>
                       <TableCell>
                         <Chip
                           label={profile.status}
@@ -372,12 +581,23 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
                       </TableCell>
                     </TableRow>
                     <TableRow>
-                      <TableCell style={{ paddingBottom: 0, paddingTop: 0 }} colSpan={6}>
+                      <TableCell style={{ paddingBottom: 0, paddingTop: 0 }} colSpan={8}>
                         <Collapse in={expandedRows.has(profile.id)} timeout="auto" unmountOnExit>
                           <Box sx={{ margin: 2 }}>
                             <Typography variant="h6" gutterBottom component="div">
                               Profile Details
                             </Typography>
+                            {(profile.cohort || profile.program || profile.graduationYear || profile.email || profile.industry || profile.seniority) && (
+                              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                                {profile.industry && <Chip label={humanize(profile.industry)} size="small" color="secondary" variant="outlined" />}
+                                {profile.seniority && <Chip label={humanize(profile.seniority)} size="small" color="primary" variant="outlined" />}
+                                {profile.jobFunction && <Chip label={humanize(profile.jobFunction)} size="small" color="primary" variant="outlined" />}
+                                {profile.program && <Chip label={`Program: ${profile.program}`} size="small" variant="outlined" />}
+                                {profile.cohort && <Chip label={`Cohort: ${profile.cohort}`} size="small" variant="outlined" />}
+                                {profile.graduationYear && <Chip label={`Class of ${profile.graduationYear}`} size="small" variant="outlined" />}
+                                {profile.email && <Chip label={profile.email} size="small" variant="outlined" />}
+                              </Box>
+                            )}
                             <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '1fr 1fr' }, gap: 2 }}>
                               <Box>
                                 <Typography variant="subtitle1">Summary</Typography>
@@ -391,7 +611,10 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
                                   <ul style={{ margin: 0, paddingLeft: 20 }}>
                                     {profile.education.map((edu, index) => (
                                       <li key={index}>
-                                        <Typography variant="body2">{edu}</Typography>
+                                        <Typography variant="body2">
+                                          {edu}
+                                          {profile.educationDetails?.[index]?.years && ` (${profile.educationDetails[index].years})`}
+                                        </Typography>
                                       </li>
                                     ))}
                                   </ul>
@@ -406,8 +629,10 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
                                     {profile.pastRoles.map((role, index) => (
                                       <li key={index}>
                                         <Typography variant="body2">
-                                          {role.title} at {role.company}
-                                          {role.years && ` (${role.years})`}
+                                          {role.title} at {role.canonicalCompany || role.company}
+                                          {role.employmentType && ` · ${role.employmentType}`}
+                                          {role.years && ` (${role.years}${role.durationMonths ? ` · ${formatTenure(role.durationMonths)}` : ''})`}
+                                          {role.location && ` — ${role.location}`}
                                         </Typography>
                                       </li>
                                     ))}
@@ -429,7 +654,7 @@ const Dashboard: React.FC<DashboardProps> = ({ data, onExport }) => {
           <TablePagination
             rowsPerPageOptions={[5, 10, 25]}
             component="div"
-            count={filteredProfiles.length}
+            count={total}
             rowsPerPage={rowsPerPage}
             page={page}
             onPageChange={handleChangePage}
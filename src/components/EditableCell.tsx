@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Box, IconButton, TextField, Tooltip, Button } from '@mui/material';
+import {
+  Edit as EditIcon,
+  Check as CheckIcon,
+  Close as CloseIcon,
+  EditNote as EditNoteIcon,
+} from '@mui/icons-material';
+import { FieldOverride } from '../types';
+
+interface EditableCellProps {
+  value: string;
+  override?: FieldOverride;
+  // null removes the override and restores the scraped value
+  onSave: (value: string | null) => Promise<void>;
+  // Show the value without the edit button, for users who may not edit
+  readOnly?: boolean;
+  children?: React.ReactNode;
+}
+
+// Table cell text that can be corrected in place. Enter saves, Escape cancels.
+const EditableCell: React.FC<EditableCellProps> = ({ value, override, onSave, readOnly = false, children }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(value);
+  const [saving, setSaving] = useState(false);
+
+  const startEditing = () => {
+    setDraft(value);
+    setEditing(true);
+  };
+
+  const save = async (next: string | null) => {
+    if (next === value && !(next === null && override)) {
+      setEditing(false);
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave(next);
+      setEditing(false);
+    } catch {
+      // The caller reports the error; stay in edit mode so nothing is lost
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (editing) {
+    return (
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+        <TextField
+          size="small"
+          autoFocus
+          value={draft}
+          disabled={saving}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') save(draft);
+            if (e.key === 'Escape') setEditing(false);
+          }}
+          sx={{ minWidth: 160 }}
+        />
+        <IconButton size="small" onClick={() => save(draft)} disabled={saving}>
+          <CheckIcon fontSize="small" />
+        </IconButton>
+        <IconButton size="small" onClick={() => setEditing(false)} disabled={saving}>
+          <CloseIcon fontSize="small" />
+        </IconButton>
+        {override && (
+          <Tooltip title={`Restore the scraped value: ${override.scrapedValue || '(empty)'}`}>
+            <Button size="small" onClick={() => save(null)} disabled={saving}>
+              Revert
+            </Button>
+          </Tooltip>
+        )}
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, '&:hover .edit-button': { visibility: 'visible' } }}>
+      <Box component="span">{children ?? value}</Box>
+      {override && (
+        <Tooltip title={`Edited by ${override.updatedBy}; scraped value: ${override.scrapedValue || '(empty)'}`}>
+          <EditNoteIcon fontSize="small" color="action" />
+        </Tooltip>
+      )}
+      {!readOnly && (
+        <IconButton size="small" className="edit-button" onClick={startEditing} sx={{ visibility: 'hidden' }}>
+          <EditIcon fontSize="inherit" />
+        </IconButton>
+      )}
+    </Box>
+  );
+};
+
+export default EditableCell;
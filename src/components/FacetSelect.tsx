@@ -0,0 +1,40 @@
+import React from 'react';
+import { FormControl, InputLabel, Select, MenuItem, Checkbox, ListItemText, Typography } from '@mui/material';
+import { FacetCount } from '../types';
+
+interface FacetSelectProps {
+  label: string;
+  options: FacetCount[];
+  value: string[];
+  onChange: (value: string[]) => void;
+  formatLabel?: (value: string) => string;
+}
+
+// Multi-value filter listing each value with its number of matching profiles
+const FacetSelect: React.FC<FacetSelectProps> = ({ label, options, value, onChange, formatLabel = (item) => item }) => (
+  <FormControl size="small" sx={{ minWidth: 180, maxWidth: 260 }}>
+    <InputLabel>{label}</InputLabel>
+    <Select
+      multiple
+      value={value}
+      label={label}
+      onChange={(e) => {
+        const selected = e.target.value;
+        onChange(typeof selected === 'string' ? selected.split(',') : selected);
+      }}
+      renderValue={(selected) => selected.map(formatLabel).join(', ')}
+    >
+      {options.map((option) => (
+        <MenuItem key={String(option.value)} value={String(option.value)}>
+          <Checkbox size="small" checked={value.includes(String(option.value))} />
+          <ListItemText primary={formatLabel(String(option.value))} />
+          <Typography variant="caption" color="text.secondary" sx={{ ml: 2 }}>
+            {option.count}
+          </Typography>
+        </MenuItem>
+      ))}
+    </Select>
+  </FormControl>
+);
+
+export default FacetSelect;
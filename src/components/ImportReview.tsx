@@ -0,0 +1,207 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  CircularProgress,
+} from '@mui/material';
+import { PlayArrow as PlayArrowIcon } from '@mui/icons-material';
+import { ColumnMapping, ImportFieldKey, ImportPreview } from '../types';
+
+// Rows with problems listed in the report; the rest are summarised
+const MAX_ISSUE_ROWS = 50;
+
+interface ImportReviewProps {
+  preview: ImportPreview;
+  validating: boolean;
+  starting: boolean;
+  onMappingChange: (mapping: ColumnMapping) => void;
+  onSheetChange: (sheet: string) => void;
+  onConfirm: () => void;
+  onCancel: () => void;
+}
+
+const ImportReview: React.FC<ImportReviewProps> = ({
+  preview,
+  validating,
+  starting,
+  onMappingChange,
+  onSheetChange,
+  onConfirm,
+  onCancel,
+}) => {
+  const { summary, rows } = preview.report;
+  const issueRows = rows.filter((row) => row.status !== 'valid' || row.warnings.length > 0);
+
+  const handleFieldChange = (key: ImportFieldKey, column: string) => {
+    onMappingChange({ ...preview.mapping, [key]: column || null });
+  };
+
+  return (
+    <Box sx={{ width: '100%', maxWidth: 900, display: 'flex', flexDirection: 'column', gap: 3 }}>
+      <Card>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Map columns — {preview.fileName}
+          </Typography>
+          {preview.sheetNames.length > 1 && (
+            <FormControl size="small" sx={{ mb: 2, minWidth: 240 }}>
+              <InputLabel>Sheet</InputLabel>
+              <Select
+                value={preview.sheet}
+                label="Sheet"
+                onChange={(e) => onSheetChange(e.target.value)}
+                disabled={validating || starting}
+              >
+                {preview.sheetNames.map((sheet) => (
+                  <MenuItem key={sheet} value={sheet}>
+                    {sheet}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr', md: '1fr 1fr 1fr' }, gap: 2 }}>
+            {preview.fields.map((field) => (
+              <FormControl key={field.key} size="small" required={field.required}>
+                <InputLabel>{field.label}</InputLabel>
+                <Select
+                  value={preview.mapping[field.key] || ''}
+                  label={field.label}
+                  onChange={(e) => handleFieldChange(field.key, e.target.value)}
+                  disabled={validating || starting}
+                >
+                  <MenuItem value="">
+                    <em>Not mapped</em>
+                  </MenuItem>
+                  {preview.columns.map((column) => (
+                    <MenuItem key={column} value={column}>
+                      {column}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            ))}
+          </Box>
+
+          <TableContainer sx={{ mt: 3 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  {preview.columns.map((column) => (
+                    <TableCell key={column} sx={{ fontWeight: 'bold', whiteSpace: 'nowrap' }}>
+                      {column}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {preview.sampleRows.map((record, index) => (
+                  <TableRow key={index}>
+                    {preview.columns.map((column) => (
+                      <TableCell key={column} sx={{ maxWidth: 240, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {record[column]}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <Typography variant="caption" color="text.secondary">
+            First {preview.sampleRows.length} of {summary.total} rows
+          </Typography>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+            <Typography variant="h6" sx={{ mr: 1 }}>
+              Validation
+            </Typography>
+            {validating && <CircularProgress size={20} />}
+            <Chip label={`${summary.valid} valid`} color="success" size="small" />
+            <Chip label={`${summary.invalid} invalid`} color={summary.invalid > 0 ? 'error' : 'default'} size="small" />
+            <Chip label={`${summary.duplicates} duplicates`} color={summary.duplicates > 0 ? 'warning' : 'default'} size="small" />
+            <Chip label={`${summary.existing} already tracked`} size="small" />
+            {summary.withWarnings > 0 && (
+              <Chip label={`${summary.withWarnings} with warnings`} color="warning" variant="outlined" size="small" />
+            )}
+          </Box>
+
+          {issueRows.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              Every row has a valid LinkedIn profile URL.
+            </Typography>
+          ) : (
+            <TableContainer sx={{ maxHeight: 320 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>LinkedIn URL</TableCell>
+                    <TableCell>Issues</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {issueRows.slice(0, MAX_ISSUE_ROWS).map((row) => (
+                    <TableRow key={row.row}>
+                      <TableCell>{row.row}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={row.status}
+                          size="small"
+                          color={row.status === 'invalid' ? 'error' : row.status === 'duplicate' ? 'warning' : 'default'}
+                        />
+                      </TableCell>
+                      <TableCell sx={{ maxWidth: 280, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {row.input || '—'}
+                      </TableCell>
+                      <TableCell>{[...row.errors, ...row.warnings].join('; ')}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+          {issueRows.length > MAX_ISSUE_ROWS && (
+            <Typography variant="caption" color="text.secondary">
+              Showing the first {MAX_ISSUE_ROWS} of {issueRows.length} rows with issues
+            </Typography>
+          )}
+        </CardContent>
+      </Card>
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 2 }}>
+        <Button onClick={onCancel} disabled={starting}>
+          Choose another file
+        </Button>
+        <Button
+          variant="contained"
+          startIcon={starting ? <CircularProgress size={16} color="inherit" /> : <PlayArrowIcon />}
+          onClick={onConfirm}
+          disabled={validating || starting || summary.valid === 0}
+        >
+          Scrape {summary.valid} profile{summary.valid === 1 ? '' : 's'}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default ImportReview;
@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import {
+  Save as SaveIcon,
+  DeleteSweep as DeleteSweepIcon,
+} from '@mui/icons-material';
+import { LLMUsageReport } from '../types';
+
+const formatCost = (cost: number) => `$${cost.toFixed(4)}`;
+const formatTokens = (tokens: number) => tokens.toLocaleString();
+
+// Share of a daily limit used so far, for the progress bars; 0 means no limit
+const budgetShare = (used: number, limit: number) => (limit > 0 ? Math.min(100, (used / limit) * 100) : 0);
+
+// Admin card: model calls, tokens and estimated cost today and over the last
+// 30 days, the daily budgets and the reply cache
+const LlmUsagePanel: React.FC = () => {
+  const [report, setReport] = useState<LLMUsageReport | null>(null);
+  const [dailyTokens, setDailyTokens] = useState('');
+  const [dailyCost, setDailyCost] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const loadReport = useCallback(async () => {
+    try {
+      const response = await fetch('/api/llm/usage?days=30');
+      if (!response.ok) throw new Error('Failed to load AI usage');
+      const data: LLMUsageReport = await response.json();
+      setReport(data);
+      setDailyTokens(String(data.budget.dailyTokens));
+      setDailyCost(String(data.budget.dailyCost));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load AI usage');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const send = async (url: string, method: string, body?: unknown) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setMessage(null);
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Request failed');
+      await loadReport();
+      return data;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Request failed');
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const saved = await send('/api/llm/budget', 'PUT', {
+      dailyTokens: Number(dailyTokens),
+      dailyCost: Number(dailyCost),
+    });
+    if (saved) setMessage('AI budget saved');
+  };
+
+  const handleClearCache = async () => {
+    const cleared = await send('/api/llm/cache', 'DELETE');
+    if (cleared) setMessage(`Removed ${cleared.removed} cached AI replies`);
+  };
+
+  if (!report) {
+    return error ? <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert> : null;
+  }
+
+  const { today, budget, cache, days, totals } = report;
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          AI Usage
+        </Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          Calls to the language model, with token counts and an estimated cost in USD. Once a daily budget is used up,
+          summaries come from the mock summarizer and AI extraction stops until midnight UTC. 0 means no limit.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message}
+          </Alert>
+        )}
+        {budget.exceeded && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Today's {budget.exceededBy.join(' and ')} budget is used up; {today.fallbacks} request
+            {today.fallbacks === 1 ? '' : 's'} fell back to the mock summarizer.
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+          <Chip label={`Today: ${today.calls} calls`} />
+          <Chip label={`${formatTokens(today.inputTokens + today.outputTokens)} tokens`} />
+          <Chip label={formatCost(today.cost)} />
+          <Chip label={`${today.cacheHits} cache hits`} color="success" variant="outlined" />
+          {today.estimatedCalls > 0 && (
+            <Chip label={`${today.estimatedCalls} estimated`} variant="outlined" title="Token counts estimated from text length" />
+          )}
+        </Box>
+
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mb: 3 }}>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            <Box sx={{ minWidth: 220 }}>
+              <TextField
+                label="Daily token budget"
+                type="number"
+                size="small"
+                value={dailyTokens}
+                onChange={(e) => setDailyTokens(e.target.value)}
+                inputProps={{ min: 0 }}
+                fullWidth
+              />
+              {budget.dailyTokens > 0 && (
+                <LinearProgress
+                  variant="determinate"
+                  value={budgetShare(budget.tokensUsed, budget.dailyTokens)}
+                  color={budget.exceededBy.includes('tokens') ? 'error' : 'primary'}
+                  sx={{ mt: 1 }}
+                />
+              )}
+            </Box>
+            <Box sx={{ minWidth: 220 }}>
+              <TextField
+                label="Daily cost budget (USD)"
+                type="number"
+                size="small"
+                value={dailyCost}
+                onChange={(e) => setDailyCost(e.target.value)}
+                inputProps={{ min: 0, step: 0.01 }}
+                fullWidth
+              />
+              {budget.dailyCost > 0 && (
+                <LinearProgress
+                  variant="determinate"
+                  value={budgetShare(budget.costUsed, budget.dailyCost)}
+                  color={budget.exceededBy.includes('cost') ? 'error' : 'primary'}
+                  sx={{ mt: 1 }}
+                />
+              )}
+            </Box>
+          </Box>
+          <Typography variant="body2" color="text.secondary">
+            Reply cache:{' '}
+            {cache.enabled
+              ? `${cache.entries} entries kept for ${cache.days} days, ${cache.hits} hits`
+              : 'off (LLM_CACHE_DAYS=0)'}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <Button variant="contained" startIcon={<SaveIcon />} onClick={handleSave} disabled={saving}>
+              Save Budget
+            </Button>
+            <Button
+              variant="outlined"
+              startIcon={<DeleteSweepIcon />}
+              onClick={handleClearCache}
+              disabled={saving || cache.entries === 0}
+            >
+              Clear Cache
+            </Button>
+          </Box>
+        </Box>
+
+        <Typography variant="subtitle1" gutterBottom>
+          Last 30 days: {totals.calls} calls, {formatTokens(totals.inputTokens + totals.outputTokens)} tokens,{' '}
+          {formatCost(totals.cost)}
+        </Typography>
+        {days.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No AI calls yet.
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Day (UTC)</TableCell>
+                <TableCell align="right">Calls</TableCell>
+                <TableCell align="right">Input tokens</TableCell>
+                <TableCell align="right">Output tokens</TableCell>
+                <TableCell align="right">Est. cost</TableCell>
+                <TableCell align="right">Cache hits</TableCell>
+                <TableCell align="right">Fallbacks</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {[...days].reverse().map((day) => (
+                <TableRow key={day.id}>
+                  <TableCell>{day.id}</TableCell>
+                  <TableCell align="right">{day.calls}</TableCell>
+                  <TableCell align="right">{formatTokens(day.inputTokens)}</TableCell>
+                  <TableCell align="right">{formatTokens(day.outputTokens)}</TableCell>
+                  <TableCell align="right">{formatCost(day.cost)}</TableCell>
+                  <TableCell align="right">{day.cacheHits}</TableCell>
+                  <TableCell align="right">{day.fallbacks}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LlmUsagePanel;
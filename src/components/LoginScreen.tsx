@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { Users, LogIn, AlertCircle } from 'lucide-react';
+import { User } from '../types';
+
+interface LoginScreenProps {
+  // No accounts exist yet: create the first admin instead of signing in
+  setupRequired: boolean;
+  onSignedIn: (user: User) => void;
+}
+
+const LoginScreen: React.FC<LoginScreenProps> = ({ setupRequired, onSignedIn }) => {
+  const [username, setUsername] = useState('');
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await fetch(setupRequired ? '/api/auth/setup' : '/api/auth/login', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(setupRequired ? { username, name, password } : { username, password }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Sign in failed');
+      onSignedIn(data.user);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Sign in failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-indigo-50 flex items-center justify-center px-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-xl shadow-sm border border-gray-200 p-8 space-y-5">
+        <div className="flex items-center space-x-3">
+          <div className="w-10 h-10 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-lg flex items-center justify-center">
+            <Users className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold text-gray-900">ASB Alumni Tracker</h1>
+            <p className="text-sm text-gray-500">
+              {setupRequired ? 'Create the first admin account' : 'Sign in to continue'}
+            </p>
+          </div>
+        </div>
+
+        {error && (
+          <div className="flex items-center text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2">
+            <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Username</span>
+          <input
+            className={inputClassName}
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            required
+          />
+        </label>
+
+        {setupRequired && (
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Full name</span>
+            <input className={inputClassName} value={name} onChange={(e) => setName(e.target.value)} autoComplete="name" />
+          </label>
+        )}
+
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Password</span>
+          <input
+            className={inputClassName}
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={setupRequired ? 'new-password' : 'current-password'}
+            minLength={setupRequired ? 8 : undefined}
+            required
+          />
+        </label>
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full flex items-center justify-center px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          <LogIn className="w-4 h-4 mr-2" />
+          {setupRequired ? 'Create account' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
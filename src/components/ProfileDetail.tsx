@@ -0,0 +1,819 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Container,
+  Typography,
+  Paper,
+  Button,
+  Chip,
+  Link,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  Table,
+  TableBody,
+  TableRow,
+  TableCell,
+  Collapse,
+  Tooltip,
+} from '@mui/material';
+import {
+  ArrowBack as ArrowBackIcon,
+  Refresh as RefreshIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  OpenInNew as OpenInNewIcon,
+  Link as LinkIcon,
+  ContentCopy as ContentCopyIcon,
+  Download as DownloadIcon,
+} from '@mui/icons-material';
+import { format } from 'date-fns';
+import { AIInference, AlumniData, AlumniDetails, AuditEntry, ConsentStatus, ContactPreferences, OverridableField, PastRole, ProfileChange, ProfileSnapshot } from '../types';
+import { useJobProgress } from '../hooks/useJobProgress';
+import { useAuth } from '../hooks/useAuth';
+import { humanize, formatTenure } from '../utils/labels';
+
+interface ProfileDetailProps {
+  profileId: string;
+  onBack: () => void;
+  onDeleted: () => void;
+}
+
+const ROLE_COLOR = '#1e88e5';
+const CURRENT_ROLE_COLOR = '#43a047';
+const EDUCATION_COLOR = '#8e24aa';
+
+const formatDate = (value?: string | null): string =>
+  value ? format(new Date(value), 'MMM d, yyyy HH:mm') : '—';
+
+// "2021-03" -> months since year 0, for placing bars on the timeline
+const monthIndex = (yearMonth: string): number => {
+  const [year, month] = yearMonth.split('-').map(Number);
+  return year * 12 + (month || 1) - 1;
+};
+
+const currentMonth = (): string => format(new Date(), 'yyyy-MM');
+
+// "2014 - 2016" -> { start: '2014-01', end: '2016-12' }
+const educationRange = (years: string): { start: string; end: string } | null => {
+  const found = years.match(/\d{4}/g);
+  if (!found) return null;
+  return { start: `${found[0]}-01`, end: `${found[found.length - 1]}-12` };
+};
+
+interface TimelineBar {
+  key: string;
+  label: string;
+  detail: string;
+  start: string;
+  end: string;
+  color: string;
+}
+
+// Roles and studies as bars on a shared time axis, oldest first
+const CareerTimeline: React.FC<{ profile: AlumniData }> = ({ profile }) => {
+  const roleBars: TimelineBar[] = profile.pastRoles
+    .filter((role) => role.startDate)
+    .map((role, index) => ({
+      key: `role-${index}`,
+      label: role.canonicalTitle || role.title,
+      detail: [role.canonicalCompany || role.company, role.dateRange || role.years, role.durationMonths ? formatTenure(role.durationMonths) : '']
+        .filter(Boolean)
+        .join(' · '),
+      start: role.startDate as string,
+      end: role.endDate || currentMonth(),
+      color: role.isCurrent ? CURRENT_ROLE_COLOR : ROLE_COLOR,
+    }));
+
+  const educationBars: TimelineBar[] = (profile.educationDetails || []).flatMap((entry, index) => {
+    const range = educationRange(entry.years || '');
+    if (!range) return [];
+    return [{
+      key: `education-${index}`,
+      label: entry.school,
+      detail: [entry.degree, entry.field, entry.years].filter(Boolean).join(' · '),
+      start: range.start,
+      end: range.end,
+      color: EDUCATION_COLOR,
+    }];
+  });
+
+  const bars = [...roleBars, ...educationBars].sort((a, b) => a.start.localeCompare(b.start));
+  const undated = profile.pastRoles.filter((role) => !role.startDate);
+
+  if (bars.length === 0) {
+    return <Typography variant="body2" color="text.secondary">No dated roles or education to chart</Typography>;
+  }
+
+  const first = Math.min(...bars.map((bar) => monthIndex(bar.start)));
+  const last = Math.max(...bars.map((bar) => monthIndex(bar.end))) + 1;
+  const span = Math.max(last - first, 1);
+  const firstYear = Math.floor(first / 12);
+  const lastYear = Math.floor((last - 1) / 12);
+  const yearStep = Math.max(1, Math.ceil((lastYear - firstYear + 1) / 10));
+  const ticks: number[] = [];
+  for (let year = firstYear; year <= lastYear; year += yearStep) {
+    ticks.push(year);
+  }
+
+  const position = (yearMonth: string) => ((monthIndex(yearMonth) - first) / span) * 100;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', ml: '35%', position: 'relative', height: 20, mb: 1 }}>
+        {ticks.map((year) => (
+          <Typography
+            key={year}
+            variant="caption"
+            color="text.secondary"
+            sx={{ position: 'absolute', left: `${Math.max(0, ((year * 12 - first) / span) * 100)}%` }}
+          >
+            {year}
+          </Typography>
+        ))}
+      </Box>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+        {bars.map((bar) => (
+          <Box key={bar.key} sx={{ display: 'flex', alignItems: 'center' }}>
+            <Box sx={{ width: '35%', pr: 2, minWidth: 0 }}>
+              <Typography variant="body2" noWrap title={bar.label}>{bar.label}</Typography>
+              <Typography variant="caption" color="text.secondary" noWrap component="div" title={bar.detail}>
+                {bar.detail}
+              </Typography>
+            </Box>
+            <Box sx={{ width: '65%', position: 'relative', height: 16, bgcolor: 'grey.100', borderRadius: 1 }}>
+              <Tooltip title={`${bar.start} – ${bar.end}`}>
+                <Box
+                  sx={{
+                    position: 'absolute',
+                    height: '100%',
+                    borderRadius: 1,
+                    bgcolor: bar.color,
+                    left: `${position(bar.start)}%`,
+                    width: `${Math.max(((monthIndex(bar.end) + 1 - monthIndex(bar.start)) / span) * 100, 1)}%`,
+                  }}
+                />
+              </Tooltip>
+            </Box>
+          </Box>
+        ))}
+      </Box>
+      <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+        {[
+          { label: 'Past role', color: ROLE_COLOR },
+          { label: 'Current role', color: CURRENT_ROLE_COLOR },
+          { label: 'Education', color: EDUCATION_COLOR },
+        ].map((entry) => (
+          <Box key={entry.label} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <Box sx={{ width: 12, height: 12, borderRadius: 0.5, bgcolor: entry.color }} />
+            <Typography variant="caption">{entry.label}</Typography>
+          </Box>
+        ))}
+      </Box>
+      {undated.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2">Undated roles</Typography>
+          {undated.map((role, index) => (
+            <Typography key={index} variant="body2">
+              {role.title} at {role.canonicalCompany || role.company}
+              {role.years && ` (${role.years})`}
+            </Typography>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+const describeItem = (item: string | PastRole): string =>
+  typeof item === 'string' ? item : `${item.title} at ${item.company}${item.years ? ` (${item.years})` : ''}`;
+
+const ChangeLine: React.FC<{ change: ProfileChange }> = ({ change }) => {
+  if (change.added || change.removed) {
+    return (
+      <Box sx={{ mb: 1 }}>
+        <Typography variant="body2" fontWeight={500}>{humanize(change.field)}</Typography>
+        {(change.added || []).map((item, index) => (
+          <Typography key={`added-${index}`} variant="body2" color="success.main">+ {describeItem(item)}</Typography>
+        ))}
+        {(change.removed || []).map((item, index) => (
+          <Typography key={`removed-${index}`} variant="body2" color="error.main">− {describeItem(item)}</Typography>
+        ))}
+      </Box>
+    );
+  }
+  return (
+    <Typography variant="body2" sx={{ mb: 1 }}>
+      <strong>{humanize(change.field)}:</strong>{' '}
+      <Box component="span" sx={{ color: 'error.main', textDecoration: 'line-through' }}>{String(change.previous) || '(empty)'}</Box>
+      {' → '}
+      <Box component="span" sx={{ color: 'success.main' }}>{String(change.current) || '(empty)'}</Box>
+    </Typography>
+  );
+};
+
+// Scraped fields are saved as overrides that later scrapes keep
+const EDITABLE_FIELDS: { key: keyof AlumniDetails | OverridableField; label: string; multiline?: boolean }[] = [
+  { key: 'name', label: 'Name' },
+  { key: 'title', label: 'Headline' },
+  { key: 'company', label: 'Company' },
+  { key: 'location', label: 'Location' },
+  { key: 'summary', label: 'Summary', multiline: true },
+  { key: 'importedName', label: 'Name (from import)' },
+  { key: 'cohort', label: 'Cohort' },
+  { key: 'program', label: 'Program' },
+  { key: 'graduationYear', label: 'Graduation Year' },
+  { key: 'email', label: 'Email' },
+];
+
+const auditValue = (value: unknown): string => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Audit actions other than plain edits, as shown in the edit history
+const AUDIT_ACTION_LABELS: Record<string, string> = {
+  'self-update.link': 'Self-update link sent',
+  'self-update.approve': 'Self-update approved',
+  'self-update.reject': 'Self-update rejected',
+  'profile.consent': 'Consent recorded',
+};
+
+const CONSENT_STATUSES: ConsentStatus[] = ['unknown', 'granted', 'opted_out'];
+
+const confidenceColor = (confidence: number | null | undefined): 'success' | 'warning' | 'error' | 'default' => {
+  if (confidence === null || confidence === undefined) return 'default';
+  if (confidence >= 0.8) return 'success';
+  return confidence >= 0.5 ? 'warning' : 'error';
+};
+
+// "valid on the first attempt" / "valid after 2 repairs"
+const validationOutcome = (inference: AIInference): string => {
+  const repairs = inference.validation.attempts - 1;
+  if (!inference.validation.valid) return `invalid after ${inference.validation.attempts} attempts`;
+  return repairs === 0 ? 'valid on the first attempt' : `valid after ${repairs} repair${repairs === 1 ? '' : 's'}`;
+};
+
+// "{ newsletter: true, events: false }" -> "Newsletter: yes, Events: no"
+const formatContactPreferences = (preferences?: ContactPreferences): string =>
+  preferences && Object.keys(preferences).length > 0
+    ? Object.entries(preferences).map(([channel, allowed]) => `${humanize(channel)}: ${allowed ? 'yes' : 'no'}`).join(', ')
+    : '—';
+
+const ProfileDetail: React.FC<ProfileDetailProps> = ({ profileId, onBack, onDeleted }) => {
+  const { hasRole } = useAuth();
+  const [profile, setProfile] = useState<AlumniData | null>(null);
+  const [snapshots, setSnapshots] = useState<ProfileSnapshot[]>([]);
+  const [auditEntries, setAuditEntries] = useState<AuditEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [rescrapeJobId, setRescrapeJobId] = useState<string | null>(null);
+  const { job: rescrapeJob } = useJobProgress(rescrapeJobId);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState<Record<string, string>>({});
+  const [saving, setSaving] = useState(false);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [showRaw, setShowRaw] = useState(false);
+  const [selfUpdateLink, setSelfUpdateLink] = useState<{ url: string; expiresAt: string } | null>(null);
+  const [keepOptedOut, setKeepOptedOut] = useState(true);
+  const [consentDraft, setConsentDraft] = useState<{ status: ConsentStatus; note: string } | null>(null);
+
+  const loadProfile = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [profileResponse, historyResponse, auditResponse] = await Promise.all([
+        fetch(`/api/profiles/${encodeURIComponent(profileId)}`),
+        fetch(`/api/profiles/${encodeURIComponent(profileId)}/history`),
+        fetch(`/api/profiles/${encodeURIComponent(profileId)}/audit`),
+      ]);
+      const profileData = await profileResponse.json();
+      if (!profileResponse.ok) throw new Error(profileData.error || 'Failed to load profile');
+      const historyData = await historyResponse.json();
+      const auditData = await auditResponse.json();
+      setProfile(profileData);
+      setSnapshots(historyResponse.ok ? historyData.snapshots : []);
+      setAuditEntries(auditResponse.ok ? auditData.entries : []);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading profile:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load profile');
+    } finally {
+      setLoading(false);
+    }
+  }, [profileId]);
+
+  useEffect(() => {
+    loadProfile();
+  }, [loadProfile]);
+
+  // Reload once the re-scrape job is done
+  const rescrapeStatus = rescrapeJob?.status;
+  const rescrapeFailure = rescrapeJob?.errors[rescrapeJob.errors.length - 1]?.error;
+  const rescraping = Boolean(rescrapeJobId) && rescrapeStatus !== 'completed' && rescrapeStatus !== 'failed' && rescrapeStatus !== 'cancelled';
+  useEffect(() => {
+    if (rescrapeStatus === 'completed' || rescrapeStatus === 'failed' || rescrapeStatus === 'cancelled') {
+      setRescrapeJobId(null);
+      if (rescrapeFailure) setError(`Re-scrape failed: ${rescrapeFailure}`);
+      loadProfile();
+    }
+  }, [rescrapeStatus, rescrapeFailure, loadProfile]);
+
+  const handleRescrape = async () => {
+    try {
+      const response = await fetch(`/api/profiles/${encodeURIComponent(profileId)}/rescrape`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({}),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to start re-scrape');
+      setRescrapeJobId(data.jobId);
+    } catch (err) {
+      console.error('Error starting re-scrape:', err);
+      setError(err instanceof Error ? err.message : 'Failed to start re-scrape');
+    }
+  };
+
+  const fieldText = (key: keyof AlumniData): string =>
+    profile?.[key] === undefined || profile?.[key] === null ? '' : String(profile[key]);
+
+  const startEditing = () => {
+    if (!profile) return;
+    setDraft(Object.fromEntries(EDITABLE_FIELDS.map(({ key }) => [key, fieldText(key)])));
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      // Only send what changed, so untouched scraped fields don't get overrides
+      const changes = Object.fromEntries(Object.entries(draft).filter(([key, value]) => value !== fieldText(key as keyof AlumniData)));
+      if (Object.keys(changes).length === 0) {
+        setEditing(false);
+        return;
+      }
+      setSaving(true);
+      const response = await fetch(`/api/profiles/${encodeURIComponent(profileId)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save changes');
+      setEditing(false);
+      loadProfile();
+    } catch (err) {
+      console.error('Error saving profile:', err);
+      setError(err instanceof Error ? err.message : 'Failed to save changes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      const response = await fetch(`/api/profiles/${encodeURIComponent(profileId)}?optOut=${keepOptedOut}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to delete profile');
+      setConfirmingDelete(false);
+      onDeleted();
+    } catch (err) {
+      console.error('Error deleting profile:', err);
+      setConfirmingDelete(false);
+      setError(err instanceof Error ? err.message : 'Failed to delete profile');
+    }
+  };
+
+  const handleSaveConsent = async () => {
+    if (!consentDraft) return;
+    try {
+      const response = await fetch(`/api/profiles/${encodeURIComponent(profileId)}/consent`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(consentDraft),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to record consent');
+      setConsentDraft(null);
+      loadProfile();
+    } catch (err) {
+      console.error('Error recording consent:', err);
+      setError(err instanceof Error ? err.message : 'Failed to record consent');
+    }
+  };
+
+  // The session cookie goes along with a plain navigation
+  const handleSubjectAccess = () => {
+    const anchor = document.createElement('a');
+    anchor.href = `/api/profiles/${encodeURIComponent(profileId)}/subject-access`;
+    anchor.download = `${profileId}_subject_access.json`;
+    anchor.click();
+  };
+
+  // A one-time link the alumnus can use to confirm or correct their details
+  const handleCreateSelfUpdateLink = async () => {
+    try {
+      const response = await fetch(`/api/profiles/${encodeURIComponent(profileId)}/self-update-link`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to create self-update link');
+      setSelfUpdateLink({ url: `${window.location.origin}${data.path}`, expiresAt: data.expiresAt });
+      loadProfile();
+    } catch (err) {
+      console.error('Error creating self-update link:', err);
+      setError(err instanceof Error ? err.message : 'Failed to create self-update link');
+    }
+  };
+
+  if (loading && !profile) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', my: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <Container maxWidth="lg" sx={{ my: 4 }}>
+        <Button startIcon={<ArrowBackIcon />} onClick={onBack} sx={{ mb: 2 }}>
+          Back to dashboard
+        </Button>
+        <Alert severity="error">{error || 'Profile not found'}</Alert>
+      </Container>
+    );
+  }
+
+  const metadata: [string, React.ReactNode][] = [
+    ['Profile ID', profile.id],
+    ['LinkedIn URL', profile.linkedinUrl],
+    ['Status', profile.status],
+    ['Error', profile.error ? `${profile.error}${profile.errorType ? ` (${profile.errorType})` : ''}` : '—'],
+    ['Last scrape error', profile.lastScrapeError || '—'],
+    ['Extraction', profile.extraction ? `${profile.extraction.strategy} from ${profile.extraction.source}` : '—'],
+    ['First scraped', formatDate(profile.firstScrapedAt)],
+    ['Last scraped', formatDate(profile.scrapedAt)],
+    ['Last attempted', formatDate(profile.lastAttemptedAt)],
+    ['Last changed', formatDate(profile.lastChangedAt)],
+    ['Details edited', profile.editedAt ? `${formatDate(profile.editedAt)} by ${profile.editedBy || 'unknown'}` : '—'],
+    [
+      'Overridden fields',
+      profile.overrides && Object.keys(profile.overrides).length > 0
+        ? Object.entries(profile.overrides)
+            .map(([field, override]) => `${field} (scraped: ${override?.scrapedValue || '(empty)'})`)
+            .join('; ')
+        : '—',
+    ],
+    ['Contact preferences', formatContactPreferences(profile.contactPreferences)],
+    ['Self-updated', formatDate(profile.selfUpdatedAt)],
+    [
+      'Consent',
+      profile.consent
+        ? `${humanize(profile.consent.status)}, ${formatDate(profile.consent.updatedAt)} by ${profile.consent.updatedBy}${profile.consent.note ? ` (${profile.consent.note})` : ''}`
+        : 'Unknown',
+    ],
+    ['Company match', profile.companyMatchedBy ? `${profile.canonicalCompany} (${profile.companyMatchedBy})` : '—'],
+    [
+      'Classification',
+      profile.classification
+        ? `${profile.classification.source}${profile.classification.model ? ` (${profile.classification.model})` : ''}, ${formatDate(profile.classification.classifiedAt)}`
+        : '—',
+    ],
+  ];
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ my: 4 }}>
+        <Button startIcon={<ArrowBackIcon />} onClick={onBack} sx={{ mb: 2 }}>
+          Back to dashboard
+        </Button>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {/* Header */}
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2, flexWrap: 'wrap' }}>
+            <Box>
+              <Typography variant="h4" component="h1">{profile.name}</Typography>
+              <Typography variant="subtitle1">{profile.canonicalTitle || profile.title}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                {[profile.canonicalCompany || profile.company, profile.location].filter(Boolean).join(' · ')}
+              </Typography>
+              <Link href={profile.linkedinUrl} target="_blank" rel="noopener noreferrer" variant="body2" sx={{ display: 'inline-flex', alignItems: 'center', gap: 0.5, mt: 1 }}>
+                LinkedIn profile <OpenInNewIcon fontSize="inherit" />
+              </Link>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              {hasRole('admin') && (
+                <Button
+                  variant="contained"
+                  startIcon={rescraping ? <CircularProgress size={16} color="inherit" /> : <RefreshIcon />}
+                  onClick={handleRescrape}
+                  disabled={rescraping}
+                >
+                  {rescraping ? 'Re-scraping...' : 'Re-scrape now'}
+                </Button>
+              )}
+              {hasRole('staff') && (
+                <>
+                  <Button variant="outlined" startIcon={<EditIcon />} onClick={startEditing}>
+                    Edit
+                  </Button>
+                  <Button variant="outlined" startIcon={<LinkIcon />} onClick={handleCreateSelfUpdateLink}>
+                    Self-update link
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    onClick={() => setConsentDraft({ status: profile.consent?.status || 'unknown', note: profile.consent?.note || '' })}
+                  >
+                    Consent
+                  </Button>
+                </>
+              )}
+              {hasRole('admin') && (
+                <>
+                  <Tooltip title="Everything stored about this alumnus, for a subject access request">
+                    <Button variant="outlined" startIcon={<DownloadIcon />} onClick={handleSubjectAccess}>
+                      Personal data
+                    </Button>
+                  </Tooltip>
+                  <Button variant="outlined" color="error" startIcon={<DeleteIcon />} onClick={() => setConfirmingDelete(true)}>
+                    Delete
+                  </Button>
+                </>
+              )}
+            </Box>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 2 }}>
+            <Chip label={profile.status} size="small" color={profile.status === 'success' ? 'success' : profile.status === 'failed' ? 'error' : 'default'} />
+            {profile.consent?.status === 'opted_out' && <Chip label="Opted out" size="small" color="warning" />}
+            {profile.aiInference && <Chip label="AI-extracted" size="small" color="info" variant="outlined" />}
+            {profile.industry && <Chip label={humanize(profile.industry)} size="small" color="secondary" variant="outlined" />}
+            {profile.seniority && <Chip label={humanize(profile.seniority)} size="small" color="primary" variant="outlined" />}
+            {profile.jobFunction && <Chip label={humanize(profile.jobFunction)} size="small" color="primary" variant="outlined" />}
+            {profile.program && <Chip label={`Program: ${profile.program}`} size="small" variant="outlined" />}
+            {profile.cohort && <Chip label={`Cohort: ${profile.cohort}`} size="small" variant="outlined" />}
+            {profile.graduationYear && <Chip label={`Class of ${profile.graduationYear}`} size="small" variant="outlined" />}
+            {profile.email && <Chip label={profile.email} size="small" variant="outlined" />}
+          </Box>
+        </Paper>
+
+        {/* Summary */}
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>AI Summary</Typography>
+          <Typography variant="body2">{profile.summary || 'No summary available'}</Typography>
+        </Paper>
+
+        {/* AI Extraction */}
+        {profile.aiInference && (
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Typography variant="h6" gutterBottom>AI-Inferred Fields</Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Extracted by {profile.aiInference.provider} ({profile.aiInference.model}) on {formatDate(profile.aiInference.inferredAt)};
+              the reply was {validationOutcome(profile.aiInference)} against the profile schema.
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              {Object.entries(profile.aiInference.fields).map(([field, confidence]) => (
+                <Chip
+                  key={field}
+                  size="small"
+                  variant="outlined"
+                  color={confidenceColor(confidence)}
+                  label={`${humanize(field)}: ${confidence === null || confidence === undefined ? 'no confidence given' : `${Math.round(confidence * 100)}%`}`}
+                />
+              ))}
+            </Box>
+            {profile.aiInference.validation.repairedErrors.length > 0 && (
+              <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 2 }}>
+                Corrected on repair: {profile.aiInference.validation.repairedErrors.join('; ')}
+              </Typography>
+            )}
+          </Paper>
+        )}
+
+        {/* Career Timeline */}
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>Career Timeline</Typography>
+          <CareerTimeline profile={profile} />
+        </Paper>
+
+        {/* Education */}
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>Education</Typography>
+          {profile.educationDetails && profile.educationDetails.length > 0 ? (
+            profile.educationDetails.map((entry, index) => (
+              <Box key={index} sx={{ mb: 1 }}>
+                <Typography variant="body2" fontWeight={500}>{entry.school}</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {[entry.degree, entry.field, entry.years].filter(Boolean).join(' · ')}
+                </Typography>
+              </Box>
+            ))
+          ) : profile.education.length > 0 ? (
+            profile.education.map((entry, index) => (
+              <Typography key={index} variant="body2">{entry}</Typography>
+            ))
+          ) : (
+            <Typography variant="body2">No education information available</Typography>
+          )}
+        </Paper>
+
+        {/* Scrape History */}
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>Scrape History</Typography>
+          {snapshots.length === 0 ? (
+            <Typography variant="body2">No successful scrapes yet</Typography>
+          ) : (
+            snapshots.map((snapshot, index) => (
+              <Box key={snapshot.scrapedAt} sx={{ borderLeft: 3, borderColor: 'divider', pl: 2, mb: 2 }}>
+                <Typography variant="subtitle2">{formatDate(snapshot.scrapedAt)}</Typography>
+                {index === snapshots.length - 1 ? (
+                  <Typography variant="body2" color="text.secondary">First scrape</Typography>
+                ) : snapshot.changes.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">No changes</Typography>
+                ) : (
+                  snapshot.changes.map((change) => <ChangeLine key={change.field} change={change} />)
+                )}
+              </Box>
+            ))
+          )}
+        </Paper>
+
+        {/* Edit History */}
+        {hasRole('staff') && (
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Typography variant="h6" gutterBottom>Edit History</Typography>
+            {auditEntries.length === 0 ? (
+              <Typography variant="body2">No manual edits</Typography>
+            ) : (
+              auditEntries.map((entry) => (
+                <Box key={entry.id} sx={{ borderLeft: 3, borderColor: 'divider', pl: 2, mb: 2 }}>
+                  <Typography variant="subtitle2">
+                    {formatDate(entry.at)} · {entry.actor}
+                    {AUDIT_ACTION_LABELS[entry.action] && ` · ${AUDIT_ACTION_LABELS[entry.action]}`}
+                  </Typography>
+                  {entry.changes.map((change) => (
+                    <Typography key={change.field} variant="body2">
+                      <strong>{humanize(change.field)}:</strong> {auditValue(change.previous)} → {auditValue(change.current)}
+                      {change.overridden && (
+                        <Chip label="Override" size="small" variant="outlined" sx={{ ml: 1 }} />
+                      )}
+                    </Typography>
+                  ))}
+                </Box>
+              ))
+            )}
+          </Paper>
+        )}
+
+        {/* Metadata */}
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h6" gutterBottom>Scrape Metadata</Typography>
+          <Table size="small">
+            <TableBody>
+              {metadata.map(([label, value]) => (
+                <TableRow key={label}>
+                  <TableCell sx={{ width: 200, color: 'text.secondary' }}>{label}</TableCell>
+                  <TableCell sx={{ wordBreak: 'break-all' }}>{value}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <Button size="small" onClick={() => setShowRaw(!showRaw)} sx={{ mt: 2 }}>
+            {showRaw ? 'Hide raw record' : 'Show raw record'}
+          </Button>
+          <Collapse in={showRaw} unmountOnExit>
+            <Box component="pre" sx={{ bgcolor: 'grey.100', p: 2, borderRadius: 1, overflow: 'auto', fontSize: 12, maxHeight: 400 }}>
+              {JSON.stringify(profile, null, 2)}
+            </Box>
+          </Collapse>
+        </Paper>
+      </Box>
+
+      {/* Edit Dialog */}
+      <Dialog open={editing} onClose={() => setEditing(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Edit profile</DialogTitle>
+        <DialogContent>
+          <DialogContentText variant="body2" sx={{ mb: 1 }}>
+            Corrections to scraped fields are kept when the profile is scraped again.
+          </DialogContentText>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            {EDITABLE_FIELDS.map(({ key, label, multiline }) => (
+              <TextField
+                key={key}
+                label={label}
+                size="small"
+                multiline={multiline}
+                minRows={multiline ? 3 : undefined}
+                type={key === 'graduationYear' ? 'number' : key === 'email' ? 'email' : 'text'}
+                value={draft[key] ?? ''}
+                onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+              />
+            ))}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Self-update Link */}
+      <Dialog open={Boolean(selfUpdateLink)} onClose={() => setSelfUpdateLink(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Self-update link</DialogTitle>
+        <DialogContent>
+          <DialogContentText variant="body2" sx={{ mb: 2 }}>
+            Send this link to {profile.name}. It works once and expires on {formatDate(selfUpdateLink?.expiresAt)}.
+            Their answers wait for approval under Updates.
+          </DialogContentText>
+          <TextField value={selfUpdateLink?.url ?? ''} size="small" fullWidth InputProps={{ readOnly: true }} />
+        </DialogContent>
+        <DialogActions>
+          <Button
+            startIcon={<ContentCopyIcon />}
+            onClick={() => selfUpdateLink && navigator.clipboard.writeText(selfUpdateLink.url)}
+          >
+            Copy
+          </Button>
+          <Button variant="contained" onClick={() => setSelfUpdateLink(null)}>
+            Done
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Consent */}
+      <Dialog open={Boolean(consentDraft)} onClose={() => setConsentDraft(null)} fullWidth maxWidth="xs">
+        <DialogTitle>Consent</DialogTitle>
+        <DialogContent>
+          <DialogContentText variant="body2" sx={{ mb: 1 }}>
+            Opted-out alumni are not scraped again and are left out of exports.
+          </DialogContentText>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            <TextField
+              select
+              label="Status"
+              size="small"
+              value={consentDraft?.status ?? 'unknown'}
+              onChange={(e) => consentDraft && setConsentDraft({ ...consentDraft, status: e.target.value as ConsentStatus })}
+            >
+              {CONSENT_STATUSES.map((status) => (
+                <MenuItem key={status} value={status}>{humanize(status)}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="Note"
+              size="small"
+              multiline
+              minRows={2}
+              value={consentDraft?.note ?? ''}
+              onChange={(e) => consentDraft && setConsentDraft({ ...consentDraft, note: e.target.value })}
+              helperText="How and when the alumnus told you"
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConsentDraft(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveConsent}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation */}
+      <Dialog open={confirmingDelete} onClose={() => setConfirmingDelete(false)}>
+        <DialogTitle>Delete {profile.name}?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The profile, all of its snapshots and its self-updates will be erased, and it is removed from past jobs.
+            Audit entries about it keep who changed what, but not the values.
+          </DialogContentText>
+          <FormControlLabel
+            sx={{ mt: 1 }}
+            control={<Checkbox checked={keepOptedOut} onChange={(e) => setKeepOptedOut(e.target.checked)} />}
+            label="Keep the LinkedIn URL on the do-not-scrape list"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmingDelete(false)}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleDelete}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default ProfileDetail;
@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Container,
+  Typography,
+  Card,
+  CardContent,
+  TextField,
+  Button,
+  Switch,
+  FormControlLabel,
+  Alert,
+  Chip,
+  CircularProgress,
+} from '@mui/material';
+import {
+  PlayArrow as PlayArrowIcon,
+  Save as SaveIcon,
+} from '@mui/icons-material';
+import { format } from 'date-fns';
+import { RefreshSchedule } from '../types';
+import { useAuth } from '../hooks/useAuth';
+import RetentionPanel from './RetentionPanel';
+
+const formatRunTime = (value: string | null) =>
+  value ? format(new Date(value), 'MMM d, yyyy HH:mm') : 'Never';
+
+const RefreshSchedulePanel: React.FC = () => {
+  const { hasRole } = useAuth();
+  const [schedule, setSchedule] = useState<RefreshSchedule | null>(null);
+  const [enabled, setEnabled] = useState(false);
+  const [intervalHours, setIntervalHours] = useState('');
+  const [batchSize, setBatchSize] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const applySchedule = (data: RefreshSchedule) => {
+    setSchedule(data);
+    setEnabled(data.enabled);
+    setIntervalHours(String(data.intervalHours));
+    setBatchSize(String(data.batchSize));
+  };
+
+  const loadSchedule = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/schedule');
+      if (!response.ok) throw new Error('Failed to load refresh schedule');
+      applySchedule(await response.json());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load refresh schedule');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSchedule();
+  }, [loadSchedule]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setMessage(null);
+      const response = await fetch('/api/schedule', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          enabled,
+          intervalHours: Number(intervalHours),
+          batchSize: Number(batchSize),
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save refresh schedule');
+      applySchedule(data);
+      setMessage('Schedule saved');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save refresh schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRunNow = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setMessage(null);
+      const response = await fetch('/api/schedule/run', { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to start refresh');
+      applySchedule(data.schedule);
+      setMessage(`Refresh job started for ${data.totalProfiles} profiles`);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to start refresh');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="md">
+      <Box sx={{ my: 4 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          Refresh Schedule
+        </Typography>
+        <Typography color="textSecondary" sx={{ mb: 3 }}>
+          Periodically re-scrape stored alumni, starting with the profiles that were updated longest ago.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message}
+          </Alert>
+        )}
+
+        {loading || !schedule ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr 1fr' }, gap: 3, mb: 3 }}>
+              <Card>
+                <CardContent>
+                  <Typography color="textSecondary" gutterBottom>
+                    Status
+                  </Typography>
+                  <Chip
+                    label={schedule.running ? 'Running' : schedule.enabled ? 'Scheduled' : 'Disabled'}
+                    color={schedule.running ? 'info' : schedule.enabled ? 'success' : 'default'}
+                  />
+                </CardContent>
+              </Card>
+              <Card>
+                <CardContent>
+                  <Typography color="textSecondary" gutterBottom>
+                    Last Run
+                  </Typography>
+                  <Typography variant="h6">{formatRunTime(schedule.lastRunAt)}</Typography>
+                </CardContent>
+              </Card>
+              <Card>
+                <CardContent>
+                  <Typography color="textSecondary" gutterBottom>
+                    Next Run
+                  </Typography>
+                  <Typography variant="h6">
+                    {schedule.enabled ? formatRunTime(schedule.nextRunAt) : 'Not scheduled'}
+                  </Typography>
+                </CardContent>
+              </Card>
+            </Box>
+
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                  <FormControlLabel
+                    control={<Switch checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />}
+                    label="Enable periodic refresh"
+                  />
+                  <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+                    <TextField
+                      label="Interval (hours)"
+                      type="number"
+                      size="small"
+                      value={intervalHours}
+                      onChange={(e) => setIntervalHours(e.target.value)}
+                      inputProps={{ min: 1 }}
+                    />
+                    <TextField
+                      label="Profiles per run"
+                      type="number"
+                      size="small"
+                      value={batchSize}
+                      onChange={(e) => setBatchSize(e.target.value)}
+                      inputProps={{ min: 1 }}
+                    />
+                  </Box>
+                  {hasRole('admin') ? (
+                    <Box sx={{ display: 'flex', gap: 2 }}>
+                      <Button
+                        variant="contained"
+                        startIcon={<SaveIcon />}
+                        onClick={handleSave}
+                        disabled={saving}
+                      >
+                        Save Schedule
+                      </Button>
+                      <Button
+                        variant="outlined"
+                        startIcon={<PlayArrowIcon />}
+                        onClick={handleRunNow}
+                        disabled={saving || schedule.running}
+                      >
+                        Run Now
+                      </Button>
+                    </Box>
+                  ) : (
+                    <Typography variant="body2" color="text.secondary">
+                      Only admins can change the schedule or start a run.
+                    </Typography>
+                  )}
+                </Box>
+              </CardContent>
+            </Card>
+
+            {hasRole('admin') && <RetentionPanel />}
+          </>
+        )}
+      </Box>
+    </Container>
+  );
+};
+
+export default RefreshSchedulePanel;
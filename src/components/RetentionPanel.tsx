@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  TextField,
+  Button,
+  Alert,
+} from '@mui/material';
+import {
+  Save as SaveIcon,
+  DeleteSweep as DeleteSweepIcon,
+} from '@mui/icons-material';
+import { format } from 'date-fns';
+import { RetentionPolicy } from '../types';
+
+// Admin card under the refresh schedule: how long old snapshots and finished
+// jobs' results are kept, and the last purge
+const RetentionPanel: React.FC = () => {
+  const [policy, setPolicy] = useState<RetentionPolicy | null>(null);
+  const [snapshotDays, setSnapshotDays] = useState('');
+  const [jobResultDays, setJobResultDays] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const applyPolicy = (data: RetentionPolicy) => {
+    setPolicy(data);
+    setSnapshotDays(String(data.snapshotDays));
+    setJobResultDays(String(data.jobResultDays));
+  };
+
+  const loadPolicy = useCallback(async () => {
+    try {
+      const response = await fetch('/api/retention');
+      if (!response.ok) throw new Error('Failed to load retention policy');
+      applyPolicy(await response.json());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load retention policy');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPolicy();
+  }, [loadPolicy]);
+
+  const send = async (url: string, method: string, body?: unknown) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setMessage(null);
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Request failed');
+      applyPolicy(data);
+      return data as RetentionPolicy;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Request failed');
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const saved = await send('/api/retention', 'PUT', {
+      snapshotDays: Number(snapshotDays),
+      jobResultDays: Number(jobResultDays),
+    });
+    if (saved) setMessage('Retention policy saved');
+  };
+
+  const handlePurge = async () => {
+    const purged = await send('/api/retention/purge', 'POST');
+    if (purged?.lastPurge) {
+      setMessage(
+        `Removed ${purged.lastPurge.snapshots} snapshots, the results of ${purged.lastPurge.jobs} jobs, ${
+          purged.lastPurge.llmCacheEntries ?? 0
+        } cached AI replies and ${purged.lastPurge.imports ?? 0} unconfirmed imports`
+      );
+    }
+  };
+
+  if (!policy) {
+    return error ? <Alert severity="error" sx={{ mt: 3 }}>{error}</Alert> : null;
+  }
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Data Retention
+        </Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          Older snapshots and finished jobs' results are purged once a day. 0 keeps them forever; the latest snapshot of
+          each profile is always kept.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            <TextField
+              label="Keep snapshots (days)"
+              type="number"
+              size="small"
+              value={snapshotDays}
+              onChange={(e) => setSnapshotDays(e.target.value)}
+              inputProps={{ min: 0 }}
+            />
+            <TextField
+              label="Keep job results (days)"
+              type="number"
+              size="small"
+              value={jobResultDays}
+              onChange={(e) => setJobResultDays(e.target.value)}
+              inputProps={{ min: 0 }}
+            />
+          </Box>
+          <Typography variant="body2" color="text.secondary">
+            Last purge:{' '}
+            {policy.lastPurgeAt
+              ? `${format(new Date(policy.lastPurgeAt), 'MMM d, yyyy HH:mm')}${
+                  policy.lastPurge ? ` (${policy.lastPurge.snapshots} snapshots, ${policy.lastPurge.jobs} jobs)` : ''
+                }`
+              : 'Never'}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <Button variant="contained" startIcon={<SaveIcon />} onClick={handleSave} disabled={saving}>
+              Save Policy
+            </Button>
+            <Button variant="outlined" startIcon={<DeleteSweepIcon />} onClick={handlePurge} disabled={saving}>
+              Purge Now
+            </Button>
+          </Box>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RetentionPanel;
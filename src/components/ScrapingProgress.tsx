@@ -1,12 +1,30 @@
 import React from 'react';
-import { Clock, CheckCircle, AlertCircle, Users, Zap, TrendingUp } from 'lucide-react';
-import { ScrapingJob } from '../types';
+import { Clock, CheckCircle, AlertCircle, Users, Zap, TrendingUp, Pause, Play, XCircle, RotateCcw } from 'lucide-react';
+import { ScrapingJob, JobControlAction, ScrapeErrorType } from '../types';
+import { JobConnection } from '../hooks/useJobProgress';
 
 interface ScrapingProgressProps {
   job: ScrapingJob;
+  connection?: JobConnection;
+  onControl?: (action: JobControlAction) => Promise<void>;
+  onRetryFailed?: () => Promise<void>;
 }
 
-const ScrapingProgress: React.FC<ScrapingProgressProps> = ({ job }) => {
+const errorTypeLabels: Record<ScrapeErrorType, string> = {
+  timeout: 'Timeout',
+  login_wall: 'Login wall',
+  not_found: 'Not found',
+  rate_limited: 'Rate limited',
+  network: 'Network error',
+  parse_failure: 'Parse failure',
+  invalid_url: 'Invalid URL',
+  budget_exceeded: 'AI budget used up',
+  unknown: 'Error',
+};
+
+const ScrapingProgress: React.FC<ScrapingProgressProps> = ({ job, connection = 'idle', onControl, onRetryFailed }) => {
+  const retryableErrors = job.errors.filter((error) => error.url && error.type !== 'invalid_url');
+
   const progressPercentage = job.totalProfiles > 0 
     ? Math.round((job.processedProfiles / job.totalProfiles) * 100)
     : 0;
@@ -17,6 +35,10 @@ const ScrapingProgress: React.FC<ScrapingProgressProps> = ({ job }) => {
         return <Clock className="w-6 h-6 text-yellow-600" />;
       case 'running':
         return <Zap className="w-6 h-6 text-blue-600" />;
+      case 'paused':
+        return <Pause className="w-6 h-6 text-yellow-600" />;
+      case 'cancelled':
+        return <XCircle className="w-6 h-6 text-gray-600" />;
       case 'completed':
         return <CheckCircle className="w-6 h-6 text-green-600" />;
       case 'failed':
@@ -32,6 +54,8 @@ const ScrapingProgress: React.FC<ScrapingProgressProps> = ({ job }) => {
         return 'text-yellow-600';
       case 'running':
         return 'text-blue-600';
+      case 'paused':
+        return 'text-yellow-600';
       case 'completed':
         return 'text-green-600';
       case 'failed':
@@ -47,6 +71,10 @@ const ScrapingProgress: React.FC<ScrapingProgressProps> = ({ job }) => {
         return 'Initializing scraper...';
       case 'running':
         return job.currentProfile ? `Processing: ${job.currentProfile}` : 'Analyzing LinkedIn profiles...';
+      case 'paused':
+        return `Paused after ${job.processedProfiles} of ${job.totalProfiles} profiles`;
+      case 'cancelled':
+        return 'Analysis cancelled. Profiles scraped so far have been saved.';
       case 'completed':
         return 'Analysis completed successfully!';
       case 'failed':
@@ -92,11 +120,45 @@ const ScrapingProgress: React.FC<ScrapingProgressProps> = ({ job }) => {
               {job.status === 'running' && (
                 <div className="flex items-center space-x-1">
                   <div className="w-2 h-2 bg-blue-600 rounded-full animate-pulse"></div>
-                  <span>In progress...</span>
+                  <span>
+                    In progress
+                    {connection === 'streaming' && ' · live'}
+                    {connection === 'polling' && ' · refreshing every few seconds'}
+                  </span>
                 </div>
               )}
             </span>
           </div>
+
+          {onControl && ['running', 'paused', 'pending'].includes(job.status) && (
+            <div className="flex justify-end space-x-3">
+              {job.status === 'running' && (
+                <button
+                  onClick={() => onControl('pause')}
+                  className="inline-flex items-center px-4 py-2 rounded-lg text-sm font-medium bg-yellow-100 text-yellow-800 hover:bg-yellow-200 transition-colors"
+                >
+                  <Pause className="w-4 h-4 mr-2" />
+                  Pause
+                </button>
+              )}
+              {job.status === 'paused' && (
+                <button
+                  onClick={() => onControl('resume')}
+                  className="inline-flex items-center px-4 py-2 rounded-lg text-sm font-medium bg-blue-100 text-blue-700 hover:bg-blue-200 transition-colors"
+                >
+                  <Play className="w-4 h-4 mr-2" />
+                  Resume
+                </button>
+              )}
+              <button
+                onClick={() => onControl('cancel')}
+                className="inline-flex items-center px-4 py-2 rounded-lg text-sm font-medium bg-red-50 text-red-700 hover:bg-red-100 transition-colors"
+              >
+                <XCircle className="w-4 h-4 mr-2" />
+                Cancel
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
@@ -122,6 +184,9 @@ const ScrapingProgress: React.FC<ScrapingProgressProps> = ({ job }) => {
             <div>
               <p className="text-sm text-gray-600">Failed</p>
               <p className="text-2xl font-bold text-gray-900">{job.failedProfiles}</p>
+              {Boolean(job.skippedProfiles) && (
+                <p className="text-xs text-gray-500">{job.skippedProfiles} skipped (opted out)</p>
+              )}
             </div>
           </div>
         </div>
@@ -134,6 +199,13 @@ const ScrapingProgress: React.FC<ScrapingProgressProps> = ({ job }) => {
             <div>
               <p className="text-sm text-gray-600">Total Profiles</p>
               <p className="text-2xl font-bold text-gray-900">{job.totalProfiles}</p>
+              {job.llmUsage && (job.llmUsage.calls > 0 || job.llmUsage.cacheHits > 0) && (
+                <p className="text-xs text-gray-500">
+                  AI: {job.llmUsage.calls} calls, {(job.llmUsage.inputTokens + job.llmUsage.outputTokens).toLocaleString()}{' '}
+                  tokens, ~${job.llmUsage.cost.toFixed(4)}, {job.llmUsage.cacheHits} cached
+                  {job.llmUsage.fallbacks > 0 && `, ${job.llmUsage.fallbacks} over budget`}
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -161,12 +233,30 @@ const ScrapingProgress: React.FC<ScrapingProgressProps> = ({ job }) => {
               <h4 className="font-medium text-red-900 mb-2">Processing Errors</h4>
               <div className="space-y-1">
                 {job.errors.slice(0, 3).map((error, index) => (
-                  <p key={index} className="text-red-700 text-sm">{error}</p>
+                  <p key={index} className="text-red-700 text-sm">
+                    {error.type && (
+                      <span className="inline-block px-2 py-0.5 mr-2 rounded bg-red-100 text-red-800 text-xs font-medium">
+                        {errorTypeLabels[error.type]}
+                      </span>
+                    )}
+                    {error.url ? `${error.url}: ` : ''}
+                    {error.error}
+                    {error.attempts && error.attempts > 1 ? ` (${error.attempts} attempts)` : ''}
+                  </p>
                 ))}
                 {job.errors.length > 3 && (
                   <p className="text-red-600 text-sm">... and {job.errors.length - 3} more errors</p>
                 )}
               </div>
+              {onRetryFailed && retryableErrors.length > 0 && ['completed', 'cancelled', 'failed'].includes(job.status) && (
+                <button
+                  onClick={onRetryFailed}
+                  className="mt-4 inline-flex items-center px-4 py-2 rounded-lg text-sm font-medium bg-white text-red-700 border border-red-300 hover:bg-red-100 transition-colors"
+                >
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  Retry {retryableErrors.length} failed profile{retryableErrors.length === 1 ? '' : 's'}
+                </button>
+              )}
             </div>
           </div>
         </div>
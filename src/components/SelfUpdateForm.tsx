@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Container,
+  Typography,
+  Card,
+  CardContent,
+  TextField,
+  Button,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Send as SendIcon } from '@mui/icons-material';
+import { format } from 'date-fns';
+import { humanize } from '../utils/labels';
+import { ContactPreferences, SelfUpdateForm as SelfUpdateFormData, SelfUpdateValues } from '../types';
+
+interface SelfUpdateFormProps {
+  token: string;
+}
+
+// Public page an alumnus reaches from their personal link. Nothing changes
+// until staff approve the submission.
+const SelfUpdateForm: React.FC<SelfUpdateFormProps> = ({ token }) => {
+  const [form, setForm] = useState<SelfUpdateFormData | null>(null);
+  const [values, setValues] = useState<Required<Omit<SelfUpdateValues, 'contactPreferences'>>>({
+    title: '',
+    company: '',
+    location: '',
+    email: '',
+  });
+  const [preferences, setPreferences] = useState<ContactPreferences>({});
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadForm = async () => {
+      try {
+        const response = await fetch(`/api/self-update/${encodeURIComponent(token)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'This link is not valid');
+        setForm(data);
+        setValues({ title: data.title, company: data.company, location: data.location, email: data.email });
+        setPreferences(data.contactPreferences);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'This link is not valid');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadForm();
+  }, [token]);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!form) return;
+    try {
+      setSubmitting(true);
+      setError(null);
+      // Every channel is sent, so an unticked box is an explicit opt-out
+      const contactPreferences = Object.fromEntries(
+        form.contactChannels.map((channel) => [channel, Boolean(preferences[channel])])
+      );
+      const response = await fetch(`/api/self-update/${encodeURIComponent(token)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...values, contactPreferences }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to send your update');
+      setSubmitted(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to send your update');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Container maxWidth="sm" sx={{ py: 6 }}>
+      <Typography variant="h4" gutterBottom>
+        ASB Alumni Details
+      </Typography>
+
+      {submitted ? (
+        <Alert severity="success">
+          Thank you! The alumni office will review your update shortly.
+        </Alert>
+      ) : !form ? (
+        <Alert severity="error">{error}</Alert>
+      ) : (
+        <Card component="form" onSubmit={handleSubmit}>
+          <CardContent>
+            <Typography variant="body1" gutterBottom>
+              Hi {form.name}, please confirm or correct the details we hold about you.
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+              This link can be used once and expires on {format(new Date(form.expiresAt), 'MMM d, yyyy')}.
+            </Typography>
+
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+
+            <TextField
+              label="Current Title"
+              value={values.title}
+              onChange={(event) => setValues({ ...values, title: event.target.value })}
+              fullWidth
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              label="Current Company"
+              value={values.company}
+              onChange={(event) => setValues({ ...values, company: event.target.value })}
+              fullWidth
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              label="Location"
+              value={values.location}
+              onChange={(event) => setValues({ ...values, location: event.target.value })}
+              fullWidth
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              label="Email"
+              type="email"
+              value={values.email}
+              onChange={(event) => setValues({ ...values, email: event.target.value })}
+              fullWidth
+              sx={{ mb: 3 }}
+            />
+
+            <Typography variant="subtitle1">We may contact you about</Typography>
+            <FormGroup sx={{ mb: 3 }}>
+              {form.contactChannels.map((channel) => (
+                <FormControlLabel
+                  key={channel}
+                  control={
+                    <Checkbox
+                      checked={Boolean(preferences[channel])}
+                      onChange={(event) => setPreferences({ ...preferences, [channel]: event.target.checked })}
+                    />
+                  }
+                  label={humanize(channel)}
+                />
+              ))}
+            </FormGroup>
+
+            <Button
+              type="submit"
+              variant="contained"
+              startIcon={submitting ? <CircularProgress size={16} /> : <SendIcon />}
+              disabled={submitting}
+            >
+              Send Update
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+    </Container>
+  );
+};
+
+export default SelfUpdateForm;
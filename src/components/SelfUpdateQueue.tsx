@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Container,
+  Typography,
+  Card,
+  CardContent,
+  CardActions,
+  Button,
+  Checkbox,
+  Chip,
+  Link,
+  Alert,
+  CircularProgress,
+  TextField,
+  MenuItem,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+} from '@mui/material';
+import {
+  Check as CheckIcon,
+  Close as CloseIcon,
+} from '@mui/icons-material';
+import { format } from 'date-fns';
+import { humanize } from '../utils/labels';
+import { profilePath } from '../utils/routes';
+import { ContactPreferences, SelfUpdateField, SelfUpdateSubmission } from '../types';
+
+type StatusFilter = SelfUpdateSubmission['status'] | 'all';
+
+const formatValue = (field: SelfUpdateField, value: unknown): string => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'contactPreferences') {
+    return Object.entries(value as ContactPreferences)
+      .map(([channel, allowed]) => `${humanize(channel)}: ${allowed ? 'yes' : 'no'}`)
+      .join(', ');
+  }
+  return String(value);
+};
+
+interface SubmissionCardProps {
+  submission: SelfUpdateSubmission;
+  onReviewed: () => void;
+}
+
+// One submission: current against proposed values, with a box per field so
+// staff can take only some of them
+const SubmissionCard: React.FC<SubmissionCardProps> = ({ submission, onReviewed }) => {
+  const fields = Object.keys(submission.proposed) as SelfUpdateField[];
+  const [selected, setSelected] = useState<SelfUpdateField[]>(fields);
+  const [profileId, setProfileId] = useState('');
+  const [reason, setReason] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const pending = submission.status === 'pending';
+
+  const toggleField = (field: SelfUpdateField) =>
+    setSelected(selected.includes(field) ? selected.filter((item) => item !== field) : [...selected, field]);
+
+  const review = async (action: 'approve' | 'reject') => {
+    try {
+      setWorking(true);
+      setError(null);
+      const body = action === 'approve'
+        ? { fields: selected, ...(submission.profileId ? {} : { profileId: profileId.trim() }) }
+        : { reason };
+      const response = await fetch(`/api/self-updates/${encodeURIComponent(submission.id)}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Failed to ${action} submission`);
+      onReviewed();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : `Failed to ${action} submission`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 2 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1, gap: 2, flexWrap: 'wrap' }}>
+          <Box>
+            {submission.profileId ? (
+              <Link href={profilePath(submission.profileId)} variant="subtitle1" fontWeight={500}>
+                {submission.profileName || submission.profileId}
+              </Link>
+            ) : (
+              <Typography variant="subtitle1" fontWeight={500}>
+                {submission.identity.name || submission.identity.email || 'Unknown alumnus'}
+              </Typography>
+            )}
+            <Typography variant="body2" color="text.secondary">
+              {format(new Date(submission.submittedAt), 'MMM d, yyyy HH:mm')} · via {submission.source}
+              {submission.identity.linkedinUrl && ` · ${submission.identity.linkedinUrl}`}
+            </Typography>
+          </Box>
+          <Chip
+            label={submission.status}
+            size="small"
+            color={submission.status === 'approved' ? 'success' : submission.status === 'rejected' ? 'default' : 'warning'}
+          />
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {fields.length === 0 ? (
+          <Typography variant="body2">Confirmed their details without changes.</Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                {pending && <TableCell padding="checkbox" />}
+                <TableCell>Field</TableCell>
+                <TableCell>Current</TableCell>
+                <TableCell>Proposed</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {fields.map((field) => (
+                <TableRow key={field}>
+                  {pending && (
+                    <TableCell padding="checkbox">
+                      <Checkbox checked={selected.includes(field)} onChange={() => toggleField(field)} />
+                    </TableCell>
+                  )}
+                  <TableCell>{humanize(field)}</TableCell>
+                  <TableCell>{submission.current ? formatValue(field, submission.current[field]) : '—'}</TableCell>
+                  <TableCell sx={{ fontWeight: 500 }}>{formatValue(field, submission.proposed[field])}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {!pending && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            {humanize(submission.status)} by {submission.reviewedBy}
+            {submission.reviewedAt && ` on ${format(new Date(submission.reviewedAt), 'MMM d, yyyy HH:mm')}`}
+            {submission.appliedFields && ` · applied ${submission.appliedFields.map(humanize).join(', ') || 'nothing'}`}
+            {submission.reason && ` · ${submission.reason}`}
+          </Typography>
+        )}
+      </CardContent>
+
+      {pending && (
+        <CardActions sx={{ px: 2, pb: 2, gap: 1, flexWrap: 'wrap' }}>
+          {!submission.profileId && (
+            <TextField
+              label="Profile ID"
+              size="small"
+              value={profileId}
+              onChange={(event) => setProfileId(event.target.value)}
+              helperText="No stored profile matched this submission"
+            />
+          )}
+          <Button
+            variant="contained"
+            startIcon={<CheckIcon />}
+            onClick={() => review('approve')}
+            disabled={working || (!submission.profileId && !profileId.trim())}
+          >
+            Approve
+          </Button>
+          <TextField
+            label="Reason (optional)"
+            size="small"
+            value={reason}
+            onChange={(event) => setReason(event.target.value)}
+          />
+          <Button color="error" startIcon={<CloseIcon />} onClick={() => review('reject')} disabled={working}>
+            Reject
+          </Button>
+        </CardActions>
+      )}
+    </Card>
+  );
+};
+
+// Staff review of alumni self-updates from the personal form and the webhook
+const SelfUpdateQueue: React.FC = () => {
+  const [submissions, setSubmissions] = useState<SelfUpdateSubmission[]>([]);
+  const [status, setStatus] = useState<StatusFilter>('pending');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadSubmissions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = status === 'all' ? '' : `?status=${status}`;
+      const response = await fetch(`/api/self-updates${params}`);
+      if (!response.ok) throw new Error('Failed to load self-updates');
+      setSubmissions(await response.json());
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load self-updates');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadSubmissions();
+  }, [loadSubmissions]);
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ my: 4 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+          <Typography variant="h4" component="h1">
+            Alumni Self-Updates
+          </Typography>
+          <TextField
+            select
+            label="Status"
+            size="small"
+            value={status}
+            onChange={(event) => setStatus(event.target.value as StatusFilter)}
+            sx={{ minWidth: 160 }}
+          >
+            <MenuItem value="pending">Pending</MenuItem>
+            <MenuItem value="approved">Approved</MenuItem>
+            <MenuItem value="rejected">Rejected</MenuItem>
+            <MenuItem value="all">All</MenuItem>
+          </TextField>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : submissions.length === 0 ? (
+          <Typography variant="body1" color="text.secondary">
+            No {status === 'all' ? '' : `${status} `}submissions
+          </Typography>
+        ) : (
+          submissions.map((submission) => (
+            <SubmissionCard key={submission.id} submission={submission} onReviewed={loadSubmissions} />
+          ))
+        )}
+      </Box>
+    </Container>
+  );
+};
+
+export default SelfUpdateQueue;
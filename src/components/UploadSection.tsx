@@ -1,36 +1,126 @@
-import React, { useCallback, useEffect, useRef } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { Box, Typography, CircularProgress, Alert } from '@mui/material';
+import {
+  Box,
+  Typography,
+  CircularProgress,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+} from '@mui/material';
 import CloudUploadIcon from '@mui/icons-material/CloudUpload';
+import ImportReview from './ImportReview';
+import { ColumnMapping, ExtractionOptions, ExtractionSource, ExtractorsInfo, ImportPreview } from '../types';
 
 interface UploadSectionProps {
-  onFileUpload: (file: File) => Promise<(() => void) | undefined>;
+  onImportConfirm: (importId: string, mapping: ColumnMapping, extraction?: ExtractionOptions) => Promise<void>;
   isLoading: boolean;
   error: string | null;
 }
 
-const UploadSection: React.FC<UploadSectionProps> = ({ onFileUpload, isLoading, error }) => {
-  const cleanupRef = useRef<(() => void) | undefined>();
+const sourceLabels: Record<ExtractionSource, string> = {
+  live: 'Live LinkedIn',
+  fixtures: 'Saved HTML fixtures',
+};
+
+const UploadSection: React.FC<UploadSectionProps> = ({ onImportConfirm, isLoading, error }) => {
+  const [extractors, setExtractors] = useState<ExtractorsInfo | null>(null);
+  const [extraction, setExtraction] = useState<ExtractionOptions | undefined>();
+  const [preview, setPreview] = useState<ImportPreview | null>(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [validating, setValidating] = useState(false);
+  const [importError, setImportError] = useState<string | null>(null);
 
+  // Load the available extraction strategies; the server defaults apply if this fails
   useEffect(() => {
-    return () => {
-      if (cleanupRef.current) {
-        cleanupRef.current();
+    const loadExtractors = async () => {
+      try {
+        const response = await fetch('/api/extractors');
+        if (!response.ok) throw new Error('Failed to load extraction strategies');
+        const data: ExtractorsInfo = await response.json();
+        setExtractors(data);
+        setExtraction(data.defaults);
+      } catch (err) {
+        console.error('Error loading extraction strategies:', err);
       }
     };
+    loadExtractors();
   }, []);
 
+  // Stage the file on the server and show its columns and validation report
   const onDrop = useCallback(async (acceptedFiles: File[]) => {
-    if (acceptedFiles.length > 0) {
-      const cleanup = await onFileUpload(acceptedFiles[0]);
-      cleanupRef.current = cleanup;
+    if (acceptedFiles.length === 0) return;
+    try {
+      setPreviewLoading(true);
+      setImportError(null);
+      const formData = new FormData();
+      formData.append('file', acceptedFiles[0]);
+      const response = await fetch('/api/import/preview', {
+        method: 'POST',
+        body: formData,
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to read the file');
+      setPreview(data);
+    } catch (err) {
+      console.error('Import preview error:', err);
+      setImportError(err instanceof Error ? err.message : 'Failed to read the file');
+    } finally {
+      setPreviewLoading(false);
     }
-  }, [onFileUpload]);
+  }, []);
+
+  // Re-validate with another column mapping, or another sheet of a workbook
+  const revalidate = async (changes: { mapping?: ColumnMapping; sheet?: string }) => {
+    if (!preview) return;
+    try {
+      setValidating(true);
+      setImportError(null);
+      const response = await fetch(`/api/import/${preview.importId}/validate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to validate the column mapping');
+      setPreview(data);
+    } catch (err) {
+      setImportError(err instanceof Error ? err.message : 'Failed to validate the column mapping');
+    } finally {
+      setValidating(false);
+    }
+  };
+
+  const handleMappingChange = (mapping: ColumnMapping) => {
+    if (!preview) return;
+    setPreview({ ...preview, mapping });
+    revalidate({ mapping });
+  };
+
+  const handleSheetChange = (sheet: string) => {
+    revalidate({ sheet });
+  };
+
+  const handleConfirm = () => {
+    if (preview) {
+      onImportConfirm(preview.importId, preview.mapping, extraction);
+    }
+  };
+
+  const handleCancel = () => {
+    setPreview(null);
+    setImportError(null);
+  };
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
-      'text/csv': ['.csv']
+      'text/csv': ['.csv'],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
     },
     multiple: false
   });
@@ -46,54 +136,99 @@ const UploadSection: React.FC<UploadSectionProps> = ({ onFileUpload, isLoading,
         p: 4
       }}
     >
-      {error && (
+      {(error || importError) && (
         <Alert severity="error" sx={{ mb: 2, width: '100%', maxWidth: 600 }}>
-          {error}
+          {importError || error}
         </Alert>
       )}
       
-      <Box
-        {...getRootProps()}
-        sx={{
-          border: '2px dashed',
-          borderColor: isDragActive ? 'primary.main' : 'grey.300',
-          borderRadius: 2,
-          p: 6,
-          textAlign: 'center',
-          cursor: 'pointer',
-          bgcolor: isDragActive ? 'action.hover' : 'background.paper',
-          transition: 'all 0.2s ease',
-          '&:hover': {
-            borderColor: 'primary.main',
-            bgcolor: 'action.hover'
-          },
-          width: '100%',
-          maxWidth: 600
-        }}
-      >
-        <input {...getInputProps()} />
-        {isLoading ? (
-          <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 2 }}>
-            <CircularProgress />
-            <Typography variant="body1" color="text.secondary">
-              Processing your file...
-            </Typography>
-          </Box>
-        ) : (
-          <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 2 }}>
-            <CloudUploadIcon sx={{ fontSize: 48, color: 'primary.main' }} />
-            <Typography variant="h6" component="h2">
-              {isDragActive ? 'Drop your CSV file here' : 'Drag & drop your CSV file here'}
-            </Typography>
-            <Typography variant="body2" color="text.secondary">
-              or click to select a file
-            </Typography>
-            <Typography variant="caption" color="text.secondary" sx={{ mt: 2 }}>
-              Only CSV files are accepted
-            </Typography>
-          </Box>
-        )}
-      </Box>
+      {extractors && extraction && (
+        <Box sx={{ display: 'flex', gap: 2, mb: 3, width: '100%', maxWidth: 600 }}>
+          <FormControl size="small" sx={{ flex: 1 }}>
+            <InputLabel>Extraction strategy</InputLabel>
+            <Select
+              value={extraction.strategy}
+              label="Extraction strategy"
+              onChange={(e) => setExtraction({ ...extraction, strategy: e.target.value })}
+            >
+              {extractors.strategies.map((strategy) => (
+                <MenuItem key={strategy.name} value={strategy.name} disabled={!strategy.available}>
+                  {strategy.name} — {strategy.description}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ flex: 1 }}>
+            <InputLabel>Profile source</InputLabel>
+            <Select
+              value={extraction.source}
+              label="Profile source"
+              onChange={(e) => setExtraction({ ...extraction, source: e.target.value as ExtractionSource })}
+            >
+              {extractors.sources.map((source) => (
+                <MenuItem key={source} value={source}>
+                  {sourceLabels[source]}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+      )}
+
+      {preview ? (
+        <ImportReview
+          preview={preview}
+          validating={validating}
+          starting={isLoading}
+          onMappingChange={handleMappingChange}
+          onSheetChange={handleSheetChange}
+          onConfirm={handleConfirm}
+          onCancel={handleCancel}
+        />
+      ) : (
+        <Box
+          {...getRootProps()}
+          sx={{
+            border: '2px dashed',
+            borderColor: isDragActive ? 'primary.main' : 'grey.300',
+            borderRadius: 2,
+            p: 6,
+            textAlign: 'center',
+            cursor: 'pointer',
+            bgcolor: isDragActive ? 'action.hover' : 'background.paper',
+            transition: 'all 0.2s ease',
+            '&:hover': {
+              borderColor: 'primary.main',
+              bgcolor: 'action.hover'
+            },
+            width: '100%',
+            maxWidth: 600
+          }}
+        >
+          <input {...getInputProps()} />
+          {previewLoading ? (
+            <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 2 }}>
+              <CircularProgress />
+              <Typography variant="body1" color="text.secondary">
+                Reading your file...
+              </Typography>
+            </Box>
+          ) : (
+            <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 2 }}>
+              <CloudUploadIcon sx={{ fontSize: 48, color: 'primary.main' }} />
+              <Typography variant="h6" component="h2">
+                {isDragActive ? 'Drop your file here' : 'Drag & drop your CSV or Excel file here'}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                or click to select a file
+              </Typography>
+              <Typography variant="caption" color="text.secondary" sx={{ mt: 2 }}>
+                CSV and Excel (.xlsx) files are accepted. You can pick a sheet, map columns and review every row before scraping starts.
+              </Typography>
+            </Box>
+          )}
+        </Box>
+      )}
     </Box>
   );
 };
@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Container,
+  Typography,
+  Paper,
+  Button,
+  Chip,
+  Alert,
+  TextField,
+  MenuItem,
+  Switch,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import {
+  PersonAdd as PersonAddIcon,
+  Delete as DeleteIcon,
+  Key as KeyIcon,
+  Refresh as RefreshIcon,
+} from '@mui/icons-material';
+import { format } from 'date-fns';
+import { useAuth } from '../hooks/useAuth';
+import { humanize } from '../utils/labels';
+import { AuditEntry, Role, User } from '../types';
+
+const ROLES: Role[] = ['viewer', 'staff', 'admin'];
+
+const formatDate = (value?: string | null): string =>
+  value ? format(new Date(value), 'MMM d, yyyy HH:mm') : '—';
+
+// "{ jobId: 'job_1', totalProfiles: 40 }" -> "jobId: job_1, totalProfiles: 40"
+const formatDetails = (entry: AuditEntry): string => {
+  const details = Object.entries(entry.details || {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : String(value)}`);
+  const fields = entry.changes.map((change) => change.field);
+  return [entry.profileId, ...details, fields.length > 0 ? `fields: ${fields.join(', ')}` : null]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+const request = async <T,>(url: string, method: string, body?: unknown): Promise<T> => {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Request failed');
+  return data;
+};
+
+// Admin view: user accounts and roles, and the audit log
+const UserAdmin: React.FC = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState<User[]>([]);
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [actionFilter, setActionFilter] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [creating, setCreating] = useState(false);
+  const [draft, setDraft] = useState({ username: '', name: '', password: '', role: 'viewer' as Role });
+  const [passwordFor, setPasswordFor] = useState<User | null>(null);
+  const [newPassword, setNewPassword] = useState('');
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setUsers(await request<User[]>('/api/users', 'GET'));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load users');
+    }
+  }, []);
+
+  const loadAuditLog = useCallback(async () => {
+    try {
+      const params = actionFilter ? `&action=${encodeURIComponent(actionFilter)}` : '';
+      const data = await request<{ entries: AuditEntry[] }>(`/api/audit?limit=200${params}`, 'GET');
+      setEntries(data.entries);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load the audit log');
+    }
+  }, [actionFilter]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  useEffect(() => {
+    loadAuditLog();
+  }, [loadAuditLog]);
+
+  const updateUser = async (user: User, changes: Partial<Pick<User, 'role' | 'disabled'>> & { password?: string }) => {
+    try {
+      setError(null);
+      await request(`/api/users/${encodeURIComponent(user.id)}`, 'PATCH', changes);
+      loadUsers();
+      loadAuditLog();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update user');
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      setError(null);
+      await request('/api/users', 'POST', draft);
+      setCreating(false);
+      setDraft({ username: '', name: '', password: '', role: 'viewer' });
+      loadUsers();
+      loadAuditLog();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create user');
+    }
+  };
+
+  const handleDelete = async (user: User) => {
+    if (!window.confirm(`Delete ${user.username}?`)) return;
+    try {
+      setError(null);
+      await request(`/api/users/${encodeURIComponent(user.id)}`, 'DELETE');
+      loadUsers();
+      loadAuditLog();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete user');
+    }
+  };
+
+  const handlePasswordChange = async () => {
+    if (!passwordFor) return;
+    await updateUser(passwordFor, { password: newPassword });
+    setPasswordFor(null);
+    setNewPassword('');
+  };
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ my: 4 }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {/* Users */}
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6">Users</Typography>
+            <Button variant="contained" startIcon={<PersonAddIcon />} onClick={() => setCreating(true)}>
+              Add User
+            </Button>
+          </Box>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Username</TableCell>
+                <TableCell>Name</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell>Active</TableCell>
+                <TableCell>Last Login</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {users.map((user) => (
+                <TableRow key={user.id}>
+                  <TableCell>
+                    {user.username}
+                    {user.id === currentUser?.id && <Chip label="You" size="small" sx={{ ml: 1 }} />}
+                  </TableCell>
+                  <TableCell>{user.name}</TableCell>
+                  <TableCell>
+                    <TextField
+                      select
+                      size="small"
+                      value={user.role}
+                      onChange={(e) => updateUser(user, { role: e.target.value as Role })}
+                      sx={{ minWidth: 110 }}
+                    >
+                      {ROLES.map((role) => (
+                        <MenuItem key={role} value={role}>{humanize(role)}</MenuItem>
+                      ))}
+                    </TextField>
+                  </TableCell>
+                  <TableCell>
+                    <Switch
+                      checked={!user.disabled}
+                      disabled={user.id === currentUser?.id}
+                      onChange={(e) => updateUser(user, { disabled: !e.target.checked })}
+                    />
+                  </TableCell>
+                  <TableCell>{formatDate(user.lastLoginAt)}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Set password">
+                      <IconButton size="small" onClick={() => setPasswordFor(user)}>
+                        <KeyIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete user">
+                      <span>
+                        <IconButton
+                          size="small"
+                          color="error"
+                          disabled={user.id === currentUser?.id}
+                          onClick={() => handleDelete(user)}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Paper>
+
+        {/* Audit Log */}
+        <Paper sx={{ p: 3 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2 }}>
+            <Typography variant="h6">Audit Log</Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <TextField
+                select
+                label="Action"
+                size="small"
+                value={actionFilter}
+                onChange={(e) => setActionFilter(e.target.value)}
+                sx={{ minWidth: 160 }}
+              >
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="job">Jobs</MenuItem>
+                <MenuItem value="export">Exports</MenuItem>
+                <MenuItem value="profile">Profile changes</MenuItem>
+                <MenuItem value="self-update">Self-updates</MenuItem>
+                <MenuItem value="user">Users</MenuItem>
+                <MenuItem value="auth">Sign-ins</MenuItem>
+              </TextField>
+              <Button variant="outlined" startIcon={<RefreshIcon />} onClick={loadAuditLog}>
+                Refresh
+              </Button>
+            </Box>
+          </Box>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>When</TableCell>
+                <TableCell>Who</TableCell>
+                <TableCell>Action</TableCell>
+                <TableCell>Details</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {entries.map((entry) => (
+                <TableRow key={entry.id}>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(entry.at)}</TableCell>
+                  <TableCell>{entry.actor}</TableCell>
+                  <TableCell>
+                    <Chip label={entry.action} size="small" variant="outlined" />
+                  </TableCell>
+                  <TableCell sx={{ wordBreak: 'break-word' }}>{formatDetails(entry)}</TableCell>
+                </TableRow>
+              ))}
+              {entries.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={4}>No entries</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </Paper>
+      </Box>
+
+      {/* New User */}
+      <Dialog open={creating} onClose={() => setCreating(false)} fullWidth maxWidth="xs">
+        <DialogTitle>Add user</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            <TextField
+              label="Username"
+              size="small"
+              value={draft.username}
+              onChange={(e) => setDraft({ ...draft, username: e.target.value })}
+            />
+            <TextField
+              label="Full name"
+              size="small"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            />
+            <TextField
+              label="Password"
+              type="password"
+              size="small"
+              value={draft.password}
+              onChange={(e) => setDraft({ ...draft, password: e.target.value })}
+              helperText="At least 8 characters"
+            />
+            <TextField
+              select
+              label="Role"
+              size="small"
+              value={draft.role}
+              onChange={(e) => setDraft({ ...draft, role: e.target.value as Role })}
+            >
+              {ROLES.map((role) => (
+                <MenuItem key={role} value={role}>{humanize(role)}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreating(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreate}>
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Set Password */}
+      <Dialog open={Boolean(passwordFor)} onClose={() => setPasswordFor(null)} fullWidth maxWidth="xs">
+        <DialogTitle>Set password for {passwordFor?.username}</DialogTitle>
+        <DialogContent>
+          <TextField
+            label="New password"
+            type="password"
+            size="small"
+            fullWidth
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            helperText="Signs the user out everywhere"
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPasswordFor(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handlePasswordChange}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default UserAdmin;
@@ -0,0 +1,16 @@
+import { createContext, useContext } from 'react';
+import { Role, User } from '../types';
+
+const ROLE_ORDER: Role[] = ['viewer', 'staff', 'admin'];
+
+// The signed-in user, provided by App once the session is loaded
+export const AuthContext = createContext<User | null>(null);
+
+// The signed-in user and whether they have at least a given role, for
+// hiding actions the server would refuse
+export function useAuth() {
+  const user = useContext(AuthContext);
+  const hasRole = (role: Role) =>
+    user !== null && ROLE_ORDER.indexOf(user.role) >= ROLE_ORDER.indexOf(role);
+  return { user, hasRole };
+}
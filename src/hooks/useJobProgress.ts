@@ -0,0 +1,91 @@
+import { useEffect, useState } from 'react';
+import { JobError, ScrapingJob } from '../types';
+
+export type JobConnection = 'idle' | 'streaming' | 'polling';
+
+const POLL_INTERVAL_MS = 2000;
+
+const isFinished = (job: ScrapingJob) =>
+  job.status === 'completed' || job.status === 'cancelled' || job.status === 'failed';
+
+// Follow a scraping job live over Server-Sent Events, falling back to
+// polling GET /api/job/:jobId if the stream can't be opened or drops.
+export function useJobProgress(jobId: string | null) {
+  const [job, setJob] = useState<ScrapingJob | null>(null);
+  const [connection, setConnection] = useState<JobConnection>('idle');
+
+  useEffect(() => {
+    setJob(null);
+    if (!jobId) {
+      setConnection('idle');
+      return;
+    }
+
+    let finished = false;
+    let pollTimer: ReturnType<typeof setInterval> | null = null;
+
+    const stopPolling = () => {
+      if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+      }
+    };
+
+    const poll = async () => {
+      try {
+        const response = await fetch(`/api/job/${jobId}`);
+        if (!response.ok) throw new Error('Failed to get job status');
+        const data: ScrapingJob = await response.json();
+        setJob(data);
+        if (isFinished(data)) {
+          finished = true;
+          stopPolling();
+          setConnection('idle');
+        }
+      } catch (error) {
+        console.error('Error polling job status:', error);
+      }
+    };
+
+    const startPolling = () => {
+      if (pollTimer || finished) return;
+      setConnection('polling');
+      poll();
+      pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    };
+
+    const source = new EventSource(`/api/job/${jobId}/events`);
+    setConnection('streaming');
+
+    const replaceJob = (event: MessageEvent) => setJob(JSON.parse(event.data));
+    const mergeJob = (event: MessageEvent) => {
+      const update: Partial<ScrapingJob> = JSON.parse(event.data);
+      setJob((previous) => (previous ? { ...previous, ...update } : previous));
+    };
+
+    source.addEventListener('snapshot', replaceJob);
+    source.addEventListener('status', replaceJob);
+    source.addEventListener('progress', mergeJob);
+    source.addEventListener('profile-error', (event: MessageEvent) => {
+      const jobError: JobError = JSON.parse(event.data);
+      setJob((previous) => (previous ? { ...previous, errors: [...previous.errors, jobError] } : previous));
+    });
+    source.addEventListener('done', (event: MessageEvent) => {
+      finished = true;
+      replaceJob(event);
+      source.close();
+      setConnection('idle');
+    });
+    source.onerror = () => {
+      source.close();
+      startPolling();
+    };
+
+    return () => {
+      source.close();
+      stopPolling();
+    };
+  }, [jobId]);
+
+  return { job, connection };
+}
@@ -5,33 +5,535 @@ export interface AlumniData {
   company: string;
   location: string;
   education: string[];
+  educationDetails?: EducationEntry[];
   summary: string;
   linkedinUrl: string;
   pastRoles: PastRole[];
   scrapedAt: string;
   status: 'success' | 'failed' | 'pending';
   error?: string;
+  errorType?: ScrapeErrorType;
+  extraction?: ExtractionOptions;
+  firstScrapedAt?: string;
+  lastChangedAt?: string | null;
+  changedSinceLastRun?: boolean;
+  changes?: ProfileChange[];
+  lastScrapeError?: string;
+  lastAttemptedAt?: string;
+  editedAt?: string;
+  editedBy?: string;
+  overrides?: Partial<Record<OverridableField, FieldOverride>>;
+  contactPreferences?: ContactPreferences;
+  selfUpdatedAt?: string;
+  consent?: Consent;
+  aiInference?: AIInference;
+  importedName?: string;
+  cohort?: string;
+  graduationYear?: number;
+  program?: string;
+  email?: string;
+  canonicalCompany?: string;
+  companyMatchedBy?: 'alias' | 'fuzzy' | 'none';
+  canonicalTitle?: string;
+  industry?: Industry;
+  seniority?: Seniority | null;
+  jobFunction?: JobFunction | null;
+  classification?: Classification;
+}
+
+// Set by the llm extraction strategy (server/extractors/llm.js): the fields
+// the model inferred with its confidence in each (0-1, null when it gave
+// none), and how checking its reply against the profile schema went
+export type AIInferredField = 'name' | 'title' | 'company' | 'location' | 'about' | 'education' | 'pastRoles';
+
+export interface AIInference {
+  task: 'extraction';
+  provider: string;
+  model: string;
+  fields: Partial<Record<AIInferredField, number | null>>;
+  validation: {
+    valid: boolean;
+    attempts: number;
+    // Problems in earlier replies that the model corrected when asked
+    repairedErrors: string[];
+    // Reused from the reply cache rather than asked again
+    cached?: boolean;
+  };
+  inferredAt: string;
+}
+
+// Set by server/profiles.js; opted-out alumni are not scraped or exported
+export type ConsentStatus = 'unknown' | 'granted' | 'opted_out';
+
+export interface Consent {
+  status: ConsentStatus;
+  note: string | null;
+  updatedAt: string;
+  updatedBy: string;
+}
+
+// Set by server/classification.js, from the LLM provider when one is
+// configured and rules otherwise
+export interface Classification {
+  source: 'rules' | 'gemini' | 'openai';
+  model?: string;
+  // Company and title the classification was made from
+  basedOn?: { company: string; title: string };
+  classifiedAt: string;
+}
+
+export type Industry =
+  | 'financial_services'
+  | 'consulting'
+  | 'energy'
+  | 'technology'
+  | 'telecommunications'
+  | 'healthcare'
+  | 'education'
+  | 'manufacturing'
+  | 'retail_consumer'
+  | 'media'
+  | 'government'
+  | 'real_estate'
+  | 'transportation_logistics'
+  | 'nonprofit'
+  | 'other';
+
+// Past roles get these from server/normalization.js, profiles from classification
+export type Seniority =
+  | 'intern'
+  | 'individual_contributor'
+  | 'senior'
+  | 'manager'
+  | 'director'
+  | 'vice_president'
+  | 'c_suite';
+
+export type JobFunction =
+  | 'general_management'
+  | 'engineering'
+  | 'data'
+  | 'product'
+  | 'design'
+  | 'consulting'
+  | 'finance'
+  | 'marketing'
+  | 'sales'
+  | 'operations'
+  | 'human_resources'
+  | 'legal'
+  | 'strategy'
+  | 'research'
+  | 'education'
+  | 'other';
+
+export type TrackedField = 'title' | 'company' | 'location' | 'pastRoles' | 'education';
+
+export interface ProfileChange {
+  field: TrackedField;
+  previous: string | string[] | PastRole[];
+  current: string | string[] | PastRole[];
+  added?: (string | PastRole)[];
+  removed?: (string | PastRole)[];
+}
+
+// Alumni details are edited directly with PATCH /api/profiles/:id
+export type AlumniDetails = Pick<AlumniData, 'importedName' | 'cohort' | 'graduationYear' | 'program' | 'email'>;
+
+// Scraped and classified fields are corrected with overrides that re-scrapes keep
+export type OverridableField = 'name' | 'title' | 'company' | 'location' | 'summary' | 'industry' | 'jobFunction' | 'seniority';
+
+export interface FieldOverride {
+  value: string;
+  scrapedValue: string | null;
+  updatedAt: string;
+  updatedBy: string;
+}
+
+// null clears an alumni detail or removes an override
+export type ProfileUpdate = Partial<Record<keyof AlumniDetails | OverridableField, string | number | null>>;
+
+// Channels an alumnus has opted in to (true) or out of (false)
+export type ContactChannel = 'email' | 'newsletter' | 'events' | 'mentoring';
+export type ContactPreferences = Partial<Record<ContactChannel, boolean>>;
+
+// What an alumnus can change through the self-update form or webhook
+export interface SelfUpdateValues {
+  title?: string;
+  company?: string;
+  location?: string;
+  email?: string;
+  contactPreferences?: ContactPreferences;
+}
+
+export type SelfUpdateField = keyof SelfUpdateValues;
+
+// GET /api/self-update/:token
+export interface SelfUpdateForm extends Required<Omit<SelfUpdateValues, 'contactPreferences'>> {
+  name: string;
+  contactPreferences: ContactPreferences;
+  contactChannels: ContactChannel[];
+  expiresAt: string;
+}
+
+export interface SelfUpdateSubmission {
+  id: string;
+  source: 'form' | 'webhook';
+  status: 'pending' | 'approved' | 'rejected';
+  profileId: string | null;
+  profileName: string | null;
+  submittedAt: string;
+  proposed: SelfUpdateValues;
+  // Who the webhook said the alumnus was
+  identity: { name?: string | null; email?: string | null; linkedinUrl?: string | null };
+  current: Record<SelfUpdateField, unknown> | null;
+  appliedFields?: SelfUpdateField[];
+  reason?: string | null;
+  reviewedAt?: string;
+  reviewedBy?: string;
+}
+
+export interface AuditEntry {
+  id: string;
+  at: string;
+  actor: string;
+  action: string;
+  profileId: string | null;
+  changes: { field: string; previous: unknown; current: unknown; overridden?: boolean }[];
+  // The job, export or user an action was about
+  details?: Record<string, unknown>;
+}
+
+// Each role can do everything the ones before it can
+export type Role = 'viewer' | 'staff' | 'admin';
+
+export interface User {
+  id: string;
+  username: string;
+  name: string;
+  role: Role;
+  disabled: boolean;
+  createdAt: string;
+  createdBy: string;
+  lastLoginAt: string | null;
+}
+
+// GET /api/auth/session
+export interface AuthSession {
+  user: User | null;
+  roles: Role[];
+  setupRequired: boolean;
+}
+
+export interface ProfileSnapshot {
+  scrapedAt: string;
+  data: Pick<AlumniData, 'name' | 'title' | 'company' | 'location' | 'education' | 'educationDetails' | 'pastRoles' | 'summary'>;
+  changes: ProfileChange[];
 }
 
 export interface PastRole {
   title: string;
   company: string;
   years: string;
+  startDate?: string | null;
+  endDate?: string | null;
+  isCurrent?: boolean;
+  durationMonths?: number | null;
+  dateRange?: string;
+  duration?: string;
+  employmentType?: string;
+  canonicalCompany?: string;
+  canonicalTitle?: string;
+  seniority?: Seniority | null;
+  jobFunction?: JobFunction | null;
   location?: string;
 }
 
+export interface EducationEntry {
+  school: string;
+  degree: string;
+  field: string;
+  years: string;
+}
+
 export interface ScrapingJob {
   jobId: string;
-  status: 'pending' | 'running' | 'completed' | 'failed';
+  type?: 'upload' | 'refresh' | 'retry' | 'fixtures' | 'rescrape';
+  extraction?: ExtractionOptions;
+  parentJobId?: string | null;
+  childJobIds?: string[];
+  status: 'pending' | 'running' | 'paused' | 'completed' | 'cancelled' | 'failed';
   totalProfiles: number;
   processedProfiles: number;
   successfulProfiles: number;
   failedProfiles: number;
+  // Opted-out or erased profiles the job left alone
+  skippedProfiles?: number;
+  llmUsage?: JobLLMUsage;
   currentProfile?: string;
   results?: AlumniData[];
   startedAt: string;
   completedAt?: string;
+  pausedAt?: string | null;
+  cursor?: number;
+  errors: JobError[];
+}
+
+export type ScrapeErrorType =
+  | 'timeout'
+  | 'login_wall'
+  | 'not_found'
+  | 'rate_limited'
+  | 'network'
+  | 'parse_failure'
+  | 'invalid_url'
+  | 'budget_exceeded'
+  | 'unknown';
+
+export interface JobError {
+  url?: string;
+  error: string;
+  type?: ScrapeErrorType;
+  attempts?: number;
+  transient?: boolean;
+}
+
+export type JobControlAction = 'pause' | 'resume' | 'cancel';
+
+export type ExtractionSource = 'live' | 'fixtures';
+
+export interface ExtractionOptions {
+  strategy: string;
+  source: ExtractionSource;
+}
+
+export interface ExtractionStrategy {
+  name: string;
+  description: string;
+  input: 'page' | 'html' | 'none';
+  available: boolean;
+}
+
+export interface ExtractorsInfo {
+  strategies: ExtractionStrategy[];
+  sources: ExtractionSource[];
+  defaults: ExtractionOptions;
+  fixtures: number;
+}
+
+export interface RefreshSchedule {
+  id: string;
+  enabled: boolean;
+  intervalHours: number;
+  batchSize: number;
+  lastRunAt: string | null;
+  nextRunAt: string | null;
+  lastJobId: string | null;
+  running: boolean;
+}
+
+// Days to keep old snapshots and finished jobs' results; 0 keeps them forever
+export interface RetentionPolicy {
+  id: string;
+  snapshotDays: number;
+  jobResultDays: number;
+  lastPurgeAt: string | null;
+  lastPurge: { snapshots: number; jobs: number; llmCacheEntries?: number; imports?: number } | null;
+}
+
+// Model calls, tokens and estimated cost in USD (server/llm/usage.js)
+export interface LLMUsageCounts {
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  cost: number;
+  cacheHits: number;
+}
+
+export interface JobLLMUsage extends LLMUsageCounts {
+  // Calls answered by the mock provider because the daily budget was used up
+  fallbacks: number;
+}
+
+// One UTC day; estimatedCalls had no token counts from the provider
+export interface LLMUsageDay extends LLMUsageCounts {
+  id: string;
+  fallbacks: number;
+  estimatedCalls: number;
+  byTask: Record<string, LLMUsageCounts>;
+}
+
+// Daily limits (0 means none) and how much of them today has used
+export interface LLMBudgetStatus {
+  dailyTokens: number;
+  dailyCost: number;
+  tokensUsed: number;
+  costUsed: number;
+  exceeded: boolean;
+  exceededBy: ('tokens' | 'cost')[];
+}
+
+export interface LLMCacheStats {
+  enabled: boolean;
+  days: number;
+  entries: number;
+  hits: number;
+  byTask: Record<string, number>;
+}
+
+export interface LLMUsageReport {
+  today: LLMUsageDay;
+  budget: LLMBudgetStatus;
+  days: LLMUsageDay[];
+  totals: JobLLMUsage;
+  cache: LLMCacheStats;
+}
+
+export type ExportFormat = 'csv' | 'json' | 'ndjson' | 'xlsx';
+
+// Dashboard filters, accepted by GET /api/profiles and GET /api/export
+export interface ProfileFilters {
+  search?: string;
+  company?: string[];
+  location?: string[];
+  cohort?: string[];
+  program?: string[];
+  status?: string[];
+  industry?: string[];
+  jobFunction?: string[];
+  seniority?: string[];
+  graduationYearFrom?: string;
+  graduationYearTo?: string;
+  scrapedAfter?: string;
+  scrapedBefore?: string;
+  changedSince?: string;
+}
+
+export type ProfileSortField =
+  | 'name'
+  | 'title'
+  | 'company'
+  | 'location'
+  | 'cohort'
+  | 'graduationYear'
+  | 'scrapedAt'
+  | 'lastChangedAt'
+  | 'tenure';
+
+export type FacetField =
+  | 'company'
+  | 'location'
+  | 'cohort'
+  | 'program'
+  | 'status'
+  | 'industry'
+  | 'jobFunction'
+  | 'seniority'
+  | 'graduationYear';
+
+export interface FacetCount {
+  value: string | number;
+  count: number;
+}
+
+// One page of GET /api/profiles
+export interface ProfilePage {
+  profiles: AlumniData[];
+  total: number;
+  nextCursor: string | null;
+  facets: Record<FacetField, FacetCount[]>;
+  lastScrapedAt: string | null;
+}
+
+// GET /api/analytics/* reports
+export interface AnalyticsOverview {
+  alumni: number;
+  employers: number;
+  industries: number;
+  countries: number;
+  medianTenureMonths: number | null;
+}
+
+export interface DistributionItem {
+  value: string;
+  count: number;
+  share: number;
+}
+
+export interface EmployerCount {
+  company: string;
+  count: number;
+  share: number;
+  industry: Industry | null;
+}
+
+export interface SeniorityByCohort {
+  levels: Seniority[];
+  groups: { group: string | number; total: number; counts: Record<Seniority, number> }[];
+}
+
+export interface CareerMoveYear {
+  year: number;
+  companyChanges: number;
+  internalMoves: number;
+  total: number;
+}
+
+export interface EmployerFlow {
+  from: string;
+  to: string;
+  count: number;
+}
+
+export interface ExportColumn {
+  key: string;
+  header: string;
+}
+
+export type ImportFieldKey = 'linkedinUrl' | 'name' | 'cohort' | 'graduationYear' | 'program' | 'email';
+
+export interface ImportField {
+  key: ImportFieldKey;
+  label: string;
+  required: boolean;
+}
+
+export type ColumnMapping = Record<ImportFieldKey, string | null>;
+
+export interface ImportRowReport {
+  row: number;
+  status: 'valid' | 'invalid' | 'duplicate';
+  input: string;
+  linkedinUrl: string | null;
+  alumni: Pick<AlumniData, 'importedName' | 'cohort' | 'graduationYear' | 'program' | 'email'>;
+  existing: boolean;
   errors: string[];
+  warnings: string[];
+}
+
+export interface ImportSummary {
+  total: number;
+  valid: number;
+  invalid: number;
+  duplicates: number;
+  existing: number;
+  withWarnings: number;
+}
+
+export interface ImportPreview {
+  importId: string;
+  fileName: string;
+  createdAt: string;
+  sheetNames: string[];
+  sheet: string;
+  columns: string[];
+  sampleRows: Record<string, string>[];
+  fields: ImportField[];
+  mapping: ColumnMapping;
+  report: {
+    summary: ImportSummary;
+    rows: ImportRowReport[];
+  };
 }
 
 export interface UploadedFile {
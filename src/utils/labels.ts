@@ -0,0 +1,16 @@
+// "vice_president" -> "Vice President", "pastRoles" -> "Past Roles"
+export const humanize = (value: string): string =>
+  value
+    .replace(/_/g, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/\b\w/g, (letter) => letter.toUpperCase());
+
+// 27 -> "2 yrs 3 mos"
+export const formatTenure = (months: number | null): string => {
+  if (months === null) return '—';
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  return [years && `${years} yr${years > 1 ? 's' : ''}`, rest && `${rest} mo${rest > 1 ? 's' : ''}`]
+    .filter(Boolean)
+    .join(' ') || '< 1 mo';
+};
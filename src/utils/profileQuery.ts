@@ -0,0 +1,12 @@
+import { ProfileFilters } from '../types';
+
+// Query string for GET /api/profiles and GET /api/export. List filters are
+// repeated (?company=Grab&company=CIMB); empty values are left out.
+export const profileFilterParams = (filters: ProfileFilters): URLSearchParams => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    const values: string[] = Array.isArray(value) ? value : value ? [value] : [];
+    values.forEach((item) => params.append(key, item));
+  });
+  return params;
+};
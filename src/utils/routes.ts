@@ -0,0 +1,14 @@
+// Profile pages live at "#/profiles/<id>" so they can be bookmarked and
+// opened in a new tab without a router
+export const profilePath = (profileId: string): string => `#/profiles/${encodeURIComponent(profileId)}`;
+
+export const profileIdFromHash = (hash: string): string | null => {
+  const match = hash.match(/^#\/profiles\/([^/]+)$/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// Alumni open their self-update form from a personal "#/self-update/<token>" link
+export const selfUpdateTokenFromHash = (hash: string): string | null => {
+  const match = hash.match(/^#\/self-update\/([^/]+)$/);
+  return match ? decodeURIComponent(match[1]) : null;
+};